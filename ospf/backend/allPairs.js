@@ -0,0 +1,160 @@
+// --- All-Pairs Routing Matrix ---
+// Runs SPF from every router and returns N×N cost and next-hop matrices plus summary statistics.
+// Built for a few thousand routers: the graph is compiled once to integer arrays (CSR layout)
+// and every run reuses the same distance buffers.
+// Rows are sources, columns destinations; costs are directed, so the matrix need not be symmetric.
+
+const { PriorityQueue } = require("./priorityQueue");
+const { queueRank } = require("./spf");
+
+// Compressed sparse rows: the arcs of node i are targets/weights[offsets[i] .. offsets[i + 1]).
+// queueRanks and nameRanks carry dijkstra's queue tie-break and the name order of each node.
+const compileGraph = (graph) => {
+  const nodes = Object.keys(graph);
+  const index = new Map(nodes.map((node, i) => [node, i]));
+  const offsets = new Int32Array(nodes.length + 1);
+  let arcCount = 0;
+  nodes.forEach((node, i) => {
+    offsets[i] = arcCount;
+    arcCount += Object.keys(graph[node]).length;
+  });
+  offsets[nodes.length] = arcCount;
+  const targets = new Int32Array(arcCount);
+  const weights = new Float64Array(arcCount);
+  nodes.forEach((node, i) => {
+    let at = offsets[i];
+    for (const neighbor in graph[node]) {
+      targets[at] = index.get(neighbor);
+      weights[at] = graph[node][neighbor];
+      at++;
+    }
+  });
+  const queueRanks = Uint8Array.from(nodes, (node) => queueRank(graph, node));
+  const nameRanks = new Int32Array(nodes.length);
+  [...nodes.keys()].sort((a, b) => (nodes[a] < nodes[b] ? -1 : nodes[a] > nodes[b] ? 1 : 0)).forEach((i, rank) => {
+    nameRanks[i] = rank;
+  });
+  return { nodes, index, offsets, targets, weights, queueRanks, nameRanks };
+};
+
+// One SPF run into dist/firstHop. firstHop[v] is the node index S forwards to for v, taken from
+// via[v], its preferred predecessor. Nodes are queued and predecessors ranked as in dijkstra and
+// calculateRoutingTable (closest first, then by name), so firstHop is the routing table's next hop.
+// A first hop that is a LAN pseudo-node resolves to the router reached across it, as in calculateRoutingTable.
+const runSpf = (compiled, source, isPseudo, buffers) => {
+  const { offsets, targets, weights, queueRanks, nameRanks } = compiled;
+  const { dist, firstHop, via, settled } = buffers;
+  dist.fill(Infinity);
+  firstHop.fill(-1);
+  via.fill(-1);
+  settled.fill(0);
+  dist[source] = 0;
+  const queue = new PriorityQueue();
+  queue.enqueue(source, 0);
+  while (!queue.isEmpty()) {
+    const u = queue.dequeue().element;
+    if (settled[u]) continue;
+    settled[u] = 1;
+    for (let at = offsets[u]; at < offsets[u + 1]; at++) {
+      const v = targets[at];
+      const candidate = dist[u] + weights[at];
+      const hop = u === source || isPseudo[firstHop[u]] ? v : firstHop[u];
+      if (candidate < dist[v]) {
+        dist[v] = candidate;
+        firstHop[v] = hop;
+        via[v] = u;
+        queue.enqueue(v, candidate, queueRanks[v]);
+      } else if (
+        candidate === dist[v] &&
+        !settled[v] &&
+        (dist[u] < dist[via[v]] || (dist[u] === dist[via[v]] && nameRanks[u] < nameRanks[via[v]]))
+      ) {
+        // Equal-cost branch: only the preferred predecessor changes, the queued distance stays valid
+        firstHop[v] = hop;
+        via[v] = u;
+      }
+    }
+  }
+};
+
+// Eccentricity, diameter, radius/center and average cost over the reachable ordered pairs
+const matrixStats = (routers, costs) => {
+  const eccentricity = {};
+  let diameter = null;
+  let diameterPair = null;
+  let total = 0;
+  let reachablePairs = 0;
+  let unreachablePairs = 0;
+
+  costs.forEach((row, i) => {
+    let farthest = 0;
+    let complete = true;
+    row.forEach((cost, j) => {
+      if (i === j) return;
+      if (cost === null) {
+        complete = false;
+        unreachablePairs++;
+        return;
+      }
+      reachablePairs++;
+      total += cost;
+      if (cost > farthest) farthest = cost;
+      if (diameter === null || cost > diameter) {
+        diameter = cost;
+        diameterPair = { from: routers[i], to: routers[j] };
+      }
+    });
+    // A router that cannot reach everyone has no finite eccentricity
+    eccentricity[routers[i]] = complete ? farthest : null;
+  });
+
+  const finite = Object.values(eccentricity).filter((e) => e !== null);
+  const radius = finite.length > 0 ? Math.min(...finite) : null;
+  return {
+    connected: unreachablePairs === 0,
+    diameter,
+    diameterPair,
+    radius,
+    center: radius === null ? [] : routers.filter((r) => eccentricity[r] === radius),
+    averageCost: reachablePairs === 0 ? null : Math.round((total / reachablePairs) * 100) / 100,
+    reachablePairs,
+    unreachablePairs,
+    eccentricity,
+  };
+};
+
+// Returns { routers, costs, nextHops, stats }. costs[i][j] is null when unreachable; nextHops[i][j]
+// is an index into routers (null on the diagonal and for unreachable pairs) to keep large matrices small.
+// options.routesFor(router) replaces the fast SPF with full routing tables (used for multi-area topologies).
+const computeAllPairs = (graph, { pseudoNodes = new Set(), routesFor } = {}) => {
+  const routers = Object.keys(graph).filter((node) => !pseudoNodes.has(node));
+  const routerIndex = new Map(routers.map((router, i) => [router, i]));
+  const costs = [];
+  const nextHops = [];
+
+  if (routesFor) {
+    for (const source of routers) {
+      const routes = routesFor(source);
+      const reachable = (dest) => dest !== source && routes[dest].cost !== Infinity;
+      costs.push(routers.map((dest) => (dest === source ? 0 : reachable(dest) ? routes[dest].cost : null)));
+      nextHops.push(routers.map((dest) => (reachable(dest) ? routerIndex.get(routes[dest].nextHop) : null)));
+    }
+    return { routers, costs, nextHops, stats: matrixStats(routers, costs) };
+  }
+
+  const compiled = compileGraph(graph);
+  const size = compiled.nodes.length;
+  const isPseudo = Uint8Array.from(compiled.nodes, (node) => (pseudoNodes.has(node) ? 1 : 0));
+  const buffers = { dist: new Float64Array(size), firstHop: new Int32Array(size), via: new Int32Array(size), settled: new Uint8Array(size) };
+  const { dist, firstHop } = buffers;
+  const columns = routers.map((router) => compiled.index.get(router));
+
+  for (const source of routers) {
+    runSpf(compiled, compiled.index.get(source), isPseudo, buffers);
+    costs.push(columns.map((c) => (dist[c] === Infinity ? null : dist[c])));
+    nextHops.push(columns.map((c) => (firstHop[c] === -1 ? null : routerIndex.get(compiled.nodes[firstHop[c]]))));
+  }
+  return { routers, costs, nextHops, stats: matrixStats(routers, costs) };
+};
+
+module.exports = { computeAllPairs, compileGraph };
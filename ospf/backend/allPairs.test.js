@@ -0,0 +1,107 @@
+// --- All-Pairs Routing Matrix Tests ---
+// Run: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { computeAllPairs, compileGraph } = require("./allPairs");
+const { calculateRoutingTable } = require("./routing");
+const { generateTopology, toGraph } = require("./scripts/generateTopology");
+
+// A-B-C in a line with a dearer A-C shortcut, and D on its own
+const graph = {
+  A: { B: 1, C: 5 },
+  B: { A: 1, C: 1 },
+  C: { A: 5, B: 1 },
+  D: {},
+};
+
+test("the graph compiles to compressed sparse rows", () => {
+  const { nodes, offsets, targets, weights } = compileGraph(graph);
+  assert.deepEqual(nodes, ["A", "B", "C", "D"]);
+  assert.deepEqual([...offsets], [0, 2, 4, 6, 6]);
+  assert.deepEqual([...targets.slice(0, 2)], [1, 2]);
+  assert.deepEqual([...weights.slice(0, 2)], [1, 5]);
+});
+
+test("costs and next hops cover every ordered pair", () => {
+  const { routers, costs, nextHops } = computeAllPairs(graph);
+  assert.deepEqual(routers, ["A", "B", "C", "D"]);
+  assert.deepEqual(costs, [
+    [0, 1, 2, null],
+    [1, 0, 1, null],
+    [2, 1, 0, null],
+    [null, null, null, 0],
+  ]);
+  // Next hops are indexes into routers: A reaches C through B (index 1)
+  assert.equal(nextHops[0][2], 1);
+  assert.equal(nextHops[2][0], 1);
+  assert.equal(nextHops[0][0], null);
+  assert.equal(nextHops[0][3], null);
+});
+
+test("the statistics describe the reachable pairs", () => {
+  const { stats } = computeAllPairs(graph);
+  assert.equal(stats.connected, false);
+  assert.equal(stats.unreachablePairs, 6);
+  assert.equal(stats.reachablePairs, 6);
+  assert.equal(stats.diameter, 2);
+  assert.deepEqual(stats.diameterPair, { from: "A", to: "C" });
+  assert.equal(stats.averageCost, 1.33);
+  assert.deepEqual(stats.eccentricity, { A: null, B: null, C: null, D: null });
+
+  const connected = computeAllPairs({ A: graph.A, B: graph.B, C: graph.C }).stats;
+  assert.equal(connected.radius, 1);
+  assert.deepEqual(connected.center, ["B"]);
+});
+
+test("LAN pseudo-nodes are crossed but never listed", () => {
+  const lan = { R1: { LAN: 10 }, R2: { LAN: 4 }, LAN: { R1: 0, R2: 0 } };
+  const { routers, costs, nextHops } = computeAllPairs(lan, { pseudoNodes: new Set(["LAN"]) });
+  assert.deepEqual(routers, ["R1", "R2"]);
+  assert.deepEqual(costs, [[0, 10], [4, 0]]);
+  assert.deepEqual(nextHops, [[null, 1], [0, null]]);
+});
+
+test("routesFor replaces the SPF with full routing tables", () => {
+  const routes = {
+    A: { B: { cost: 7, nextHop: "B" } },
+    B: { A: { cost: Infinity, nextHop: null } },
+  };
+  const { costs, nextHops } = computeAllPairs({ A: {}, B: {} }, { routesFor: (router) => routes[router] });
+  assert.deepEqual(costs, [[0, 7], [null, 0]]);
+  assert.deepEqual(nextHops, [[null, 1], [null, null]]);
+});
+
+// Every cost and preferred next hop must match the per-router routing table
+const assertMatchesRoutingTables = (graph, pseudoNodes = new Set()) => {
+  const { routers, costs, nextHops } = computeAllPairs(graph, { pseudoNodes });
+  routers.forEach((source, i) => {
+    const { routingResults } = calculateRoutingTable(graph, source, { pseudoNodes });
+    routers.forEach((dest, j) => {
+      if (i === j) return;
+      const route = routingResults[dest];
+      assert.equal(costs[i][j], route.cost === Infinity ? null : route.cost, `${source} -> ${dest}`);
+      assert.equal(nextHops[i][j] === null ? "Unreachable" : routers[nextHops[i][j]], route.nextHop, `${source} -> ${dest}`);
+    });
+  });
+};
+
+test("equal-cost next hops are chosen like the routing table: closest predecessor, then by name", () => {
+  // S reaches D through Z or A at cost 2: A wins on name although Z comes first in the graph
+  assertMatchesRoutingTables({ S: { Z: 1, A: 1 }, Z: { S: 1, D: 1 }, A: { S: 1, D: 1 }, D: { Z: 1, A: 1 } });
+  // S reaches D through B (distance 2) or C (distance 1) at cost 3: C wins on distance
+  assertMatchesRoutingTables({ S: { B: 2, C: 1 }, B: { S: 2, D: 1 }, C: { S: 1, D: 2 }, D: { B: 1, C: 2 } });
+});
+
+test("matrices match the routing tables across LANs and zero-cost links", () => {
+  const lan = {
+    R3: { LAN: 1, R4: 0 },
+    R1: { LAN: 1 },
+    R2: { LAN: 1, R4: 1 },
+    R4: { R2: 1, R3: 0 },
+    LAN: { R1: 0, R2: 0, R3: 0 },
+  };
+  assertMatchesRoutingTables(lan, new Set(["LAN"]));
+  // Costs of 1 to 3 on a random mesh leave plenty of equal-cost ties
+  assertMatchesRoutingTables(toGraph(generateTopology({ routers: 60, degree: 4, seed: 7, maxCost: 3 })));
+});
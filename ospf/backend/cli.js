@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+// --- ospf-sim: OSPF Routes From the Command Line ---
+// Computes routing tables straight from topology files, without the server or the browser,
+// so lab pipelines can check them:
+//   ospf-sim route  --topology lab.json --router R1 [--max-paths 4]
+//   ospf-sim diff   --before old.json --after new.json [--router R1]
+//   ospf-sim assert --topology lab.json --router R1 --destination R5 --next-hop R2[,R3] [--cost 20]
+// Topology files are JSON topology documents, network_data.json-style adjacency maps or any
+// format the server imports (DOT, GraphML, "show ip ospf database router" output).
+// Exit codes: 0 success, 1 routes differ or an assertion failed, 2 usage or topology errors.
+
+const fs = require("fs");
+const path = require("path");
+const topologyFormats = require("./topologyFormats");
+const { diffRoutes } = require("./liveUpdates");
+const { parseAddress, parsePrefix } = require("./prefixes");
+const {
+  computeRoutingTable,
+  isMultiArea,
+  buildAreaModel,
+  outgoingInterface,
+  lookupRoute,
+  pseudoNodesOf,
+  normalizeTopology,
+  graphToTopology,
+  validateTopologyDocument,
+  routingTablesOf,
+} = require("./routing");
+
+const USAGE = `Usage:
+  ospf-sim route  --topology <file> --router <id> [--max-paths <n>]
+  ospf-sim diff   --before <file> --after <file> [--router <id>]
+  ospf-sim assert --topology <file> --router <id> --destination <router|prefix|address> --next-hop <id>[,<id>...] [--cost <n>]`;
+
+// Administrative distance routers show in front of every OSPF metric
+const OSPF_DISTANCE = 110;
+const ROUTE_CODES = [
+  "Codes: C - connected, O - OSPF, IA - OSPF inter area",
+  "       N1 - OSPF NSSA external type 1, N2 - OSPF NSSA external type 2",
+  "       E1 - OSPF external type 1, E2 - OSPF external type 2",
+  "       * - candidate default",
+];
+// Width of the code column ("O E2", "O*IA", ...) before the destination
+const CODE_WIDTH = 9;
+
+// Usage and topology problems end the run with exit code 2
+const fail = (message) => {
+  const error = new Error(message);
+  error.exitCode = 2;
+  throw error;
+};
+
+const parseArgs = (argv) => {
+  const [command, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i += 2) {
+    if (!rest[i].startsWith("--") || rest[i + 1] === undefined) fail(`Unexpected argument ${rest[i]}\n${USAGE}`);
+    options[rest[i].slice(2)] = rest[i + 1];
+  }
+  return { command, options };
+};
+
+const required = (options, name) => {
+  if (!options[name]) fail(`--${name} is required\n${USAGE}`);
+  return options[name];
+};
+
+// Reads a topology file in any supported format and validates it like the server would
+const loadTopology = (file) => {
+  let content;
+  try {
+    content = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    fail(`Cannot read ${file}: ${err.message}`);
+  }
+  const name = path.basename(file);
+  let topology;
+  let lines = {};
+
+  if (content.trimStart().startsWith("{")) {
+    let document;
+    try {
+      document = JSON.parse(content);
+    } catch (err) {
+      fail(`${file} is not valid JSON: ${err.message}`);
+    }
+    topology = document.nodes ? normalizeTopology(null, { name, ...document }) : graphToTopology(null, name, document);
+  } else {
+    const format = topologyFormats.detectFormat(content);
+    if (!format) fail(`Could not tell the format of ${file}.`);
+    const parsed = topologyFormats.FORMATS[format].parse(content);
+    if (parsed.errors.length > 0) {
+      fail([`${file} could not be parsed as ${format}:`, ...parsed.errors.map((e) => `  line ${e.line}: ${e.message}`)].join("\n"));
+    }
+    topology = normalizeTopology(null, { name, ...parsed.topology });
+    lines = parsed.lines;
+  }
+
+  const { graph, errors } = validateTopologyDocument(topology);
+  if (errors.length > 0) {
+    const lineOf = (p) => lines[(p.match(/^\w+\[\d+\]/) || [])[0]];
+    fail([`${file} is not a valid topology:`, ...errors.map((e) => `  ${e.path}${lineOf(e.path) ? ` (line ${lineOf(e.path)})` : ""}: ${e.message}`)].join("\n"));
+  }
+  return { topology, graph };
+};
+
+const checkRouter = (topology, graph, router, file) => {
+  if (!graph[router] || pseudoNodesOf(topology, graph).has(router)) fail(`Router ${router} is not part of ${file}.`);
+};
+
+// "O IA     10.0.34.0/30 [110/20] via R3, Gi0/1" plus one continuation line per extra ECMP next hop
+const formatRoute = (destination, route, interfaces = []) => {
+  const head = `${route.routeType.padEnd(CODE_WIDTH)}${destination} `;
+  if (route.nextHops.length === 0) return [`${head}is directly connected`];
+  const metric = `[${OSPF_DISTANCE}/${route.cost}]`;
+  return route.nextHops.map((hop, i) => {
+    const via = `${metric} via ${hop}${interfaces[i] ? `, ${interfaces[i].name || interfaces[i].id}` : ""}`;
+    return i === 0 ? `${head}${via}` : `${" ".repeat(head.length)}${via}`;
+  });
+};
+
+// Prefixes sort by family and address, router names alphabetically
+const compareDestinations = (a, b) => {
+  const pa = parsePrefix(a);
+  const pb = parsePrefix(b);
+  if (pa && pb) return pa.family - pb.family || (pa.address < pb.address ? -1 : pa.address > pb.address ? 1 : pa.length - pb.length);
+  if (pa || pb) return pa ? 1 : -1;
+  return a.localeCompare(b, undefined, { numeric: true });
+};
+
+// Every OSPF route of one router as { destination: route }: its subnets when the topology has
+// any (router names otherwise), external prefixes and the default route. Connected subnets are left out.
+const ospfRoutesOf = (table) => {
+  const routes = {};
+  if (table.prefixRoutes) {
+    for (const prefix in table.prefixRoutes) {
+      if (table.prefixRoutes[prefix].routeType !== "C") routes[prefix] = table.prefixRoutes[prefix];
+    }
+  } else {
+    for (const dest in table.routingResults) {
+      const route = table.routingResults[dest];
+      if (route.cost !== Infinity && !route.viaDefault) routes[dest] = route;
+    }
+  }
+  for (const prefix in table.externalRoutes || {}) {
+    const route = table.externalRoutes[prefix];
+    routes[prefix] = parsePrefix(prefix).length === 0 ? { ...route, routeType: route.routeType.replace("O ", "O*") } : route;
+  }
+  if (table.defaultRoute) routes["0.0.0.0/0"] = table.defaultRoute;
+  return routes;
+};
+
+// show ip route ospf
+const routeCommand = (options) => {
+  const file = required(options, "topology");
+  const router = required(options, "router");
+  let maxPaths;
+  if (options["max-paths"] !== undefined) {
+    maxPaths = Number(options["max-paths"]);
+    if (!Number.isInteger(maxPaths) || maxPaths < 1) fail("--max-paths must be a positive integer.");
+  }
+  const { topology, graph } = loadTopology(file);
+  checkRouter(topology, graph, router, file);
+
+  const table = computeRoutingTable(topology, graph, router, { maxPaths });
+  const routes = ospfRoutesOf(table);
+  const defaultRoute = routes["0.0.0.0/0"];
+  const out = [
+    ...ROUTE_CODES,
+    "",
+    defaultRoute ? `Gateway of last resort is ${defaultRoute.nextHop} to network 0.0.0.0` : "Gateway of last resort is not set",
+    "",
+  ];
+  for (const dest of Object.keys(routes).sort(compareDestinations)) {
+    const route = routes[dest];
+    const interfaces = route.interfaces || route.nextHops.map((hop) => outgoingInterface(topology, table, router, hop));
+    out.push(...formatRoute(dest, route, interfaces));
+  }
+  console.log(out.join("\n"));
+  return 0;
+};
+
+const diffCommand = (options) => {
+  const before = loadTopology(required(options, "before"));
+  const after = loadTopology(required(options, "after"));
+  const router = options.router;
+  if (router) {
+    checkRouter(before.topology, before.graph, router, options.before);
+    checkRouter(after.topology, after.graph, router, options.after);
+  }
+
+  const only = (tables) => (router ? { [router]: tables[router] } : tables);
+  const diff = diffRoutes(only(routingTablesOf(before.topology)), only(routingTablesOf(after.topology)));
+  const routers = Object.keys(diff).sort(compareDestinations);
+  let changes = 0;
+  const out = [];
+  for (const name of routers) {
+    out.push(name);
+    for (const dest of Object.keys(diff[name]).sort(compareDestinations)) {
+      const { before: was, after: now } = diff[name][dest];
+      if (was) out.push(...formatRoute(dest, was).map((line) => `  - ${line}`));
+      if (now) out.push(...formatRoute(dest, now).map((line) => `  + ${line}`));
+      changes++;
+    }
+  }
+  out.push(changes === 0 ? "No routing differences." : `${changes} route(s) differ on ${routers.length} router(s).`);
+  console.log(out.join("\n"));
+  return changes === 0 ? 0 : 1;
+};
+
+// The route a destination argument names: a router, an exact prefix, or an address (longest match)
+const findRoute = (table, destination) => {
+  const route = Object.hasOwn(table.routingResults, destination) ? table.routingResults[destination] : null;
+  if (route) return route.cost === Infinity ? null : { destination, route };
+  const prefix = parsePrefix(destination);
+  if (prefix) {
+    const match = table.prefixRoutes?.[prefix.prefix] || table.externalRoutes?.[prefix.prefix];
+    return match ? { destination: prefix.prefix, route: match } : null;
+  }
+  const address = parseAddress(destination);
+  if (!address) fail(`${destination} is neither a router, a prefix nor an IP address.`);
+  const match = lookupRoute(table, address);
+  return match ? { destination: match.prefix, route: match.route } : null;
+};
+
+const assertCommand = (options) => {
+  const file = required(options, "topology");
+  const router = required(options, "router");
+  const destination = required(options, "destination");
+  const expected = required(options, "next-hop").split(",").map((hop) => hop.trim());
+  const cost = options.cost === undefined ? undefined : Number(options.cost);
+  if (cost !== undefined && !Number.isFinite(cost)) fail("--cost must be a number.");
+  const { topology, graph } = loadTopology(file);
+  checkRouter(topology, graph, router, file);
+
+  const model = isMultiArea(topology) ? buildAreaModel(topology, graph) : null;
+  const found = findRoute(computeRoutingTable(topology, graph, router, {}, model), destination);
+  const label = `${router} → ${destination}`;
+  if (!found) {
+    console.error(`❌ ${label}: no route (expected next hop ${expected.join(", ")})`);
+    return 1;
+  }
+
+  const { route } = found;
+  const actual = route.nextHops.length > 0 ? route.nextHops : [route.routeType === "C" ? "connected" : "none"];
+  const sameHops = [...actual].sort().join() === [...expected].sort().join();
+  const sameCost = cost === undefined || cost === route.cost;
+  const via = `${route.routeType} ${found.destination} via ${actual.join(", ")} (cost ${route.cost})`;
+  if (sameHops && sameCost) {
+    console.log(`✅ ${label}: ${via}`);
+    return 0;
+  }
+  const wanted = [`next hop ${expected.join(", ")}`, cost !== undefined && `cost ${cost}`].filter(Boolean).join(", ");
+  console.error(`❌ ${label}: expected ${wanted}, got ${via}`);
+  return 1;
+};
+
+const COMMANDS = { route: routeCommand, diff: diffCommand, assert: assertCommand };
+
+const main = (argv) => {
+  try {
+    if (["help", "--help", "-h"].includes(argv[0])) {
+      console.log(USAGE);
+      return 0;
+    }
+    const { command, options } = parseArgs(argv);
+    if (!Object.hasOwn(COMMANDS, command)) fail(command ? `Unknown command ${command}\n${USAGE}` : USAGE);
+    return COMMANDS[command](options);
+  } catch (err) {
+    if (err.exitCode === undefined) throw err;
+    console.error(err.message);
+    return err.exitCode;
+  }
+};
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main };
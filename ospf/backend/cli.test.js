@@ -0,0 +1,88 @@
+// --- ospf-sim CLI Tests ---
+// Run: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("node:child_process");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ospf-sim-"));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const write = (name, content) => {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, typeof content === "string" ? content : JSON.stringify(content));
+  return file;
+};
+
+// Runs the CLI as a user would and returns its exit code and output
+const ospfSim = (...args) => {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [path.join(__dirname, "cli.js"), ...args], { encoding: "utf8" });
+  return { status, stdout, stderr };
+};
+
+const lab = {
+  nodes: ["R1", "R2", "R3"],
+  links: [
+    { source: "R1", target: "R2", cost: 1 },
+    { source: "R2", target: "R3", cost: 1 },
+    { source: "R1", target: "R3", cost: 5 },
+  ],
+};
+const labFile = write("lab.json", lab);
+const cheaperFile = write("cheaper.json", { ...lab, links: [...lab.links.slice(0, 2), { source: "R1", target: "R3", cost: 1 }] });
+
+test("route prints the table like show ip route ospf", () => {
+  const { status, stdout } = ospfSim("route", "--topology", labFile, "--router", "R1");
+  assert.equal(status, 0);
+  assert.match(stdout, /Gateway of last resort is not set/);
+  assert.match(stdout, /^O {8}R3 \[110\/2\] via R2, R1-R2$/m);
+});
+
+test("route reads DOT files too", () => {
+  const dot = write("lab.dot", "graph lab {\n  R1 -- R2 [cost=4];\n}\n");
+  const { status, stdout } = ospfSim("route", "--topology", dot, "--router", "R1");
+  assert.equal(status, 0);
+  assert.match(stdout, /R2 \[110\/4\] via R2/);
+});
+
+test("diff exits 0 without differences and 1 with them", () => {
+  const same = ospfSim("diff", "--before", labFile, "--after", labFile);
+  assert.equal(same.status, 0);
+  assert.match(same.stdout, /No routing differences\./);
+
+  const changed = ospfSim("diff", "--before", labFile, "--after", cheaperFile, "--router", "R1");
+  assert.equal(changed.status, 1);
+  assert.match(changed.stdout, /^ {2}- O {8}R3 \[110\/2\] via R2$/m);
+  assert.match(changed.stdout, /^ {2}\+ O {8}R3 \[110\/1\] via R3$/m);
+  assert.match(changed.stdout, /1 route\(s\) differ on 1 router\(s\)\./);
+});
+
+test("assert exits 0 when the route matches and 1 when it does not", () => {
+  assert.equal(ospfSim("assert", "--topology", labFile, "--router", "R1", "--destination", "R3", "--next-hop", "R2", "--cost", "2").status, 0);
+
+  const wrongHop = ospfSim("assert", "--topology", labFile, "--router", "R1", "--destination", "R3", "--next-hop", "R3");
+  assert.equal(wrongHop.status, 1);
+  assert.match(wrongHop.stderr, /expected next hop R3, got O R3 via R2 \(cost 2\)/);
+
+  assert.equal(ospfSim("assert", "--topology", labFile, "--router", "R1", "--destination", "R3", "--next-hop", "R2", "--cost", "5").status, 1);
+});
+
+test("usage and topology errors exit 2", () => {
+  assert.equal(ospfSim().status, 2);
+  assert.equal(ospfSim("frobnicate").status, 2);
+  // Object.prototype names are not commands either
+  const inherited = ospfSim("constructor");
+  assert.equal(inherited.status, 2);
+  assert.match(inherited.stderr, /^Unknown command constructor/);
+  assert.equal(ospfSim("route", "--topology", labFile).status, 2);
+  assert.match(ospfSim("route", "--topology", path.join(dir, "missing.json"), "--router", "R1").stderr, /Cannot read/);
+  assert.equal(ospfSim("assert", "--topology", labFile, "--router", "R9", "--destination", "R3", "--next-hop", "R2").status, 2);
+
+  const invalid = write("invalid.json", { nodes: ["R1"], links: [{ source: "R1", target: "R9", cost: 1 }] });
+  const { status, stderr } = ospfSim("diff", "--before", labFile, "--after", invalid);
+  assert.equal(status, 2);
+  assert.match(stderr, /links\[0\]\.target: /);
+});
@@ -0,0 +1,223 @@
+// --- IP Fast Reroute: Loop-Free Alternates (RFC 5286) and Remote LFA (RFC 7490) ---
+// For every router S and destination D, each primary next hop E gets a precomputed backup
+// that S can switch to the moment its link to E fails, before OSPF has reconverged.
+// Distances are directed: D(X, Y) is the cost from X to Y, taken from an SPF rooted at X.
+// Inequality numbers below refer to RFC 5286 section 4.
+
+const { cachedRoutingTable } = require("./routing");
+
+// Without a prototype, routers named "constructor" or "toString" do not find inherited members
+const reverseGraph = (graph) => {
+  const reversed = Object.create(null);
+  for (const node in graph) reversed[node] = reversed[node] || Object.create(null);
+  for (const a in graph) {
+    for (const b in graph[a]) {
+      reversed[b] = reversed[b] || Object.create(null);
+      reversed[b][a] = graph[a][b];
+    }
+  }
+  return reversed;
+};
+
+// pseudoNodes: LAN pseudo-nodes; they are never a neighbor, backup or PQ-node themselves
+// routers: which routers to analyse (default: every router)
+// remoteLfa: also look for PQ-nodes where no plain LFA exists (default true)
+const computeFastReroute = (graph, { pseudoNodes = new Set(), routers, remoteLfa = true } = {}) => {
+  const reversed = reverseGraph(graph);
+  const forwardCache = new Map();
+  const reverseCache = new Map();
+
+  const forward = (root) => {
+    if (!forwardCache.has(root)) forwardCache.set(root, cachedRoutingTable(graph, root, { pseudoNodes }));
+    return forwardCache.get(root);
+  };
+  const reverse = (root) => {
+    if (!reverseCache.has(root)) reverseCache.set(root, cachedRoutingTable(reversed, root, { pseudoNodes }));
+    return reverseCache.get(root);
+  };
+  // D(from, to); LAN pseudo-nodes only appear as direct neighbors, so their distance is the interface cost
+  const distance = (from, to) => {
+    if (from === to) return 0;
+    if (pseudoNodes.has(to)) return graph[from][to] ?? Infinity;
+    return forward(from).routingResults[to].cost;
+  };
+  // D(from, to) looked up from the destination's reverse SPF, for "every router to one target"
+  const distanceTo = (from, to) => (from === to ? 0 : reverse(to).routingResults[from].cost);
+
+  // Shortest path from root to dest as a node list (LAN pseudo-nodes included), root first
+  const pathFrom = (root, dest) => {
+    const previous = forward(root).paths;
+    const path = [dest];
+    while (path[0] !== root) path.unshift(previous[path[0]]);
+    return path;
+  };
+
+  // Router neighbors of S: direct ones and routers across an attached LAN (via the pseudo-node)
+  const neighborsOf = (router) => {
+    const neighbors = new Map();
+    const add = (neighbor, cost, via) => {
+      if (neighbor === router) return;
+      if (!neighbors.has(neighbor) || cost < neighbors.get(neighbor).cost) neighbors.set(neighbor, { router: neighbor, cost, via });
+    };
+    for (const next in graph[router]) {
+      if (!pseudoNodes.has(next)) {
+        add(next, graph[router][next], null);
+        continue;
+      }
+      for (const member in graph[next]) add(member, graph[router][next] + graph[next][member], next);
+    }
+    return neighbors;
+  };
+
+  const analyseRouter = (source) => {
+    const table = forward(source).routingResults;
+    const neighbors = neighborsOf(source);
+    const routes = {};
+    const coverage = { destinations: 0, protected: 0, lfa: 0, remoteLfa: 0, nodeProtecting: 0 };
+    const pqCache = new Map();
+    // S's hop onto neighbor n, followed by n's shortest path to dest
+    const pathVia = (n, dest) => [source, ...(neighbors.get(n).via ? [neighbors.get(n).via] : []), ...pathFrom(n, dest)];
+
+    // Plain LFA candidates for destination dest when the primary next hop is primary
+    const lfaFor = (dest, primary) => {
+      const primaryLink = neighbors.get(primary);
+      const candidates = [];
+      for (const neighbor of neighbors.values()) {
+        const n = neighbor.router;
+        if (n === primary) continue;
+        const nToDest = distance(n, dest);
+        // Inequality 1: N's shortest path to D does not come back through S
+        if (!(nToDest < distanceTo(n, source) + table[dest].cost)) continue;
+        // Inequality 3: N's path to D does not go through E either
+        const nodeProtecting = dest !== primary && nToDest < distance(n, primary) + distance(primary, dest);
+        const lan = primaryLink.via;
+        if (lan) {
+          // Reached over the same LAN as E: the alternate dies with the LAN, so it only covers E failing
+          if (neighbor.via === lan && !nodeProtecting) continue;
+          // Inequality 4: N's own path to D must not cross the LAN either
+          if (neighbor.via !== lan && !(nToDest < distance(n, lan) + distance(lan, dest))) continue;
+        }
+        candidates.push({
+          type: "lfa",
+          primary,
+          nextHop: n,
+          protection: nodeProtecting ? "node" : "link",
+          // Inequality 2
+          downstream: nToDest < table[dest].cost,
+          cost: neighbor.cost + nToDest,
+          path: pathVia(n, dest),
+        });
+      }
+      return candidates;
+    };
+
+    // PQ-nodes for the link S-E: routers S can tunnel to without crossing S-E (extended P-space)
+    // that reach E without passing through S (Q-space), RFC 7490 section 4
+    const pqNodesFor = (primary) => {
+      if (pqCache.has(primary)) return pqCache.get(primary);
+      const sToPrimary = table[primary].cost;
+      const primaryLan = neighbors.get(primary).via;
+      // Next hops reached over the same LAN as E share its fate
+      const avoidsLink = (hop) => hop !== primary && !(primaryLan && neighbors.get(hop).via === primaryLan);
+      const pq = [];
+      for (const y in table) {
+        if (y === primary || table[y].cost === Infinity) continue;
+        const inQ = distanceTo(y, primary) < distanceTo(y, source) + sToPrimary;
+        if (!inQ) continue;
+        // S's own P-space: no shortest path towards Y starts on the protected link
+        let tunnelVia = table[y].nextHops.every(avoidsLink) ? null : undefined;
+        if (tunnelVia === undefined) {
+          // Extended P-space: a neighbor whose own shortest path to Y avoids S
+          for (const neighbor of neighbors.values()) {
+            if (!avoidsLink(neighbor.router)) continue;
+            if (neighbor.router === y || distance(neighbor.router, y) < distanceTo(neighbor.router, source) + table[y].cost) {
+              tunnelVia = neighbor.router;
+              break;
+            }
+          }
+        }
+        if (tunnelVia === undefined) continue;
+        const nextHop = tunnelVia ?? table[y].nextHops[0];
+        const tunnelCost = tunnelVia ? neighbors.get(tunnelVia).cost + distance(tunnelVia, y) : table[y].cost;
+        const tunnel = tunnelVia ? pathVia(tunnelVia, y) : pathFrom(source, y);
+        pq.push({ node: y, nextHop, tunnelCost, tunnel });
+      }
+      // Closest PQ-node first, ties broken by name so results are stable
+      pq.sort((a, b) => a.tunnelCost - b.tunnelCost || a.node.localeCompare(b.node));
+      pqCache.set(primary, pq);
+      return pq;
+    };
+
+    const remoteLfaFor = (dest, primary) => {
+      for (const pq of pqNodesFor(primary)) {
+        const pqToDest = distance(pq.node, dest);
+        if (pqToDest === Infinity) continue;
+        return {
+          type: "rlfa",
+          primary,
+          nextHop: pq.nextHop,
+          pqNode: pq.node,
+          protection: dest !== primary && pqToDest < distance(pq.node, primary) + distance(primary, dest) ? "node" : "link",
+          downstream: pqToDest < table[dest].cost,
+          cost: pq.tunnelCost + pqToDest,
+          // Tunnelled to the PQ-node, then forwarded natively from there
+          path: [...pq.tunnel, ...pathFrom(pq.node, dest).slice(1)],
+        };
+      }
+      return null;
+    };
+
+    // Node protection beats link protection, then downstream paths, then the cheapest (RFC 5286 3.3)
+    const rank = (c) => [c.protection === "node" ? 0 : 1, c.downstream ? 0 : 1, c.cost];
+    const best = (candidates) =>
+      candidates.reduce((winner, c) => {
+        if (!winner) return c;
+        const [a, b] = [rank(c), rank(winner)];
+        for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return a[i] < b[i] ? c : winner;
+        return c.nextHop.localeCompare(winner.nextHop) < 0 ? c : winner;
+      }, null);
+
+    for (const dest in table) {
+      const route = table[dest];
+      if (route.cost === Infinity) continue;
+      const backups = [];
+      const unprotected = [];
+      for (const primary of route.nextHops) {
+        const backup = best(lfaFor(dest, primary)) || (remoteLfa ? remoteLfaFor(dest, primary) : null);
+        if (backup) backups.push(backup);
+        else unprotected.push(primary);
+      }
+      const isProtected = unprotected.length === 0;
+      routes[dest] = { cost: route.cost, nextHops: route.nextHops, backups, unprotectedNextHops: unprotected, protected: isProtected };
+
+      coverage.destinations++;
+      if (isProtected) {
+        coverage.protected++;
+        if (backups.every((b) => b.type === "lfa")) coverage.lfa++;
+        else coverage.remoteLfa++;
+        if (backups.every((b) => b.protection === "node")) coverage.nodeProtecting++;
+      }
+    }
+    coverage.percent = coverage.destinations === 0 ? 100 : Math.round((coverage.protected / coverage.destinations) * 1000) / 10;
+    coverage.unprotected = Object.keys(routes).filter((dest) => !routes[dest].protected);
+    return { routes, coverage };
+  };
+
+  const result = {};
+  for (const router of routers || Object.keys(graph).filter((node) => !pseudoNodes.has(node))) {
+    result[router] = analyseRouter(router);
+  }
+  return result;
+};
+
+// Network-wide share of protected (router, destination) pairs
+const summarizeCoverage = (routers) => {
+  const totals = { destinations: 0, protected: 0, lfa: 0, remoteLfa: 0, nodeProtecting: 0 };
+  for (const { coverage } of Object.values(routers)) {
+    for (const key in totals) totals[key] += coverage[key];
+  }
+  totals.percent = totals.destinations === 0 ? 100 : Math.round((totals.protected / totals.destinations) * 1000) / 10;
+  return totals;
+};
+
+module.exports = { computeFastReroute, summarizeCoverage };
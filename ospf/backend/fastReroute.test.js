@@ -0,0 +1,49 @@
+// --- IP Fast Reroute Tests ---
+// Run: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { computeFastReroute, summarizeCoverage } = require("./fastReroute");
+
+// A reaches B directly; C is the alternate that does not loop back through A
+const triangle = {
+  A: { B: 1, C: 5 },
+  B: { A: 1, C: 1 },
+  C: { A: 5, B: 1 },
+};
+
+// Every link costs 1: A's neighbor E loops back for B, so only a remote LFA helps
+const pentagon = {
+  A: { B: 1, E: 1 },
+  B: { A: 1, C: 1 },
+  C: { B: 1, D: 1 },
+  D: { C: 1, E: 1 },
+  E: { D: 1, A: 1 },
+};
+
+test("a neighbor whose path avoids the source is a loop-free alternate", () => {
+  const { A } = computeFastReroute(triangle, { routers: ["A"] });
+  assert.deepEqual(A.routes.B.backups, [
+    { type: "lfa", primary: "B", nextHop: "C", protection: "link", downstream: false, cost: 6, path: ["A", "C", "B"] },
+  ]);
+  assert.equal(A.coverage.percent, 100);
+});
+
+test("without an LFA a remote LFA tunnels to a PQ-node", () => {
+  const [backup] = computeFastReroute(pentagon, { routers: ["A"] }).A.routes.B.backups;
+  assert.equal(backup.type, "rlfa");
+  assert.equal(backup.pqNode, "D");
+  assert.deepEqual(backup.path, ["A", "E", "D", "C", "B"]);
+
+  const plain = computeFastReroute(pentagon, { routers: ["A"], remoteLfa: false });
+  assert.equal(plain.A.routes.B.protected, false);
+  assert.equal(summarizeCoverage(plain).remoteLfa, 0);
+});
+
+test("routers may be named after Object.prototype members", () => {
+  const renamed = JSON.parse(JSON.stringify(triangle).replace(/"C"/g, '"constructor"'));
+  const { A } = computeFastReroute(renamed, { routers: ["A"] });
+  assert.equal(A.routes.B.backups[0].nextHop, "constructor");
+  assert.deepEqual(A.routes.B.backups[0].path, ["A", "constructor", "B"]);
+  assert.equal(Object.hasOwn(Object, "A"), false);
+});
@@ -0,0 +1,91 @@
+// --- Live Updates (Server-Sent Events) ---
+// Browsers subscribe to a channel ("topology:<id>" or "simulation:<id>") and receive every change
+// as a diff, so several people can watch the same lab without polling.
+// SSE rather than WebSockets: updates only flow server -> browser, and it needs nothing beyond Express.
+
+// Comment lines keep idle connections (and proxies in between) from timing out
+const HEARTBEAT_MS = 25000;
+
+const channels = new Map();
+let nextEventId = 1;
+
+const subscriberCount = (channel) => channels.get(channel)?.size ?? 0;
+
+// Turns res into an event stream on channel; the first event tells the client what it is watching
+const subscribe = (channel, req, res, hello) => {
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  res.flushHeaders();
+  res.write("retry: 3000\n\n");
+  if (!channels.has(channel)) channels.set(channel, new Set());
+  channels.get(channel).add(res);
+  send(res, "hello", { channel, ...hello });
+
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    const subscribers = channels.get(channel);
+    subscribers.delete(res);
+    if (subscribers.size === 0) channels.delete(channel);
+  });
+};
+
+const send = (res, event, data) => {
+  res.write(`id: ${nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const publish = (channel, event, data) => {
+  for (const res of channels.get(channel) || []) send(res, event, data);
+};
+
+// Entries of two lists matched by id: { added: [entry], removed: [id], changed: [entry] }
+const diffById = (before = [], after = []) => {
+  const previous = new Map(before.map((entry) => [entry.id, entry]));
+  const current = new Set(after.map((entry) => entry.id));
+  return {
+    added: after.filter((entry) => !previous.has(entry.id)),
+    removed: before.filter((entry) => !current.has(entry.id)).map((entry) => entry.id),
+    changed: after.filter((entry) => previous.has(entry.id) && JSON.stringify(previous.get(entry.id)) !== JSON.stringify(entry)),
+  };
+};
+
+const isEmptyDiff = (diff) => diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0;
+
+// Diff between two versions of a topology document. fields holds the new value of every other
+// top-level field that changed (name, areas, referenceBandwidth, ...), null when it was removed.
+const diffTopology = (before, after) => {
+  const diff = {
+    nodes: diffById(before?.nodes, after.nodes),
+    links: diffById(before?.links, after.links),
+    lans: diffById(before?.lans, after.lans),
+    fields: {},
+  };
+  const skip = new Set(["nodes", "links", "lans", "version", "createdAt", "updatedAt"]);
+  for (const field of new Set([...Object.keys(before || {}), ...Object.keys(after)])) {
+    if (skip.has(field) || JSON.stringify(before?.[field]) === JSON.stringify(after[field])) continue;
+    diff.fields[field] = after[field] ?? null;
+  }
+  return diff;
+};
+
+const isEmptyTopologyDiff = (diff) =>
+  isEmptyDiff(diff.nodes) && isEmptyDiff(diff.links) && isEmptyDiff(diff.lans) && Object.keys(diff.fields).length === 0;
+
+// Routing tables are { router: { destination: route } } with unreachable destinations left out.
+// Returns { router: { destination: { before, after } } } for every route that changed; a route that
+// appeared or disappeared has null on the other side. Routers without changes are omitted.
+const diffRoutes = (beforeTables, afterTables) => {
+  const diff = {};
+  for (const router of new Set([...Object.keys(beforeTables), ...Object.keys(afterTables)])) {
+    const before = beforeTables[router] || {};
+    const after = afterTables[router] || {};
+    const changes = {};
+    for (const dest of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (JSON.stringify(before[dest]) === JSON.stringify(after[dest])) continue;
+      changes[dest] = { before: before[dest] ?? null, after: after[dest] ?? null };
+    }
+    if (Object.keys(changes).length > 0) diff[router] = changes;
+  }
+  return diff;
+};
+
+module.exports = { subscribe, publish, subscriberCount, diffTopology, isEmptyTopologyDiff, diffRoutes };
@@ -0,0 +1,79 @@
+// --- Live Updates Tests ---
+// Run: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { diffTopology, isEmptyTopologyDiff, diffRoutes } = require("./liveUpdates");
+
+const lab = {
+  id: "lab",
+  name: "Lab",
+  version: 3,
+  referenceBandwidth: 1000,
+  nodes: [{ id: "A" }, { id: "B" }, { id: "C" }],
+  links: [
+    { id: "A-B", source: "A", target: "B", cost: 1 },
+    { id: "B-C", source: "B", target: "C", cost: 2 },
+  ],
+};
+
+test("routers and links are diffed by id as added, removed and changed", () => {
+  const after = {
+    ...lab,
+    version: 4,
+    nodes: [{ id: "A" }, { id: "B", area: "1" }, { id: "D" }],
+    links: [
+      { id: "A-B", source: "A", target: "B", cost: 7 },
+      { id: "B-D", source: "B", target: "D", cost: 1 },
+    ],
+  };
+  const diff = diffTopology(lab, after);
+  assert.deepEqual(diff.nodes, { added: [{ id: "D" }], removed: ["C"], changed: [{ id: "B", area: "1" }] });
+  assert.deepEqual(diff.links, {
+    added: [{ id: "B-D", source: "B", target: "D", cost: 1 }],
+    removed: ["B-C"],
+    changed: [{ id: "A-B", source: "A", target: "B", cost: 7 }],
+  });
+  assert.deepEqual(diff.lans, { added: [], removed: [], changed: [] });
+  // The version bump alone is not a change
+  assert.deepEqual(diff.fields, {});
+  assert.equal(isEmptyTopologyDiff(diff), false);
+});
+
+test("other fields carry their new value, or null once removed", () => {
+  const withoutReference = { ...lab };
+  delete withoutReference.referenceBandwidth;
+  const diff = diffTopology(lab, { ...withoutReference, name: "Renamed", areas: { 0: {} } });
+  assert.deepEqual(diff.fields, { referenceBandwidth: null, name: "Renamed", areas: { 0: {} } });
+});
+
+test("a new topology diffs against nothing", () => {
+  const diff = diffTopology(null, lab);
+  assert.deepEqual(diff.nodes.added, lab.nodes);
+  assert.deepEqual(diff.links.removed, []);
+  assert.deepEqual(diff.fields, { id: "lab", name: "Lab", referenceBandwidth: 1000 });
+  assert.equal(isEmptyTopologyDiff(diffTopology(lab, { ...lab, version: 9, updatedAt: "later" })), true);
+});
+
+test("route diffs list only destinations that changed, with both sides", () => {
+  const before = {
+    A: { B: { cost: 1, nextHop: "B" }, C: { cost: 3, nextHop: "B" } },
+    B: { A: { cost: 1, nextHop: "A" } },
+    C: { B: { cost: 2, nextHop: "B" } },
+  };
+  const after = {
+    A: { B: { cost: 1, nextHop: "B" }, C: { cost: 5, nextHop: "C" }, D: { cost: 2, nextHop: "B" } },
+    B: { A: { cost: 1, nextHop: "A" } },
+    D: { B: { cost: 1, nextHop: "B" } },
+  };
+  assert.deepEqual(diffRoutes(before, after), {
+    A: {
+      C: { before: { cost: 3, nextHop: "B" }, after: { cost: 5, nextHop: "C" } },
+      D: { before: null, after: { cost: 2, nextHop: "B" } },
+    },
+    // A router that left takes its routes with it, and a new one brings its own
+    C: { B: { before: { cost: 2, nextHop: "B" }, after: null } },
+    D: { B: { before: null, after: { cost: 1, nextHop: "B" } } },
+  });
+  assert.deepEqual(diffRoutes(before, before), {});
+});
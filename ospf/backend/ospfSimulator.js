@@ -0,0 +1,625 @@
+// --- OSPF Protocol Simulator (discrete-event) ---
+// Instead of running Dijkstra on the global graph, every router here discovers its
+// neighbors with Hellos, walks the neighbor state machine, originates its own Router-LSA
+// and learns the rest through reliable flooding. SPF runs on each router's own LSDB.
+// All routers share one area; interfaces are point-to-point.
+
+const { calculateRoutingTable } = require("./routing");
+const { PriorityQueue } = require("./priorityQueue");
+
+// Protocol constants from RFC 2328 (seconds), all overridable per simulation
+const DEFAULT_TIMERS = {
+  helloInterval: 10,
+  deadInterval: 40,
+  rxmtInterval: 5,
+  infTransDelay: 1,
+  lsRefreshTime: 1800,
+  maxAge: 3600,
+  spfDelay: 1,
+  linkDelay: 0.005,
+};
+
+const INITIAL_SEQUENCE = 0x80000001;
+const NEIGHBOR_STATES = ["Down", "Init", "2-Way", "ExStart", "Exchange", "Loading", "Full"];
+const MAX_LOG_ENTRIES = 20000;
+
+const CHANGE_TYPES = ["link-down", "link-up", "cost-change", "router-down", "router-up"];
+
+const linkKey = (a, b) => [a, b].sort().join("|");
+const lsaKey = (lsa) => `router:${lsa.advRouter}`;
+const stateRank = (state) => NEIGHBOR_STATES.indexOf(state);
+const formatSequence = (seq) => `0x${(seq >>> 0).toString(16).padStart(8, "0")}`;
+
+class OspfSimulation {
+  // graph: adjacency map (per-direction costs)
+  constructor(graph, { logHellos = false, ...timers } = {}) {
+    this.timers = { ...DEFAULT_TIMERS, ...timers };
+    this.logHellos = logHellos;
+    this.now = 0;
+    this.eventSeq = 0;
+    this.queue = new PriorityQueue();
+    this.log = [];
+    this.logOffset = 0;
+    // Set whenever something isConverged looks at may have changed
+    this.convergenceChanged = true;
+    // Keyed by IDs from the request, so without a prototype: routers.constructor is not a router
+    this.links = Object.create(null);
+    this.routers = Object.create(null);
+
+    for (const a in graph) {
+      for (const b in graph[a]) {
+        const key = linkKey(a, b);
+        if (!this.links[key]) this.links[key] = { key, ends: [a, b].sort(), cost: {}, up: true };
+        this.links[key].cost[a] = graph[a][b];
+      }
+    }
+    Object.keys(graph).forEach((id, i) => {
+      this.routers[id] = this.createRouter(id);
+      // Small per-router offset so the first Hellos do not all fire at the same instant
+      this.bootRouter(id, i * 0.01);
+    });
+    this.recordTopologyChange();
+  }
+
+  createRouter(id) {
+    return {
+      id,
+      up: true,
+      neighbors: Object.create(null),
+      lsdb: {},
+      ownSequence: INITIAL_SEQUENCE - 1,
+      routingTable: {},
+      sptEdges: [],
+      spfPending: false,
+      spfRuns: 0,
+      lastSpfAt: null,
+      correctSince: null,
+      bootToken: 0,
+    };
+  }
+
+  // ---------------- Event queue ----------------
+  schedule(delay, type, data) {
+    // Rounded to the microsecond so repeated additions do not drift (0.1 + 0.2 style)
+    const time = Math.round((this.now + delay) * 1e6) / 1e6;
+    const event = { time, seq: this.eventSeq++, type, data };
+    // Ordered by time, then by scheduling order
+    this.queue.enqueue(event, time, event.seq);
+    return event;
+  }
+
+  nextEventTime() {
+    return this.queue.isEmpty() ? null : this.queue.peek().priority;
+  }
+
+  record(type, router, detail = {}) {
+    this.log.push({ index: this.logOffset + this.log.length, time: Number(this.now.toFixed(3)), type, router, ...detail });
+    if (this.log.length > MAX_LOG_ENTRIES) {
+      const drop = this.log.length - MAX_LOG_ENTRIES;
+      this.log.splice(0, drop);
+      this.logOffset += drop;
+    }
+  }
+
+  // Processes queued events until one of the limits is reached
+  step({ events = Infinity, until = Infinity } = {}) {
+    let processed = 0;
+    while (!this.queue.isEmpty() && processed < events && this.nextEventTime() <= until) {
+      const { element: event } = this.queue.dequeue();
+      this.now = event.time;
+      this.handle(event);
+      processed++;
+    }
+    if (until !== Infinity && this.now < until && processed < events) this.now = until;
+    return processed;
+  }
+
+  // Steps until every live router has a correct routing table and nothing is in flight.
+  // isConverged scans every router, so it only runs again after an event that changed a neighbor
+  // state, a pending SPF or the correctness of a table (convergenceChanged).
+  runUntilConverged(maxTime = this.now + 600) {
+    let processed = 0;
+    this.convergenceChanged = true;
+    while (!this.queue.isEmpty() && this.nextEventTime() <= maxTime) {
+      processed += this.step({ events: 1 });
+      if (!this.convergenceChanged) continue;
+      this.convergenceChanged = false;
+      if (this.isConverged()) break;
+    }
+    return { processed, converged: this.isConverged() };
+  }
+
+  handle({ type, data }) {
+    switch (type) {
+      case "hello-timer":
+        return this.onHelloTimer(data);
+      case "packet":
+        return this.onPacket(data);
+      case "dead-timer":
+        return this.onDeadTimer(data);
+      case "rxmt-timer":
+        return this.onRetransmitTimer(data);
+      case "spf":
+        return this.runSpf(data.router);
+      case "lsa-refresh":
+        return this.onRefreshTimer(data);
+      case "lsa-maxage":
+        return this.onMaxAge(data);
+      default:
+        throw new Error(`Unknown simulation event ${type}`);
+    }
+  }
+
+  // ---------------- Interfaces and packets ----------------
+  interfacesOf(routerId) {
+    return Object.values(this.links)
+      .filter((link) => link.up && link.ends.includes(routerId))
+      .map((link) => ({ link, neighbor: link.ends[0] === routerId ? link.ends[1] : link.ends[0] }));
+  }
+
+  send(from, to, packet) {
+    const link = this.links[linkKey(from, to)];
+    if (!link || !link.up || !this.routers[from].up) return;
+    if (packet.type !== "hello" || this.logHellos) {
+      this.record("packet-sent", from, { neighbor: to, packet: packet.type, detail: this.describePacket(packet) });
+    }
+    this.schedule(this.timers.linkDelay, "packet", { from, to, linkKey: link.key, packet });
+  }
+
+  describePacket(packet) {
+    if (packet.type === "dd") return packet.init ? "DD (I/M/MS negotiation)" : `DD with ${packet.headers.length} LSA header(s)`;
+    if (packet.type === "lsr") return `LSR for ${packet.keys.join(", ")}`;
+    if (packet.type === "lsu") return `LSU ${packet.lsas.map((l) => `${l.advRouter}@${formatSequence(l.seq)}`).join(", ")}`;
+    if (packet.type === "ack") return `LSAck ${packet.acks.map((a) => `${a.advRouter}@${formatSequence(a.seq)}`).join(", ")}`;
+    return `Hello (seen: ${packet.seen.join(", ") || "none"})`;
+  }
+
+  onPacket({ from, to, linkKey: key, packet }) {
+    const router = this.routers[to];
+    // Packets in flight on a link that has since gone down are lost
+    if (!this.links[key].up || !router.up || !this.routers[from].up) return;
+
+    if (packet.type === "hello") return this.receiveHello(router, from, packet);
+    const neighbor = router.neighbors[from];
+    if (!neighbor || stateRank(neighbor.state) < stateRank("ExStart")) return;
+    if (packet.type === "dd") return this.receiveDD(router, neighbor, packet);
+    if (packet.type === "lsr") return this.receiveLSR(router, neighbor, packet);
+    if (packet.type === "lsu") return this.receiveLSU(router, neighbor, packet);
+    if (packet.type === "ack") return this.receiveAck(neighbor, packet);
+  }
+
+  // ---------------- Hello protocol ----------------
+  bootRouter(id, delay = 0) {
+    const router = this.routers[id];
+    router.bootToken++;
+    this.schedule(delay, "hello-timer", { router: id, token: router.bootToken });
+    this.schedule(delay, "lsa-refresh", { router: id, token: router.bootToken, initial: true });
+  }
+
+  onHelloTimer({ router: id, token }) {
+    const router = this.routers[id];
+    if (!router.up || token !== router.bootToken) return;
+    for (const { neighbor } of this.interfacesOf(id)) {
+      const seen = router.neighbors[neighbor] && router.neighbors[neighbor].state !== "Down" ? [neighbor] : [];
+      this.send(id, neighbor, { type: "hello", seen });
+    }
+    this.schedule(this.timers.helloInterval, "hello-timer", { router: id, token });
+  }
+
+  setNeighborState(router, neighbor, state, reason) {
+    const previous = neighbor.state;
+    if (previous === state) return;
+    neighbor.state = state;
+    this.convergenceChanged = true;
+    this.record("neighbor-state", router.id, { neighbor: neighbor.id, from: previous, to: state, reason });
+    // Gaining or losing a FULL adjacency changes what this router's Router-LSA says
+    if (previous === "Full" || state === "Full") this.originateRouterLsa(router.id, `adjacency with ${neighbor.id} ${state === "Full" ? "FULL" : "lost"}`);
+  }
+
+  receiveHello(router, from, packet) {
+    let neighbor = router.neighbors[from];
+    if (!neighbor) {
+      neighbor = router.neighbors[from] = { id: from, state: "Down", deadToken: 0, requests: new Set(), rxmt: {}, rxmtScheduled: false };
+    }
+    if (this.logHellos) this.record("hello-received", router.id, { neighbor: from });
+
+    neighbor.deadToken++;
+    this.schedule(this.timers.deadInterval, "dead-timer", { router: router.id, neighbor: from, token: neighbor.deadToken });
+
+    if (neighbor.state === "Down") this.setNeighborState(router, neighbor, "Init", "HelloReceived");
+
+    if (packet.seen.includes(router.id)) {
+      if (neighbor.state === "Init") {
+        this.setNeighborState(router, neighbor, "2-Way", "2-WayReceived");
+        // Point-to-point neighbors always become adjacent
+        this.startExchange(router, neighbor);
+      }
+    } else if (stateRank(neighbor.state) >= stateRank("2-Way")) {
+      this.resetNeighbor(router, neighbor, "Init", "1-WayReceived");
+    }
+  }
+
+  onDeadTimer({ router: id, neighbor: neighborId, token }) {
+    const router = this.routers[id];
+    const neighbor = router.neighbors[neighborId];
+    if (!router.up || !neighbor || neighbor.deadToken !== token || neighbor.state === "Down") return;
+    this.resetNeighbor(router, neighbor, "Down", "InactivityTimer");
+  }
+
+  resetNeighbor(router, neighbor, state, reason) {
+    neighbor.requests.clear();
+    neighbor.rxmt = {};
+    neighbor.ddReceived = false;
+    this.setNeighborState(router, neighbor, state, reason);
+  }
+
+  // ---------------- Database exchange ----------------
+  startExchange(router, neighbor) {
+    this.setNeighborState(router, neighbor, "ExStart", "AdjOK?");
+    // Higher router ID becomes master of the DD exchange
+    neighbor.master = router.id > neighbor.id;
+    this.send(router.id, neighbor.id, { type: "dd", init: true });
+  }
+
+  enterExchange(router, neighbor) {
+    this.setNeighborState(router, neighbor, "Exchange", "NegotiationDone");
+    const headers = Object.values(router.lsdb).map((lsa) => ({ advRouter: lsa.advRouter, seq: lsa.seq, age: this.ageOf(lsa) }));
+    this.send(router.id, neighbor.id, { type: "dd", init: false, headers });
+  }
+
+  receiveDD(router, neighbor, packet) {
+    if (neighbor.state === "ExStart") this.enterExchange(router, neighbor);
+    if (packet.init || neighbor.state !== "Exchange") return;
+
+    // Request every LSA the neighbor has a newer instance of
+    for (const header of packet.headers) {
+      const mine = router.lsdb[lsaKey(header)];
+      if (!mine || this.compareLsa(header, mine) > 0) neighbor.requests.add(lsaKey(header));
+    }
+    neighbor.ddReceived = true;
+    if (neighbor.requests.size === 0) {
+      this.setNeighborState(router, neighbor, "Full", "ExchangeDone");
+    } else {
+      this.setNeighborState(router, neighbor, "Loading", "ExchangeDone");
+      this.send(router.id, neighbor.id, { type: "lsr", keys: [...neighbor.requests] });
+    }
+  }
+
+  receiveLSR(router, neighbor, packet) {
+    const lsas = packet.keys.map((key) => router.lsdb[key]).filter(Boolean);
+    if (lsas.length > 0) this.floodTo(router, neighbor, lsas);
+  }
+
+  // ---------------- LSAs and flooding ----------------
+  ageOf(lsa) {
+    return Math.min(this.timers.maxAge, Math.floor(lsa.ageAtInstall + (this.now - lsa.installedAt)));
+  }
+
+  // Positive when a is the more recent instance (RFC 2328 13.1, without checksums)
+  compareLsa(a, b) {
+    if (a.seq !== b.seq) return a.seq - b.seq;
+    const aMax = (a.age ?? this.ageOf(a)) >= this.timers.maxAge;
+    const bMax = (b.age ?? this.ageOf(b)) >= this.timers.maxAge;
+    return aMax === bMax ? 0 : aMax ? 1 : -1;
+  }
+
+  install(router, lsa, age) {
+    // The age travels with the LSA but is derived from ageAtInstall once it is in the LSDB
+    const { age: _age, ...body } = lsa;
+    const installed = { ...body, ageAtInstall: age, installedAt: this.now };
+    router.lsdb[lsaKey(lsa)] = installed;
+    this.schedule(Math.max(0, this.timers.maxAge - age), "lsa-maxage", { router: router.id, key: lsaKey(lsa), seq: lsa.seq });
+    this.scheduleSpf(router);
+    return installed;
+  }
+
+  originateRouterLsa(id, reason) {
+    const router = this.routers[id];
+    if (!router.up) return;
+    router.ownSequence++;
+    const links = Object.values(router.neighbors)
+      .filter((n) => n.state === "Full")
+      .map((n) => ({ neighbor: n.id, cost: this.links[linkKey(id, n.id)].cost[id] }));
+    const lsa = { type: "router", advRouter: id, seq: router.ownSequence, links };
+    this.install(router, lsa, 0);
+    this.record("lsa-originated", id, { lsa: id, seq: formatSequence(lsa.seq), links: links.length, reason });
+    this.flood(router, lsa, null);
+  }
+
+  // Sends to every neighbor that is exchanging or adjacent, except the one it came from
+  flood(router, lsa, except) {
+    for (const neighbor of Object.values(router.neighbors)) {
+      if (neighbor.id === except || stateRank(neighbor.state) < stateRank("Exchange")) continue;
+      this.floodTo(router, neighbor, [lsa]);
+    }
+  }
+
+  floodTo(router, neighbor, lsas) {
+    const outgoing = lsas.map((lsa) => {
+      const copy = { type: lsa.type, advRouter: lsa.advRouter, seq: lsa.seq, links: lsa.links };
+      copy.age = Math.min(this.timers.maxAge, (lsa.installedAt !== undefined ? this.ageOf(lsa) : 0) + this.timers.infTransDelay);
+      neighbor.rxmt[lsaKey(lsa)] = copy;
+      return copy;
+    });
+    this.send(router.id, neighbor.id, { type: "lsu", lsas: outgoing });
+    if (!neighbor.rxmtScheduled) {
+      neighbor.rxmtScheduled = true;
+      this.schedule(this.timers.rxmtInterval, "rxmt-timer", { router: router.id, neighbor: neighbor.id });
+    }
+  }
+
+  onRetransmitTimer({ router: id, neighbor: neighborId }) {
+    const router = this.routers[id];
+    const neighbor = router.neighbors[neighborId];
+    if (!neighbor) return;
+    neighbor.rxmtScheduled = false;
+    const pending = Object.values(neighbor.rxmt);
+    if (!router.up || pending.length === 0 || stateRank(neighbor.state) < stateRank("Exchange")) return;
+    this.record("retransmit", id, { neighbor: neighborId, lsas: pending.map((lsa) => lsa.advRouter) });
+    this.floodTo(router, neighbor, pending);
+  }
+
+  receiveLSU(router, neighbor, packet) {
+    const acks = [];
+    for (const lsa of packet.lsas) {
+      const key = lsaKey(lsa);
+      const current = router.lsdb[key];
+      acks.push({ advRouter: lsa.advRouter, seq: lsa.seq });
+
+      if (!current || this.compareLsa(lsa, current) > 0) {
+        if (lsa.advRouter === router.id) {
+          // A stale copy of our own LSA is still around: jump past its sequence number
+          router.ownSequence = Math.max(router.ownSequence, lsa.seq);
+          this.originateRouterLsa(router.id, "newer self-originated LSA received");
+        } else {
+          const installed = this.install(router, lsa, lsa.age);
+          this.record("lsa-installed", router.id, { lsa: lsa.advRouter, seq: formatSequence(lsa.seq), from: neighbor.id });
+          this.flood(router, installed, neighbor.id);
+        }
+      }
+      neighbor.requests.delete(key);
+    }
+    this.send(router.id, neighbor.id, { type: "ack", acks });
+
+    if (neighbor.state === "Loading" && neighbor.requests.size === 0) {
+      this.setNeighborState(router, neighbor, "Full", "LoadingDone");
+    }
+  }
+
+  receiveAck(neighbor, packet) {
+    for (const ack of packet.acks) {
+      const pending = neighbor.rxmt[lsaKey(ack)];
+      if (pending && pending.seq === ack.seq) delete neighbor.rxmt[lsaKey(ack)];
+    }
+  }
+
+  // Self-originated LSAs are refreshed every LSRefreshTime; the first firing is the initial origination
+  onRefreshTimer({ router: id, token, initial }) {
+    const router = this.routers[id];
+    if (!router.up || token !== router.bootToken) return;
+    this.originateRouterLsa(id, initial ? "router started" : "LSRefreshTime");
+    this.schedule(this.timers.lsRefreshTime, "lsa-refresh", { router: id, token });
+  }
+
+  // LSAs nobody refreshed for MaxAge seconds are flushed from the database
+  onMaxAge({ router: id, key, seq }) {
+    const router = this.routers[id];
+    const lsa = router.lsdb[key];
+    if (!router.up || !lsa || lsa.seq !== seq || this.ageOf(lsa) < this.timers.maxAge) return;
+    delete router.lsdb[key];
+    this.record("lsa-flushed", id, { lsa: lsa.advRouter, seq: formatSequence(seq), reason: "MaxAge" });
+    this.scheduleSpf(router);
+  }
+
+  // ---------------- SPF on the local LSDB ----------------
+  scheduleSpf(router) {
+    if (router.spfPending) return;
+    router.spfPending = true;
+    this.convergenceChanged = true;
+    this.schedule(this.timers.spfDelay, "spf", { router: router.id });
+  }
+
+  // A link is only used when both Router-LSAs list each other (two-way connectivity check)
+  lsdbGraph(router) {
+    const graph = Object.create(null);
+    for (const lsa of Object.values(router.lsdb)) {
+      if (this.ageOf(lsa) >= this.timers.maxAge) continue;
+      graph[lsa.advRouter] = graph[lsa.advRouter] || Object.create(null);
+      for (const { neighbor, cost } of lsa.links) {
+        const back = router.lsdb[`router:${neighbor}`];
+        if (back && back.links.some((l) => l.neighbor === lsa.advRouter)) {
+          graph[lsa.advRouter][neighbor] = cost;
+          graph[neighbor] = graph[neighbor] || Object.create(null);
+        }
+      }
+    }
+    return graph;
+  }
+
+  runSpf(id) {
+    const router = this.routers[id];
+    router.spfPending = false;
+    this.convergenceChanged = true;
+    if (!router.up) return;
+    const graph = this.lsdbGraph(router);
+    if (!graph[id]) graph[id] = Object.create(null);
+    const { routingResults, sptEdges } = calculateRoutingTable(graph, id);
+    router.routingTable = {};
+    for (const dest in routingResults) {
+      const { cost, nextHops } = routingResults[dest];
+      if (cost !== Infinity) router.routingTable[dest] = { cost, nextHops };
+    }
+    router.sptEdges = sptEdges;
+    router.spfRuns++;
+    router.lastSpfAt = this.now;
+    this.record("spf-run", id, { routes: Object.keys(router.routingTable).length, lsas: Object.keys(router.lsdb).length });
+    this.updateCorrectness(router);
+  }
+
+  // ---------------- Convergence tracking ----------------
+  // Routing tables every router should end up with, from the live topology
+  expectedTables() {
+    const graph = Object.create(null);
+    for (const id in this.routers) if (this.routers[id].up) graph[id] = Object.create(null);
+    for (const link of Object.values(this.links)) {
+      const [a, b] = link.ends;
+      if (!link.up || !graph[a] || !graph[b]) continue;
+      graph[a][b] = link.cost[a];
+      graph[b][a] = link.cost[b];
+    }
+    const tables = {};
+    for (const id in graph) {
+      const { routingResults } = calculateRoutingTable(graph, id);
+      tables[id] = {};
+      for (const dest in routingResults) {
+        const { cost, nextHops } = routingResults[dest];
+        if (cost !== Infinity) tables[id][dest] = { cost, nextHops };
+      }
+    }
+    return tables;
+  }
+
+  tableMatches(actual, expected) {
+    const dests = new Set([...Object.keys(actual), ...Object.keys(expected)]);
+    for (const dest of dests) {
+      const a = actual[dest];
+      const e = expected[dest];
+      if (!a || !e || a.cost !== e.cost) return false;
+      if ([...a.nextHops].sort().join() !== [...e.nextHops].sort().join()) return false;
+    }
+    return true;
+  }
+
+  updateCorrectness(router) {
+    const expected = (this.expected = this.expected || this.expectedTables());
+    const correct = router.up && this.tableMatches(router.routingTable, expected[router.id] || {});
+    if (correct && router.correctSince === null) {
+      router.correctSince = this.now;
+      this.convergenceChanged = true;
+      this.record("routing-table-correct", router.id, {});
+    } else if (!correct && router.correctSince !== null) {
+      router.correctSince = null;
+      this.convergenceChanged = true;
+    }
+  }
+
+  recordTopologyChange() {
+    this.expected = this.expectedTables();
+    this.lastChangeAt = this.now;
+    for (const router of Object.values(this.routers)) this.updateCorrectness(router);
+  }
+
+  isConverged() {
+    const live = Object.values(this.routers).filter((r) => r.up);
+    return live.every(
+      (r) =>
+        r.correctSince !== null &&
+        !r.spfPending &&
+        Object.values(r.neighbors).every((n) => n.state === "Full" || n.state === "Down")
+    );
+  }
+
+  // ---------------- Topology changes ----------------
+  // change: { type: "link-down" | "link-up" | "cost-change" | "router-down" | "router-up", ... }
+  applyChange(change) {
+    const { type } = change;
+    if (!CHANGE_TYPES.includes(type)) throw new Error(`Unknown change type ${type}`);
+    if (type === "link-down" || type === "link-up" || type === "cost-change") {
+      const link = this.links[linkKey(change.source, change.target)];
+      if (!link) throw new Error(`Link ${change.source}-${change.target} does not exist`);
+
+      if (type === "cost-change") {
+        link.cost[change.source] = change.cost;
+        if (!change.oneWay) link.cost[change.target] = change.cost;
+        this.record("topology-change", null, { change: type, link: link.ends.join("-"), cost: change.cost });
+        this.recordTopologyChange();
+        for (const id of link.ends) {
+          const neighbor = this.routers[id].neighbors[link.ends.find((e) => e !== id)];
+          if (neighbor && neighbor.state === "Full") this.originateRouterLsa(id, "interface cost changed");
+        }
+        return;
+      }
+
+      link.up = type === "link-up";
+      this.record("topology-change", null, { change: type, link: link.ends.join("-") });
+      this.recordTopologyChange();
+      if (!link.up) {
+        // Loss of carrier is noticed at once on both ends (no need to wait for the dead timer)
+        const [a, b] = link.ends;
+        for (const [id, other] of [[a, b], [b, a]]) {
+          const neighbor = this.routers[id].neighbors[other];
+          if (neighbor && neighbor.state !== "Down") this.resetNeighbor(this.routers[id], neighbor, "Down", "InterfaceDown");
+        }
+      }
+      return;
+    }
+
+    const router = this.routers[change.router];
+    if (!router) throw new Error(`Router ${change.router} does not exist`);
+    if (type === "router-down") {
+      // The router just vanishes: its neighbors only find out when their dead timers expire
+      router.up = false;
+      router.neighbors = Object.create(null);
+      router.lsdb = {};
+      router.routingTable = {};
+      router.correctSince = null;
+      router.bootToken++;
+      this.record("topology-change", router.id, { change: type });
+      this.recordTopologyChange();
+    } else if (type === "router-up") {
+      if (router.up) return;
+      router.up = true;
+      this.record("topology-change", router.id, { change: type });
+      this.recordTopologyChange();
+      this.bootRouter(router.id);
+    }
+  }
+
+  // ---------------- Reporting ----------------
+  routerState(id) {
+    const router = this.routers[id];
+    return {
+      id,
+      up: router.up,
+      neighbors: Object.values(router.neighbors).map((n) => ({ id: n.id, state: n.state, pendingRequests: n.requests.size, pendingAcks: Object.keys(n.rxmt).length })),
+      lsdb: Object.values(router.lsdb).map((lsa) => ({
+        type: lsa.type,
+        advRouter: lsa.advRouter,
+        seq: formatSequence(lsa.seq),
+        age: this.ageOf(lsa),
+        links: lsa.links,
+      })),
+      routingTable: router.routingTable,
+      sptEdges: router.sptEdges,
+      spfRuns: router.spfRuns,
+      lastSpfAt: router.lastSpfAt,
+      correct: router.correctSince !== null,
+      correctSince: router.correctSince,
+    };
+  }
+
+  summary() {
+    const routers = {};
+    for (const id in this.routers) {
+      const { lsdb, ...state } = this.routerState(id);
+      routers[id] = { ...state, lsdbSize: lsdb.length };
+    }
+    return {
+      clock: this.now,
+      timers: this.timers,
+      pendingEvents: this.queue.size,
+      nextEventAt: this.nextEventTime(),
+      lastChangeAt: this.lastChangeAt,
+      converged: this.isConverged(),
+      links: Object.values(this.links).map((l) => ({ source: l.ends[0], target: l.ends[1], up: l.up, cost: l.cost })),
+      routers,
+    };
+  }
+
+  events({ since = 0, limit = 500 } = {}) {
+    const start = Math.max(0, since - this.logOffset);
+    return { since: this.logOffset + start, events: this.log.slice(start, start + limit), total: this.logOffset + this.log.length };
+  }
+}
+
+module.exports = { OspfSimulation, DEFAULT_TIMERS, NEIGHBOR_STATES };
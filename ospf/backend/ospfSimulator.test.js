@@ -0,0 +1,98 @@
+// --- OSPF Protocol Simulator Tests ---
+// Run: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { OspfSimulation } = require("./ospfSimulator");
+const { validateTopology, normalizeTopology } = require("./routing");
+
+const graphOf = (nodes, links) => validateTopology(normalizeTopology(null, { nodes, links })).graph;
+
+// A-B 1, B-C 1, A-C 5: A reaches C through B until A-B fails
+const triangle = () =>
+  graphOf(
+    ["A", "B", "C"],
+    [
+      { source: "A", target: "B", cost: 1 },
+      { source: "B", target: "C", cost: 1 },
+      { source: "A", target: "C", cost: 5 },
+    ]
+  );
+
+test("events run in time order and same-time events in scheduling order", () => {
+  const sim = new OspfSimulation({});
+  const handled = [];
+  sim.handle = ({ data }) => handled.push(`${data}@${sim.now}`);
+  sim.schedule(2, "test", "late");
+  sim.schedule(1, "test", "first");
+  sim.schedule(0.5, "test", "earliest");
+  sim.schedule(1, "test", "second");
+  assert.equal(sim.summary().pendingEvents, 4);
+  assert.equal(sim.summary().nextEventAt, 0.5);
+
+  assert.equal(sim.step({ until: 1 }), 3);
+  assert.deepEqual(handled, ["earliest@0.5", "first@1", "second@1"]);
+  assert.equal(sim.step(), 1);
+  assert.deepEqual(handled.slice(3), ["late@2"]);
+  assert.equal(sim.summary().nextEventAt, null);
+});
+
+test("routers converge on the tables a global SPF would compute", () => {
+  const sim = new OspfSimulation(triangle());
+  assert.equal(sim.runUntilConverged().converged, true);
+  assert.deepEqual(sim.routerState("A").routingTable, {
+    B: { cost: 1, nextHops: ["B"] },
+    C: { cost: 2, nextHops: ["B"] },
+  });
+  for (const id of ["A", "B", "C"]) {
+    assert.ok(sim.routerState(id).neighbors.every((n) => n.state === "Full"));
+  }
+});
+
+test("a failed link is flooded and routes move to the remaining path", () => {
+  const sim = new OspfSimulation(triangle());
+  sim.runUntilConverged();
+  sim.applyChange({ type: "link-down", source: "A", target: "B" });
+  assert.equal(sim.summary().converged, false);
+  assert.equal(sim.runUntilConverged().converged, true);
+  assert.deepEqual(sim.routerState("A").routingTable, {
+    B: { cost: 6, nextHops: ["C"] },
+    C: { cost: 5, nextHops: ["C"] },
+  });
+});
+
+test("a router that goes silent is only dropped when its neighbors' dead timers expire", () => {
+  const sim = new OspfSimulation(triangle());
+  sim.runUntilConverged();
+  const downAt = sim.now;
+  sim.applyChange({ type: "router-down", router: "B" });
+  sim.step({ until: downAt + sim.timers.deadInterval - sim.timers.helloInterval });
+  assert.equal(sim.routerState("A").routingTable.C.cost, 2);
+  assert.equal(sim.runUntilConverged().converged, true);
+  assert.ok(sim.now - downAt >= sim.timers.deadInterval - sim.timers.helloInterval);
+  assert.deepEqual(sim.routerState("A").routingTable, { C: { cost: 5, nextHops: ["C"] } });
+});
+
+test("unknown change types are rejected before any router lookup", () => {
+  const sim = new OspfSimulation(triangle());
+  assert.throws(() => sim.applyChange({ type: "reboot", router: "A" }), /^Error: Unknown change type reboot$/);
+  assert.throws(() => sim.applyChange({}), /^Error: Unknown change type undefined$/);
+});
+
+test("router IDs that are Object.prototype names form adjacencies like any other", () => {
+  const sim = new OspfSimulation(
+    graphOf(
+      ["A", "constructor", "toString"],
+      [
+        { source: "A", target: "constructor", cost: 1 },
+        { source: "A", target: "toString", cost: 2 },
+      ]
+    )
+  );
+  assert.equal(sim.runUntilConverged().converged, true);
+  assert.deepEqual(sim.routerState("constructor").routingTable, {
+    A: { cost: 1, nextHops: ["A"] },
+    toString: { cost: 3, nextHops: ["A"] },
+  });
+  assert.throws(() => sim.applyChange({ type: "router-down", router: "hasOwnProperty" }), /does not exist/);
+});
@@ -0,0 +1,103 @@
+// --- Path Query ---
+// Full hop-by-hop paths between two routers, every equal-cost alternative included.
+// Paths are counted in router hops: crossing a LAN is one hop from router to router,
+// with the LAN pseudo-node reported as the hop's "via".
+// A hop limit makes this a hop-constrained shortest path (Bellman-Ford by rounds),
+// so the answer may cost more than the SPF route when the short-cost path is too long.
+
+const DEFAULT_PATH_LIMIT = 16;
+
+// Router-to-router adjacency with LANs collapsed: inbound[v] = [{ from, cost, via }]
+const collapseLans = (graph, pseudoNodes) => {
+  const inbound = {};
+  for (const node in graph) if (!pseudoNodes.has(node)) inbound[node] = [];
+  for (const u in inbound) {
+    for (const next in graph[u]) {
+      if (!pseudoNodes.has(next)) {
+        inbound[next].push({ from: u, cost: graph[u][next], via: null });
+        continue;
+      }
+      for (const v in graph[next]) {
+        if (v !== u && !pseudoNodes.has(v)) inbound[v].push({ from: u, cost: graph[u][next] + graph[next][v], via: next });
+      }
+    }
+  }
+  return inbound;
+};
+
+// options: { pseudoNodes, maxHops, limit } — limit caps how many equal-cost paths are listed
+const findPaths = (graph, from, to, { pseudoNodes = new Set(), maxHops, limit = DEFAULT_PATH_LIMIT } = {}) => {
+  const inbound = collapseLans(graph, pseudoNodes);
+  const routers = Object.keys(inbound);
+  // A shortest path never needs more hops than there are other routers
+  const rounds = Math.min(maxHops ?? Infinity, routers.length - 1);
+
+  // best[h][v] = cheapest cost from `from` to v using at most h hops
+  const best = [Object.fromEntries(routers.map((r) => [r, r === from ? 0 : Infinity]))];
+  for (let h = 1; h <= rounds; h++) {
+    const previous = best[h - 1];
+    const current = { ...previous };
+    let changed = false;
+    for (const v of routers) {
+      for (const { from: u, cost } of inbound[v]) {
+        if (previous[u] + cost < current[v]) {
+          current[v] = previous[u] + cost;
+          changed = true;
+        }
+      }
+    }
+    best.push(current);
+    // Nothing improved: more rounds cannot help either
+    if (!changed) break;
+  }
+
+  const cost = best[best.length - 1][to];
+  if (cost === Infinity) return { reachable: false, cost: null, paths: [], truncated: false };
+
+  // Walk back from the destination through every predecessor that keeps the path optimal.
+  // Routers already on the partial path are skipped: over a zero-cost link the path could
+  // otherwise loop back and forth without costing more.
+  const paths = [];
+  let truncated = false;
+  const onPath = new Set([to]);
+  const walk = (node, hopsLeft, remaining, suffix) => {
+    if (paths.length >= limit) {
+      truncated = true;
+      return;
+    }
+    if (node === from) {
+      if (remaining === 0) paths.push(suffix);
+      return;
+    }
+    if (hopsLeft === 0) return;
+    const layer = best[Math.min(hopsLeft - 1, best.length - 1)];
+    for (const edge of inbound[node]) {
+      if (onPath.has(edge.from) || layer[edge.from] !== remaining - edge.cost) continue;
+      onPath.add(edge.from);
+      walk(edge.from, hopsLeft - 1, remaining - edge.cost, [{ from: edge.from, to: node, cost: edge.cost, via: edge.via }, ...suffix]);
+      onPath.delete(edge.from);
+    }
+  };
+  // Start from the full hop budget: an equal-cost path may need more hops than the round the DP settled in
+  walk(to, rounds, cost, []);
+
+  return {
+    reachable: true,
+    cost,
+    paths: paths.map((hops) => {
+      let cumulative = 0;
+      return {
+        routers: [from, ...hops.map((hop) => hop.to)],
+        cost,
+        hopCount: hops.length,
+        hops: hops.map((hop) => {
+          cumulative += hop.cost;
+          return { ...hop, cumulativeCost: cumulative };
+        }),
+      };
+    }),
+    truncated,
+  };
+};
+
+module.exports = { findPaths, DEFAULT_PATH_LIMIT };
@@ -0,0 +1,66 @@
+// --- Path Query Tests ---
+// Run: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { findPaths } = require("./pathQuery");
+
+// Symmetric adjacency map from [a, b, cost] triples
+const graphOf = (links) => {
+  const graph = {};
+  for (const [a, b, cost] of links) {
+    graph[a] = { ...graph[a], [b]: cost };
+    graph[b] = { ...graph[b], [a]: cost };
+  }
+  return graph;
+};
+
+const routersOf = (result) => result.paths.map((path) => path.routers.join(">")).sort();
+
+test("every equal-cost path is listed with cumulative hop costs", () => {
+  const result = findPaths(graphOf([["A", "B", 1], ["B", "D", 2], ["A", "C", 2], ["C", "D", 1]]), "A", "D");
+  assert.equal(result.cost, 3);
+  assert.deepEqual(routersOf(result), ["A>B>D", "A>C>D"]);
+  const viaB = result.paths.find((path) => path.routers[1] === "B");
+  assert.equal(viaB.hopCount, 2);
+  assert.deepEqual(
+    viaB.hops.map((hop) => [hop.from, hop.to, hop.cost, hop.cumulativeCost]),
+    [["A", "B", 1, 1], ["B", "D", 2, 3]]
+  );
+});
+
+test("a hop limit trades cost for fewer hops", () => {
+  const graph = graphOf([["A", "B", 1], ["B", "C", 1], ["C", "D", 1], ["A", "D", 10]]);
+  assert.deepEqual(routersOf(findPaths(graph, "A", "D")), ["A>B>C>D"]);
+  const limited = findPaths(graph, "A", "D", { maxHops: 2 });
+  assert.equal(limited.cost, 10);
+  assert.deepEqual(routersOf(limited), ["A>D"]);
+  assert.equal(findPaths(graph, "A", "C", { maxHops: 1 }).reachable, false);
+});
+
+test("crossing a LAN is one hop through its pseudo-node", () => {
+  const graph = { R1: { LAN: 10 }, R2: { LAN: 5 }, LAN: { R1: 0, R2: 0 } };
+  const result = findPaths(graph, "R1", "R2", { pseudoNodes: new Set(["LAN"]) });
+  assert.equal(result.cost, 10);
+  assert.deepEqual(result.paths[0].hops, [{ from: "R1", to: "R2", cost: 10, via: "LAN", cumulativeCost: 10 }]);
+});
+
+test("unreachable routers and the path limit are reported", () => {
+  const graph = graphOf([["A", "B", 1], ["A", "C", 1], ["B", "D", 1], ["C", "D", 1]]);
+  graph.E = {};
+  assert.deepEqual(findPaths(graph, "A", "E"), { reachable: false, cost: null, paths: [], truncated: false });
+  const limited = findPaths(graph, "A", "D", { limit: 1 });
+  assert.equal(limited.paths.length, 1);
+  assert.equal(limited.truncated, true);
+});
+
+test("zero-cost links never make a path loop", () => {
+  const chain = graphOf([["X", "Y", 1], ["Y", "Z", 0], ["Z", "W", 5], ["W", "V", 5]]);
+  assert.deepEqual(routersOf(findPaths(chain, "X", "Z")), ["X>Y>Z"]);
+
+  // Y, Z and W are all free to reach from each other
+  const triangle = graphOf([["X", "Y", 1], ["Y", "Z", 0], ["Z", "W", 0], ["W", "Y", 0]]);
+  const result = findPaths(triangle, "X", "W");
+  assert.equal(result.cost, 1);
+  assert.deepEqual(routersOf(result), ["X>Y>W", "X>Y>Z>W"]);
+});
@@ -0,0 +1,93 @@
+// --- IP Prefixes ---
+// Parsing and comparison of IPv4 and IPv6 addresses and prefixes ("10.0.12.0/30", "2001:db8::/64").
+// Addresses are held as BigInt so both families share one code path; family keeps them apart.
+// Prefixes must be written in network form: host bits set ("10.0.12.1/30") are rejected.
+
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+const BITS = { 4: 32, 6: 128 };
+
+const parseIpv4 = (text) => {
+  const match = text.match(IPV4_PATTERN);
+  if (!match || match.slice(1).some((octet) => Number(octet) > 255 || (octet.length > 1 && octet[0] === "0"))) return null;
+  return match.slice(1).reduce((value, octet) => (value << 8n) + BigInt(octet), 0n);
+};
+
+// Full, "::"-compressed and IPv4-suffixed ("::ffff:10.0.0.1") forms
+const parseIpv6 = (text) => {
+  if (!/^[0-9a-fA-F:.]+$/.test(text) || text.split("::").length > 2) return null;
+  const words = (part) => (part === "" ? [] : part.split(":"));
+  let [head, tail] = text.includes("::") ? text.split("::").map(words) : [words(text), null];
+  const last = (tail ?? head)[(tail ?? head).length - 1];
+  if (last && last.includes(".")) {
+    const v4 = parseIpv4(last);
+    if (v4 === null) return null;
+    const groups = [(v4 >> 16n).toString(16), (v4 & 0xffffn).toString(16)];
+    if (tail) tail = [...tail.slice(0, -1), ...groups];
+    else head = [...head.slice(0, -1), ...groups];
+  }
+  const missing = 8 - head.length - (tail ? tail.length : 0);
+  if (tail ? missing < 1 : missing !== 0) return null;
+  const groups = [...head, ...Array(tail ? missing : 0).fill("0"), ...(tail || [])];
+  if (!groups.every((group) => /^[0-9a-fA-F]{1,4}$/.test(group))) return null;
+  return groups.reduce((value, group) => (value << 16n) + BigInt(`0x${group}`), 0n);
+};
+
+// "10.0.0.1" or "2001:db8::1" -> { family, address }, or null
+const parseAddress = (text) => {
+  if (typeof text !== "string") return null;
+  const v4 = parseIpv4(text);
+  if (v4 !== null) return { family: 4, address: v4 };
+  const v6 = text.includes(":") ? parseIpv6(text) : null;
+  return v6 === null ? null : { family: 6, address: v6 };
+};
+
+// RFC 5952 text form: lower case, longest run of zero groups compressed
+const formatAddress = (family, address) => {
+  if (family === 4) return [24n, 16n, 8n, 0n].map((shift) => String((address >> shift) & 0xffn)).join(".");
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) groups.push(((address >> shift) & 0xffffn).toString(16));
+  let best = { start: -1, length: 1 };
+  for (let i = 0; i < 8; ) {
+    let j = i;
+    while (j < 8 && groups[j] === "0") j++;
+    if (j - i > best.length) best = { start: i, length: j - i };
+    i = j === i ? i + 1 : j;
+  }
+  if (best.start < 0) return groups.join(":");
+  return `${groups.slice(0, best.start).join(":")}::${groups.slice(best.start + best.length).join(":")}`;
+};
+
+const hostMask = (family, length) => (1n << BigInt(BITS[family] - length)) - 1n;
+
+// "10.0.12.0/30" -> { family, address, length, prefix } where prefix is the canonical text, or null
+const parsePrefix = (text) => {
+  if (typeof text !== "string") return null;
+  const slash = text.indexOf("/");
+  if (slash < 0 || !/^\d{1,3}$/.test(text.slice(slash + 1))) return null;
+  const parsed = parseAddress(text.slice(0, slash));
+  const length = Number(text.slice(slash + 1));
+  if (!parsed || length > BITS[parsed.family] || (parsed.address & hostMask(parsed.family, length)) !== 0n) return null;
+  return { ...parsed, length, prefix: `${formatAddress(parsed.family, parsed.address)}/${length}` };
+};
+
+// True when address ({ family, address }) falls inside prefix (a parsePrefix result)
+const containsAddress = (prefix, address) =>
+  prefix.family === address.family && (address.address & ~hostMask(prefix.family, prefix.length)) === prefix.address;
+
+// Two prefixes overlap when the shorter one contains the other's network address
+const overlaps = (a, b) => {
+  if (a.family !== b.family) return false;
+  const [outer, inner] = a.length <= b.length ? [a, b] : [b, a];
+  return containsAddress(outer, inner);
+};
+
+// Longest prefix among entries ([{ parsed, ... }]) that contains address, or null
+const longestMatch = (entries, address) => {
+  let best = null;
+  for (const entry of entries) {
+    if (containsAddress(entry.parsed, address) && (!best || entry.parsed.length > best.parsed.length)) best = entry;
+  }
+  return best;
+};
+
+module.exports = { parseAddress, parsePrefix, formatAddress, containsAddress, overlaps, longestMatch };
@@ -0,0 +1,68 @@
+// --- IP Prefixes Tests ---
+// Run: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseAddress, parsePrefix, formatAddress, containsAddress, overlaps, longestMatch } = require("./prefixes");
+
+test("IPv4 addresses are four plain decimal octets", () => {
+  assert.deepEqual(parseAddress("10.0.0.1"), { family: 4, address: 0x0a000001n });
+  assert.deepEqual(parseAddress("255.255.255.255"), { family: 4, address: 0xffffffffn });
+  for (const text of ["256.0.0.1", "010.0.0.1", "10.0.0", "10.0.0.1.2", " 10.0.0.1", "", "toString", "__proto__"]) {
+    assert.equal(parseAddress(text), null, text);
+  }
+  assert.equal(parseAddress(167772161), null);
+});
+
+test("IPv6 addresses in full, compressed and IPv4-suffixed form", () => {
+  assert.deepEqual(parseAddress("2001:db8::1"), { family: 6, address: 0x20010db8000000000000000000000001n });
+  assert.deepEqual(parseAddress("2001:0DB8:0:0:0:0:0:1"), parseAddress("2001:db8::1"));
+  assert.deepEqual(parseAddress("::"), { family: 6, address: 0n });
+  assert.deepEqual(parseAddress("::ffff:10.0.0.1"), { family: 6, address: 0xffff0a000001n });
+  for (const text of ["1::2::3", "1:2:3:4:5:6:7:8:9", "1:2:3:4:5:6:7::8", "1:2:3:4:5:6:7", "12345::", "::g", "::10.0.0.256"]) {
+    assert.equal(parseAddress(text), null, text);
+  }
+});
+
+test("addresses are written back in RFC 5952 form", () => {
+  assert.equal(formatAddress(4, 0x0a000c01n), "10.0.12.1");
+  assert.equal(formatAddress(6, 0n), "::");
+  assert.equal(formatAddress(6, 0x20010db8000000000000000100000001n), "2001:db8::1:0:1");
+  // A single zero group is not compressed, and of two equal runs the first one is
+  assert.equal(formatAddress(6, 0x20010db8000000010001000100010001n), "2001:db8:0:1:1:1:1:1");
+  assert.equal(formatAddress(6, 0x20010000000000010000000000010001n), "2001::1:0:0:1:1");
+});
+
+test("prefixes must be in network form and get a canonical text", () => {
+  assert.deepEqual(parsePrefix("10.0.12.0/30"), { family: 4, address: 0x0a000c00n, length: 30, prefix: "10.0.12.0/30" });
+  assert.equal(parsePrefix("2001:DB8:0::/32").prefix, "2001:db8::/32");
+  assert.equal(parsePrefix("::/0").prefix, "::/0");
+  assert.equal(parsePrefix("0.0.0.0/0").length, 0);
+  for (const text of ["10.0.12.1/30", "10.0.12.0/33", "2001:db8::/129", "10.0.12.0", "10.0.12.0/", "10.0.12.0/-1", "/8", "constructor/8"]) {
+    assert.equal(parsePrefix(text), null, text);
+  }
+  assert.equal(parsePrefix(null), null);
+});
+
+test("containment and overlap never cross address families", () => {
+  const p30 = parsePrefix("10.0.12.0/30");
+  assert.equal(containsAddress(p30, parseAddress("10.0.12.3")), true);
+  assert.equal(containsAddress(p30, parseAddress("10.0.12.4")), false);
+  // ::a00:c03 has the same bits as 10.0.12.3
+  assert.equal(containsAddress(p30, parseAddress("::a00:c03")), false);
+
+  assert.equal(overlaps(parsePrefix("10.0.0.0/8"), parsePrefix("10.1.0.0/16")), true);
+  assert.equal(overlaps(parsePrefix("10.1.0.0/16"), parsePrefix("10.0.0.0/8")), true);
+  assert.equal(overlaps(parsePrefix("10.0.0.0/16"), parsePrefix("10.1.0.0/16")), false);
+  assert.equal(overlaps(parsePrefix("0.0.0.0/0"), parsePrefix("::/0")), false);
+});
+
+test("the longest matching prefix wins", () => {
+  const entries = ["0.0.0.0/0", "10.0.0.0/8", "10.0.12.0/30", "::/0"].map((prefix) => ({ prefix, parsed: parsePrefix(prefix) }));
+  const match = (address, list = entries) => longestMatch(list, parseAddress(address))?.prefix ?? null;
+  assert.equal(match("10.0.12.2"), "10.0.12.0/30");
+  assert.equal(match("10.9.9.9"), "10.0.0.0/8");
+  assert.equal(match("192.0.2.1"), "0.0.0.0/0");
+  assert.equal(match("2001:db8::1"), "::/0");
+  assert.equal(match("192.0.2.1", entries.slice(1, 3)), null);
+});
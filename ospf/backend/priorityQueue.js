@@ -0,0 +1,58 @@
+// --- Priority Queue ---
+// The one binary heap behind every shortest-path search and the protocol simulator's event queue.
+
+// Binary min-heap. Equal priorities are ordered by the optional tie-break (lower first),
+// then by insertion order like the sorted array this replaced.
+class PriorityQueue {
+  constructor() {
+    this.values = [];
+    this.sequence = 0;
+  }
+  before(a, b) {
+    if (a.priority !== b.priority) return a.priority < b.priority;
+    return a.tieBreak !== b.tieBreak ? a.tieBreak < b.tieBreak : a.sequence < b.sequence;
+  }
+  enqueue(element, priority, tieBreak = 0) {
+    const entry = { element, priority, tieBreak, sequence: this.sequence++ };
+    const values = this.values;
+    let i = values.length;
+    values.push(entry);
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.before(entry, values[parent])) break;
+      values[i] = values[parent];
+      i = parent;
+    }
+    values[i] = entry;
+  }
+  dequeue() {
+    const values = this.values;
+    const top = values[0];
+    const last = values.pop();
+    if (values.length > 0) {
+      let i = 0;
+      for (;;) {
+        let child = 2 * i + 1;
+        if (child >= values.length) break;
+        if (child + 1 < values.length && this.before(values[child + 1], values[child])) child++;
+        if (!this.before(values[child], last)) break;
+        values[i] = values[child];
+        i = child;
+      }
+      values[i] = last;
+    }
+    return top;
+  }
+  // The entry dequeue() would return next, without removing it
+  peek() {
+    return this.values[0];
+  }
+  get size() {
+    return this.values.length;
+  }
+  isEmpty() {
+    return this.values.length === 0;
+  }
+}
+
+module.exports = { PriorityQueue };
@@ -0,0 +1,30 @@
+// --- Priority Queue Tests ---
+// Run: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PriorityQueue } = require("./priorityQueue");
+
+test("PriorityQueue pops by priority, then tie-break, then insertion order", () => {
+  const pq = new PriorityQueue();
+  pq.enqueue("late", 2);
+  pq.enqueue("first", 1, 1);
+  pq.enqueue("ranked", 1, 0);
+  pq.enqueue("second", 1, 1);
+  assert.equal(pq.size, 4);
+  assert.equal(pq.peek().element, "ranked");
+  const popped = [];
+  while (!pq.isEmpty()) popped.push(pq.dequeue().element);
+  assert.deepEqual(popped, ["ranked", "first", "second", "late"]);
+});
+
+test("a drained queue can be filled again", () => {
+  const pq = new PriorityQueue();
+  for (const key of [5, 1, 3, 1, 4]) pq.enqueue(key, key);
+  const popped = [];
+  while (!pq.isEmpty()) popped.push(pq.dequeue().element);
+  assert.deepEqual(popped, [1, 1, 3, 4, 5]);
+  assert.equal(pq.peek(), undefined);
+  pq.enqueue("again", 0);
+  assert.equal(pq.dequeue().element, "again");
+});
@@ -0,0 +1,357 @@
+// --- Network Resilience Analysis ---
+// Single points of failure (articulation points and bridges), min-cuts and disjoint paths.
+// Connectivity questions treat every link as undirected: a link is up or down as a whole.
+// Disjoint paths use the directed interface costs so they are the cheapest such pair for traffic.
+// LAN pseudo-nodes take part like any other node; a LAN that is an articulation point is a SPOF segment.
+
+const undirectedAdjacency = (graph) => {
+  const adjacency = {};
+  for (const node in graph) adjacency[node] = adjacency[node] || new Set();
+  for (const a in graph) {
+    for (const b in graph[a]) {
+      if (a === b) continue;
+      adjacency[b] = adjacency[b] || new Set();
+      adjacency[a].add(b);
+      adjacency[b].add(a);
+    }
+  }
+  return adjacency;
+};
+
+// Tarjan's low-link algorithm, iterative so large topologies do not overflow the call stack
+const findArticulationPointsAndBridges = (adjacency) => {
+  const discovery = {};
+  const low = {};
+  const articulation = new Set();
+  const bridges = [];
+  let time = 0;
+
+  for (const root in adjacency) {
+    if (discovery[root] !== undefined) continue;
+    discovery[root] = low[root] = time++;
+    let rootChildren = 0;
+    const stack = [{ node: root, parent: null, neighbors: [...adjacency[root]], index: 0 }];
+
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      if (frame.index < frame.neighbors.length) {
+        const next = frame.neighbors[frame.index++];
+        if (next === frame.parent) continue;
+        if (discovery[next] === undefined) {
+          discovery[next] = low[next] = time++;
+          if (frame.node === root) rootChildren++;
+          stack.push({ node: next, parent: frame.node, neighbors: [...adjacency[next]], index: 0 });
+        } else {
+          low[frame.node] = Math.min(low[frame.node], discovery[next]);
+        }
+        continue;
+      }
+      stack.pop();
+      if (frame.parent === null) continue;
+      const parent = frame.parent;
+      low[parent] = Math.min(low[parent], low[frame.node]);
+      if (low[frame.node] > discovery[parent]) bridges.push([parent, frame.node].sort());
+      if (parent !== root && low[frame.node] >= discovery[parent]) articulation.add(parent);
+    }
+    if (rootChildren > 1) articulation.add(root);
+  }
+  return { articulation, bridges };
+};
+
+// Sizes (in routers) of the connected components left after removing a node and/or a link
+const componentSizes = (adjacency, isRouter, removedNode = null, removedLink = null) => {
+  const seen = new Set(removedNode === null ? [] : [removedNode]);
+  const isRemovedLink = (a, b) => removedLink && ((removedLink[0] === a && removedLink[1] === b) || (removedLink[0] === b && removedLink[1] === a));
+  const sizes = [];
+  for (const start in adjacency) {
+    if (seen.has(start)) continue;
+    seen.add(start);
+    let size = 0;
+    const queue = [start];
+    while (queue.length > 0) {
+      const node = queue.pop();
+      if (isRouter(node)) size++;
+      for (const next of adjacency[node]) {
+        if (seen.has(next) || isRemovedLink(node, next)) continue;
+        seen.add(next);
+        queue.push(next);
+      }
+    }
+    if (size > 0) sizes.push(size);
+  }
+  return sizes;
+};
+
+const connectedPairs = (sizes) => sizes.reduce((sum, n) => sum + (n * (n - 1)) / 2, 0);
+
+// ---------------- Max-flow / Min-cost flow ----------------
+// A small residual network: arcs are stored in pairs so arc ^ 1 is the reverse arc.
+class FlowNetwork {
+  constructor() {
+    this.index = new Map();
+    this.arcs = [];
+    this.out = [];
+  }
+  node(name) {
+    if (!this.index.has(name)) {
+      this.index.set(name, this.out.length);
+      this.out.push([]);
+    }
+    return this.index.get(name);
+  }
+  addArc(from, to, capacity, cost = 0, label = null) {
+    const [u, v] = [this.node(from), this.node(to)];
+    this.out[u].push(this.arcs.length);
+    this.arcs.push({ from: u, to: v, capacity, cost, flow: 0, label });
+    this.out[v].push(this.arcs.length);
+    this.arcs.push({ from: v, to: u, capacity: 0, cost: -cost, flow: 0, label: null });
+  }
+  residual(id) {
+    return this.arcs[id].capacity - this.arcs[id].flow;
+  }
+  push(id, amount) {
+    this.arcs[id].flow += amount;
+    this.arcs[id ^ 1].flow -= amount;
+  }
+
+  // Edmonds-Karp; returns the flow value and the nodes still reachable from the source (the cut side)
+  maxFlow(source, sink, limit = Infinity) {
+    const [s, t] = [this.node(source), this.node(sink)];
+    let total = 0;
+    while (total < limit) {
+      const via = new Array(this.out.length).fill(-1);
+      const queue = [s];
+      const reached = new Set([s]);
+      while (queue.length > 0 && !reached.has(t)) {
+        const u = queue.shift();
+        for (const id of this.out[u]) {
+          const v = this.arcs[id].to;
+          if (reached.has(v) || this.residual(id) <= 0) continue;
+          reached.add(v);
+          via[v] = id;
+          queue.push(v);
+        }
+      }
+      if (!reached.has(t)) return { flow: total, sourceSide: reached };
+      let amount = Infinity;
+      for (let v = t; v !== s; v = this.arcs[via[v]].from) amount = Math.min(amount, this.residual(via[v]));
+      for (let v = t; v !== s; v = this.arcs[via[v]].from) this.push(via[v], amount);
+      total += amount;
+    }
+    return { flow: total, sourceSide: null };
+  }
+
+  // Successive shortest paths with Johnson potentials; for k = 2 this is Suurballe's algorithm
+  minCostFlow(source, sink, k) {
+    const [s, t] = [this.node(source), this.node(sink)];
+    const size = this.out.length;
+    const potential = new Array(size).fill(0);
+    let flow = 0;
+    let cost = 0;
+    while (flow < k) {
+      const dist = new Array(size).fill(Infinity);
+      const via = new Array(size).fill(-1);
+      const done = new Array(size).fill(false);
+      dist[s] = 0;
+      // Dense Dijkstra: the flow networks here are a few thousand nodes at most
+      for (;;) {
+        let u = -1;
+        for (let i = 0; i < size; i++) if (!done[i] && dist[i] !== Infinity && (u === -1 || dist[i] < dist[u])) u = i;
+        if (u === -1) break;
+        done[u] = true;
+        for (const id of this.out[u]) {
+          const arc = this.arcs[id];
+          if (this.residual(id) <= 0) continue;
+          const reduced = dist[u] + arc.cost + potential[u] - potential[arc.to];
+          if (reduced < dist[arc.to]) {
+            dist[arc.to] = reduced;
+            via[arc.to] = id;
+          }
+        }
+      }
+      if (dist[t] === Infinity) break;
+      for (let i = 0; i < size; i++) if (dist[i] !== Infinity) potential[i] += dist[i];
+      for (let v = t; v !== s; v = this.arcs[via[v]].from) {
+        this.push(via[v], 1);
+        cost += this.arcs[via[v]].cost;
+      }
+      flow++;
+    }
+    return { flow, cost };
+  }
+}
+
+// Flow network over the graph's arcs; with splitNodes every node other than the endpoints
+// becomes an in/out pair joined by a unit arc, so cuts and paths are node-disjoint.
+// linkCapacity defaults to 1; node cuts pass Infinity so the cut can only be made of node arcs.
+const buildFlowNetwork = (graph, source, target, { splitNodes, weighted, linkCapacity = 1 }) => {
+  const network = new FlowNetwork();
+  const inName = (node) => (splitNodes && node !== source && node !== target ? `${node}#in` : node);
+  const outName = (node) => (splitNodes && node !== source && node !== target ? `${node}#out` : node);
+  for (const node in graph) {
+    if (inName(node) !== outName(node)) network.addArc(inName(node), outName(node), 1, 0, { node });
+  }
+  for (const a in graph) {
+    for (const b in graph[a]) {
+      if (a === b) continue;
+      network.addArc(outName(a), inName(b), linkCapacity, weighted ? graph[a][b] : 0, { link: [a, b] });
+    }
+  }
+  return network;
+};
+
+// Minimum number of links (or nodes) whose failure separates source from target, and one such set
+const minCut = (graph, source, target, { nodes = false } = {}) => {
+  const adjacency = undirectedAdjacency(graph);
+  if (nodes && adjacency[source].has(target)) {
+    return { size: null, adjacent: true, cut: [] };
+  }
+  // Mirror every link so the flow sees it in both directions even when only one interface exists
+  const symmetric = {};
+  for (const node in adjacency) symmetric[node] = Object.fromEntries([...adjacency[node]].map((n) => [n, 1]));
+  const network = buildFlowNetwork(symmetric, source, target, {
+    splitNodes: nodes,
+    weighted: false,
+    linkCapacity: nodes ? Infinity : 1,
+  });
+  const { flow, sourceSide } = network.maxFlow(source, target);
+  const cut = [];
+  const seen = new Set();
+  for (const arc of network.arcs) {
+    if (!arc.label || !sourceSide.has(arc.from) || sourceSide.has(arc.to)) continue;
+    if (arc.label.node) {
+      cut.push(arc.label.node);
+      continue;
+    }
+    const key = [...arc.label.link].sort().join("-");
+    if (seen.has(key)) continue;
+    seen.add(key);
+    cut.push([...arc.label.link].sort());
+  }
+  return { size: flow, cut };
+};
+
+// Up to k link- or node-disjoint paths from source to target with the least total cost
+const disjointPaths = (graph, source, target, k, { nodes = false } = {}) => {
+  const network = buildFlowNetwork(graph, source, target, { splitNodes: nodes, weighted: true });
+  const { flow } = network.minCostFlow(source, target, k);
+
+  // Walk the used link arcs from the source. With positive costs no optimal flow uses a link
+  // in both directions or goes round a cycle, but zero-cost links allow both at no extra cost:
+  // a link used both ways is cancelled and a walk that comes back to a node drops the loop.
+  // Neither changes the total cost, which is then the sum of the paths.
+  const used = Object.create(null);
+  for (const arc of network.arcs) {
+    if (!arc.label?.link || arc.flow <= 0) continue;
+    const [a, b] = arc.label.link;
+    (used[a] = used[a] || []).push(b);
+  }
+  for (const a in used) {
+    for (const b of [...used[a]]) {
+      const back = used[b] ? used[b].indexOf(a) : -1;
+      if (back === -1 || !used[a].includes(b)) continue;
+      used[a].splice(used[a].indexOf(b), 1);
+      used[b].splice(back, 1);
+    }
+  }
+  const paths = [];
+  for (let i = 0; i < flow; i++) {
+    const path = [source];
+    while (path[path.length - 1] !== target) {
+      const next = used[path[path.length - 1]].shift();
+      const seenAt = path.indexOf(next);
+      if (seenAt === -1) path.push(next);
+      else path.length = seenAt + 1;
+    }
+    let cost = 0;
+    for (let j = 1; j < path.length; j++) cost += graph[path[j - 1]][path[j]];
+    paths.push({ path, cost });
+  }
+  return { requested: k, found: flow, totalCost: paths.reduce((sum, path) => sum + path.cost, 0), paths };
+};
+
+// Articulation points, bridges and a survivability score for the whole topology.
+// The score is the share of router pairs that stay connected, averaged over every single
+// link failure and every single router failure (100 = no single failure partitions the network).
+const analyzeResilience = (graph, { pseudoNodes = new Set() } = {}) => {
+  const adjacency = undirectedAdjacency(graph);
+  const isRouter = (node) => !pseudoNodes.has(node);
+  const routers = Object.keys(adjacency).filter(isRouter);
+  const { articulation, bridges } = findArticulationPointsAndBridges(adjacency);
+
+  const baseSizes = componentSizes(adjacency, isRouter);
+  const basePairs = connectedPairs(baseSizes);
+  const componentOf = {};
+  {
+    // Component size per router, for failures that do not split anything
+    const seen = new Set();
+    for (const start in adjacency) {
+      if (seen.has(start)) continue;
+      const members = [start];
+      seen.add(start);
+      for (let i = 0; i < members.length; i++) {
+        for (const next of adjacency[members[i]]) {
+          if (!seen.has(next)) {
+            seen.add(next);
+            members.push(next);
+          }
+        }
+      }
+      const size = members.filter(isRouter).length;
+      for (const member of members) componentOf[member] = size;
+    }
+  }
+
+  const totalPairs = (n) => (n * (n - 1)) / 2;
+  // Pairs a failed router takes down with itself do not count as disconnected
+  const ownPairs = (node) => (isRouter(node) ? componentOf[node] - 1 : 0);
+
+  const articulationPoints = [...articulation].sort().map((node) => {
+    const sizes = componentSizes(adjacency, isRouter, node);
+    const remaining = connectedPairs(sizes);
+    return {
+      node,
+      type: isRouter(node) ? "router" : "lan",
+      components: sizes.length,
+      disconnectedPairs: basePairs - ownPairs(node) - remaining,
+      remainingPairs: remaining,
+    };
+  });
+  const bridgeLinks = bridges.map(([source, target]) => {
+    const sizes = componentSizes(adjacency, isRouter, null, [source, target]);
+    return { source, target, disconnectedPairs: basePairs - connectedPairs(sizes) };
+  });
+
+  // Survivability: every link and router failure, non-critical ones computed from the base components
+  const linkCount = Object.values(adjacency).reduce((sum, set) => sum + set.size, 0) / 2;
+  const allPairs = totalPairs(routers.length);
+  const baseRatio = allPairs === 0 ? 1 : basePairs / allPairs;
+  const bridgeRatios = bridgeLinks.map((b) => (allPairs === 0 ? 1 : (basePairs - b.disconnectedPairs) / allPairs));
+  const criticalRouters = new Map(articulationPoints.filter((p) => p.type === "router").map((p) => [p.node, p]));
+  const routerRatios = routers.map((router) => {
+    const possible = totalPairs(routers.length - 1);
+    if (possible === 0) return 1;
+    if (criticalRouters.has(router)) return criticalRouters.get(router).remainingPairs / possible;
+    // Losing a non-critical router only removes the pairs it was part of
+    return (basePairs - ownPairs(router)) / possible;
+  });
+  const linkRatios = [...bridgeRatios, ...new Array(linkCount - bridgeLinks.length).fill(baseRatio)];
+  const ratios = [...linkRatios, ...routerRatios];
+  const score = ratios.length === 0 ? 100 : Math.round((ratios.reduce((sum, r) => sum + r, 0) / ratios.length) * 1000) / 10;
+
+  return {
+    routers: routers.length,
+    links: linkCount,
+    connected: baseSizes.length <= 1,
+    components: baseSizes.length,
+    articulationPoints,
+    bridges: bridgeLinks,
+    survivability: {
+      score,
+      singleLinkFailures: { total: linkCount, partitioning: bridgeLinks.length },
+      singleRouterFailures: { total: routers.length, partitioning: criticalRouters.size },
+    },
+  };
+};
+
+module.exports = { analyzeResilience, minCut, disjointPaths };
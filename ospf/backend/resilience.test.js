@@ -0,0 +1,83 @@
+// --- Network Resilience Analysis Tests ---
+// Run: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { analyzeResilience, minCut, disjointPaths } = require("./resilience");
+
+// Symmetric adjacency map from [a, b, cost] triples
+const graphOf = (links) => {
+  const graph = {};
+  for (const [a, b, cost] of links) {
+    graph[a] = { ...graph[a], [b]: cost };
+    graph[b] = { ...graph[b], [a]: cost };
+  }
+  return graph;
+};
+
+// Triangle A-B-C with D hanging off C: C and C-D are the single points of failure
+const lollipop = () => graphOf([["A", "B", 1], ["B", "C", 1], ["C", "A", 1], ["C", "D", 1]]);
+
+const pathsOf = (result) => result.paths.map(({ path, cost }) => `${path.join(">")}=${cost}`).sort();
+
+test("articulation points, bridges and the survivability score", () => {
+  const report = analyzeResilience(lollipop());
+  assert.equal(report.connected, true);
+  // Losing C cuts D off from A and B (its own 3 pairs go down with it)
+  assert.deepEqual(report.articulationPoints, [{ node: "C", type: "router", components: 2, disconnectedPairs: 2, remainingPairs: 1 }]);
+  assert.deepEqual(report.bridges, [{ source: "C", target: "D", disconnectedPairs: 3 }]);
+  // 4 link failures (one keeps 3/6 pairs) and 4 router failures (C keeps 1/3): 6.83 / 8
+  assert.equal(report.survivability.score, 85.4);
+  assert.deepEqual(report.survivability.singleLinkFailures, { total: 4, partitioning: 1 });
+  assert.deepEqual(report.survivability.singleRouterFailures, { total: 4, partitioning: 1 });
+});
+
+test("a LAN pseudo-node can be the single point of failure", () => {
+  const graph = { R1: { LAN: 1 }, R2: { LAN: 1 }, LAN: { R1: 0, R2: 0 } };
+  const report = analyzeResilience(graph, { pseudoNodes: new Set(["LAN"]) });
+  assert.equal(report.routers, 2);
+  assert.deepEqual(report.articulationPoints.map((p) => [p.node, p.type, p.disconnectedPairs]), [["LAN", "lan", 1]]);
+});
+
+test("min-cuts count links or routers", () => {
+  assert.deepEqual(minCut(lollipop(), "A", "D"), { size: 1, cut: [["C", "D"]] });
+  assert.deepEqual(minCut(lollipop(), "A", "D", { nodes: true }), { size: 1, cut: ["C"] });
+  assert.deepEqual(minCut(lollipop(), "A", "C"), { size: 2, cut: [["A", "B"], ["A", "C"]] });
+  assert.deepEqual(minCut(lollipop(), "A", "B", { nodes: true }), { size: null, adjacent: true, cut: [] });
+});
+
+test("disjoint paths avoid the trap of taking the single shortest path first", () => {
+  // S-A-B-T (3) is shortest, but only S-A-D-T and S-C-B-T can be used together
+  const graph = graphOf([["S", "A", 1], ["A", "B", 1], ["B", "T", 1], ["A", "D", 3], ["D", "T", 1], ["S", "C", 3], ["C", "B", 1]]);
+  const result = disjointPaths(graph, "S", "T", 2);
+  assert.equal(result.found, 2);
+  assert.equal(result.totalCost, 10);
+  assert.deepEqual(pathsOf(result), ["S>A>D>T=5", "S>C>B>T=5"]);
+});
+
+test("node-disjoint paths may not share a transit router", () => {
+  // Two link-disjoint ways into M and two out of it, but M itself is a single point of failure
+  const graph = graphOf([["S", "X", 1], ["X", "M", 1], ["S", "Y", 1], ["Y", "M", 1], ["M", "Z", 1], ["Z", "T", 1], ["M", "W", 1], ["W", "T", 1]]);
+  const links = disjointPaths(graph, "S", "T", 3);
+  assert.equal(links.found, 2);
+  assert.equal(links.totalCost, 8);
+  const nodes = disjointPaths(graph, "S", "T", 3, { nodes: true });
+  assert.equal(nodes.found, 1);
+  assert.equal(nodes.totalCost, 4);
+});
+
+test("zero-cost links never make a disjoint path loop or share a link", () => {
+  const graph = {
+    S: { B: 0, A: 2 },
+    A: { B: 0, C: 0, S: 2 },
+    B: { D: 0, A: 0, S: 0 },
+    C: { T: 0, A: 0, D: 2 },
+    D: { B: 0, T: 0, C: 2 },
+    T: { C: 0, D: 0 },
+  };
+  // The optimal flow crosses A-B in both directions; cancelled, the paths are simple
+  const result = disjointPaths(graph, "S", "T", 2);
+  assert.equal(result.found, 2);
+  assert.equal(result.totalCost, 2);
+  assert.deepEqual(pathsOf(result), ["S>A>C>T=2", "S>B>D>T=0"]);
+});
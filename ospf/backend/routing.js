@@ -0,0 +1,1216 @@
+// --- OSPF Routing Core ---
+// Everything that turns a topology document into routing tables, shared by the API server
+// and the ospf-sim command-line tool: validation, interface costs, DR/BDR election, areas,
+// subnets and AS-external routes. Nothing here does I/O; the SPF engine itself is spf.js.
+
+const { dijkstra } = require("./spf");
+const spfCache = require("./spfCache");
+const { parseAddress, parsePrefix, containsAddress, overlaps, longestMatch } = require("./prefixes");
+
+// ---------------- Routing Tables ----------------
+// Generate full routing table for all nodes (SPT).
+// Every destination gets all of its equal-cost next hops (nextHops), capped at
+// options.maxPaths like OSPF "maximum-paths"; nextHop is the first of them.
+// options.pseudoNodes names the LAN pseudo-nodes: they are transited but never
+// appear as a destination or a next hop (the router behind the LAN does).
+// options.spf supplies an already computed dijkstra() result for this graph and router.
+const calculateRoutingTable = (graph, startRouter, options = {}) => {
+  const { distances, paths, predecessors, order } = options.spf || dijkstra(graph, startRouter);
+  const maxPaths = options.maxPaths > 0 ? options.maxPaths : Infinity;
+  const pseudoNodes = options.pseudoNodes || new Set();
+  const routingResults = {};
+  const nextHops = {};
+
+  // Settle order guarantees every predecessor's next hops are known before its successors'
+  for (const node of order) {
+    if (node === startRouter) continue;
+    const hops = [];
+    for (const pred of predecessors[node]) {
+      for (const hop of pred === startRouter ? [node] : nextHops[pred]) {
+        // A directly attached LAN hands traffic straight to the router on it
+        const resolved = pseudoNodes.has(hop) ? node : hop;
+        if (!hops.includes(resolved)) hops.push(resolved);
+      }
+    }
+    nextHops[node] = hops.slice(0, maxPaths);
+  }
+
+  for (const dest in graph) {
+    if (dest === startRouter || pseudoNodes.has(dest)) continue;
+    const reachable = distances[dest] !== Infinity;
+    routingResults[dest] = {
+      cost: distances[dest],
+      nextHop: reachable ? nextHops[dest][0] : "Unreachable",
+      nextHops: reachable ? nextHops[dest] : [],
+      routeType: reachable ? "O" : null,
+    };
+  }
+
+  // Every equal-cost branch belongs to the shortest-path tree (strictly a DAG with ECMP)
+  const sptEdges = new Set();
+  for (const dest in predecessors) {
+    for (const pred of predecessors[dest]) {
+      sptEdges.add([dest, pred].sort().join("-"));
+    }
+  }
+
+  return { routingResults, paths, predecessors, sptEdges: [...sptEdges], networkTopology: graph };
+};
+
+// calculateRoutingTable with the SPF run taken from (and added to) the result cache
+const cachedRoutingTable = (graph, startRouter, options = {}) =>
+  calculateRoutingTable(graph, startRouter, { ...options, spf: spfCache.shortestPaths(graph, startRouter) });
+
+// ---------------- Multi-Area OSPF ----------------
+// Links carry an area ID (number or dotted quad, normalised to a decimal string).
+// A router belongs to every area one of its links is in; an ABR touches area 0 and another area.
+// Only routers are destinations, so a "summary" is an ABR's cost to a router in another area.
+const BACKBONE_AREA = "0";
+const AREA_TYPES = ["normal", "stub", "totally-stubby", "nssa", "totally-nssa"];
+// Areas whose ABRs inject a default route instead of (totally-*) or next to (stub) summaries
+const DEFAULT_ROUTE_AREAS = ["stub", "totally-stubby", "totally-nssa"];
+
+const normalizeAreaId = (area) => {
+  if (typeof area === "number") {
+    return Number.isInteger(area) && area >= 0 && area <= 0xffffffff ? String(area) : null;
+  }
+  if (typeof area !== "string") return null;
+  if (/^\d+$/.test(area)) return normalizeAreaId(Number(area));
+  const octets = area.split(".");
+  if (octets.length !== 4 || !octets.every((o) => /^\d{1,3}$/.test(o) && Number(o) <= 255)) return null;
+  return String(octets.reduce((value, o) => value * 256 + Number(o), 0));
+};
+
+const isMultiArea = (topology) =>
+  (topology.links || []).some((link) => link && link.area !== undefined) ||
+  (topology.lans || []).some((lan) => lan && lan.area !== undefined) ||
+  Boolean(topology.areas);
+
+// Area defaults: a normal area, default route cost 1 (OSPF "area default-cost")
+const areaConfigFor = (topology, area) => {
+  const configs = topology.areas || {};
+  const key = Object.keys(configs).find((id) => normalizeAreaId(id) === area);
+  return { type: "normal", defaultCost: 1, defaultOriginate: false, ...(key ? configs[key] : {}) };
+};
+
+// Checks area tags on links and the optional topology.areas config ({ "1": { type: "stub" } })
+const validateAreas = (topology, graph, errors) => {
+  const used = new Set();
+  (Array.isArray(topology.links) ? topology.links : []).forEach((link, i) => {
+    if (!link || link.area === undefined) return;
+    const area = normalizeAreaId(link.area);
+    if (area === null) {
+      errors.push({ code: "INVALID_AREA", path: `links[${i}].area`, message: `Area ${JSON.stringify(link.area)} is not a valid OSPF area ID.` });
+    } else {
+      used.add(area);
+    }
+  });
+
+  const configs = topology.areas;
+  if (configs !== undefined && (configs === null || typeof configs !== "object" || Array.isArray(configs))) {
+    errors.push({ code: "INVALID_AREAS", path: "areas", message: "areas must be an object keyed by area ID." });
+    return;
+  }
+  for (const id in configs || {}) {
+    const area = normalizeAreaId(id);
+    const { type = "normal", defaultCost = 1 } = configs[id] || {};
+    if (area === null) {
+      errors.push({ code: "INVALID_AREA", path: `areas.${id}`, message: `Area ${id} is not a valid OSPF area ID.` });
+    } else if (!AREA_TYPES.includes(type)) {
+      errors.push({ code: "INVALID_AREA_TYPE", path: `areas.${id}.type`, message: `Area type must be one of ${AREA_TYPES.join(", ")}.` });
+    } else if (area === BACKBONE_AREA && type !== "normal") {
+      errors.push({ code: "INVALID_AREA_TYPE", path: `areas.${id}.type`, message: "The backbone (area 0) cannot be a stub or NSSA area." });
+    }
+    if (typeof defaultCost !== "number" || !Number.isFinite(defaultCost) || defaultCost < 0) {
+      errors.push({ code: "INVALID_COST", path: `areas.${id}.defaultCost`, message: "Default route cost must be a non-negative number." });
+    }
+  }
+
+  // Untagged links belong to the backbone, so any non-backbone area needs area 0 to exist
+  const untagged = (topology.links || []).some((link) => link && link.area === undefined);
+  if (used.size > 1 && !used.has(BACKBONE_AREA) && !untagged && Object.keys(graph).length > 0) {
+    errors.push({ code: "BACKBONE_MISSING", path: "links", message: "A multi-area topology needs a backbone (area 0)." });
+  }
+};
+
+// Splits a validated topology into one adjacency map per area
+const buildAreaModel = (topology, graph) => {
+  const areaGraphs = {};
+  const routerAreas = {};
+  for (const node of topology.nodes) routerAreas[node.id] = new Set();
+
+  for (const link of topology.links) {
+    const area = link.area === undefined ? BACKBONE_AREA : normalizeAreaId(link.area);
+    const areaGraph = (areaGraphs[area] = areaGraphs[area] || {});
+    areaGraph[link.source] = areaGraph[link.source] || {};
+    areaGraph[link.target] = areaGraph[link.target] || {};
+    areaGraph[link.source][link.target] = graph[link.source][link.target];
+    areaGraph[link.target][link.source] = graph[link.target][link.source];
+    routerAreas[link.source].add(area);
+    routerAreas[link.target].add(area);
+  }
+
+  // Transit LANs join their area as a pseudo-node (router -> LAN at interface cost, LAN -> router at 0)
+  const pseudoNodes = pseudoNodesOf(topology, graph);
+  for (const lan of topology.lans || []) {
+    if (!pseudoNodes.has(lan.id)) continue;
+    const area = lan.area === undefined ? BACKBONE_AREA : normalizeAreaId(lan.area);
+    const areaGraph = (areaGraphs[area] = areaGraphs[area] || {});
+    areaGraph[lan.id] = { ...graph[lan.id] };
+    for (const router in graph[lan.id]) {
+      areaGraph[router] = areaGraph[router] || {};
+      areaGraph[router][lan.id] = graph[router][lan.id];
+      routerAreas[router].add(area);
+    }
+  }
+
+  // Routers without links sit alone in their tagged area (or the backbone)
+  for (const node of topology.nodes) {
+    if (routerAreas[node.id].size > 0) continue;
+    const area = normalizeAreaId(node.area ?? BACKBONE_AREA) ?? BACKBONE_AREA;
+    areaGraphs[area] = areaGraphs[area] || {};
+    areaGraphs[area][node.id] = {};
+    routerAreas[node.id].add(area);
+  }
+
+  const abrs = Object.keys(routerAreas).filter(
+    (router) => routerAreas[router].has(BACKBONE_AREA) && routerAreas[router].size > 1
+  );
+
+  // Intra-area SPF results are shared by every router that needs them
+  const spfCache = {};
+  const spf = (area, router) => {
+    const key = `${area}|${router}`;
+    if (!spfCache[key]) spfCache[key] = calculateRoutingTable(areaGraphs[area], router, { pseudoNodes });
+    return spfCache[key];
+  };
+
+  const config = {};
+  for (const area in areaGraphs) config[area] = areaConfigFor(topology, area);
+
+  return { graph, areaGraphs, routerAreas, abrs, config, spf, pseudoNodes, abrRouteCache: {} };
+};
+
+const UNREACHABLE = { cost: Infinity, nextHop: "Unreachable", nextHops: [], routeType: null };
+
+// Keeps the cheaper of two candidate routes; equal costs merge their next hops (ECMP)
+const betterRoute = (current, candidate, maxPaths) => {
+  if (!current || candidate.cost < current.cost) return candidate;
+  if (candidate.cost === current.cost && candidate.cost !== Infinity) {
+    const nextHops = [...new Set([...current.nextHops, ...candidate.nextHops])].slice(0, maxPaths);
+    return { ...current, nextHops, nextHop: nextHops[0] };
+  }
+  return current;
+};
+
+// Best intra-area route from router to dest over all areas they share
+const intraAreaRoute = (model, router, dest) => {
+  let best = null;
+  for (const area of model.routerAreas[router]) {
+    if (!model.areaGraphs[area][dest]) continue;
+    const route = model.spf(area, router).routingResults[dest];
+    if (route.cost !== Infinity) {
+      best = betterRoute(best, { ...route, routeType: "O", area }, Infinity);
+    }
+  }
+  return best;
+};
+
+// Route of a backbone-attached router to dest using the summaries ABRs flood into area 0.
+// Intra-area routes always win over inter-area ones, whatever their cost.
+const backboneRoute = (model, router, dest, maxPaths) => {
+  const intra = intraAreaRoute(model, router, dest);
+  if (intra) return intra;
+
+  let best = null;
+  const backbone = model.spf(BACKBONE_AREA, router).routingResults;
+  for (const abr of model.abrs) {
+    if (abr === router || backbone[abr].cost === Infinity) continue;
+    // ABRs only summarise their intra-area routes into the backbone
+    const summary = intraAreaRoute(model, abr, dest);
+    if (!summary || summary.area === BACKBONE_AREA) continue;
+    best = betterRoute(
+      best,
+      { cost: backbone[abr].cost + summary.cost, nextHops: backbone[abr].nextHops, nextHop: backbone[abr].nextHop, routeType: "O IA", area: BACKBONE_AREA, viaAbr: abr },
+      maxPaths
+    );
+  }
+  return best;
+};
+
+// An ABR's own route to dest, memoised because it is also the cost of its summary-LSA
+const abrRoute = (model, abr, dest, maxPaths) => {
+  const key = `${abr}|${dest}`;
+  if (!(key in model.abrRouteCache)) model.abrRouteCache[key] = backboneRoute(model, abr, dest, maxPaths);
+  return model.abrRouteCache[key];
+};
+
+// Routing table of one router in a multi-area topology, in the calculateRoutingTable shape
+const calculateMultiAreaRoutingTable = (model, startRouter, options = {}) => {
+  const maxPaths = options.maxPaths > 0 ? options.maxPaths : Infinity;
+  const areas = [...model.routerAreas[startRouter]];
+  const isAbr = model.abrs.includes(startRouter);
+  const routingResults = {};
+  let defaultRoute = null;
+
+  // Internal routers of non-backbone areas learn other areas through that area's ABRs
+  const areaAbrs = areas
+    .filter((area) => area !== BACKBONE_AREA)
+    .flatMap((area) => {
+      const spf = model.spf(area, startRouter).routingResults;
+      return model.abrs
+        .filter((abr) => model.routerAreas[abr].has(area) && abr !== startRouter && spf[abr].cost !== Infinity)
+        .map((abr) => ({ abr, area, route: spf[abr], config: model.config[area] }));
+    });
+
+  if (!isAbr) {
+    for (const { abr, area, route, config } of areaAbrs) {
+      const originates = DEFAULT_ROUTE_AREAS.includes(config.type) || (config.type === "nssa" && config.defaultOriginate);
+      if (!originates) continue;
+      const routeType = config.type === "nssa" ? "O*N2" : "O*IA";
+      defaultRoute = betterRoute(
+        defaultRoute,
+        { cost: route.cost + config.defaultCost, nextHops: route.nextHops, nextHop: route.nextHop, routeType, area, viaAbr: abr },
+        maxPaths
+      );
+    }
+  }
+
+  for (const dest in model.graph) {
+    if (dest === startRouter || model.pseudoNodes.has(dest)) continue;
+    let route;
+
+    if (isAbr || areas.every((area) => area === BACKBONE_AREA)) {
+      route = backboneRoute(model, startRouter, dest, maxPaths);
+    } else {
+      route = intraAreaRoute(model, startRouter, dest);
+      if (!route) {
+        for (const { abr, area, route: toAbr, config } of areaAbrs) {
+          // Totally stubby and totally NSSA areas receive no summary-LSAs at all
+          if (config.type === "totally-stubby" || config.type === "totally-nssa") continue;
+          const summary = model.routerAreas[abr].has(area) ? abrRoute(model, abr, dest, maxPaths) : null;
+          if (!summary || summary.area === area) continue;
+          route = betterRoute(
+            route,
+            { cost: toAbr.cost + summary.cost, nextHops: toAbr.nextHops, nextHop: toAbr.nextHop, routeType: "O IA", area, viaAbr: abr },
+            maxPaths
+          );
+        }
+      }
+    }
+
+    if (!route && defaultRoute) {
+      // No specific route: packets still leave the area along the default route
+      route = { ...defaultRoute, viaDefault: true };
+    }
+    routingResults[dest] = route
+      ? { ...route, nextHops: route.nextHops.slice(0, maxPaths), nextHop: route.nextHops[0] }
+      : { ...UNREACHABLE };
+  }
+
+  // The router's own SPF trees, one per attached area
+  const paths = {};
+  const predecessors = {};
+  const sptEdges = new Set();
+  for (const area of areas) {
+    const spf = model.spf(area, startRouter);
+    for (const node in spf.predecessors) {
+      if (!(node in predecessors) || predecessors[node].length === 0) {
+        predecessors[node] = spf.predecessors[node];
+        paths[node] = spf.paths[node];
+      }
+    }
+    spf.sptEdges.forEach((edge) => sptEdges.add(edge));
+  }
+
+  return {
+    routingResults,
+    paths,
+    predecessors,
+    sptEdges: [...sptEdges],
+    defaultRoute,
+    areas,
+    isAbr,
+    networkTopology: model.graph,
+  };
+};
+
+// Picks flat or multi-area routing depending on whether the topology uses areas.
+// Pass a prebuilt model when computing tables for many routers of the same topology.
+// Routes to the topology's own subnets are added as prefixRoutes and AS-external routes as
+// externalRoutes (both { prefix: route }) when the topology declares any.
+const computeRoutingTable = (topology, graph, router, options = {}, model = null) => {
+  const areaModel = isMultiArea(topology) ? model || buildAreaModel(topology, graph) : null;
+  let table = areaModel
+    ? calculateMultiAreaRoutingTable(areaModel, router, options)
+    : cachedRoutingTable(graph, router, { ...options, pseudoNodes: pseudoNodesOf(topology, graph) });
+  if (prefixIndexOf(topology).length > 0) {
+    table = { ...table, prefixRoutes: calculatePrefixRoutes(topology, areaModel, router, table, options) };
+  }
+  if (!Array.isArray(topology.externalRoutes) || topology.externalRoutes.length === 0) return table;
+  return { ...table, externalRoutes: calculateExternalRoutes(topology, areaModel, router, table, options) };
+};
+
+// ---------------- IP Prefixes ----------------
+// Subnets are attached to links (link.prefixes), LANs (lan.prefixes) and routers as loopbacks
+// (node.loopbacks), IPv4 and IPv6 alike: ["10.0.12.0/30", "2001:db8:12::/64"].
+// Every router attached to a subnet advertises it at its interface cost, so the route to a prefix
+// is the cheapest "route to an attached router + that router's interface cost"; attached routers
+// see it as connected ("C"). Internal subnets may neither repeat nor overlap each other.
+const LOOPBACK_COST = 1;
+
+// Every place a prefix can be configured, with the document path used in validation errors
+const prefixSourcesOf = (topology) => [
+  ...(topology.nodes || []).map((node, i) => ({ owner: node, field: "loopbacks", path: `nodes[${i}].loopbacks` })),
+  ...(topology.links || []).map((link, i) => ({ owner: link, field: "prefixes", path: `links[${i}].prefixes` })),
+  ...(topology.lans || []).map((lan, i) => ({ owner: lan, field: "prefixes", path: `lans[${i}].prefixes` })),
+];
+
+const validatePrefixes = (topology, errors) => {
+  const assigned = [];
+  for (const { owner, field, path } of prefixSourcesOf(topology)) {
+    if (!owner || typeof owner !== "object" || owner[field] === undefined) continue;
+    if (!Array.isArray(owner[field])) {
+      errors.push({ code: "INVALID_PREFIXES", path, message: `${field} must be an array of prefixes.` });
+      continue;
+    }
+    owner[field].forEach((prefix, j) => {
+      const parsed = parsePrefix(prefix);
+      if (!parsed) {
+        errors.push({ code: "INVALID_PREFIX", path: `${path}[${j}]`, message: `Prefix ${JSON.stringify(prefix)} must be an IPv4 or IPv6 network such as 10.0.12.0/30.` });
+      } else {
+        assigned.push({ parsed, path: `${path}[${j}]` });
+      }
+    });
+  }
+
+  // Sorted by address then length, a prefix can only sit inside one still open on the stack
+  assigned.sort((a, b) =>
+    a.parsed.family - b.parsed.family ||
+    (a.parsed.address < b.parsed.address ? -1 : a.parsed.address > b.parsed.address ? 1 : 0) ||
+    a.parsed.length - b.parsed.length
+  );
+  const open = [];
+  for (const entry of assigned) {
+    while (open.length > 0 && !overlaps(open[open.length - 1].parsed, entry.parsed)) open.pop();
+    const outer = open[open.length - 1];
+    if (outer && outer.parsed.length === entry.parsed.length) {
+      errors.push({ code: "DUPLICATE_PREFIX", path: entry.path, message: `Prefix ${entry.parsed.prefix} is also assigned at ${outer.path}.` });
+      continue;
+    }
+    if (outer) {
+      errors.push({ code: "OVERLAPPING_PREFIX", path: entry.path, message: `Prefix ${entry.parsed.prefix} overlaps ${outer.parsed.prefix} at ${outer.path}.` });
+    }
+    open.push(entry);
+  }
+};
+
+// [{ prefix, parsed, area, attachments: [{ router, cost, interface }] }] of a validated topology,
+// built once per document object
+const prefixIndexes = new WeakMap();
+const prefixIndexOf = (topology) => {
+  if (prefixIndexes.has(topology)) return prefixIndexes.get(topology);
+  const referenceBandwidth = referenceBandwidthOf(topology);
+  const index = [];
+  const add = (prefixes, area, attachments) => {
+    for (const prefix of prefixes || []) {
+      const parsed = parsePrefix(prefix);
+      index.push({ prefix: parsed.prefix, parsed, area, attachments });
+    }
+  };
+  for (const node of topology.nodes) {
+    const area = node.area === undefined ? null : normalizeAreaId(node.area);
+    add(node.loopbacks, area, [{ router: node.id, cost: LOOPBACK_COST, interface: { type: "loopback" } }]);
+  }
+  for (const link of topology.links) {
+    const area = normalizeAreaId(link.area ?? BACKBONE_AREA);
+    add(
+      link.prefixes,
+      area,
+      [link.source, link.target].map((router) => ({
+        router,
+        cost: interfaceCost(link, router, referenceBandwidth),
+        interface: interfaceDescription("link", link.id, interfaceOf(link, router)),
+      }))
+    );
+  }
+  for (const lan of topology.lans || []) {
+    const area = normalizeAreaId(lan.area ?? BACKBONE_AREA);
+    add(
+      lan.prefixes,
+      area,
+      lan.interfaces.map((iface) => ({
+        router: iface.router,
+        cost: lanInterfaceCost(iface, referenceBandwidth),
+        interface: interfaceDescription("lan", lan.id, iface),
+      }))
+    );
+  }
+  prefixIndexes.set(topology, index);
+  return index;
+};
+
+// { type: "link" | "lan" | "loopback", id, name? }; name is the optional interface name (Gi0/1)
+const interfaceDescription = (type, id, iface = {}) => (typeof iface.name === "string" ? { type, id, name: iface.name } : { type, id });
+
+// Interface router sends traffic for its next hop neighbor out of: the link to it, or the LAN
+// both sit on when the shortest path to the neighbor crosses that LAN's pseudo-node
+const outgoingInterface = (topology, table, router, neighbor) => {
+  const preds = table.predecessors[neighbor] || [];
+  const lan = (topology.lans || []).find((l) => preds.includes(l.id) && (table.predecessors[l.id] || []).includes(router));
+  if (lan && !preds.includes(router)) {
+    return interfaceDescription("lan", lan.id, lan.interfaces.find((iface) => iface.router === router));
+  }
+  const link = topology.links.find((l) => (l.source === router && l.target === neighbor) || (l.source === neighbor && l.target === router));
+  return link ? interfaceDescription("link", link.id, interfaceOf(link, router)) : null;
+};
+
+// Route type of a prefix reached through attached router "via": an intra-area route to a router
+// still makes a prefix of another area (or another area's loopback) inter-area
+const prefixRouteType = (model, router, area, via) => {
+  if (!model || via.routeType !== "O") return via.routeType;
+  return area === null || model.routerAreas[router].has(area) ? "O" : "O IA";
+};
+
+// Routes of one router to every internal prefix it can reach, given its router routing table
+const calculatePrefixRoutes = (topology, model, router, table, options = {}) => {
+  const maxPaths = options.maxPaths > 0 ? options.maxPaths : Infinity;
+  const routes = {};
+
+  for (const { prefix, parsed, area, attachments } of prefixIndexOf(topology)) {
+    const local = attachments.find((attachment) => attachment.router === router);
+    if (local) {
+      routes[prefix] = { cost: local.cost, nextHop: null, nextHops: [], routeType: "C", family: parsed.family, attachedTo: [router], interface: local.interface };
+      continue;
+    }
+    let best = null;
+    for (const attachment of attachments) {
+      const via = table.routingResults[attachment.router];
+      // A subnet behind a default route is not known to this router: the default route covers it
+      if (!via || via.cost === Infinity || via.viaDefault) continue;
+      const candidate = {
+        cost: via.cost + attachment.cost,
+        nextHop: via.nextHop,
+        nextHops: via.nextHops,
+        routeType: prefixRouteType(model, router, area, via),
+        family: parsed.family,
+        attachedTo: [attachment.router],
+      };
+      const merged = betterRoute(best, candidate, maxPaths);
+      if (merged !== candidate && best && merged.cost === candidate.cost) merged.attachedTo = [...best.attachedTo, attachment.router];
+      best = merged;
+    }
+    if (best) {
+      best.interfaces = best.nextHops.map((hop) => outgoingInterface(topology, table, router, hop));
+      routes[prefix] = best;
+    }
+  }
+  return routes;
+};
+
+// Longest-prefix match over a router's subnets, external prefixes and default route
+const lookupRoute = (table, address) => {
+  const entries = [];
+  for (const routes of [table.prefixRoutes, table.externalRoutes]) {
+    for (const prefix in routes || {}) entries.push({ prefix, parsed: parsePrefix(prefix), route: routes[prefix] });
+  }
+  if (table.defaultRoute) {
+    const prefix = address.family === 4 ? "0.0.0.0/0" : "::/0";
+    entries.push({ prefix, parsed: parsePrefix(prefix), route: table.defaultRoute });
+  }
+  return longestMatch(entries, address);
+};
+
+// ---------------- AS-External Routes ----------------
+// externalRoutes: [{ prefix, asbr, metricType?, metric?, tag?, forwardingAddress? }] are prefixes an
+// ASBR redistributes into OSPF (AS-external LSAs; NSSA-external LSAs inside an NSSA).
+// E1 costs the external metric plus the internal cost to the ASBR; E2 costs the external metric
+// alone and uses the internal cost only to break ties. E1 always beats E2, and an intra-area or
+// inter-area route to the same destination beats both (RFC 2328 section 16.4).
+// A forwarding address (a router ID) sends traffic to that router instead of the ASBR.
+const EXTERNAL_METRIC_TYPES = ["E1", "E2"];
+const DEFAULT_EXTERNAL_METRIC_TYPE = "E2";
+const DEFAULT_EXTERNAL_METRIC = 20; // what routers use for redistributed routes
+const MAX_EXTERNAL_METRIC = 0xffffff; // 24-bit field in the LSA
+const MAX_ROUTE_TAG = 0xffffffff;
+
+// Areas a router is attached to, straight from the document (validation runs before buildAreaModel)
+const declaredAreasOf = (topology, router) => {
+  const areas = new Set();
+  for (const link of topology.links || []) {
+    if (link && (link.source === router || link.target === router)) areas.add(normalizeAreaId(link.area ?? BACKBONE_AREA));
+  }
+  for (const lan of topology.lans || []) {
+    if ((lan?.interfaces || []).some((iface) => iface && iface.router === router)) areas.add(normalizeAreaId(lan.area ?? BACKBONE_AREA));
+  }
+  return areas;
+};
+
+const validateExternalRoutes = (topology, graph, errors) => {
+  const externals = topology.externalRoutes;
+  if (externals === undefined) return;
+  if (!Array.isArray(externals)) {
+    errors.push({ code: "INVALID_EXTERNAL_ROUTES", path: "externalRoutes", message: "externalRoutes must be an array." });
+    return;
+  }
+
+  const pseudoNodes = pseudoNodesOf(topology, graph);
+  const seen = new Set();
+  externals.forEach((ext, i) => {
+    const path = `externalRoutes[${i}]`;
+    const { prefix, asbr, metricType = DEFAULT_EXTERNAL_METRIC_TYPE, metric = DEFAULT_EXTERNAL_METRIC, tag, forwardingAddress } = ext || {};
+    const parsed = parsePrefix(prefix);
+    if (!parsed) {
+      errors.push({ code: "INVALID_PREFIX", path: `${path}.prefix`, message: `Prefix ${JSON.stringify(prefix)} must be an IPv4 or IPv6 network such as 10.0.0.0/8.` });
+    }
+    if (!graph[asbr] || pseudoNodes.has(asbr)) {
+      errors.push({ code: "UNKNOWN_ASBR", path: `${path}.asbr`, message: `ASBR ${asbr} is not a known router.` });
+    } else if (isMultiArea(topology)) {
+      const areas = [...declaredAreasOf(topology, asbr)];
+      // Stub areas carry no external LSAs of either kind, so a router inside one cannot redistribute
+      if (areas.length > 0 && areas.every((area) => ["stub", "totally-stubby"].includes(areaConfigFor(topology, area).type))) {
+        errors.push({ code: "ASBR_IN_STUB_AREA", path: `${path}.asbr`, message: `Router ${asbr} is only in stub areas and cannot be an ASBR.` });
+      }
+    }
+    if (!EXTERNAL_METRIC_TYPES.includes(metricType)) {
+      errors.push({ code: "INVALID_METRIC_TYPE", path: `${path}.metricType`, message: "Metric type must be E1 or E2." });
+    }
+    if (!Number.isInteger(metric) || metric < 0 || metric > MAX_EXTERNAL_METRIC) {
+      errors.push({ code: "INVALID_METRIC", path: `${path}.metric`, message: `External metric must be an integer from 0 to ${MAX_EXTERNAL_METRIC}.` });
+    }
+    if (tag !== undefined && (!Number.isInteger(tag) || tag < 0 || tag > MAX_ROUTE_TAG)) {
+      errors.push({ code: "INVALID_TAG", path: `${path}.tag`, message: `Route tag must be an integer from 0 to ${MAX_ROUTE_TAG}.` });
+    }
+    if (forwardingAddress !== undefined && !parseAddress(forwardingAddress)) {
+      errors.push({ code: "INVALID_FORWARDING_ADDRESS", path: `${path}.forwardingAddress`, message: "Forwarding address must be an IP address such as 10.0.0.1." });
+    }
+    const key = `${parsed ? parsed.prefix : prefix}|${asbr}`;
+    if (seen.has(key)) {
+      errors.push({ code: "DUPLICATE_EXTERNAL_ROUTE", path, message: `ASBR ${asbr} redistributes ${prefix} more than once.` });
+    }
+    seen.add(key);
+  });
+};
+
+// "E" when router sees the ASBR's AS-external LSAs, "N" when it sees them as NSSA-external LSAs
+// (same NSSA as the ASBR), null when its areas block them. NSSA ABRs translate type-7 into type-5.
+const externalLsaScope = (model, router, asbr) => {
+  if (!model) return "E";
+  const receivesType5 = (r) => [...model.routerAreas[r]].some((area) => model.config[area].type === "normal");
+  if (receivesType5(asbr)) return receivesType5(router) ? "E" : null;
+  const nssas = [...model.routerAreas[asbr]].filter((area) => model.config[area].type.endsWith("nssa"));
+  if (nssas.some((area) => model.routerAreas[router].has(area))) return "N";
+  return receivesType5(router) ? "E" : null;
+};
+
+// Router a forwarding address points at: matched against router IDs, router names, then loopbacks
+const forwardingRouterOf = (topology, address) => {
+  const nodes = topology.nodes || [];
+  const parsed = parseAddress(address);
+  const owner =
+    nodes.find((node) => node.routerId === address) ||
+    nodes.find((node) => node.id === address) ||
+    nodes.find((node) => (node.loopbacks || []).some((loopback) => containsAddress(parsePrefix(loopback), parsed)));
+  return owner?.id ?? null;
+};
+
+const isUnspecifiedAddress = (address) => parseAddress(address)?.address === 0n;
+
+// E1 before E2, then cost, then (for E2) the internal cost; equal routes merge their next hops
+const compareExternal = (a, b) =>
+  (a.metricType === "E1" ? 0 : 1) - (b.metricType === "E1" ? 0 : 1) || a.cost - b.cost || a.forwardingCost - b.forwardingCost;
+
+// A destination covered by an intra-area or inter-area route never takes the external one
+const hasInternalRoute = (table, prefix) => {
+  if (table.prefixRoutes?.[prefix]) return true;
+  return (prefix === "0.0.0.0/0" || prefix === "::/0") && Boolean(table.defaultRoute);
+};
+
+// External routes of one router, given its intra/inter-area routing table
+const calculateExternalRoutes = (topology, model, router, table, options = {}) => {
+  const maxPaths = options.maxPaths > 0 ? options.maxPaths : Infinity;
+  const best = {};
+
+  for (const ext of topology.externalRoutes) {
+    // A router's own redistributed prefixes are not OSPF routes on that router
+    if (ext.asbr === router) continue;
+    const scope = externalLsaScope(model, router, ext.asbr);
+    if (!scope) continue;
+    const forwarder = ext.forwardingAddress && !isUnspecifiedAddress(ext.forwardingAddress) ? forwardingRouterOf(topology, ext.forwardingAddress) : ext.asbr;
+    if (!forwarder || forwarder === router) continue;
+    // Only intra/inter-area routes count: an ASBR reached over a default route is not usable
+    const internal = table.routingResults[forwarder];
+    if (!internal || internal.cost === Infinity || internal.viaDefault) continue;
+
+    const metricType = ext.metricType ?? DEFAULT_EXTERNAL_METRIC_TYPE;
+    const metric = ext.metric ?? DEFAULT_EXTERNAL_METRIC;
+    const candidate = {
+      cost: metricType === "E1" ? metric + internal.cost : metric,
+      nextHop: internal.nextHop,
+      nextHops: internal.nextHops,
+      routeType: `O ${scope}${metricType.slice(1)}`,
+      metricType,
+      externalMetric: metric,
+      forwardingCost: internal.cost,
+      asbr: ext.asbr,
+      forwardingRouter: forwarder,
+    };
+    if (ext.tag !== undefined) candidate.tag = ext.tag;
+    if (ext.forwardingAddress !== undefined) candidate.forwardingAddress = ext.forwardingAddress;
+
+    const prefix = parsePrefix(ext.prefix).prefix;
+    const current = best[prefix];
+    const order = current ? compareExternal(candidate, current) : -1;
+    if (order < 0) {
+      best[prefix] = candidate;
+    } else if (order === 0) {
+      const nextHops = [...new Set([...current.nextHops, ...candidate.nextHops])].slice(0, maxPaths);
+      best[prefix] = { ...current, nextHops, nextHop: nextHops[0] };
+    }
+  }
+
+  for (const prefix in best) {
+    if (hasInternalRoute(table, prefix)) delete best[prefix];
+  }
+  return best;
+};
+
+// ---------------- Broadcast Segments (DR/BDR) ----------------
+// A LAN is { id, area?, dr?, bdr?, interfaces: [{ router, cost | bandwidth, priority? }] }.
+// dr/bdr record the current holders: the election honours them (no preemption) and
+// stored topologies write the latest result back on every save.
+// A LAN with a DR becomes a pseudo-node in the SPF graph, like a Network-LSA would.
+const DEFAULT_PRIORITY = 1;
+const ROUTER_ID_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+const routerIdValue = (routerId) => {
+  const match = typeof routerId === "string" && routerId.match(ROUTER_ID_PATTERN);
+  if (!match || match.slice(1).some((octet) => Number(octet) > 255)) return null;
+  return match.slice(1).reduce((value, octet) => value * 256 + Number(octet), 0);
+};
+
+// Higher router ID wins ties; routers without a configured ID fall back to their name
+const compareRouterIds = (a, b) => {
+  const va = routerIdValue(a);
+  const vb = routerIdValue(b);
+  if (va !== null && vb !== null) return va - vb;
+  return String(a).localeCompare(String(b));
+};
+
+// RFC 2328 section 9.4, seen from the whole segment instead of one router
+const electDesignatedRouters = (lan, routerIds = {}) => {
+  const candidates = lan.interfaces.map((iface) => ({
+    router: iface.router,
+    priority: iface.priority ?? DEFAULT_PRIORITY,
+    routerId: iface.routerId ?? routerIds[iface.router] ?? iface.router,
+  }));
+  const eligible = candidates.filter((c) => c.priority > 0);
+  const better = (a, b) => (a.priority !== b.priority ? a.priority > b.priority : compareRouterIds(a.routerId, b.routerId) > 0);
+  const best = (list) => list.reduce((winner, c) => (!winner || better(c, winner) ? c : winner), null);
+
+  let declaredDr = eligible.some((c) => c.router === lan.dr) ? lan.dr : null;
+  const declaredBdr = eligible.some((c) => c.router === lan.bdr) ? lan.bdr : null;
+
+  const electBdr = () => {
+    const pool = eligible.filter((c) => c.router !== declaredDr);
+    const declared = pool.filter((c) => c.router === declaredBdr);
+    return best(declared.length > 0 ? declared : pool);
+  };
+
+  let bdr = electBdr();
+  let dr = declaredDr ? eligible.find((c) => c.router === declaredDr) : bdr;
+  if (!declaredDr && dr) {
+    // The BDR was promoted: it now declares itself DR, so the BDR is chosen again
+    declaredDr = dr.router;
+    bdr = electBdr();
+  }
+
+  const roles = {};
+  for (const c of candidates) {
+    roles[c.router] = dr && c.router === dr.router ? "DR" : bdr && c.router === bdr.router ? "BDR" : "DROTHER";
+  }
+
+  // DROthers only go FULL with the DR and BDR; among themselves they stay in 2-WAY
+  const adjacencies = [];
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const a = candidates[i].router;
+      const b = candidates[j].router;
+      const full = roles[a] !== "DROTHER" || roles[b] !== "DROTHER";
+      adjacencies.push({ routers: [a, b], state: full ? "FULL" : "2-WAY" });
+    }
+  }
+
+  return {
+    id: lan.id,
+    dr: dr ? dr.router : null,
+    bdr: bdr ? bdr.router : null,
+    priorities: Object.fromEntries(candidates.map((c) => [c.router, c.priority])),
+    roles,
+    adjacencies,
+    // Without a DR there is no Network-LSA and the LAN carries no transit traffic
+    transit: Boolean(dr) && candidates.length > 1,
+  };
+};
+
+const routerIdsOf = (topology) =>
+  Object.fromEntries((topology.nodes || []).filter((n) => n && n.routerId).map((n) => [n.id, n.routerId]));
+
+const electAllLans = (topology) => {
+  const routerIds = routerIdsOf(topology);
+  return (topology.lans || []).map((lan) => electDesignatedRouters(lan, routerIds));
+};
+
+// LAN IDs that made it into the graph as pseudo-nodes
+const pseudoNodesOf = (topology, graph) =>
+  new Set((topology.lans || []).map((lan) => lan && lan.id).filter((id) => id !== undefined && graph[id]));
+
+// Checks router IDs and LAN definitions, then adds every transit LAN to the graph
+const validateLans = (topology, graph, errors) => {
+  const seenRouterIds = {};
+  (Array.isArray(topology.nodes) ? topology.nodes : []).forEach((node, i) => {
+    if (!node || typeof node !== "object" || node.routerId === undefined) return;
+    if (routerIdValue(node.routerId) === null) {
+      errors.push({ code: "INVALID_ROUTER_ID", path: `nodes[${i}].routerId`, message: "Router ID must be a dotted-quad such as 1.1.1.1." });
+    } else if (seenRouterIds[node.routerId]) {
+      errors.push({ code: "DUPLICATE_ROUTER_ID", path: `nodes[${i}].routerId`, message: `Router ID ${node.routerId} is also used by ${seenRouterIds[node.routerId]}.` });
+    } else {
+      seenRouterIds[node.routerId] = node.id;
+    }
+  });
+
+  const lans = topology.lans;
+  if (lans === undefined) return;
+  if (!Array.isArray(lans)) {
+    errors.push({ code: "INVALID_LANS", path: "lans", message: "lans must be an array." });
+    return;
+  }
+
+  const routerIds = routerIdsOf(topology);
+  const referenceBandwidth = referenceBandwidthOf(topology);
+  const lanIds = new Set();
+  lans.forEach((lan, i) => {
+    const path = `lans[${i}]`;
+    if (!lan || typeof lan.id !== "string" || lan.id.trim() === "" || lan.id === RESERVED_ID) {
+      errors.push({ code: "INVALID_LAN_ID", path, message: `LAN ID must be a non-empty string other than ${RESERVED_ID}.` });
+      return;
+    }
+    if (graph[lan.id] || lanIds.has(lan.id)) {
+      errors.push({ code: "DUPLICATE_LAN", path: `${path}.id`, message: `LAN ID ${lan.id} clashes with another router or LAN.` });
+      return;
+    }
+    lanIds.add(lan.id);
+    if (lan.area !== undefined && normalizeAreaId(lan.area) === null) {
+      errors.push({ code: "INVALID_AREA", path: `${path}.area`, message: `Area ${JSON.stringify(lan.area)} is not a valid OSPF area ID.` });
+    }
+    if (!Array.isArray(lan.interfaces)) {
+      errors.push({ code: "INVALID_LAN_INTERFACES", path: `${path}.interfaces`, message: "A LAN needs an interfaces array." });
+      return;
+    }
+
+    const attached = new Set();
+    let valid = true;
+    lan.interfaces.forEach((iface, j) => {
+      const ipath = `${path}.interfaces[${j}]`;
+      const { router, bandwidth, priority = DEFAULT_PRIORITY } = iface || {};
+      if (!graph[router] || lanIds.has(router)) {
+        errors.push({ code: "UNKNOWN_ENDPOINT", path: `${ipath}.router`, message: `LAN interface router ${router} is not a known router.` });
+        valid = false;
+      } else if (attached.has(router)) {
+        errors.push({ code: "DUPLICATE_INTERFACE", path: ipath, message: `Router ${router} is attached to LAN ${lan.id} more than once.` });
+        valid = false;
+      }
+      attached.add(router);
+      if (iface?.capacity !== undefined && !isPositiveNumber(iface.capacity)) {
+        errors.push({ code: "INVALID_CAPACITY", path: `${ipath}.capacity`, message: "Capacity must be a positive number of Mbps." });
+      }
+      if (bandwidth !== undefined && !isPositiveNumber(bandwidth)) {
+        errors.push({ code: "INVALID_BANDWIDTH", path: `${ipath}.bandwidth`, message: "Bandwidth must be a positive number of Mbps." });
+        valid = false;
+        return;
+      }
+      const cost = lanInterfaceCost(iface || {}, referenceBandwidth);
+      if (typeof cost !== "number" || !Number.isFinite(cost) || cost < 0) {
+        errors.push({ code: "INVALID_COST", path: `${ipath}.cost`, message: "Interface needs a non-negative cost or a bandwidth." });
+        valid = false;
+      }
+      if (!Number.isInteger(priority) || priority < 0 || priority > 255) {
+        errors.push({ code: "INVALID_PRIORITY", path: `${ipath}.priority`, message: "OSPF priority must be an integer from 0 to 255." });
+        valid = false;
+      }
+    });
+    if (!valid) return;
+
+    const election = electDesignatedRouters(lan, routerIds);
+    if (!election.transit) return;
+    graph[lan.id] = Object.create(null);
+    for (const iface of lan.interfaces) {
+      const { router } = iface;
+      graph[router][lan.id] = lanInterfaceCost(iface, referenceBandwidth);
+      graph[lan.id][router] = 0;
+    }
+  });
+};
+
+// ---------------- Interface Costs ----------------
+// A link may be modelled as two interfaces, interfaces: [{ router, bandwidth?, cost? }], one per end.
+// Leaving a router over a link costs that router's interface cost: a manual cost wins, otherwise
+// it is derived from the bandwidth (Mbps) like "auto-cost reference-bandwidth". Links without
+// interfaces keep their single cost in both directions; link.bandwidth is shared by both ends.
+// capacity (Mbps, on the link or an interface) only matters for traffic load, never for costs.
+const DEFAULT_REFERENCE_BANDWIDTH = 100; // Mbps, the usual router default
+const MAX_INTERFACE_COST = 65535;
+
+// Same rounding as OSPF: the quotient is truncated and kept within 1..65535
+const costFromBandwidth = (bandwidth, referenceBandwidth) =>
+  Math.min(MAX_INTERFACE_COST, Math.max(1, Math.floor(referenceBandwidth / bandwidth)));
+
+const referenceBandwidthOf = (topology) => topology.referenceBandwidth ?? DEFAULT_REFERENCE_BANDWIDTH;
+
+const isPositiveNumber = (value) => typeof value === "number" && Number.isFinite(value) && value > 0;
+
+const interfaceOf = (link, router) =>
+  (Array.isArray(link.interfaces) && link.interfaces.find((iface) => iface && iface.router === router)) || {};
+
+// Outgoing cost of router's end of link; undefined when neither a cost nor a bandwidth is known
+const interfaceCost = (link, router, referenceBandwidth) => {
+  const iface = interfaceOf(link, router);
+  if (iface.cost !== undefined) return iface.cost;
+  const bandwidth = iface.bandwidth ?? link.bandwidth;
+  if (bandwidth !== undefined) return costFromBandwidth(bandwidth, referenceBandwidth);
+  return link.cost;
+};
+
+// LAN interfaces follow the same rule, without a link-level fallback
+const lanInterfaceCost = (iface, referenceBandwidth) =>
+  iface.cost !== undefined || iface.bandwidth === undefined ? iface.cost : costFromBandwidth(iface.bandwidth, referenceBandwidth);
+
+// Checks the interfaces and bandwidths of one link; costs are checked once resolved
+const validateInterfaces = (link, path, errors) => {
+  let valid = true;
+  if (link.bandwidth !== undefined && !isPositiveNumber(link.bandwidth)) {
+    errors.push({ code: "INVALID_BANDWIDTH", path: `${path}.bandwidth`, message: "Bandwidth must be a positive number of Mbps." });
+    valid = false;
+  }
+  if (link.capacity !== undefined && !isPositiveNumber(link.capacity)) {
+    errors.push({ code: "INVALID_CAPACITY", path: `${path}.capacity`, message: "Capacity must be a positive number of Mbps." });
+  }
+  if (link.interfaces === undefined) return valid;
+  if (!Array.isArray(link.interfaces)) {
+    errors.push({ code: "INVALID_INTERFACES", path: `${path}.interfaces`, message: "interfaces must be an array." });
+    return false;
+  }
+
+  const seen = new Set();
+  link.interfaces.forEach((iface, j) => {
+    const ipath = `${path}.interfaces[${j}]`;
+    const { router, bandwidth, capacity, cost } = iface || {};
+    if (router !== link.source && router !== link.target) {
+      errors.push({ code: "INVALID_INTERFACE", path: `${ipath}.router`, message: `Interface router ${router} is not an endpoint of this link.` });
+      valid = false;
+    } else if (seen.has(router)) {
+      errors.push({ code: "DUPLICATE_INTERFACE", path: ipath, message: `Router ${router} has more than one interface on this link.` });
+      valid = false;
+    }
+    seen.add(router);
+    if (bandwidth !== undefined && !isPositiveNumber(bandwidth)) {
+      errors.push({ code: "INVALID_BANDWIDTH", path: `${ipath}.bandwidth`, message: "Bandwidth must be a positive number of Mbps." });
+      valid = false;
+    }
+    if (capacity !== undefined && !isPositiveNumber(capacity)) {
+      errors.push({ code: "INVALID_CAPACITY", path: `${ipath}.capacity`, message: "Capacity must be a positive number of Mbps." });
+    }
+    if (cost !== undefined && (typeof cost !== "number" || !Number.isFinite(cost) || cost < 0)) {
+      errors.push({ code: "INVALID_COST", path: `${ipath}.cost`, message: "Interface cost must be a non-negative number." });
+      valid = false;
+    }
+  });
+  return valid;
+};
+
+// Resolved per-direction costs of every link and LAN interface, for clients that label them.
+// LAN interfaces use the router-LAN link ID; the way back from a LAN is always free.
+const linkCostsOf = (topology) => {
+  const referenceBandwidth = referenceBandwidthOf(topology);
+  return [
+    ...topology.links.map((link) => ({
+      id: link.id,
+      source: link.source,
+      target: link.target,
+      cost: interfaceCost(link, link.source, referenceBandwidth),
+      reverseCost: interfaceCost(link, link.target, referenceBandwidth),
+    })),
+    ...(topology.lans || []).flatMap((lan) =>
+      lan.interfaces.map((iface) => ({
+        id: linkIdFor(iface.router, lan.id),
+        source: iface.router,
+        target: lan.id,
+        cost: lanInterfaceCost(iface, referenceBandwidth),
+        reverseCost: 0,
+      }))
+    ),
+  ];
+};
+
+// Per-direction capacity (Mbps) of every link and LAN interface, laid out like linkCostsOf.
+// An interface's own capacity wins over the link's; without one the configured bandwidth
+// stands in, and a direction that has neither is left without a capacity (null).
+const linkCapacitiesOf = (topology) => [
+  ...topology.links.map((link) => {
+    const capacityOf = (router) => {
+      const iface = interfaceOf(link, router);
+      return iface.capacity ?? link.capacity ?? iface.bandwidth ?? link.bandwidth ?? null;
+    };
+    return { id: link.id, source: link.source, target: link.target, capacity: capacityOf(link.source), reverseCapacity: capacityOf(link.target) };
+  }),
+  // Both directions of a LAN interface are the router's port on the segment
+  ...(topology.lans || []).flatMap((lan) =>
+    lan.interfaces.map((iface) => {
+      const capacity = iface.capacity ?? iface.bandwidth ?? null;
+      return { id: linkIdFor(iface.router, lan.id), source: iface.router, target: lan.id, capacity, reverseCapacity: capacity };
+    })
+  ),
+];
+
+// ---------------- Traffic Demands ----------------
+// demands: [{ source, destination, rate }] is the traffic matrix between routers, rates in Mbps.
+// It does not change any route; traffic.js lays it over the routes to find link loads.
+const validateDemands = (topology, graph, errors) => {
+  const demands = topology.demands;
+  if (demands === undefined) return;
+  if (!Array.isArray(demands)) {
+    errors.push({ code: "INVALID_DEMANDS", path: "demands", message: "demands must be an array." });
+    return;
+  }
+
+  const pseudoNodes = pseudoNodesOf(topology, graph);
+  const seen = new Set();
+  demands.forEach((demand, i) => {
+    const path = `demands[${i}]`;
+    const { source, destination, rate } = demand || {};
+    for (const [field, router] of [["source", source], ["destination", destination]]) {
+      if (!graph[router] || pseudoNodes.has(router)) {
+        errors.push({ code: "UNKNOWN_DEMAND_ENDPOINT", path: `${path}.${field}`, message: `Demand ${field} ${router} is not a known router.` });
+      }
+    }
+    if (source !== undefined && source === destination) {
+      errors.push({ code: "SAME_ENDPOINTS", path, message: `Demand from ${source} to itself never crosses a link.` });
+    }
+    if (!isPositiveNumber(rate)) {
+      errors.push({ code: "INVALID_RATE", path: `${path}.rate`, message: "Rate must be a positive number of Mbps." });
+    }
+    const key = `${source}|${destination}`;
+    if (seen.has(key)) {
+      errors.push({ code: "DUPLICATE_DEMAND", path, message: `Demand ${source} → ${destination} is listed more than once.` });
+    }
+    seen.add(key);
+  });
+};
+
+// ---------------- Topology Validation ----------------
+// Routing tables and SPF results are plain objects keyed by router and LAN ID, where "__proto__" cannot be a key
+const RESERVED_ID = "__proto__";
+
+// Turns a { nodes, links } topology into the adjacency map used by dijkstra.
+// Each direction of a link gets its own cost (see Interface Costs above).
+// Every problem found is collected so the caller can report them all at once.
+// The graph and its rows have no prototype, so graph[id] only finds routers that exist
+// (not "constructor" or "toString").
+const validateTopology = (topology = {}) => {
+  const { nodes, links } = topology;
+  const errors = [];
+  const graph = Object.create(null);
+
+  if (!Array.isArray(nodes) || nodes.length === 0) {
+    errors.push({ code: "INVALID_NODES", path: "nodes", message: "nodes must be a non-empty array of router IDs." });
+    return { graph, errors };
+  }
+  if (!Array.isArray(links)) {
+    errors.push({ code: "INVALID_LINKS", path: "links", message: "links must be an array." });
+    return { graph, errors };
+  }
+
+  nodes.forEach((node, i) => {
+    const id = node && typeof node === "object" ? node.id : node;
+    if (typeof id !== "string" || id.trim() === "") {
+      errors.push({ code: "INVALID_NODE_ID", path: `nodes[${i}]`, message: "Router ID must be a non-empty string." });
+    } else if (id === RESERVED_ID) {
+      errors.push({ code: "INVALID_NODE_ID", path: `nodes[${i}]`, message: `Router ID ${RESERVED_ID} is reserved.` });
+    } else if (graph[id]) {
+      errors.push({ code: "DUPLICATE_NODE", path: `nodes[${i}]`, message: `Router ${id} is listed more than once.` });
+    } else {
+      graph[id] = Object.create(null);
+    }
+    // Saved editor positions are optional but must be plain coordinates
+    for (const axis of ["x", "y"]) {
+      if (node && typeof node === "object" && node[axis] !== undefined && (typeof node[axis] !== "number" || !Number.isFinite(node[axis]))) {
+        errors.push({ code: "INVALID_POSITION", path: `nodes[${i}].${axis}`, message: `Position ${axis} must be a finite number.` });
+      }
+    }
+  });
+
+  const referenceBandwidth = referenceBandwidthOf(topology);
+  if (!isPositiveNumber(referenceBandwidth)) {
+    errors.push({ code: "INVALID_REFERENCE_BANDWIDTH", path: "referenceBandwidth", message: "Reference bandwidth must be a positive number of Mbps." });
+    return { graph, errors };
+  }
+
+  links.forEach((link, i) => {
+    const path = `links[${i}]`;
+    if (!link || typeof link !== "object") {
+      errors.push({ code: "INVALID_LINK", path, message: "A link must be an object with a source and a target." });
+      return;
+    }
+    const { source, target } = link;
+    let valid = true;
+
+    for (const [field, id] of [["source", source], ["target", target]]) {
+      if (!graph[id]) {
+        errors.push({ code: "UNKNOWN_ENDPOINT", path: `${path}.${field}`, message: `Link endpoint ${id} is not a known router.` });
+        valid = false;
+      }
+    }
+    if (valid && source === target) {
+      errors.push({ code: "SELF_LOOP", path, message: `Link ${source}-${target} connects a router to itself.` });
+      valid = false;
+    }
+    if (!validateInterfaces(link, path, errors)) {
+      valid = false;
+    } else if (valid) {
+      for (const router of [source, target]) {
+        const cost = interfaceCost(link, router, referenceBandwidth);
+        if (typeof cost !== "number" || !Number.isFinite(cost)) {
+          errors.push({ code: "INVALID_COST", path: `${path}.cost`, message: `Link ${source}-${target} needs a numeric cost or a bandwidth for router ${router}.` });
+          valid = false;
+          break;
+        } else if (cost < 0) {
+          errors.push({ code: "NEGATIVE_COST", path: `${path}.cost`, message: "Link cost cannot be negative." });
+          valid = false;
+          break;
+        }
+      }
+    }
+    if (valid && graph[source][target] !== undefined) {
+      errors.push({ code: "DUPLICATE_LINK", path, message: `Link ${source}-${target} is defined more than once.` });
+      valid = false;
+    }
+
+    if (valid) {
+      graph[source][target] = interfaceCost(link, source, referenceBandwidth);
+      graph[target][source] = interfaceCost(link, target, referenceBandwidth);
+    }
+  });
+
+  validateAreas(topology, graph, errors);
+  validateLans(topology, graph, errors);
+  validatePrefixes(topology, errors);
+  validateExternalRoutes(topology, graph, errors);
+  validateDemands(topology, graph, errors);
+  return { graph, errors };
+};
+
+// ---------------- Topology Documents ----------------
+// Stored topologies and topology files use the same { nodes, links } layout as POST /calculate-ospf,
+// with router objects ({ id, label }) and link IDs so they can be addressed individually.
+const linkIdFor = (source, target) => `${source}-${target}`;
+
+const normalizeRouter = (router) => (router && typeof router === "object" ? { ...router } : { id: router });
+
+// Anything that is not a link object is kept as is, so validation reports it at its own index
+const normalizeLink = (link) => (link && typeof link === "object" ? { ...link, id: link.id || linkIdFor(link.source, link.target) } : link);
+
+// Optional top-level sections a topology may carry besides nodes and links
+const TOPOLOGY_SECTIONS = ["areas", "lans", "referenceBandwidth", "externalRoutes", "demands"];
+
+const normalizeTopology = (id, body = {}) => {
+  const topology = {
+    id,
+    name: typeof body.name === "string" && body.name.trim() ? body.name.trim() : id,
+    nodes: Array.isArray(body.nodes) ? body.nodes.map(normalizeRouter) : body.nodes,
+    links: Array.isArray(body.links) ? body.links.map(normalizeLink) : body.links,
+  };
+  for (const section of TOPOLOGY_SECTIONS) {
+    if (body[section] !== undefined && body[section] !== null) topology[section] = body[section];
+  }
+  return topology;
+};
+
+// Converts a legacy adjacency map (network_data.json) into a topology document
+const graphToTopology = (id, name, graph) => {
+  const links = [];
+  const seen = new Set();
+  for (const source in graph) {
+    for (const target in graph[source]) {
+      const key = [source, target].sort().join("-");
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const cost = graph[source][target];
+      const reverseCost = graph[target]?.[source];
+      // Hand-written asymmetric costs become one manual cost per interface
+      links.push(
+        reverseCost === undefined || reverseCost === cost
+          ? { id: linkIdFor(source, target), source, target, cost }
+          : { id: linkIdFor(source, target), source, target, interfaces: [{ router: source, cost }, { router: target, cost: reverseCost }] }
+      );
+    }
+  }
+  return { id, name, nodes: Object.keys(graph).map((router) => ({ id: router, label: router })), links };
+};
+
+// Link IDs must be unique too, otherwise the per-link routes become ambiguous
+const validateTopologyDocument = (topology) => {
+  const { graph, errors } = validateTopology(topology);
+  const linkIds = new Set();
+  (Array.isArray(topology.links) ? topology.links : []).forEach((link, i) => {
+    if (!link || typeof link !== "object") return;
+    if (linkIds.has(link.id)) {
+      errors.push({ code: "DUPLICATE_LINK_ID", path: `links[${i}].id`, message: `Link ID ${link.id} is used more than once.` });
+    }
+    linkIds.add(link.id);
+  });
+  return { graph, errors };
+};
+
+// ---------------- All Routers ----------------
+// { router: { destination: { cost, nextHops, routeType } } } with unreachable destinations left out.
+// Destinations are routers, subnets and external prefixes.
+// graph defaults to the topology's own; pass one marked with spfCache.identify to reuse cached SPF runs.
+const routingTablesOf = (topology, graph = validateTopology(topology).graph) => {
+  const pseudoNodes = pseudoNodesOf(topology, graph);
+  const model = isMultiArea(topology) ? buildAreaModel(topology, graph) : null;
+  const tables = {};
+  for (const router of Object.keys(graph).filter((node) => !pseudoNodes.has(node))) {
+    const { routingResults, prefixRoutes = {}, externalRoutes = {} } = computeRoutingTable(topology, graph, router, {}, model);
+    tables[router] = {};
+    for (const dest in { ...routingResults, ...prefixRoutes, ...externalRoutes }) {
+      const { cost, nextHops, routeType } = routingResults[dest] || prefixRoutes[dest] || externalRoutes[dest];
+      if (cost !== Infinity) tables[router][dest] = { cost, nextHops, routeType };
+    }
+  }
+  return tables;
+};
+
+module.exports = {
+  calculateRoutingTable,
+  cachedRoutingTable,
+  computeRoutingTable,
+  isMultiArea,
+  buildAreaModel,
+  outgoingInterface,
+  lookupRoute,
+  electAllLans,
+  pseudoNodesOf,
+  referenceBandwidthOf,
+  MAX_INTERFACE_COST,
+  linkCostsOf,
+  linkCapacitiesOf,
+  validateTopology,
+  linkIdFor,
+  normalizeRouter,
+  normalizeLink,
+  TOPOLOGY_SECTIONS,
+  normalizeTopology,
+  graphToTopology,
+  validateTopologyDocument,
+  routingTablesOf,
+};
@@ -0,0 +1,97 @@
+// --- Routing Core Tests ---
+// Run: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validateTopology, normalizeTopology, calculateRoutingTable, computeRoutingTable, routingTablesOf } = require("./routing");
+
+const codes = (errors) => errors.map((e) => `${e.code} ${e.path}`);
+
+// A-B 1, B-D 1, A-C 1, C-D 1 (two equal paths to D), D-E 5
+const square = () =>
+  normalizeTopology(null, {
+    nodes: ["A", "B", "C", "D", "E"],
+    links: [["A", "B", 1], ["B", "D", 1], ["A", "C", 1], ["C", "D", 1], ["D", "E", 5]].map(([source, target, cost]) => ({ source, target, cost })),
+  });
+
+test("routing tables keep every equal-cost next hop up to maxPaths", () => {
+  const { graph } = validateTopology(square());
+  const { routingResults } = calculateRoutingTable(graph, "A");
+  assert.deepEqual(routingResults.D.nextHops, ["B", "C"]);
+  assert.equal(routingResults.D.nextHop, "B");
+  assert.equal(routingResults.E.cost, 7);
+  assert.deepEqual(calculateRoutingTable(graph, "A", { maxPaths: 1 }).routingResults.E.nextHops, ["B"]);
+});
+
+test("validation reports every problem with its document path", () => {
+  const { errors } = validateTopology(
+    normalizeTopology(null, {
+      nodes: ["A", "A", "B"],
+      links: [{ source: "A", target: "B", cost: -1 }, { source: "A", target: "Z", cost: 1 }],
+    })
+  );
+  assert.deepEqual(codes(errors), ["DUPLICATE_NODE nodes[1]", "NEGATIVE_COST links[0].cost", "UNKNOWN_ENDPOINT links[1].target"]);
+});
+
+test("multi-area tables mark inter-area routes", () => {
+  const topology = normalizeTopology(null, {
+    nodes: ["A", "B", "X"],
+    links: [
+      { source: "A", target: "B", cost: 1, area: 0 },
+      { source: "B", target: "X", cost: 2, area: 1 },
+    ],
+  });
+  const { graph } = validateTopology(topology);
+  const { routingResults } = computeRoutingTable(topology, graph, "A");
+  assert.deepEqual([routingResults.X.routeType, routingResults.X.cost, routingResults.X.viaAbr], ["O IA", 3, "B"]);
+});
+
+test("routingTablesOf lists every router's reachable destinations", () => {
+  const topology = square();
+  topology.nodes.push({ id: "F" });
+  const tables = routingTablesOf(topology);
+  assert.deepEqual(Object.keys(tables), ["A", "B", "C", "D", "E", "F"]);
+  assert.deepEqual(tables.A.D, { cost: 2, nextHops: ["B", "C"], routeType: "O" });
+  assert.deepEqual(tables.F, {});
+  assert.equal(tables.A.F, undefined);
+});
+
+test("router IDs that are Object.prototype names are only found when listed", () => {
+  const { graph, errors } = validateTopology(
+    normalizeTopology(null, {
+      nodes: ["A", "hasOwnProperty"],
+      links: [{ source: "A", target: "hasOwnProperty", cost: 3 }],
+    })
+  );
+  assert.deepEqual(errors, []);
+  assert.equal(graph.A.hasOwnProperty, 3);
+  assert.equal(graph.constructor, undefined);
+  assert.equal(graph.toString, undefined);
+  assert.equal(calculateRoutingTable(graph, "A").routingResults.hasOwnProperty.cost, 3);
+});
+
+test("links to Object.prototype names that are not routers are unknown endpoints", () => {
+  const { errors } = validateTopology(normalizeTopology(null, { nodes: ["A"], links: [{ source: "A", target: "constructor", cost: 1 }] }));
+  assert.deepEqual(codes(errors), ["UNKNOWN_ENDPOINT links[0].target"]);
+});
+
+test("__proto__ is rejected as a router or LAN ID", () => {
+  const { errors } = validateTopology(
+    normalizeTopology(null, {
+      nodes: ["A", "__proto__"],
+      links: [],
+      lans: [{ id: "__proto__", interfaces: [{ router: "A" }] }],
+    })
+  );
+  assert.deepEqual(codes(errors), ["INVALID_NODE_ID nodes[1]", "INVALID_LAN_ID lans[0]"]);
+});
+
+test("link errors keep the index the link had in the request", () => {
+  const { errors } = validateTopology(
+    normalizeTopology(null, {
+      nodes: ["A", "B"],
+      links: [null, { source: "A", target: "B", cost: 1 }, { source: "A", target: "X", cost: 1 }],
+    })
+  );
+  assert.deepEqual(codes(errors), ["INVALID_LINK links[0]", "UNKNOWN_ENDPOINT links[2].target"]);
+});
@@ -0,0 +1,172 @@
+// --- SPF Benchmark ---
+// Measures the SPF engine on generated topologies and checks that every shortcut agrees with
+// a full Dijkstra run:
+//   legacy      the sort-on-every-insert queue the engine used to have (kept here for comparison)
+//   heap        dijkstra() from spf.js
+//   cache       spfCache miss against a hit on the same topology version's graph rebuilt from scratch
+//   incremental updateSpf() after one link-cost change against a full run on the changed graph
+//   zero-cost   links set to cost 0 through spfCache.carryOver(), which must fall back to a full run
+// Run: npm run benchmark -- [--sizes 1000,5000,10000] [--changes 20] [--seed 1]
+
+const { performance } = require("perf_hooks");
+const { dijkstra, updateSpf } = require("../spf");
+const spfCache = require("../spfCache");
+const { generateTopology, toGraph, seededRandom } = require("./generateTopology");
+
+class LegacyPriorityQueue {
+  constructor() {
+    this.values = [];
+  }
+  enqueue(element, priority) {
+    this.values.push({ element, priority });
+    this.values.sort((a, b) => a.priority - b.priority);
+  }
+  dequeue() {
+    return this.values.shift();
+  }
+  isEmpty() {
+    return this.values.length === 0;
+  }
+}
+
+// The engine's Dijkstra as it ran on the legacy queue (distances and predecessors only)
+const legacyDijkstra = (graph, startNode) => {
+  const distances = {};
+  const predecessors = {};
+  const settled = new Set();
+  const pq = new LegacyPriorityQueue();
+  for (const node in graph) {
+    distances[node] = node === startNode ? 0 : Infinity;
+    predecessors[node] = [];
+  }
+  pq.enqueue(startNode, 0);
+  while (!pq.isEmpty()) {
+    const { element: current } = pq.dequeue();
+    if (settled.has(current)) continue;
+    settled.add(current);
+    for (const neighbor in graph[current]) {
+      const newDist = distances[current] + graph[current][neighbor];
+      if (newDist < distances[neighbor]) {
+        distances[neighbor] = newDist;
+        predecessors[neighbor] = [current];
+        pq.enqueue(neighbor, newDist);
+      } else if (newDist === distances[neighbor] && neighbor !== startNode && !settled.has(neighbor)) {
+        predecessors[neighbor].push(current);
+      }
+    }
+  }
+  return { distances, predecessors };
+};
+
+const time = (fn) => {
+  const started = performance.now();
+  const result = fn();
+  return { result, ms: performance.now() - started };
+};
+
+const round = (ms) => Math.round(ms * 100) / 100;
+
+// Same distances and the same predecessors (the legacy run kept them in settle order, so compare as sets)
+const sameSpf = (a, b, { ordered = true } = {}) =>
+  Object.keys(a.distances).every((node) => {
+    if (a.distances[node] !== b.distances[node]) return false;
+    const pa = ordered ? a.predecessors[node] : [...a.predecessors[node]].sort();
+    const pb = ordered ? b.predecessors[node] : [...b.predecessors[node]].sort();
+    return pa.length === pb.length && pa.every((p, i) => p === pb[i]);
+  });
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) args[argv[i].replace(/^--/, "")] = argv[i + 1];
+  return {
+    sizes: (args.sizes || "1000,5000,10000").split(",").map(Number),
+    changes: Number(args.changes ?? 20),
+    seed: Number(args.seed ?? 1),
+  };
+};
+
+const benchmarkSize = (routers, { changes, seed }) => {
+  const topology = generateTopology({ routers, seed });
+  const graph = toGraph(topology);
+  const root = "R1";
+  const random = seededRandom(seed + routers);
+  const row = { routers, links: topology.links.length };
+  let consistent = true;
+
+  const legacy = time(() => legacyDijkstra(graph, root));
+  const heap = time(() => dijkstra(graph, root));
+  consistent = consistent && sameSpf(legacy.result, heap.result, { ordered: false });
+  row.legacyMs = round(legacy.ms);
+  row.heapMs = round(heap.ms);
+  row.queueSpeedup = `${round(legacy.ms / heap.ms)}x`;
+
+  spfCache.clear();
+  let version = 1;
+  spfCache.identify(graph, "benchmark", version);
+  const miss = time(() => spfCache.shortestPaths(graph, root));
+  // A graph rebuilt from the same stored version, as every request does: SPF skipped
+  const rebuilt = spfCache.identify(toGraph(topology), "benchmark", version);
+  const hit = time(() => spfCache.shortestPaths(rebuilt, root));
+  consistent = consistent && hit.result === miss.result;
+  row.cacheMissMs = round(miss.ms);
+  row.cacheHitMs = round(hit.ms);
+
+  // Alternate cheaper and more expensive costs on random links
+  let fullMs = 0;
+  let incrementalMs = 0;
+  let affected = 0;
+  // Repaired in place by updateSpf after every change
+  const current = dijkstra(graph, root);
+  let currentGraph = graph;
+  for (let i = 0; i < changes; i++) {
+    const link = topology.links[Math.floor(random() * topology.links.length)];
+    const oldCost = currentGraph[link.source][link.target];
+    const newCost = i % 2 === 0 ? Math.max(1, Math.floor(oldCost / 4)) : oldCost * 4;
+    currentGraph = { ...currentGraph, [link.source]: { ...currentGraph[link.source], [link.target]: newCost } };
+    const full = time(() => dijkstra(currentGraph, root));
+    const incremental = time(() => updateSpf(currentGraph, root, current, { source: link.source, target: link.target, oldCost, newCost }));
+    consistent = consistent && sameSpf(full.result, current);
+    fullMs += full.ms;
+    incrementalMs += incremental.ms;
+    affected += incremental.result;
+  }
+  // Free links (both directions at 0) create equal-distance neighbors; the cache must not repair those
+  for (let i = 0; i < Math.min(changes, 4); i++) {
+    const link = topology.links[Math.floor(random() * topology.links.length)];
+    spfCache.clear();
+    spfCache.shortestPaths(spfCache.identify(currentGraph, "benchmark", ++version), root);
+    const zeroGraph = spfCache.identify(
+      {
+        ...currentGraph,
+        [link.source]: { ...currentGraph[link.source], [link.target]: 0 },
+        [link.target]: { ...currentGraph[link.target], [link.source]: 0 },
+      },
+      "benchmark",
+      ++version
+    );
+    spfCache.carryOver(currentGraph, zeroGraph);
+    consistent = consistent && sameSpf(dijkstra(zeroGraph, root), spfCache.shortestPaths(zeroGraph, root));
+    currentGraph = zeroGraph;
+  }
+  if (changes > 0) {
+    row.fullSpfMs = round(fullMs / changes);
+    row.incrementalMs = round(incrementalMs / changes);
+    row.avgAffected = Math.round(affected / changes);
+  }
+  row.consistent = consistent;
+  return row;
+};
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  const rows = [];
+  for (const size of options.sizes) {
+    console.log(`⏱️ Benchmarking ${size} routers...`);
+    rows.push(benchmarkSize(size, options));
+  }
+  console.table(rows);
+  if (rows.some((row) => !row.consistent)) {
+    console.error("❌ An optimised result differs from the full SPF run");
+    process.exit(1);
+  }
+}
@@ -0,0 +1,88 @@
+// --- Large Topology Generator ---
+// Writes a random but reproducible topology for load testing: a random spanning tree keeps
+// every router reachable, then extra links are added until the average degree is reached.
+// Run: npm run generate-topology -- --routers 10000 [--degree 4] [--seed 1] [--max-cost 100] [--out file.json]
+// The output is a topology document ({ name, nodes, links }) that can be POSTed to /api/topologies,
+// or with --format adjacency a { router: { neighbor: cost } } map like network_data.json.
+
+const fs = require("fs");
+const path = require("path");
+
+// mulberry32: a tiny seeded PRNG, so the same seed always yields the same network
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const generateTopology = ({ routers = 1000, degree = 4, seed = 1, maxCost = 100 } = {}) => {
+  const random = seededRandom(seed);
+  const pick = (n) => Math.floor(random() * n);
+  const ids = Array.from({ length: routers }, (_, i) => `R${i + 1}`);
+  const links = [];
+  const seen = new Set();
+  const connect = (a, b) => {
+    const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+    if (a === b || seen.has(key)) return false;
+    seen.add(key);
+    links.push({ source: ids[a], target: ids[b], cost: 1 + pick(maxCost) });
+    return true;
+  };
+
+  for (let i = 1; i < routers; i++) connect(i, pick(i));
+  const target = Math.max(routers - 1, Math.round((routers * degree) / 2));
+  // Bounded so a degree the router count cannot support does not loop forever
+  for (let attempts = 0; links.length < target && attempts < target * 10; attempts++) connect(pick(routers), pick(routers));
+
+  return {
+    name: `Generated ${routers} routers (seed ${seed})`,
+    nodes: ids.map((id) => ({ id, label: id })),
+    links,
+  };
+};
+
+// The same network as an adjacency map, the format of network_data.json
+const toGraph = (topology) => {
+  const graph = {};
+  for (const node of topology.nodes) graph[node.id] = {};
+  for (const link of topology.links) {
+    graph[link.source][link.target] = link.cost;
+    graph[link.target][link.source] = link.cost;
+  }
+  return graph;
+};
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (!argv[i].startsWith("--")) throw new Error(`Unexpected argument ${argv[i]}`);
+    args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+};
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const options = {
+    routers: Number(args.routers ?? 10000),
+    degree: Number(args.degree ?? 4),
+    seed: Number(args.seed ?? 1),
+    maxCost: Number(args["max-cost"] ?? 100),
+  };
+  if (!Number.isInteger(options.routers) || options.routers < 2) {
+    console.error("❌ --routers must be an integer of at least 2");
+    process.exit(1);
+  }
+  const topology = generateTopology(options);
+  const out = args.out || path.join(__dirname, "..", "data", "generated", `routers-${options.routers}-seed-${options.seed}.json`);
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, JSON.stringify(args.format === "adjacency" ? toGraph(topology) : topology));
+  console.log(`✅ Wrote ${topology.nodes.length} routers and ${topology.links.length} links to ${out}`);
+}
+
+module.exports = { generateTopology, toGraph, seededRandom };
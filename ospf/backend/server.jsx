@@ -4,128 +4,1322 @@
 const express = require("express");
 const cors = require("cors");
 const fs = require("fs");
+const crypto = require("crypto");
+const { dijkstra } = require("./spf");
+const spfCache = require("./spfCache");
+const liveUpdates = require("./liveUpdates");
+const topologyStore = require("./topologyStore");
+const topologyFormats = require("./topologyFormats");
+const { OspfSimulation, DEFAULT_TIMERS } = require("./ospfSimulator");
+const { computeFastReroute, summarizeCoverage } = require("./fastReroute");
+const { analyzeResilience, minCut, disjointPaths } = require("./resilience");
+const { findPaths } = require("./pathQuery");
+const { computeAllPairs } = require("./allPairs");
+const { analyzeUtilization, optimizeCosts, DEFAULT_MAX_ITERATIONS, DEFAULT_MAX_EVALUATIONS } = require("./traffic");
+const { parseAddress, parsePrefix, longestMatch } = require("./prefixes");
+const {
+  cachedRoutingTable,
+  computeRoutingTable,
+  isMultiArea,
+  buildAreaModel,
+  outgoingInterface,
+  lookupRoute,
+  electAllLans,
+  pseudoNodesOf,
+  referenceBandwidthOf,
+  linkCostsOf,
+  validateTopology,
+  normalizeRouter,
+  normalizeLink,
+  TOPOLOGY_SECTIONS,
+  normalizeTopology,
+  graphToTopology,
+  validateTopologyDocument,
+  routingTablesOf,
+} = require("./routing");
 
 const app = express();
-const PORT = 3001;
+const PORT = process.env.PORT || 3001;
+// Bumped whenever the shape of a versioned API response changes
+const API_VERSION = 1;
 
 app.use(
   cors({
     origin: "http://localhost:5173",
   })
 );
-app.use(express.json());
+// Imported topologies travel as a string inside the JSON body, so allow larger documents
+app.use(express.json({ limit: "5mb" }));
 
-// ---------------- Dijkstra + OSPF Core ----------------
-class PriorityQueue {
-  constructor() {
-    this.values = [];
-  }
-  enqueue(element, priority) {
-    this.values.push({ element, priority });
-    this.values.sort((a, b) => a.priority - b.priority);
-  }
-  dequeue() {
-    return this.values.shift();
-  }
-  isEmpty() {
-    return this.values.length === 0;
-  }
-}
+// ---------------- Legacy Network Data ----------------
+// Routing itself lives in routing.js (on top of the SPF engine in spf.js and its cache in spfCache.js)
 
+// Parsed once and reused until the file's modification time changes.
+// The same object is handed to every caller, so it must not be modified.
+// Like validateTopology's graphs it has no prototypes, so graph[id] only finds listed routers.
+let networkData = { mtimeMs: null, graph: {} };
+const withoutPrototype = (key, value) => (value && typeof value === "object" && !Array.isArray(value) ? Object.assign(Object.create(null), value) : value);
 const loadNetworkData = () => {
   try {
-    const data = fs.readFileSync("network_data.json", "utf8");
-    console.log("✅ Loaded network_data.json");
-    return JSON.parse(data);
+    const { mtimeMs } = fs.statSync("network_data.json");
+    if (mtimeMs !== networkData.mtimeMs) {
+      networkData = { mtimeMs, graph: JSON.parse(fs.readFileSync("network_data.json", "utf8"), withoutPrototype) };
+      console.log("✅ Loaded network_data.json");
+    }
+    return networkData.graph;
   } catch (err) {
     console.error("❌ Error reading network_data.json:", err.message);
+    networkData = { mtimeMs: null, graph: {} };
     return {};
   }
 };
 
-const dijkstra = (graph, startNode) => {
-  const distances = {};
-  const previous = {};
-  const pq = new PriorityQueue();
+// Structured error body shared by the versioned endpoints
+const sendError = (res, status, code, message, details) => {
+  const error = { code, message };
+  if (details) error.details = details;
+  return res.status(status).json({ apiVersion: API_VERSION, error });
+};
+
+// maxPaths may come from a query string or a JSON body; absent means unlimited
+const parseMaxPaths = (value) => {
+  if (value === undefined || value === null || value === "") return { maxPaths: undefined };
+  const maxPaths = Number(value);
+  if (!Number.isInteger(maxPaths) || maxPaths < 1) {
+    return { error: { code: "INVALID_MAX_PATHS", message: "maxPaths must be a positive integer." } };
+  }
+  return { maxPaths };
+};
+
+// Versioned SPF response: distance/predecessor maps plus a ready-to-render routing table.
+// Unreachable routers have a null distance (JSON has no Infinity).
+// predecessor keeps one parent per router; predecessors holds every equal-cost parent.
+// Multi-area topologies add routeType ("O", "O IA", "O*IA"...), area info and the default route.
+// AS-external routes follow the router rows, with the prefix as destination ("O E1", "O E2"...).
+// Topologies with subnets also get prefixTable: every internal and external prefix the router can reach.
+const buildSpfResponse = (topology, graph, source, options = {}) => {
+  const model = isMultiArea(topology) ? buildAreaModel(topology, graph) : null;
+  const { routingResults, paths, predecessors, sptEdges, defaultRoute = null, prefixRoutes, externalRoutes = {} } = computeRoutingTable(
+    topology,
+    graph,
+    source,
+    options,
+    model
+  );
+  const distance = { [source]: 0 };
+  const routingTable = [];
 
-  if (!graph[startNode]) return { distances: {}, paths: {} };
+  for (const dest in routingResults) {
+    const { cost, nextHop, nextHops, routeType, area, viaAbr, viaDefault } = routingResults[dest];
+    const reachable = cost !== Infinity;
+    distance[dest] = reachable ? cost : null;
+    const row = {
+      destination: dest,
+      cost: reachable ? cost : null,
+      nextHop: reachable ? nextHop : null,
+      nextHops,
+      routeType,
+      reachable,
+    };
+    if (area !== undefined) row.area = area;
+    if (viaAbr) row.viaAbr = viaAbr;
+    if (viaDefault) row.viaDefault = true;
+    routingTable.push(row);
+  }
+  for (const prefix in externalRoutes) {
+    const { cost, nextHop, nextHops, routeType, ...external } = externalRoutes[prefix];
+    routingTable.push({ destination: prefix, cost, nextHop, nextHops, routeType, reachable: true, ...external });
+  }
 
-  for (const node in graph) {
-    distances[node] = node === startNode ? 0 : Infinity;
-    previous[node] = null;
-    pq.enqueue(node, distances[node]);
+  const response = {
+    apiVersion: API_VERSION,
+    source,
+    maxPaths: options.maxPaths ?? null,
+    distance,
+    predecessor: paths,
+    predecessors,
+    routingTable,
+    sptEdges,
+    referenceBandwidth: referenceBandwidthOf(topology),
+    linkCosts: linkCostsOf(topology),
+  };
+  if (topology.lans) response.lans = electAllLans(topology);
+  if (prefixRoutes) {
+    response.prefixTable = [
+      ...Object.entries(prefixRoutes).map(([prefix, route]) => ({ prefix, ...route })),
+      ...Object.entries(externalRoutes).map(([prefix, route]) => ({ prefix, ...route, family: parsePrefix(prefix).family })),
+    ];
   }
+  // Multi-area routes come from several per-area runs, so there is no single trace to replay
+  if (options.trace) response.trace = model ? null : dijkstra(graph, source, { trace: true }).trace;
+  if (model) {
+    const routerAreas = {};
+    for (const router in model.routerAreas) routerAreas[router] = [...model.routerAreas[router]];
+    response.areas = { routerAreas, abrs: model.abrs, config: model.config, defaultRoute };
+  }
+  return response;
+};
+
+// ---------------- Topology Documents ----------------
+// The document layout and its normalisation live in routing.js; IDs name stored topologies in URLs
+const TOPOLOGY_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Seed the store from network_data.json so a fresh install has something to show
+if (!topologyStore.has("default")) {
+  topologyStore.save(graphToTopology("default", "Default lab (network_data.json)", loadNetworkData()));
+}
 
-  while (!pq.isEmpty()) {
-    const { element: current } = pq.dequeue();
+// Finds the topology a request refers to: a stored one by ID (?topology= or body.topology)
+// or an inline { nodes, links } body. Sends the error response itself and returns null on failure.
+const resolveRequestTopology = (req, res) => {
+  const id = req.body?.topology ?? req.query.topology;
+  let topology;
 
-    for (const neighbor in graph[current]) {
-      const newDist = distances[current] + graph[current][neighbor];
-      if (newDist < distances[neighbor]) {
-        distances[neighbor] = newDist;
-        previous[neighbor] = current;
-        pq.enqueue(neighbor, newDist);
-      }
+  if (typeof id === "string") {
+    topology = topologyStore.get(id);
+    if (!topology) {
+      sendError(res, 404, "TOPOLOGY_NOT_FOUND", `Topology ${id} does not exist.`);
+      return null;
     }
+  } else if (req.body?.nodes) {
+    topology = normalizeTopology(null, req.body);
+  } else {
+    sendError(res, 400, "MISSING_TOPOLOGY", "Name a stored topology or send { nodes, links } in the body.");
+    return null;
   }
 
-  return { distances, paths: previous };
+  const { graph, errors } = validateTopology(topology);
+  if (errors.length > 0) {
+    sendError(res, 400, "INVALID_TOPOLOGY", "The submitted topology is invalid.", errors);
+    return null;
+  }
+  if (typeof id === "string") spfCache.identify(graph, topology.id, topology.version);
+  return { topology, graph };
 };
 
-// Generate full routing table for all nodes (SPT)
-const calculateRoutingTable = (graph, startRouter) => {
-  const { distances, paths } = dijkstra(graph, startRouter);
-  const routingResults = {};
+// Graph of a stored topology, named in the SPF cache by its ID and version
+const storedGraph = (topology) => spfCache.identify(validateTopology(topology).graph, topology.id, topology.version);
 
-  for (const dest in graph) {
-    if (dest === startRouter) continue;
-    let nextHop = dest;
-    if (distances[dest] !== Infinity) {
-      let current = dest;
-      while (paths[current] !== startRouter && paths[current] !== null) {
-        current = paths[current];
-      }
-      nextHop = current;
-    }
-    routingResults[dest] = {
-      cost: distances[dest],
-      nextHop: distances[dest] === Infinity ? "Unreachable" : nextHop,
-    };
+// ---------------- Failure What-If ----------------
+// Failed links are removed in both directions. A failed router keeps its entry in the
+// graph but loses every adjacency, so it shows up as unreachable instead of vanishing.
+// The topology document is trimmed the same way so area-aware routing sees the failure too.
+const applyFailures = (topology, graph, failedLinks, failedRouters) => {
+  const failed = {};
+  for (const node in graph) failed[node] = { ...graph[node] };
+
+  for (const [a, b] of failedLinks) {
+    delete failed[a][b];
+    delete failed[b][a];
   }
+  for (const router of failedRouters) {
+    for (const neighbor in failed[router]) delete failed[neighbor][router];
+    failed[router] = {};
+  }
+
+  const isFailed = (a, b) =>
+    failedRouters.includes(a) ||
+    failedRouters.includes(b) ||
+    failedLinks.some(([x, y]) => (x === a && y === b) || (x === b && y === a));
+  const trimmed = { ...topology, links: topology.links.filter((link) => !isFailed(link.source, link.target)) };
+  if (topology.lans) {
+    // A LAN interface fails with its router or as a "Router-LAN" pair
+    trimmed.lans = topology.lans.map((lan) => ({
+      ...lan,
+      interfaces: lan.interfaces.filter((iface) => !isFailed(iface.router, lan.id)),
+    }));
+  }
+  return { topology: trimmed, graph: failed };
+};
 
-  // Compute all edges belonging to shortest-path tree
-  const sptEdges = [];
-  for (const dest in paths) {
-    let cur = dest;
-    while (paths[cur] && paths[cur] !== startRouter) {
-      const prev = paths[cur];
-      sptEdges.push([cur, prev].sort().join("-"));
-      cur = prev;
+// Accepts link IDs from the topology, "A-B" router pairs or { source, target } objects.
+// Router IDs must be strings: ["A"] would find router A through its string form and then never match.
+const resolveFailedLinks = (topology, graph, failedLinks = []) => {
+  const pairs = [];
+  const errors = [];
+
+  failedLinks.forEach((ref, i) => {
+    let pair = null;
+    if (ref && typeof ref === "object" && typeof ref.source === "string" && typeof ref.target === "string") {
+      pair = [ref.source, ref.target];
+    } else if (typeof ref === "string") {
+      const link = topology.links.find((l) => l.id === ref);
+      pair = link ? [link.source, link.target] : ref.split("-");
+    } else {
+      errors.push({
+        code: "INVALID_LINK",
+        path: `failedLinks[${i}]`,
+        message: "A failed link is a link ID, an \"A-B\" router pair or a { source, target } object of router IDs.",
+      });
+      return;
+    }
+    if (pair.length !== 2 || !graph[pair[0]] || graph[pair[0]][pair[1]] === undefined) {
+      errors.push({ code: "UNKNOWN_LINK", path: `failedLinks[${i}]`, message: `Link ${JSON.stringify(ref)} is not part of the topology.` });
+    } else {
+      pairs.push(pair);
     }
-    if (paths[cur] === startRouter) {
-      sptEdges.push([cur, startRouter].sort().join("-"));
+  });
+  return { pairs, errors };
+};
+
+// External prefixes share the map with router destinations; they never collide (prefixes have a "/")
+const serializeRoutes = ({ routingResults, externalRoutes = {} }) => {
+  const routes = {};
+  for (const dest in routingResults) {
+    const { cost, nextHop, nextHops, routeType } = routingResults[dest];
+    routes[dest] = cost === Infinity ? { cost: null, nextHop: null, nextHops: [], routeType: null } : { cost, nextHop, nextHops, routeType };
+  }
+  for (const prefix in externalRoutes) {
+    const { cost, nextHop, nextHops, routeType, forwardingRouter } = externalRoutes[prefix];
+    routes[prefix] = { cost, nextHop, nextHops, routeType, forwardingRouter };
+  }
+  return routes;
+};
+
+// Compares two serialized routing tables of the same router
+const diffRoutes = (before, after) => {
+  const changed = [];
+  const unreachable = [];
+
+  for (const dest in before) {
+    const was = before[dest];
+    const now = after[dest] || { cost: null, nextHop: null, nextHops: [] };
+    if (was.cost === null) continue;
+    if (now.cost === null) {
+      unreachable.push({ destination: dest, before: was });
+    } else if (was.cost !== now.cost || [...was.nextHops].sort().join() !== [...now.nextHops].sort().join()) {
+      changed.push({ destination: dest, before: was, after: now });
     }
   }
+  return { changed, unreachable };
+};
+
+// Before/after routing tables for every router plus what changed for each of them
+const simulateFailures = (topology, graph, failedLinks, failedRouters, options = {}) => {
+  const failed = applyFailures(topology, graph, failedLinks, failedRouters);
+  const multiArea = isMultiArea(topology);
+  const beforeModel = multiArea ? buildAreaModel(topology, graph) : null;
+  const afterModel = multiArea ? buildAreaModel(failed.topology, failed.graph) : null;
+  const routers = {};
 
-  console.log(`📡 SPF Tree edges for ${startRouter}:`, [...new Set(sptEdges)]);
+  for (const router in graph) {
+    const before = computeRoutingTable(topology, graph, router, options, beforeModel);
+    const beforeRoutes = serializeRoutes(before);
 
-  return { routingResults, paths, sptEdges: [...new Set(sptEdges)], networkTopology: graph };
+    if (failedRouters.includes(router)) {
+      routers[router] = { failed: true, before: { routes: beforeRoutes, sptEdges: before.sptEdges }, after: null };
+      continue;
+    }
+
+    const after = computeRoutingTable(failed.topology, failed.graph, router, options, afterModel);
+    const afterRoutes = serializeRoutes(after);
+    routers[router] = {
+      failed: false,
+      before: { routes: beforeRoutes, sptEdges: before.sptEdges },
+      after: { routes: afterRoutes, sptEdges: after.sptEdges },
+      ...diffRoutes(beforeRoutes, afterRoutes),
+    };
+  }
+  return routers;
 };
 
 // ---------------- API ----------------
+// Without ?topology= the legacy network_data.json file is used
 app.get("/api/calculate", (req, res) => {
   const startRouter = req.query.start;
-  const graph = loadNetworkData();
+  let graph;
+  let topology = null;
 
-  if (!startRouter || !graph[startRouter]) {
-    return res.status(400).json({ error: "Invalid or missing start router ID." });
+  if (req.query.topology) {
+    topology = topologyStore.get(req.query.topology);
+    if (!topology) {
+      return sendError(res, 404, "TOPOLOGY_NOT_FOUND", `Topology ${req.query.topology} does not exist.`);
+    }
+    graph = storedGraph(topology);
+  } else {
+    graph = loadNetworkData();
   }
 
-  const result = calculateRoutingTable(graph, startRouter);
+  if (!startRouter) return sendError(res, 400, "MISSING_START", "A start router ID is required (?start=).");
+  if (!graph[startRouter]) return sendError(res, 422, "UNKNOWN_START", `Start router ${startRouter} is not part of the topology.`);
+  const { maxPaths, error } = parseMaxPaths(req.query.maxPaths);
+  if (error) return sendError(res, 400, error.code, error.message);
+
+  const result = topology
+    ? computeRoutingTable(topology, graph, startRouter, { maxPaths })
+    : cachedRoutingTable(graph, startRouter, { maxPaths });
+  console.log(`📡 SPF Tree edges for ${startRouter}:`, result.sptEdges);
   console.log(`✅ SPF Tree computed for source: ${startRouter}`);
   res.json(result);
 });
 
+// Computes SPF on a topology supplied in the request body: { nodes, links, areas?, source, maxPaths?, trace? }
+// trace: true adds the step-by-step Dijkstra run (see dijkstra) for single-area topologies
+app.post("/calculate-ospf", (req, res) => {
+  const { source, trace = false } = req.body || {};
+  const { maxPaths, error } = parseMaxPaths(req.body?.maxPaths);
+  if (error) return sendError(res, 400, error.code, error.message);
+  if (typeof trace !== "boolean") return sendError(res, 400, "INVALID_TRACE", "trace must be true or false.");
+  const topology = normalizeTopology(null, req.body || {});
+  const { graph, errors } = validateTopology(topology);
+
+  if (errors.length > 0) {
+    return sendError(res, 400, "INVALID_TOPOLOGY", "The submitted topology is invalid.", errors);
+  }
+  if (source === undefined || source === null || source === "") {
+    return sendError(res, 400, "MISSING_SOURCE", "A source router ID is required.");
+  }
+  // ["R1"] would otherwise find router R1 through its string form
+  if (typeof source !== "string") {
+    return sendError(res, 400, "INVALID_SOURCE", "The source router ID must be a string.");
+  }
+  if (!graph[source] || pseudoNodesOf(topology, graph).has(source)) {
+    return sendError(res, 422, "UNKNOWN_SOURCE", `Source router ${source} is not part of the topology.`);
+  }
+
+  const result = buildSpfResponse(topology, graph, source, { maxPaths, trace });
+  console.log(`✅ SPF Tree computed for submitted topology, source: ${source}`);
+  res.json(result);
+});
+
+// What-if: { topology | nodes+links, failedLinks: [...], failedRouters: [...] }
+app.post("/api/what-if", (req, res) => {
+  const resolved = resolveRequestTopology(req, res);
+  if (!resolved) return;
+  const { topology, graph } = resolved;
+
+  const failedRouters = req.body.failedRouters || [];
+  const failedLinks = req.body.failedLinks || [];
+  if (!Array.isArray(failedRouters) || !Array.isArray(failedLinks)) {
+    return sendError(res, 400, "INVALID_FAILURES", "failedLinks and failedRouters must be arrays.");
+  }
+
+  const { pairs, errors } = resolveFailedLinks(topology, graph, failedLinks);
+  failedRouters.forEach((router, i) => {
+    if (typeof router !== "string") {
+      errors.push({ code: "INVALID_ROUTER", path: `failedRouters[${i}]`, message: "A failed router is given by its router ID." });
+    } else if (!graph[router]) {
+      errors.push({ code: "UNKNOWN_ROUTER", path: `failedRouters[${i}]`, message: `Router ${router} is not part of the topology.` });
+    }
+  });
+  if (errors.length > 0) {
+    return sendError(res, 400, "INVALID_FAILURES", "Some failed elements do not exist in the topology.", errors);
+  }
+
+  const { maxPaths, error } = parseMaxPaths(req.body.maxPaths);
+  if (error) return sendError(res, 400, error.code, error.message);
+
+  const routers = simulateFailures(topology, graph, pairs, failedRouters, { maxPaths });
+  console.log(`💥 What-if computed: ${pairs.length} failed link(s), ${failedRouters.length} failed router(s)`);
+  res.json({
+    apiVersion: API_VERSION,
+    topology: topology.id ? { id: topology.id, version: topology.version } : null,
+    failedLinks: pairs.map(([source, target]) => ({ source, target })),
+    failedRouters,
+    routers,
+  });
+});
+
+// ---------------- Fast Reroute (LFA / Remote LFA) ----------------
+// Body: { topology | nodes+links, routers?: [...], remoteLfa?: boolean }
+app.post("/api/fast-reroute", (req, res) => {
+  const resolved = resolveRequestTopology(req, res);
+  if (!resolved) return;
+  const { topology, graph } = resolved;
+  if (isMultiArea(topology)) {
+    return sendError(res, 422, "UNSUPPORTED_TOPOLOGY", "Fast-reroute analysis only supports single-area topologies.");
+  }
+
+  const pseudoNodes = pseudoNodesOf(topology, graph);
+  const { routers, remoteLfa = true } = req.body;
+  if (routers !== undefined) {
+    if (!Array.isArray(routers)) {
+      return sendError(res, 400, "INVALID_ROUTERS", "routers must be an array of router IDs.");
+    }
+    const unknown = routers.filter((router) => !graph[router] || pseudoNodes.has(router));
+    if (unknown.length > 0) {
+      return sendError(res, 422, "UNKNOWN_ROUTER", `Unknown router(s): ${unknown.join(", ")}.`);
+    }
+  }
+  if (typeof remoteLfa !== "boolean") {
+    return sendError(res, 400, "INVALID_REMOTE_LFA", "remoteLfa must be true or false.");
+  }
+
+  const result = computeFastReroute(graph, { pseudoNodes, routers, remoteLfa });
+  const coverage = summarizeCoverage(result);
+  console.log(`🛡️ Fast-reroute computed for ${Object.keys(result).length} router(s), coverage ${coverage.percent}%`);
+  res.json({
+    apiVersion: API_VERSION,
+    topology: topology.id ? { id: topology.id, version: topology.version } : null,
+    remoteLfa,
+    coverage,
+    routers: result,
+  });
+});
+
+// ---------------- All-Pairs Matrix ----------------
+// Multi-area routes depend on area boundaries, so those topologies take the per-router routing table path
+const sendAllPairs = (res, topology, graph) => {
+  const pseudoNodes = pseudoNodesOf(topology, graph);
+  const model = isMultiArea(topology) ? buildAreaModel(topology, graph) : null;
+  const started = Date.now();
+  const matrix = computeAllPairs(graph, {
+    pseudoNodes,
+    routesFor: model ? (router) => computeRoutingTable(topology, graph, router, {}, model).routingResults : undefined,
+  });
+  const elapsedMs = Date.now() - started;
+  console.log(`🗺️ All-pairs matrix for ${matrix.routers.length} routers computed in ${elapsedMs} ms`);
+  res.json({
+    apiVersion: API_VERSION,
+    topology: topology.id ? { id: topology.id, version: topology.version } : null,
+    elapsedMs,
+    ...matrix,
+  });
+};
+
+// Without ?topology= the legacy network_data.json file is used, like /api/calculate
+app.get("/api/analysis/all-pairs", (req, res) => {
+  if (!req.query.topology) {
+    const graph = loadNetworkData();
+    return sendAllPairs(res, graphToTopology(null, null, graph), graph);
+  }
+  const resolved = resolveRequestTopology(req, res);
+  if (!resolved) return;
+  sendAllPairs(res, resolved.topology, resolved.graph);
+});
+
+// Body: { topology | nodes+links }
+app.post("/api/analysis/all-pairs", (req, res) => {
+  const resolved = resolveRequestTopology(req, res);
+  if (!resolved) return;
+  sendAllPairs(res, resolved.topology, resolved.graph);
+});
+
+// ---------------- Path Query ----------------
+// Query strings carry lists as "R3,R5"; JSON bodies may use arrays
+const listParam = (value) => {
+  if (value === undefined || value === "") return [];
+  if (Array.isArray(value)) return value;
+  return typeof value === "string" ? value.split(",").map((item) => item.trim()) : null;
+};
+
+// params: { from, to, avoidRouters?, avoidLinks?, maxHops? }; avoided LANs may be named in avoidRouters
+const sendPathQuery = (res, topology, graph, params) => {
+  const { from, to } = params;
+  if (!from || !to) return sendError(res, 400, "MISSING_ENDPOINT", "Both from and to are required.");
+  if (isMultiArea(topology)) {
+    return sendError(res, 422, "UNSUPPORTED_TOPOLOGY", "Path queries only support single-area topologies.");
+  }
+  const pseudoNodes = pseudoNodesOf(topology, graph);
+  const unknown = [from, to].filter((router) => !graph[router] || pseudoNodes.has(router));
+  if (unknown.length > 0) return sendError(res, 422, "UNKNOWN_ROUTER", `Unknown router(s): ${unknown.join(", ")}.`);
+  if (from === to) return sendError(res, 400, "SAME_ENDPOINTS", "from and to must be different routers.");
+
+  const avoidRouters = listParam(params.avoidRouters);
+  const avoidLinks = listParam(params.avoidLinks);
+  if (!avoidRouters || !avoidLinks) {
+    return sendError(res, 400, "INVALID_CONSTRAINTS", "avoidRouters and avoidLinks must be arrays or comma-separated lists.");
+  }
+  let maxHops;
+  if (params.maxHops !== undefined && params.maxHops !== "") {
+    maxHops = Number(params.maxHops);
+    if (!Number.isInteger(maxHops) || maxHops < 1) {
+      return sendError(res, 400, "INVALID_MAX_HOPS", "maxHops must be a positive integer.");
+    }
+  }
+
+  const { pairs, errors } = resolveFailedLinks(topology, graph, avoidLinks);
+  errors.forEach((e) => (e.path = e.path.replace("failedLinks", "avoidLinks")));
+  avoidRouters.forEach((router, i) => {
+    if (!graph[router]) {
+      errors.push({ code: "UNKNOWN_ROUTER", path: `avoidRouters[${i}]`, message: `Router ${router} is not part of the topology.` });
+    } else if (router === from || router === to) {
+      errors.push({ code: "AVOIDED_ENDPOINT", path: `avoidRouters[${i}]`, message: `Router ${router} is an endpoint of the path.` });
+    }
+  });
+  if (errors.length > 0) {
+    return sendError(res, 400, "INVALID_CONSTRAINTS", "Some avoided elements are not valid.", errors);
+  }
+
+  const constrained = applyFailures(topology, graph, pairs, avoidRouters).graph;
+  const result = findPaths(constrained, from, to, { pseudoNodes, maxHops });
+  console.log(`🧭 Path query ${from} → ${to}: ${result.reachable ? `cost ${result.cost}, ${result.paths.length} path(s)` : "no path"}`);
+  res.json({
+    apiVersion: API_VERSION,
+    topology: topology.id ? { id: topology.id, version: topology.version } : null,
+    from,
+    to,
+    constraints: {
+      avoidRouters,
+      avoidLinks: pairs.map(([source, target]) => ({ source, target })),
+      maxHops: maxHops ?? null,
+    },
+    ...result,
+  });
+};
+
+// GET /api/path?from=R1&to=R9[&avoidRouters=R3,R5][&avoidLinks=R1-R2][&maxHops=3][&topology=id]
+// Without ?topology= the legacy network_data.json file is used, like /api/calculate
+app.get("/api/path", (req, res) => {
+  if (!req.query.topology) {
+    const graph = loadNetworkData();
+    return sendPathQuery(res, graphToTopology(null, null, graph), graph, req.query);
+  }
+  const resolved = resolveRequestTopology(req, res);
+  if (!resolved) return;
+  sendPathQuery(res, resolved.topology, resolved.graph, req.query);
+});
+
+// Body: { topology | nodes+links, from, to, avoidRouters?, avoidLinks?, maxHops? }
+app.post("/api/path", (req, res) => {
+  const resolved = resolveRequestTopology(req, res);
+  if (!resolved) return;
+  sendPathQuery(res, resolved.topology, resolved.graph, req.body);
+});
+
+// ---------------- Prefix Lookup ----------------
+// Longest prefix router itself redistributes (its own external routes are not in its OSPF table)
+const ownExternalMatch = (topology, router, address) =>
+  longestMatch(
+    (topology.externalRoutes || []).filter((ext) => ext.asbr === router).map((ext) => ({ parsed: parsePrefix(ext.prefix) })),
+    address
+  );
+
+// Follows destination hop by hop, each router doing its own lookup like a real forwarding plane,
+// until it reaches a connected subnet, leaves the AS at an ASBR (or forwarding address), finds
+// no route or loops. Only the first of several equal-cost next hops is followed; each hop lists all of them.
+const forwardLookup = (topology, graph, source, address) => {
+  const model = isMultiArea(topology) ? buildAreaModel(topology, graph) : null;
+  const hops = [];
+  const visited = new Set();
+  let router = source;
+  let exitRouter = null;
+
+  for (;;) {
+    if (visited.has(router)) return { hops, delivered: false, reason: "loop" };
+    visited.add(router);
+    const table = computeRoutingTable(topology, graph, router, {}, model);
+    const match = lookupRoute(table, address);
+    const own = ownExternalMatch(topology, router, address);
+    if (router === exitRouter || (own && (!match || own.parsed.length >= match.parsed.length))) {
+      hops.push({ router, prefix: own ? own.parsed.prefix : null });
+      return { hops, delivered: true, reason: "external", deliveredAt: router };
+    }
+    if (!match) {
+      hops.push({ router, prefix: null });
+      return { hops, delivered: false, reason: "no-route" };
+    }
+
+    const { route } = match;
+    const hop = { router, prefix: match.prefix, routeType: route.routeType, cost: route.cost, nextHop: route.nextHop, nextHops: route.nextHops };
+    hops.push(hop);
+    if (route.routeType === "C") {
+      hop.interface = route.interface;
+      return { hops, delivered: true, reason: "connected", deliveredAt: router };
+    }
+    hop.interface = route.interfaces ? route.interfaces[0] : outgoingInterface(topology, table, router, route.nextHop);
+    if (route.forwardingRouter && exitRouter === null) exitRouter = route.forwardingRouter;
+    router = route.nextHop;
+  }
+};
+
+// params: { source, destination } where destination is an IPv4 or IPv6 address
+const sendLookup = (res, topology, graph, params) => {
+  const { source, destination } = params;
+  if (!source) return sendError(res, 400, "MISSING_SOURCE", "A source router ID is required.");
+  if (typeof source !== "string") return sendError(res, 400, "INVALID_SOURCE", "The source router ID must be a string.");
+  if (!graph[source] || pseudoNodesOf(topology, graph).has(source)) {
+    return sendError(res, 422, "UNKNOWN_SOURCE", `Source router ${source} is not part of the topology.`);
+  }
+  if (!destination) return sendError(res, 400, "MISSING_DESTINATION", "A destination IP address is required.");
+  const address = parseAddress(destination);
+  if (!address) return sendError(res, 400, "INVALID_ADDRESS", `${destination} is not an IPv4 or IPv6 address.`);
+
+  const result = forwardLookup(topology, graph, source, address);
+  const first = result.hops[0];
+  console.log(`🔎 Lookup ${destination} from ${source}: ${first.prefix ? `${first.prefix}, ${result.reason}` : "no route"}`);
+  res.json({
+    apiVersion: API_VERSION,
+    topology: topology.id ? { id: topology.id, version: topology.version } : null,
+    source,
+    destination,
+    match: first.prefix ? { prefix: first.prefix, routeType: first.routeType, cost: first.cost } : null,
+    nextHop: first.nextHop ?? null,
+    nextHops: first.nextHops ?? [],
+    outgoingInterface: first.interface ?? null,
+    path: result.hops.map((hop) => hop.router),
+    ...result,
+  });
+};
+
+// GET /api/lookup?source=R1&destination=10.0.34.1[&topology=id]
+// Without ?topology= the legacy network_data.json file is used (it has no subnets)
+app.get("/api/lookup", (req, res) => {
+  if (!req.query.topology) {
+    const graph = loadNetworkData();
+    return sendLookup(res, graphToTopology(null, null, graph), graph, req.query);
+  }
+  const resolved = resolveRequestTopology(req, res);
+  if (!resolved) return;
+  sendLookup(res, resolved.topology, resolved.graph, req.query);
+});
+
+// Body: { topology | nodes+links, source, destination }
+app.post("/api/lookup", (req, res) => {
+  const resolved = resolveRequestTopology(req, res);
+  if (!resolved) return;
+  sendLookup(res, resolved.topology, resolved.graph, req.body);
+});
+
+// ---------------- Resilience Analysis ----------------
+const MAX_DISJOINT_PATHS = 10;
+
+// params: { from?, to?, k? }; with both endpoints the report adds min-cuts and k disjoint paths between them
+const sendResilienceReport = (res, graph, pseudoNodes, params, topology = null) => {
+  const { from, to } = params;
+  const k = params.k === undefined || params.k === "" ? 2 : Number(params.k);
+  if (!Number.isInteger(k) || k < 1 || k > MAX_DISJOINT_PATHS) {
+    return sendError(res, 400, "INVALID_K", `k must be an integer between 1 and ${MAX_DISJOINT_PATHS}.`);
+  }
+  if ((from === undefined) !== (to === undefined)) {
+    return sendError(res, 400, "MISSING_ENDPOINT", "Give both from and to, or neither.");
+  }
+  const unknown = [from, to].filter((router) => router !== undefined && (!graph[router] || pseudoNodes.has(router)));
+  if (unknown.length > 0) {
+    return sendError(res, 422, "UNKNOWN_ROUTER", `Unknown router(s): ${unknown.join(", ")}.`);
+  }
+  if (from !== undefined && from === to) {
+    return sendError(res, 400, "SAME_ENDPOINTS", "from and to must be different routers.");
+  }
+
+  const report = analyzeResilience(graph, { pseudoNodes });
+  let pair = null;
+  if (from !== undefined) {
+    pair = {
+      from,
+      to,
+      minCut: { links: minCut(graph, from, to), nodes: minCut(graph, from, to, { nodes: true }) },
+      linkDisjoint: disjointPaths(graph, from, to, k),
+      nodeDisjoint: disjointPaths(graph, from, to, k, { nodes: true }),
+    };
+  }
+  console.log(`🧱 Resilience analysed: ${report.articulationPoints.length} articulation point(s), ${report.bridges.length} bridge(s), score ${report.survivability.score}`);
+  res.json({
+    apiVersion: API_VERSION,
+    topology: topology?.id ? { id: topology.id, version: topology.version } : null,
+    ...report,
+    pair,
+  });
+};
+
+// Without ?topology= the legacy network_data.json file is analysed, like /api/calculate
+app.get("/api/analysis/resilience", (req, res) => {
+  if (!req.query.topology) {
+    return sendResilienceReport(res, loadNetworkData(), new Set(), req.query);
+  }
+  const resolved = resolveRequestTopology(req, res);
+  if (!resolved) return;
+  const { topology, graph } = resolved;
+  sendResilienceReport(res, graph, pseudoNodesOf(topology, graph), req.query, topology);
+});
+
+// Body: { topology | nodes+links, from?, to?, k? }
+app.post("/api/analysis/resilience", (req, res) => {
+  const resolved = resolveRequestTopology(req, res);
+  if (!resolved) return;
+  const { topology, graph } = resolved;
+  sendResilienceReport(res, graph, pseudoNodesOf(topology, graph), req.body, topology);
+});
+
+// ---------------- Traffic Engineering ----------------
+// The demand matrix and link capacities travel with the topology (demands, capacity)
+const MAX_OPTIMIZER_ITERATIONS = 200;
+const MAX_OPTIMIZER_EVALUATIONS = 20000;
+
+const sendUtilization = (res, topology, graph) => {
+  const report = analyzeUtilization(topology, graph);
+  const { maxUtilization, overloaded } = report.summary;
+  console.log(`📶 Utilization of ${report.demands.length} demand(s): peak ${maxUtilization ?? "n/a"}%, ${overloaded} overloaded direction(s)`);
+  res.json({
+    apiVersion: API_VERSION,
+    topology: topology.id ? { id: topology.id, version: topology.version } : null,
+    ...report,
+  });
+};
+
+// GET /api/analysis/utilization[?topology=id]
+// Without ?topology= the legacy network_data.json file is used (it has no demands or capacities)
+app.get("/api/analysis/utilization", (req, res) => {
+  if (!req.query.topology) {
+    const graph = loadNetworkData();
+    return sendUtilization(res, graphToTopology(null, null, graph), graph);
+  }
+  const resolved = resolveRequestTopology(req, res);
+  if (!resolved) return;
+  sendUtilization(res, resolved.topology, resolved.graph);
+});
+
+// Body: { topology | nodes+links }
+app.post("/api/analysis/utilization", (req, res) => {
+  const resolved = resolveRequestTopology(req, res);
+  if (!resolved) return;
+  sendUtilization(res, resolved.topology, resolved.graph);
+});
+
+// Body: { topology | nodes+links, maxIterations?, maxEvaluations? }
+// The stored topology is left alone: the proposed costs are for the client to apply.
+app.post("/api/analysis/optimize-costs", (req, res) => {
+  const resolved = resolveRequestTopology(req, res);
+  if (!resolved) return;
+  const { topology, graph } = resolved;
+
+  const limits = {};
+  for (const [field, code, fallback, max] of [
+    ["maxIterations", "INVALID_MAX_ITERATIONS", DEFAULT_MAX_ITERATIONS, MAX_OPTIMIZER_ITERATIONS],
+    ["maxEvaluations", "INVALID_MAX_EVALUATIONS", DEFAULT_MAX_EVALUATIONS, MAX_OPTIMIZER_EVALUATIONS],
+  ]) {
+    const value = req.body[field] ?? fallback;
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+      return sendError(res, 400, code, `${field} must be an integer from 1 to ${max}.`);
+    }
+    limits[field] = value;
+  }
+  if (!Array.isArray(topology.demands) || topology.demands.length === 0) {
+    return sendError(res, 422, "NO_DEMANDS", "The topology has no traffic demands to balance.");
+  }
+
+  const started = Date.now();
+  const result = optimizeCosts(topology, graph, limits);
+  if (result.before.maxUtilization === null) {
+    return sendError(res, 422, "NO_CAPACITY", "No link has a capacity or bandwidth, so utilization cannot be measured.");
+  }
+  const elapsedMs = Date.now() - started;
+  console.log(`🎚️ Cost optimizer: peak ${result.before.maxUtilization}% → ${result.after.maxUtilization}% with ${result.changes.length} change(s), ${result.evaluations} evaluation(s) in ${elapsedMs} ms`);
+  res.json({
+    apiVersion: API_VERSION,
+    topology: topology.id ? { id: topology.id, version: topology.version } : null,
+    elapsedMs,
+    ...result,
+  });
+});
+
+// ---------------- Live Updates ----------------
+// GET /api/events?topology=<id> (or ?simulation=<id>) is a Server-Sent Events stream of
+//   topology-changed: { topology: { id, version }, previousVersion, diff, clientId } (diff: see diffTopology),
+//                     or { deleted: true } when the topology is removed
+//   routes-changed:   { topology, routers: { router: { destination: { before, after } } }, truncated, clientId }
+// clientId echoes the X-Client-Id header of the request that made the change, so a browser can skip its own edits.
+// Stored topologies publish on every save; network_data.json is watched and synced into the "default" topology.
+// Simulations publish after every step or injected change: topology-changed carries diff.links with the
+// link states ({ id, source, target, up, cost }), routes-changed the routers' current tables.
+// Route diffs need every router's table twice, so larger topologies only get { routers: null, truncated: true }.
+const MAX_LIVE_ROUTE_ROUTERS = 500;
+const NETWORK_DATA_POLL_MS = 1000;
+
+const topologyChannel = (id) => `topology:${id}`;
+const simulationChannel = (id) => `simulation:${id}`;
+
+// beforeTables: routingTablesOf(before), taken by the caller while the old version was still cached
+const publishTopologyChange = (before, after, beforeTables, clientId) => {
+  const channel = topologyChannel(after.id);
+  if (liveUpdates.subscriberCount(channel) === 0) return;
+  const topology = { id: after.id, version: after.version };
+  const diff = liveUpdates.diffTopology(before, after);
+  liveUpdates.publish(channel, "topology-changed", {
+    apiVersion: API_VERSION,
+    topology,
+    previousVersion: before ? before.version : null,
+    diff,
+    clientId,
+  });
+  if (after.nodes.length > MAX_LIVE_ROUTE_ROUTERS) {
+    liveUpdates.publish(channel, "routes-changed", { apiVersion: API_VERSION, topology, routers: null, truncated: true, clientId });
+    return;
+  }
+  const routers = liveUpdates.diffRoutes(beforeTables || {}, routingTablesOf(after, storedGraph(after)));
+  if (Object.keys(routers).length > 0) {
+    liveUpdates.publish(channel, "routes-changed", { apiVersion: API_VERSION, topology, routers, truncated: false, clientId });
+  }
+};
+
+// The default topology was seeded from network_data.json; edits to the file replace its routers and
+// links (positions and other router settings are kept) and go out like any other save
+const syncDefaultTopology = () => {
+  const current = topologyStore.get("default");
+  if (!current) return;
+  const fromFile = graphToTopology("default", current.name, loadNetworkData());
+  const existing = new Map(current.nodes.map((node) => [node.id, node]));
+  const next = { ...current, nodes: fromFile.nodes.map((node) => ({ ...node, ...existing.get(node.id) })), links: fromFile.links };
+  if (liveUpdates.isEmptyTopologyDiff(liveUpdates.diffTopology(current, next))) return;
+  const { errors } = validateTopologyDocument(next);
+  if (errors.length > 0) {
+    console.error("❌ network_data.json no longer fits the default topology:", errors.map((e) => e.message).join(" "));
+    return;
+  }
+  console.log("🔄 network_data.json changed, updating the default topology");
+  storeTopology(current, next);
+};
+
+const watchNetworkData = () => {
+  // Polling survives editors that save by replacing the file, which fs.watch can lose track of
+  fs.watchFile("network_data.json", { interval: NETWORK_DATA_POLL_MS }, (stat, previous) => {
+    if (stat.mtimeMs !== previous.mtimeMs) syncDefaultTopology();
+  });
+};
+
+// { router: { destination: { cost, nextHops } } } as the simulated routers currently have them
+const simulationTables = (simulation) => {
+  const tables = {};
+  for (const id in simulation.routers) tables[id] = simulation.routers[id].routingTable;
+  return tables;
+};
+
+const simulationLinks = (simulation) =>
+  simulation.summary().links.map((link) => ({ id: [link.source, link.target].sort().join("-"), ...link }));
+
+// What publishSimulationChange compares against, taken before the simulation moves; null when nobody watches.
+// Routers replace their whole table on every SPF run, so keeping the references is enough.
+const simulationSnapshot = (id, simulation) =>
+  liveUpdates.subscriberCount(simulationChannel(id)) > 0
+    ? { links: simulationLinks(simulation), tables: simulationTables(simulation) }
+    : null;
+
+// Link states are the simulation's "topology"; routes are whatever the routers have converged to so far
+const publishSimulationChange = (id, simulation, before) => {
+  if (!before) return;
+  const channel = simulationChannel(id);
+  const links = liveUpdates.diffTopology({ links: before.links }, { links: simulationLinks(simulation) }).links;
+  if (links.changed.length > 0) {
+    liveUpdates.publish(channel, "topology-changed", { apiVersion: API_VERSION, simulation: id, clock: simulation.now, diff: { links } });
+  }
+  const routers = liveUpdates.diffRoutes(before.tables, simulationTables(simulation));
+  if (Object.keys(routers).length > 0) {
+    liveUpdates.publish(channel, "routes-changed", { apiVersion: API_VERSION, simulation: id, clock: simulation.now, routers });
+  }
+};
+
+app.get("/api/events", (req, res) => {
+  const { topology: topologyId, simulation: simulationId } = req.query;
+  if (simulationId !== undefined) {
+    const simulation = simulations.get(simulationId);
+    if (!simulation) {
+      return sendError(res, 404, "SIMULATION_NOT_FOUND", `Simulation ${simulationId} does not exist.`);
+    }
+    return liveUpdates.subscribe(simulationChannel(simulationId), req, res, { apiVersion: API_VERSION, simulation: simulationId, clock: simulation.now });
+  }
+  if (typeof topologyId !== "string") {
+    return sendError(res, 400, "MISSING_CHANNEL", "Pass ?topology=<id> or ?simulation=<id> to choose what to watch.");
+  }
+  const topology = topologyStore.get(topologyId);
+  if (!topology) {
+    return sendError(res, 404, "TOPOLOGY_NOT_FOUND", `Topology ${topologyId} does not exist.`);
+  }
+  liveUpdates.subscribe(topologyChannel(topologyId), req, res, { apiVersion: API_VERSION, topology: { id: topology.id, version: topology.version } });
+});
+
+// ---------------- Protocol Simulation API ----------------
+// Simulations live in memory only; each one is a discrete-event run of Hello, the neighbor
+// FSM, LSA flooding and per-router SPF. Time only moves when a client steps the clock.
+const simulations = new Map();
+const MAX_SIMULATIONS = 20;
+// Upper bound for one step request, in events or simulated seconds, so a single call cannot block the server
+const MAX_STEP = 5000;
+
+const findSimulation = (req, res, next) => {
+  req.simulation = simulations.get(req.params.simId);
+  if (!req.simulation) {
+    return sendError(res, 404, "SIMULATION_NOT_FOUND", `Simulation ${req.params.simId} does not exist.`);
+  }
+  next();
+};
+
+// Body: { topology | nodes+links, timers?: { helloInterval, deadInterval, spfDelay, ... }, logHellos? }
+app.post("/api/simulations", (req, res) => {
+  const resolved = resolveRequestTopology(req, res);
+  if (!resolved) return;
+  if (resolved.topology.lans?.length > 0) {
+    return sendError(res, 422, "UNSUPPORTED_TOPOLOGY", "The protocol simulator only models point-to-point links; remove the LANs first.");
+  }
+
+  const timers = req.body.timers || {};
+  const invalid = Object.keys(timers).filter(
+    (name) => !(name in DEFAULT_TIMERS) || typeof timers[name] !== "number" || !(timers[name] > 0)
+  );
+  if (invalid.length > 0) {
+    return sendError(res, 400, "INVALID_TIMERS", `Invalid timer setting(s): ${invalid.join(", ")}.`, {
+      allowed: Object.keys(DEFAULT_TIMERS),
+    });
+  }
+  if (simulations.size >= MAX_SIMULATIONS) {
+    // Drop the oldest run rather than refusing a new one
+    simulations.delete(simulations.keys().next().value);
+  }
+
+  const id = crypto.randomUUID().slice(0, 8);
+  const simulation = new OspfSimulation(resolved.graph, {
+    logHellos: Boolean(req.body.logHellos),
+    ...timers,
+  });
+  simulation.topology = resolved.topology.id ? { id: resolved.topology.id, version: resolved.topology.version } : null;
+  simulations.set(id, simulation);
+  console.log(`🧪 Simulation ${id} created with ${Object.keys(resolved.graph).length} routers`);
+  res.status(201).json({ apiVersion: API_VERSION, id, topology: simulation.topology, ...simulation.summary() });
+});
+
+app.get("/api/simulations/:simId", findSimulation, (req, res) => {
+  res.json({ apiVersion: API_VERSION, id: req.params.simId, topology: req.simulation.topology, ...req.simulation.summary() });
+});
+
+app.delete("/api/simulations/:simId", findSimulation, (req, res) => {
+  simulations.delete(req.params.simId);
+  res.status(204).end();
+});
+
+// Advance the clock: { events: n } processes n events, { seconds: s } or { until: t } moves in time,
+// { untilConverged: true, maxSeconds? } runs until every router's table is correct.
+// events, seconds and maxSeconds are capped at MAX_STEP, and until may be at most MAX_STEP seconds ahead.
+app.post("/api/simulations/:simId/step", findSimulation, (req, res) => {
+  const simulation = req.simulation;
+  const { events, seconds, until, untilConverged, maxSeconds = 600 } = req.body || {};
+  const numbers = { events, seconds, until, maxSeconds };
+  for (const name in numbers) {
+    if (numbers[name] !== undefined && (typeof numbers[name] !== "number" || !(numbers[name] >= 0))) {
+      return sendError(res, 400, "INVALID_STEP", `${name} must be a non-negative number.`);
+    }
+    const amount = name === "until" ? numbers[name] - simulation.now : numbers[name];
+    if (amount > MAX_STEP) {
+      return sendError(res, 400, "INVALID_STEP", `${name} may be at most ${MAX_STEP}${name === "until" ? " seconds ahead of the clock" : ""}.`, {
+        max: MAX_STEP,
+      });
+    }
+  }
+
+  const fromEvent = simulation.events().total;
+  const before = simulationSnapshot(req.params.simId, simulation);
+  let processed;
+  if (untilConverged) {
+    processed = simulation.runUntilConverged(simulation.now + maxSeconds).processed;
+  } else if (events === undefined && seconds === undefined && until === undefined) {
+    processed = simulation.step({ events: 1 });
+  } else {
+    processed = simulation.step({
+      events: events ?? Infinity,
+      until: until ?? (seconds !== undefined ? simulation.now + seconds : Infinity),
+    });
+  }
+
+  publishSimulationChange(req.params.simId, simulation, before);
+  res.json({
+    apiVersion: API_VERSION,
+    id: req.params.simId,
+    processed,
+    newEvents: simulation.events({ since: fromEvent, limit: 1000 }).events,
+    ...simulation.summary(),
+  });
+});
+
+app.get("/api/simulations/:simId/events", findSimulation, (req, res) => {
+  const since = Number(req.query.since ?? 0);
+  const limit = Math.min(Number(req.query.limit ?? 500), 5000);
+  if (!Number.isInteger(since) || since < 0 || !Number.isInteger(limit) || limit < 1) {
+    return sendError(res, 400, "INVALID_QUERY", "since and limit must be non-negative integers.");
+  }
+  res.json({ apiVersion: API_VERSION, id: req.params.simId, clock: req.simulation.now, ...req.simulation.events({ since, limit }) });
+});
+
+app.get("/api/simulations/:simId/routers/:routerId", findSimulation, (req, res) => {
+  if (!req.simulation.routers[req.params.routerId]) {
+    return sendError(res, 404, "ROUTER_NOT_FOUND", `Router ${req.params.routerId} is not part of the simulation.`);
+  }
+  res.json({ apiVersion: API_VERSION, clock: req.simulation.now, router: req.simulation.routerState(req.params.routerId) });
+});
+
+// Injects a change at the current simulation time:
+// { type: "link-down" | "link-up" | "cost-change", source, target, cost? } or { type: "router-down" | "router-up", router }
+app.post("/api/simulations/:simId/changes", findSimulation, (req, res) => {
+  const change = req.body || {};
+  if (change.type === "cost-change" && (typeof change.cost !== "number" || !Number.isFinite(change.cost) || change.cost < 0)) {
+    return sendError(res, 400, "INVALID_COST", "cost-change needs a non-negative numeric cost.");
+  }
+  const before = simulationSnapshot(req.params.simId, req.simulation);
+  try {
+    req.simulation.applyChange(change);
+  } catch (err) {
+    return sendError(res, 400, "INVALID_CHANGE", err.message);
+  }
+  console.log(`🧪 Simulation ${req.params.simId}: ${change.type} at t=${req.simulation.now}`);
+  publishSimulationChange(req.params.simId, req.simulation, before);
+  res.json({ apiVersion: API_VERSION, id: req.params.simId, ...req.simulation.summary() });
+});
+
+// ---------------- Topology Resource API ----------------
+const topologies = express.Router();
+
+// Writes to an existing topology may name the version they were based on
+// (If-Match header or "version" in the body); a stale version is rejected with 409.
+const checkVersion = (req, res) => {
+  const expected = req.get("If-Match") ?? req.body?.version;
+  if (expected === undefined || !req.topology) return true;
+  if (Number(String(expected).replace(/"/g, "")) !== req.topology.version) {
+    sendError(res, 409, "VERSION_CONFLICT", `Topology ${req.topology.id} is at version ${req.topology.version}.`, {
+      currentVersion: req.topology.version,
+    });
+    return false;
+  }
+  return true;
+};
+
+// Persists an already validated topology and tells subscribers what changed.
+// before is the stored version it replaces (null for a new topology).
+const storeTopology = (before, topology, clientId = null) => {
+  if (Array.isArray(topology.lans)) {
+    // Remember who won so the next election does not preempt them
+    const elections = electAllLans(topology);
+    topology = { ...topology, lans: topology.lans.map((lan, i) => ({ ...lan, dr: elections[i].dr, bdr: elections[i].bdr })) };
+  }
+  const saved = topologyStore.save(topology);
+  console.log(`💾 Saved topology ${saved.id} (version ${saved.version})`);
+  const beforeGraph = before ? storedGraph(before) : null;
+  // Taken before the carry-over below, while the previous version's SPF trees are still cached
+  const beforeTables = before && liveUpdates.subscriberCount(topologyChannel(saved.id)) > 0 ? routingTablesOf(before, beforeGraph) : null;
+  if (before) {
+    // A cost tweak repairs the cached SPF trees of the previous version instead of discarding them
+    const carried = spfCache.carryOver(beforeGraph, storedGraph(saved));
+    if (carried > 0) console.log(`♻️ Incremental SPF carried ${carried} cached tree(s) over to version ${saved.version}`);
+  }
+  publishTopologyChange(before, saved, beforeTables, clientId);
+  return saved;
+};
+
+// Validates and persists a topology, answering with the saved document (plus any extra fields).
+// The version is checked first: an edit based on a stale document is a conflict whatever it contains.
+const commitTopology = (req, res, topology, status = 200, extra = {}) => {
+  if (!checkVersion(req, res)) return;
+  const { errors } = validateTopologyDocument(topology);
+  if (errors.length > 0) {
+    return sendError(res, 400, "INVALID_TOPOLOGY", "The submitted topology is invalid.", errors);
+  }
+  const saved = storeTopology(req.topology, topology, req.get("X-Client-Id") ?? null);
+  res.status(status).set("ETag", `"${saved.version}"`).json({ apiVersion: API_VERSION, topology: saved, ...extra });
+};
+
+topologies.param("id", (req, res, next, id) => {
+  req.topology = topologyStore.get(id);
+  next();
+});
+
+const requireTopology = (req, res, next) => {
+  if (!req.topology) {
+    return sendError(res, 404, "TOPOLOGY_NOT_FOUND", `Topology ${req.params.id} does not exist.`);
+  }
+  next();
+};
+
+topologies.get("/", (req, res) => {
+  res.json({ apiVersion: API_VERSION, topologies: topologyStore.list() });
+});
+
+topologies.post("/", (req, res) => {
+  const id = req.body?.id ?? crypto.randomUUID().slice(0, 8);
+  if (typeof id !== "string" || !TOPOLOGY_ID_PATTERN.test(id)) {
+    return sendError(res, 400, "INVALID_TOPOLOGY_ID", "Topology ID may only contain letters, digits, '-' and '_'.");
+  }
+  if (topologyStore.has(id)) {
+    return sendError(res, 409, "TOPOLOGY_EXISTS", `Topology ${id} already exists.`);
+  }
+  commitTopology(req, res, normalizeTopology(id, req.body), 201);
+});
+
+// --- Import / Export ---
+// Import body: { content, format?, id?, name? } with format "dot", "graphml" or "cisco"
+// (guessed from the content when omitted). Errors carry the line of the uploaded text.
+topologies.post("/import", (req, res) => {
+  const { content, name } = req.body || {};
+  if (typeof content !== "string" || content.trim() === "") {
+    return sendError(res, 400, "MISSING_CONTENT", "Send the file to import as a non-empty \"content\" string.");
+  }
+  const format = req.body.format ?? req.query.format ?? topologyFormats.detectFormat(content);
+  if (!Object.hasOwn(topologyFormats.FORMATS, format)) {
+    return sendError(res, 400, "UNSUPPORTED_FORMAT", format ? `Unknown import format ${format}.` : "Could not tell the format of the content; pass format.", {
+      formats: Object.keys(topologyFormats.FORMATS),
+    });
+  }
+
+  const id = req.body.id ?? crypto.randomUUID().slice(0, 8);
+  if (typeof id !== "string" || !TOPOLOGY_ID_PATTERN.test(id)) {
+    return sendError(res, 400, "INVALID_TOPOLOGY_ID", "Topology ID may only contain letters, digits, '-' and '_'.");
+  }
+  if (topologyStore.has(id)) {
+    return sendError(res, 409, "TOPOLOGY_EXISTS", `Topology ${id} already exists.`);
+  }
+
+  const parsed = topologyFormats.FORMATS[format].parse(content);
+  if (parsed.errors.length > 0) {
+    return sendError(res, 400, "PARSE_ERROR", `The ${format} content could not be parsed.`, parsed.errors);
+  }
+
+  const topology = normalizeTopology(id, { ...parsed.topology, name: name || parsed.topology.name });
+  const { errors } = validateTopologyDocument(topology);
+  if (errors.length > 0) {
+    // Point validation errors at the line the offending router, link or LAN came from
+    const lineOf = (path) => parsed.lines[(path.match(/^\w+\[\d+\]/) || [])[0]];
+    const details = errors.map((error) => (lineOf(error.path) ? { ...error, line: lineOf(error.path) } : error));
+    return sendError(res, 400, "INVALID_TOPOLOGY", "The imported topology is invalid.", details);
+  }
+  console.log(`📥 Imported ${format} topology ${id} (${topology.nodes.length} routers, ${topology.links.length} links)`);
+  commitTopology(req, res, topology, 201, { format, warnings: parsed.warnings });
+});
+
+topologies.get("/:id/export", requireTopology, (req, res) => {
+  const { format } = req.query;
+  const writer = Object.hasOwn(topologyFormats.FORMATS, format) ? topologyFormats.FORMATS[format] : null;
+  if (!writer) {
+    return sendError(res, 400, "UNSUPPORTED_FORMAT", `Export format must be one of ${Object.keys(topologyFormats.FORMATS).join(", ")}.`, {
+      formats: Object.keys(topologyFormats.FORMATS),
+    });
+  }
+  // attachment() guesses a Content-Type from the extension, so set the real one afterwards
+  res
+    .attachment(`${req.topology.id}.${writer.extension}`)
+    .type(writer.contentType)
+    .send(writer.serialize(req.topology, linkCostsOf(req.topology)));
+});
+
+topologies.get("/:id", requireTopology, (req, res) => {
+  res.set("ETag", `"${req.topology.version}"`).json({ apiVersion: API_VERSION, topology: req.topology });
+});
+
+// PUT replaces the whole document, creating it when the ID is new
+topologies.put("/:id", (req, res) => {
+  if (!TOPOLOGY_ID_PATTERN.test(req.params.id)) {
+    return sendError(res, 400, "INVALID_TOPOLOGY_ID", "Topology ID may only contain letters, digits, '-' and '_'.");
+  }
+  commitTopology(req, res, normalizeTopology(req.params.id, req.body), req.topology ? 200 : 201);
+});
+
+// PATCH only replaces the top-level fields that are present in the body
+topologies.patch("/:id", requireTopology, (req, res) => {
+  const merged = { ...req.topology };
+  for (const field of ["name", "nodes", "links", ...TOPOLOGY_SECTIONS]) {
+    if (req.body?.[field] !== undefined) merged[field] = req.body[field];
+  }
+  commitTopology(req, res, normalizeTopology(req.params.id, merged));
+});
+
+topologies.delete("/:id", requireTopology, (req, res) => {
+  if (!checkVersion(req, res)) return;
+  topologyStore.remove(req.params.id);
+  spfCache.forget(req.params.id);
+  console.log(`🗑️ Deleted topology ${req.params.id}`);
+  liveUpdates.publish(topologyChannel(req.params.id), "topology-changed", {
+    apiVersion: API_VERSION,
+    topology: { id: req.params.id, version: null },
+    previousVersion: req.topology.version,
+    deleted: true,
+    clientId: req.get("X-Client-Id") ?? null,
+  });
+  res.status(204).end();
+});
+
+// --- Routers ---
+const findRouter = (req, res, next) => {
+  req.router = req.topology.nodes.find((node) => node.id === req.params.routerId);
+  if (!req.router) {
+    return sendError(res, 404, "ROUTER_NOT_FOUND", `Router ${req.params.routerId} is not part of topology ${req.topology.id}.`);
+  }
+  next();
+};
+
+topologies.get("/:id/routers", requireTopology, (req, res) => {
+  res.json({ apiVersion: API_VERSION, version: req.topology.version, routers: req.topology.nodes });
+});
+
+topologies.post("/:id/routers", requireTopology, (req, res) => {
+  const { version, ...body } = req.body || {};
+  const router = normalizeRouter(body);
+  commitTopology(req, res, { ...req.topology, nodes: [...req.topology.nodes, router] }, 201);
+});
+
+topologies.get("/:id/routers/:routerId", requireTopology, findRouter, (req, res) => {
+  res.json({ apiVersion: API_VERSION, version: req.topology.version, router: req.router });
+});
+
+// The router ID is taken from the URL; renaming is done by deleting and re-adding
+topologies.put("/:id/routers/:routerId", requireTopology, findRouter, (req, res) => {
+  const { version, ...body } = req.body || {};
+  const router = normalizeRouter({ ...body, id: req.router.id });
+  const nodes = req.topology.nodes.map((node) => (node.id === router.id ? router : node));
+  commitTopology(req, res, { ...req.topology, nodes });
+});
+
+// Removing a router also removes every link attached to it
+topologies.delete("/:id/routers/:routerId", requireTopology, findRouter, (req, res) => {
+  const routerId = req.router.id;
+  commitTopology(req, res, {
+    ...req.topology,
+    nodes: req.topology.nodes.filter((node) => node.id !== routerId),
+    links: req.topology.links.filter((link) => link.source !== routerId && link.target !== routerId),
+  });
+});
+
+// --- Broadcast segments ---
+topologies.get("/:id/lans", requireTopology, (req, res) => {
+  res.json({ apiVersion: API_VERSION, version: req.topology.version, lans: electAllLans(req.topology) });
+});
+
+// --- Links ---
+const findLink = (req, res, next) => {
+  req.link = req.topology.links.find((link) => link.id === req.params.linkId);
+  if (!req.link) {
+    return sendError(res, 404, "LINK_NOT_FOUND", `Link ${req.params.linkId} is not part of topology ${req.topology.id}.`);
+  }
+  next();
+};
+
+topologies.get("/:id/links", requireTopology, (req, res) => {
+  res.json({ apiVersion: API_VERSION, version: req.topology.version, links: req.topology.links });
+});
+
+topologies.post("/:id/links", requireTopology, (req, res) => {
+  const { version, ...link } = req.body || {};
+  commitTopology(req, res, { ...req.topology, links: [...req.topology.links, normalizeLink(link)] }, 201);
+});
+
+topologies.get("/:id/links/:linkId", requireTopology, findLink, (req, res) => {
+  res.json({ apiVersion: API_VERSION, version: req.topology.version, link: req.link });
+});
+
+topologies.put("/:id/links/:linkId", requireTopology, findLink, (req, res) => {
+  const { version, ...body } = req.body || {};
+  const link = normalizeLink({ ...body, id: req.link.id });
+  const links = req.topology.links.map((existing) => (existing.id === link.id ? link : existing));
+  commitTopology(req, res, { ...req.topology, links });
+});
+
+// PATCH is the usual way to change just a link's cost
+topologies.patch("/:id/links/:linkId", requireTopology, findLink, (req, res) => {
+  const { version, ...body } = req.body || {};
+  const link = { ...req.link, ...body, id: req.link.id };
+  const links = req.topology.links.map((existing) => (existing.id === link.id ? link : existing));
+  commitTopology(req, res, { ...req.topology, links });
+});
+
+topologies.delete("/:id/links/:linkId", requireTopology, findLink, (req, res) => {
+  const links = req.topology.links.filter((link) => link.id !== req.link.id);
+  commitTopology(req, res, { ...req.topology, links });
+});
+
+app.use("/api/topologies", topologies);
+
+// Malformed JSON bodies get the same structured error shape as validation failures
+app.use((err, req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    return sendError(res, 400, "MALFORMED_JSON", "Request body is not valid JSON.");
+  }
+  next(err);
+});
+
 app.listen(PORT, () => {
   console.log(`🚀 Backend running on http://localhost:${PORT}`);
+  watchNetworkData();
 });
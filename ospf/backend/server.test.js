@@ -0,0 +1,1018 @@
+// --- REST API Tests ---
+// Run: npm test
+// server.jsx listens as soon as it is loaded, so the API is exercised on a child process
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn } = require("node:child_process");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const PORT = 20000 + Math.floor(Math.random() * 20000);
+// A scratch topology store, so the tests never touch data/topologies.json
+const STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "ospf-store-"));
+let server;
+
+test.before(
+  () =>
+    new Promise((resolve, reject) => {
+      server = spawn(process.execPath, ["server.jsx"], {
+        cwd: __dirname,
+        env: { ...process.env, PORT: String(PORT), OSPF_STORE_FILE: path.join(STORE_DIR, "topologies.json") },
+        stdio: ["ignore", "pipe", "ignore"],
+      });
+      server.stdout.on("data", (chunk) => {
+        if (String(chunk).includes("Backend running")) resolve();
+      });
+      server.on("exit", (code) => reject(new Error(`server.jsx exited with code ${code}`)));
+    })
+);
+
+test.after(() => {
+  server.kill();
+  fs.rmSync(STORE_DIR, { recursive: true, force: true });
+});
+
+const request = async (method, url, body, headers = {}) => {
+  const response = await fetch(`http://localhost:${PORT}${url}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...headers },
+    body: typeof body === "string" ? body : JSON.stringify(body),
+  });
+  const text = await response.text();
+  return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+};
+const get = (url) => request("GET", url);
+const post = (url, body) => request("POST", url, body);
+
+const codes = (error) => error.details.map((d) => `${d.code} ${d.path}`);
+
+// A-B-C with a longer direct A-C link, and D on its own
+const triangle = {
+  nodes: ["A", "B", "C", "D"],
+  links: [
+    { source: "A", target: "B", cost: 1 },
+    { source: "B", target: "C", cost: 1 },
+    { source: "A", target: "C", cost: 5 },
+  ],
+};
+
+const route = (body, destination) => body.routingTable.find((r) => r.destination === destination);
+
+// ---------------- POST /calculate-ospf ----------------
+test("POST /calculate-ospf returns the versioned routing table of the source", async () => {
+  const { status, body } = await post("/calculate-ospf", { ...triangle, source: "A" });
+  assert.equal(status, 200);
+  assert.equal(body.apiVersion, 1);
+  assert.equal(body.source, "A");
+  assert.equal(body.distance.C, 2);
+  assert.equal(route(body, "C").cost, 2);
+  assert.equal(route(body, "C").nextHop, "B");
+  assert.equal(route(body, "B").nextHop, "B");
+  assert.equal(body.distance.D, null);
+  assert.equal(route(body, "D").reachable, false);
+});
+
+test("POST /calculate-ospf reports every topology problem at once", async () => {
+  const { status, body } = await post("/calculate-ospf", {
+    nodes: ["A", "B", "A"],
+    links: [
+      { source: "A", target: "X", cost: 1 },
+      { source: "A", target: "B", cost: -1 },
+      { source: "B", target: "B", cost: 1 },
+    ],
+    source: "A",
+  });
+  assert.equal(status, 400);
+  assert.equal(body.error.code, "INVALID_TOPOLOGY");
+  assert.deepEqual(codes(body.error), [
+    "DUPLICATE_NODE nodes[2]",
+    "UNKNOWN_ENDPOINT links[0].target",
+    "NEGATIVE_COST links[1].cost",
+    "SELF_LOOP links[2]",
+  ]);
+});
+
+test("POST /calculate-ospf needs a source router that is in the topology", async () => {
+  const missing = await post("/calculate-ospf", triangle);
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.error.code, "MISSING_SOURCE");
+
+  const unknown = await post("/calculate-ospf", { ...triangle, source: "Z" });
+  assert.equal(unknown.status, 422);
+  assert.equal(unknown.body.error.code, "UNKNOWN_SOURCE");
+
+  for (const source of [["A"], 1, { id: "A" }]) {
+    const invalid = await post("/calculate-ospf", { ...triangle, source });
+    assert.equal(invalid.status, 400, JSON.stringify(source));
+    assert.equal(invalid.body.error.code, "INVALID_SOURCE");
+  }
+});
+
+test("malformed JSON gets the structured error body", async () => {
+  const { status, body } = await post("/calculate-ospf", "{ nodes: ");
+  assert.equal(status, 400);
+  assert.deepEqual(body, { apiVersion: 1, error: { code: "MALFORMED_JSON", message: "Request body is not valid JSON." } });
+});
+
+// Two equal-cost paths from A to D, through B and through C
+const square = {
+  nodes: ["A", "B", "C", "D"],
+  links: [
+    { source: "A", target: "B", cost: 1 },
+    { source: "A", target: "C", cost: 1 },
+    { source: "B", target: "D", cost: 1 },
+    { source: "C", target: "D", cost: 1 },
+  ],
+};
+
+test("equal-cost paths keep every next hop and predecessor", async () => {
+  const { body } = await post("/calculate-ospf", { ...square, source: "A" });
+  assert.equal(body.maxPaths, null);
+  assert.deepEqual(route(body, "D").nextHops, ["B", "C"]);
+  assert.equal(route(body, "D").nextHop, "B");
+  assert.equal(route(body, "D").cost, 2);
+  assert.deepEqual(body.predecessors.D, ["B", "C"]);
+  assert.deepEqual([...body.sptEdges].sort(), ["A-B", "A-C", "B-D", "C-D"]);
+});
+
+test("maxPaths caps the installed next hops", async () => {
+  const { body } = await post("/calculate-ospf", { ...square, source: "A", maxPaths: 1 });
+  assert.equal(body.maxPaths, 1);
+  assert.deepEqual(route(body, "D").nextHops, ["B"]);
+
+  for (const maxPaths of [0, 1.5, "two"]) {
+    const invalid = await post("/calculate-ospf", { ...square, source: "A", maxPaths });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error.code, "INVALID_MAX_PATHS");
+  }
+});
+
+// ---------------- /api/topologies ----------------
+test("a created topology can be read back and is listed", async () => {
+  const created = await post("/api/topologies", { id: "crud-create", name: "Triangle", ...triangle });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.topology.version, 1);
+  assert.deepEqual(created.body.topology.nodes[0], { id: "A" });
+  assert.deepEqual(created.body.topology.links.map((l) => l.id), ["A-B", "B-C", "A-C"]);
+
+  const read = await get("/api/topologies/crud-create");
+  assert.equal(read.status, 200);
+  assert.equal(read.headers.get("ETag"), '"1"');
+  assert.equal(read.body.topology.name, "Triangle");
+
+  const { body } = await get("/api/topologies");
+  const listed = body.topologies.find((t) => t.id === "crud-create");
+  assert.equal(listed.routerCount, 4);
+  assert.equal(listed.linkCount, 3);
+  assert.ok(body.topologies.some((t) => t.id === "default"), "network_data.json seeds the default topology");
+
+  assert.equal((await post("/api/topologies", { id: "crud-create", ...triangle })).body.error.code, "TOPOLOGY_EXISTS");
+  assert.equal((await post("/api/topologies", { id: "no spaces", ...triangle })).body.error.code, "INVALID_TOPOLOGY_ID");
+});
+
+test("invalid topologies are not stored", async () => {
+  const { status, body } = await post("/api/topologies", { id: "crud-invalid", nodes: ["A"], links: [{ source: "A", target: "B", cost: 1 }] });
+  assert.equal(status, 400);
+  assert.deepEqual(codes(body.error), ["UNKNOWN_ENDPOINT links[0].target"]);
+  assert.equal((await get("/api/topologies/crud-invalid")).status, 404);
+});
+
+test("writes based on a stale version are rejected with 409", async () => {
+  await post("/api/topologies", { id: "crud-version", ...triangle });
+
+  const updated = await request("PUT", "/api/topologies/crud-version", { ...triangle, name: "Renamed" }, { "If-Match": '"1"' });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.topology.version, 2);
+  assert.equal(updated.headers.get("ETag"), '"2"');
+
+  const stale = await request("PATCH", "/api/topologies/crud-version", { name: "Lost update" }, { "If-Match": '"1"' });
+  assert.equal(stale.status, 409);
+  assert.equal(stale.body.error.code, "VERSION_CONFLICT");
+  assert.equal(stale.body.error.details.currentVersion, 2);
+  assert.equal((await get("/api/topologies/crud-version")).body.topology.name, "Renamed");
+
+  const deleted = await request("DELETE", "/api/topologies/crud-version", undefined, { "If-Match": '"2"' });
+  assert.equal(deleted.status, 204);
+  assert.equal((await get("/api/topologies/crud-version")).body.error.code, "TOPOLOGY_NOT_FOUND");
+});
+
+test("a stale version wins over an invalid body", async () => {
+  await post("/api/topologies", { id: "crud-stale-invalid", ...triangle });
+  await request("PATCH", "/api/topologies/crud-stale-invalid", { name: "Second" });
+
+  const stale = await request("PUT", "/api/topologies/crud-stale-invalid", { nodes: "A" }, { "If-Match": '"1"' });
+  assert.equal(stale.status, 409);
+  assert.equal(stale.body.error.code, "VERSION_CONFLICT");
+  const staleLink = await request("PUT", "/api/topologies/crud-stale-invalid/links/A-B", { source: "A", target: "Z" }, { "If-Match": '"1"' });
+  assert.equal(staleLink.status, 409);
+
+  const current = await request("PUT", "/api/topologies/crud-stale-invalid", { nodes: "A" }, { "If-Match": '"2"' });
+  assert.equal(current.status, 400);
+  assert.equal(current.body.error.code, "INVALID_TOPOLOGY");
+});
+
+test("PUT replaces a link but keeps the ID from the URL", async () => {
+  await post("/api/topologies", { id: "crud-put-link", ...triangle });
+
+  const { status, body } = await request("PUT", "/api/topologies/crud-put-link/links/A-C", {
+    id: "renamed",
+    source: "A",
+    target: "C",
+    cost: 2,
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(body.topology.links.find((l) => l.id === "A-C"), { id: "A-C", source: "A", target: "C", cost: 2 });
+  assert.ok(!body.topology.links.some((l) => l.id === "renamed"));
+
+  const invalid = await request("PUT", "/api/topologies/crud-put-link/links/A-C", { source: "A", target: "Z", cost: 2 });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(codes(invalid.body.error), ["UNKNOWN_ENDPOINT links[2].target"]);
+});
+
+test("routers and links can be edited one at a time", async () => {
+  await post("/api/topologies", { id: "crud-items", ...triangle });
+
+  const link = await post("/api/topologies/crud-items/links", { source: "C", target: "D", cost: 4 });
+  assert.equal(link.status, 201);
+  assert.ok(link.body.topology.links.some((l) => l.id === "C-D" && l.cost === 4));
+
+  const patched = await request("PATCH", "/api/topologies/crud-items/links/A-C", { cost: 1 });
+  assert.equal(patched.body.topology.links.find((l) => l.id === "A-C").cost, 1);
+  assert.equal((await get("/api/topologies/crud-items/links/A-B")).body.link.cost, 1);
+
+  const router = await request("PUT", "/api/topologies/crud-items/routers/B", { label: "Core" });
+  assert.deepEqual(router.body.topology.nodes.find((n) => n.id === "B"), { id: "B", label: "Core" });
+
+  // Removing a router takes its links with it
+  const removed = await request("DELETE", "/api/topologies/crud-items/routers/C");
+  assert.deepEqual(removed.body.topology.links.map((l) => l.id), ["A-B"]);
+  assert.equal(removed.body.topology.version, 5);
+  assert.equal((await get("/api/topologies/crud-items/routers/C")).body.error.code, "ROUTER_NOT_FOUND");
+  assert.equal((await get("/api/topologies/crud-items/links/C-D")).body.error.code, "LINK_NOT_FOUND");
+});
+
+test("GET /api/calculate routes on a stored topology", async () => {
+  await post("/api/topologies", { id: "crud-calculate", ...triangle });
+  const { status, body } = await get("/api/calculate?topology=crud-calculate&start=A");
+  assert.equal(status, 200);
+  assert.equal(body.routingResults.C.cost, 2);
+  assert.equal(body.routingResults.C.nextHop, "B");
+  assert.equal((await get("/api/calculate?topology=missing&start=A")).body.error.code, "TOPOLOGY_NOT_FOUND");
+});
+
+// ---------------- POST /api/what-if ----------------
+test("a failed link reroutes around it and is reported per router", async () => {
+  const { status, body } = await post("/api/what-if", { ...triangle, failedLinks: ["A-B"] });
+  assert.equal(status, 200);
+  assert.deepEqual(body.failedLinks, [{ source: "A", target: "B" }]);
+
+  const a = body.routers.A;
+  assert.equal(a.failed, false);
+  assert.deepEqual(
+    a.changed.map((c) => [c.destination, c.before.cost, c.after.cost]),
+    [["B", 1, 6], ["C", 2, 5]]
+  );
+  assert.deepEqual(a.unreachable, []);
+  assert.equal(a.after.routes.C.nextHop, "C");
+  assert.deepEqual(
+    body.routers.C.changed.map((c) => [c.destination, c.after.cost]),
+    [["A", 5]]
+  );
+});
+
+test("a failed router is marked failed and becomes unreachable for the others", async () => {
+  const { body } = await post("/api/what-if", { ...triangle, failedRouters: ["B"] });
+  assert.equal(body.routers.B.failed, true);
+  assert.equal(body.routers.B.after, null);
+  assert.deepEqual(body.routers.A.unreachable.map((u) => u.destination), ["B"]);
+  assert.deepEqual(
+    body.routers.A.changed.map((c) => [c.destination, c.after.cost]),
+    [["C", 5]]
+  );
+});
+
+test("failed links can be named by ID, router pair or endpoints", async () => {
+  await post("/api/topologies", { id: "what-if-links", ...triangle });
+  for (const ref of ["B-C", "C-B", { source: "B", target: "C" }]) {
+    const { status, body } = await post("/api/what-if", { topology: "what-if-links", failedLinks: [ref] });
+    assert.equal(status, 200);
+    assert.deepEqual(body.topology, { id: "what-if-links", version: 1 });
+    assert.equal(body.routers.A.after.routes.C.cost, 5);
+  }
+});
+
+test("failed elements that are not router IDs or link references are rejected", async () => {
+  const { status, body } = await post("/api/what-if", {
+    ...triangle,
+    failedLinks: [["A", "B"], { source: ["A"], target: "B" }, 7, null],
+    failedRouters: [["B"], 1, { id: "B" }],
+  });
+  assert.equal(status, 400);
+  assert.equal(body.error.code, "INVALID_FAILURES");
+  assert.deepEqual(codes(body.error), [
+    "INVALID_LINK failedLinks[0]",
+    "INVALID_LINK failedLinks[1]",
+    "INVALID_LINK failedLinks[2]",
+    "INVALID_LINK failedLinks[3]",
+    "INVALID_ROUTER failedRouters[0]",
+    "INVALID_ROUTER failedRouters[1]",
+    "INVALID_ROUTER failedRouters[2]",
+  ]);
+});
+
+test("unknown failed elements are rejected with their position", async () => {
+  const { status, body } = await post("/api/what-if", { ...triangle, failedLinks: ["A-D", "nope"], failedRouters: ["A", "Z"] });
+  assert.equal(status, 400);
+  assert.equal(body.error.code, "INVALID_FAILURES");
+  assert.deepEqual(codes(body.error), ["UNKNOWN_LINK failedLinks[0]", "UNKNOWN_LINK failedLinks[1]", "UNKNOWN_ROUTER failedRouters[1]"]);
+
+  assert.equal((await post("/api/what-if", { ...triangle, failedRouters: "B" })).body.error.code, "INVALID_FAILURES");
+  assert.equal((await post("/api/what-if", { failedRouters: [] })).body.error.code, "MISSING_TOPOLOGY");
+});
+
+test("losing one of two equal-cost paths counts as a changed route", async () => {
+  const { body } = await post("/api/what-if", { ...square, failedLinks: ["A-B"] });
+  const d = body.routers.A.changed.find((c) => c.destination === "D");
+  assert.deepEqual(d.before.nextHops, ["B", "C"]);
+  assert.deepEqual(d.after.nextHops, ["C"]);
+  assert.equal(d.after.cost, 2);
+});
+
+// ---------------- Multi-area OSPF ----------------
+// Backbone A-B, A-C; ABR B leads into area 1 (X), ABR C into area 2 (Y)
+const areas = (config) => ({
+  nodes: ["A", "B", "C", "X", "Y"],
+  links: [
+    { source: "A", target: "B", cost: 1, area: 0 },
+    { source: "A", target: "C", cost: 1, area: 0 },
+    { source: "B", target: "X", cost: 2, area: "0.0.0.1" },
+    { source: "C", target: "Y", cost: 3, area: 2 },
+  ],
+  ...(config ? { areas: config } : {}),
+});
+
+test("backbone routers reach other areas through the ABR summaries", async () => {
+  const { body } = await post("/calculate-ospf", { ...areas(), source: "A" });
+  assert.deepEqual(body.areas.abrs, ["B", "C"]);
+  assert.deepEqual(body.areas.routerAreas.X, ["1"]);
+  assert.deepEqual(body.areas.routerAreas.B, ["0", "1"]);
+  assert.equal(body.areas.defaultRoute, null);
+
+  const b = route(body, "B");
+  assert.equal(b.routeType, "O");
+  assert.equal(b.area, "0");
+  const x = route(body, "X");
+  assert.equal(x.routeType, "O IA");
+  assert.equal(x.cost, 3);
+  assert.equal(x.viaAbr, "B");
+  assert.deepEqual(x.nextHops, ["B"]);
+  assert.equal(route(body, "Y").cost, 4);
+});
+
+test("internal routers reach other areas through their own ABR and the backbone", async () => {
+  const { body } = await post("/calculate-ospf", { ...areas(), source: "X" });
+  const y = route(body, "Y");
+  assert.equal(y.routeType, "O IA");
+  assert.equal(y.cost, 7);
+  assert.equal(y.viaAbr, "B");
+  assert.equal(y.area, "1");
+  assert.equal(route(body, "C").cost, 4);
+});
+
+test("stub areas add a default route next to the summaries", async () => {
+  const { body } = await post("/calculate-ospf", { ...areas({ 1: { type: "stub", defaultCost: 5 } }), source: "X" });
+  assert.equal(body.areas.defaultRoute.routeType, "O*IA");
+  assert.equal(body.areas.defaultRoute.cost, 7);
+  assert.equal(body.areas.defaultRoute.viaAbr, "B");
+  assert.equal(route(body, "Y").routeType, "O IA");
+  assert.equal(route(body, "Y").viaDefault, undefined);
+});
+
+test("totally stubby areas only get the default route", async () => {
+  const { body } = await post("/calculate-ospf", { ...areas({ 1: { type: "totally-stubby" } }), source: "X" });
+  const y = route(body, "Y");
+  assert.equal(y.routeType, "O*IA");
+  assert.equal(y.viaDefault, true);
+  assert.equal(y.cost, 3);
+  assert.equal(route(body, "B").routeType, "O");
+});
+
+test("NSSA areas get an O*N2 default route only when the ABR originates one", async () => {
+  const plain = await post("/calculate-ospf", { ...areas({ 2: { type: "nssa" } }), source: "Y" });
+  assert.equal(plain.body.areas.defaultRoute, null);
+  assert.equal(route(plain.body, "X").routeType, "O IA");
+
+  const originated = await post("/calculate-ospf", { ...areas({ 2: { type: "nssa", defaultOriginate: true } }), source: "Y" });
+  assert.equal(originated.body.areas.defaultRoute.routeType, "O*N2");
+  assert.equal(originated.body.areas.defaultRoute.cost, 4);
+  assert.equal(route(originated.body, "X").routeType, "O IA");
+
+  const totally = await post("/calculate-ospf", { ...areas({ 2: { type: "totally-nssa" } }), source: "Y" });
+  assert.equal(route(totally.body, "X").viaDefault, true);
+});
+
+test("area configuration is validated", async () => {
+  const { status, body } = await post("/calculate-ospf", {
+    ...areas({ 0: { type: "stub" }, 1: { type: "bogus" }, 2: { defaultCost: -1 } }),
+    source: "A",
+  });
+  assert.equal(status, 400);
+  assert.deepEqual(codes(body.error), ["INVALID_AREA_TYPE areas.0.type", "INVALID_AREA_TYPE areas.1.type", "INVALID_COST areas.2.defaultCost"]);
+
+  const noBackbone = await post("/calculate-ospf", {
+    nodes: ["A", "B", "C"],
+    links: [
+      { source: "A", target: "B", cost: 1, area: 1 },
+      { source: "B", target: "C", cost: 1, area: 2 },
+    ],
+    source: "A",
+  });
+  assert.deepEqual(codes(noBackbone.body.error), ["BACKBONE_MISSING links"]);
+});
+
+// ---------------- Protocol simulation ----------------
+const ring = { nodes: ["A", "B", "C"], links: triangle.links };
+
+const simulate = async (topology) => {
+  const created = await post("/api/simulations", topology);
+  assert.equal(created.status, 201);
+  return created.body.id;
+};
+
+test("a simulation converges on the SPF routing tables", async () => {
+  const created = await post("/api/simulations", ring);
+  assert.equal(created.body.converged, false);
+  assert.equal(created.body.clock, 0);
+  const id = created.body.id;
+
+  const stepped = await post(`/api/simulations/${id}/step`, { untilConverged: true });
+  assert.equal(stepped.body.converged, true);
+  assert.ok(stepped.body.processed > 0);
+  assert.ok(stepped.body.newEvents.some((e) => e.type === "spf-run"));
+
+  const { body } = await get(`/api/simulations/${id}/routers/A`);
+  assert.deepEqual(body.router.routingTable, { B: { cost: 1, nextHops: ["B"] }, C: { cost: 2, nextHops: ["B"] } });
+  assert.deepEqual(
+    body.router.neighbors.map((n) => [n.id, n.state]),
+    [["B", "Full"], ["C", "Full"]]
+  );
+  assert.deepEqual(
+    body.router.lsdb.map((lsa) => lsa.advRouter).sort(),
+    ["A", "B", "C"]
+  );
+});
+
+test("a link failure is flooded until the routers converge again", async () => {
+  const id = await simulate(ring);
+  await post(`/api/simulations/${id}/step`, { untilConverged: true });
+
+  const changed = await post(`/api/simulations/${id}/changes`, { type: "link-down", source: "A", target: "B" });
+  assert.equal(changed.status, 200);
+  assert.equal(changed.body.converged, false);
+  assert.equal((await post(`/api/simulations/${id}/step`, { untilConverged: true })).body.converged, true);
+  const { body } = await get(`/api/simulations/${id}/routers/A`);
+  assert.deepEqual(body.router.routingTable, { B: { cost: 6, nextHops: ["C"] }, C: { cost: 5, nextHops: ["C"] } });
+});
+
+test("the clock moves by events, seconds or to a point in time", async () => {
+  const id = await simulate(ring);
+  assert.equal((await post(`/api/simulations/${id}/step`, {})).body.processed, 1);
+  assert.equal((await post(`/api/simulations/${id}/step`, { events: 3 })).body.processed, 3);
+  assert.equal((await post(`/api/simulations/${id}/step`, { until: 5 })).body.clock, 5);
+  assert.equal((await post(`/api/simulations/${id}/step`, { seconds: 2.5 })).body.clock, 7.5);
+});
+
+test("invalid simulation requests are rejected", async () => {
+  const timers = await post("/api/simulations", { ...ring, timers: { helloInterval: 0, bogus: 1 } });
+  assert.equal(timers.status, 400);
+  assert.equal(timers.body.error.code, "INVALID_TIMERS");
+
+  const id = await simulate(ring);
+  const step = await post(`/api/simulations/${id}/step`, { events: -1 });
+  assert.equal(step.status, 400);
+  assert.equal(step.body.error.code, "INVALID_STEP");
+
+  const link = await post(`/api/simulations/${id}/changes`, { type: "link-down", source: "A", target: "Z" });
+  assert.equal(link.body.error.code, "INVALID_CHANGE");
+  const cost = await post(`/api/simulations/${id}/changes`, { type: "cost-change", source: "A", target: "B", cost: -3 });
+  assert.equal(cost.body.error.code, "INVALID_COST");
+
+  assert.equal((await request("DELETE", `/api/simulations/${id}`)).status, 204);
+  assert.equal((await get(`/api/simulations/${id}`)).body.error.code, "SIMULATION_NOT_FOUND");
+});
+
+test("a step may cover at most 5000 events or simulated seconds", async () => {
+  const id = await simulate(ring);
+  for (const body of [{ events: 1e9 }, { seconds: 5001 }, { until: 5001 }, { untilConverged: true, maxSeconds: 1e6 }]) {
+    const step = await post(`/api/simulations/${id}/step`, body);
+    assert.equal(step.status, 400, JSON.stringify(body));
+    assert.equal(step.body.error.code, "INVALID_STEP");
+    assert.equal(step.body.error.details.max, 5000);
+  }
+  assert.equal((await get(`/api/simulations/${id}`)).body.clock, 0);
+  assert.equal((await post(`/api/simulations/${id}/step`, { until: 5000 })).body.clock, 5000);
+  assert.equal((await post(`/api/simulations/${id}/step`, { until: 10000 })).body.clock, 10000);
+});
+
+test("unknown simulation change types are named in the error", async () => {
+  const id = await simulate(ring);
+  const change = await post(`/api/simulations/${id}/changes`, { type: "link-flap", source: "A", target: "B" });
+  assert.equal(change.status, 400);
+  assert.equal(change.body.error.code, "INVALID_CHANGE");
+  assert.equal(change.body.error.message, "Unknown change type link-flap");
+});
+
+// ---------------- Broadcast segments (DR/BDR) ----------------
+const lan = (interfaces, extra = {}) => ({
+  nodes: [{ id: "R1", routerId: "1.1.1.1" }, { id: "R2", routerId: "2.2.2.2" }, { id: "R3", routerId: "3.3.3.3" }, "R4"],
+  links: [{ source: "R3", target: "R4", cost: 1 }],
+  lans: [{ id: "LAN1", interfaces, ...extra }],
+});
+const elect = async (body) => (await post("/calculate-ospf", { ...body, source: "R1" })).body.lans[0];
+
+test("the highest priority wins the DR election", async () => {
+  const election = await elect(lan([
+    { router: "R1", cost: 10, priority: 200 },
+    { router: "R2", cost: 10, priority: 100 },
+    { router: "R3", cost: 10 },
+  ]));
+  assert.equal(election.dr, "R1");
+  assert.equal(election.bdr, "R2");
+  assert.deepEqual(election.roles, { R1: "DR", R2: "BDR", R3: "DROTHER" });
+  assert.equal(election.transit, true);
+});
+
+test("equal priorities fall back to the highest router ID", async () => {
+  const election = await elect(lan([{ router: "R1", cost: 10 }, { router: "R2", cost: 10 }, { router: "R3", cost: 10 }]));
+  assert.equal(election.dr, "R3");
+  assert.equal(election.bdr, "R2");
+  const twoWay = election.adjacencies.filter((a) => a.state === "2-WAY");
+  assert.deepEqual(twoWay, []);
+});
+
+test("priority 0 routers never become DR or BDR", async () => {
+  const election = await elect(lan([
+    { router: "R1", cost: 10 },
+    { router: "R2", cost: 10, priority: 0 },
+    { router: "R3", cost: 10, priority: 0 },
+  ]));
+  assert.equal(election.dr, "R1");
+  assert.equal(election.bdr, null);
+  assert.deepEqual(
+    election.adjacencies.find((a) => a.routers.join() === "R2,R3"),
+    { routers: ["R2", "R3"], state: "2-WAY" }
+  );
+
+  const none = await elect(lan([{ router: "R1", cost: 10, priority: 0 }, { router: "R2", cost: 10, priority: 0 }]));
+  assert.equal(none.dr, null);
+  assert.equal(none.transit, false);
+});
+
+test("an existing DR is not preempted by a better router", async () => {
+  const election = await elect(lan([{ router: "R1", cost: 10 }, { router: "R2", cost: 10 }, { router: "R3", cost: 10, priority: 50 }], { dr: "R1" }));
+  assert.equal(election.dr, "R1");
+  assert.equal(election.bdr, "R3");
+});
+
+test("paths cross the LAN through its pseudo-node", async () => {
+  const { body } = await post("/calculate-ospf", {
+    ...lan([{ router: "R1", cost: 10 }, { router: "R2", cost: 4 }, { router: "R3", cost: 7 }]),
+    source: "R1",
+  });
+  // R1 -> LAN costs 10, LAN -> any router costs 0
+  assert.equal(route(body, "R2").cost, 10);
+  assert.deepEqual(route(body, "R2").nextHops, ["R2"]);
+  assert.equal(route(body, "R4").cost, 11);
+  assert.deepEqual(route(body, "R4").nextHops, ["R3"]);
+  assert.equal(route(body, "LAN1"), undefined);
+});
+
+test("invalid LANs are reported", async () => {
+  const { status, body } = await post("/calculate-ospf", {
+    ...lan([{ router: "R1", cost: 10, priority: 256 }, { router: "R9", cost: 10 }]),
+    source: "R1",
+  });
+  assert.equal(status, 400);
+  assert.deepEqual(codes(body.error), ["INVALID_PRIORITY lans[0].interfaces[0].priority", "UNKNOWN_ENDPOINT lans[0].interfaces[1].router"]);
+});
+
+// ---------------- Interface costs ----------------
+const linkCost = (body, id) => body.linkCosts.find((l) => l.id === id);
+
+test("bandwidth is turned into a cost against the reference bandwidth", async () => {
+  const { status, body } = await post("/calculate-ospf", {
+    nodes: ["A", "B", "C"],
+    links: [
+      { id: "ab", source: "A", target: "B", bandwidth: 10 },
+      { id: "bc", source: "B", target: "C", bandwidth: 1000 },
+    ],
+    source: "A",
+  });
+  assert.equal(status, 200);
+  assert.equal(body.referenceBandwidth, 100);
+  assert.equal(linkCost(body, "ab").cost, 10);
+  // 100 / 1000 rounds down to 0, and OSPF never goes below 1
+  assert.equal(linkCost(body, "bc").cost, 1);
+  assert.equal(route(body, "C").cost, 11);
+});
+
+test("the reference bandwidth can be raised, and quotients are truncated", async () => {
+  const { body } = await post("/calculate-ospf", {
+    nodes: ["A", "B"],
+    links: [{ id: "ab", source: "A", target: "B", bandwidth: 300 }],
+    referenceBandwidth: 1000,
+    source: "A",
+  });
+  assert.equal(body.referenceBandwidth, 1000);
+  assert.equal(linkCost(body, "ab").cost, 3);
+});
+
+test("interface overrides give each direction of a link its own cost", async () => {
+  const { body } = await post("/calculate-ospf", {
+    nodes: ["A", "B"],
+    links: [{
+      id: "ab",
+      source: "A",
+      target: "B",
+      bandwidth: 10,
+      interfaces: [{ router: "A", cost: 3 }, { router: "B", bandwidth: 50 }],
+    }],
+    source: "B",
+  });
+  assert.deepEqual(linkCost(body, "ab"), { id: "ab", source: "A", target: "B", cost: 3, reverseCost: 2 });
+  assert.equal(route(body, "A").cost, 2);
+});
+
+test("invalid bandwidths and interfaces are reported", async () => {
+  const { status, body } = await post("/calculate-ospf", {
+    nodes: ["A", "B"],
+    links: [{ source: "A", target: "B", bandwidth: 0, interfaces: [{ router: "C", cost: 1 }] }],
+    source: "A",
+  });
+  assert.equal(status, 400);
+  assert.deepEqual(codes(body.error), ["INVALID_BANDWIDTH links[0].bandwidth", "INVALID_INTERFACE links[0].interfaces[0].router"]);
+
+  const reference = await post("/calculate-ospf", { ...triangle, referenceBandwidth: -1, source: "A" });
+  assert.deepEqual(codes(reference.body.error), ["INVALID_REFERENCE_BANDWIDTH referenceBandwidth"]);
+});
+
+// ---------------- Import/export ----------------
+test("an imported DOT file becomes a stored topology and exports again", async () => {
+  const imported = await post("/api/topologies/import", { id: "from-dot", content: "graph lab {\n  A -- B [cost=4];\n  B -- C [cost=2];\n}\n" });
+  assert.equal(imported.status, 201);
+  assert.equal(imported.body.format, "dot");
+  assert.equal(imported.body.topology.name, "lab");
+  assert.equal(imported.body.topology.links.length, 2);
+
+  const response = await fetch(`http://localhost:${PORT}/api/topologies/from-dot/export?format=graphml`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-disposition"), /from-dot\.graphml/);
+  assert.match(await response.text(), /<edge id="A-B" source="A" target="B">/);
+});
+
+test("import errors point at the offending line", async () => {
+  const parse = await post("/api/topologies/import", { content: "graph {\n  A -- B\n}" });
+  assert.equal(parse.status, 400);
+  assert.equal(parse.body.error.code, "PARSE_ERROR");
+  assert.equal(parse.body.error.details[0].line, 2);
+
+  const invalid = await post("/api/topologies/import", { content: "graph {\n  A -- B [cost=1];\n  B -- C [cost=-1];\n}" });
+  assert.equal(invalid.body.error.code, "INVALID_TOPOLOGY");
+  assert.equal(invalid.body.error.details[0].line, 3);
+
+  assert.equal((await post("/api/topologies/import", { content: "{}", format: "yaml" })).body.error.code, "UNSUPPORTED_FORMAT");
+  assert.equal((await post("/api/topologies/import", {})).body.error.code, "MISSING_CONTENT");
+});
+
+test("editor positions are kept with the routers and must be numbers", async () => {
+  const created = await post("/api/topologies", { id: "laid-out", nodes: [{ id: "A", x: 10, y: -20.5 }, "B"], links: [{ source: "A", target: "B", cost: 1 }] });
+  assert.equal(created.status, 201);
+  assert.deepEqual((await get("/api/topologies/laid-out")).body.topology.nodes[0], { id: "A", x: 10, y: -20.5 });
+
+  const { status, body } = await post("/calculate-ospf", { nodes: [{ id: "A", x: "left" }, "B"], links: [], source: "A" });
+  assert.equal(status, 400);
+  assert.deepEqual(codes(body.error), ["INVALID_POSITION nodes[0].x"]);
+});
+
+// ---------------- Fast reroute ----------------
+const pentagon = {
+  nodes: ["A", "B", "C", "D", "E"],
+  links: [["A", "B"], ["B", "C"], ["C", "D"], ["D", "E"], ["E", "A"]].map(([source, target]) => ({ source, target, cost: 1 })),
+};
+
+test("a neighbor that does not loop back is a loop-free alternate", async () => {
+  const { status, body } = await post("/api/fast-reroute", { ...ring, routers: ["A"] });
+  assert.equal(status, 200);
+  const { routes, coverage } = body.routers.A;
+
+  // C's path to B avoids A, but B is also the destination: link protection only
+  assert.deepEqual(routes.B.backups, [{ type: "lfa", primary: "B", nextHop: "C", protection: "link", downstream: false, cost: 6, path: ["A", "C", "B"] }]);
+  // C is the destination itself, so losing B entirely is covered too
+  assert.deepEqual(routes.C.backups, [{ type: "lfa", primary: "B", nextHop: "C", protection: "node", downstream: true, cost: 5, path: ["A", "C"] }]);
+  assert.equal(coverage.percent, 100);
+  assert.equal(coverage.lfa, 2);
+});
+
+test("a remote LFA tunnels to a PQ-node when no neighbor qualifies", async () => {
+  const { body } = await post("/api/fast-reroute", { ...pentagon, routers: ["A"] });
+  const [backup] = body.routers.A.routes.B.backups;
+  assert.equal(backup.type, "rlfa");
+  assert.equal(backup.nextHop, "E");
+  assert.equal(backup.pqNode, "D");
+  assert.equal(backup.cost, 4);
+  assert.deepEqual(backup.path, ["A", "E", "D", "C", "B"]);
+  assert.ok(body.coverage.remoteLfa > 0);
+
+  const plain = await post("/api/fast-reroute", { ...pentagon, routers: ["A"], remoteLfa: false });
+  assert.equal(plain.body.routers.A.routes.B.protected, false);
+  assert.deepEqual(plain.body.routers.A.routes.B.unprotectedNextHops, ["B"]);
+  assert.ok(plain.body.routers.A.coverage.unprotected.includes("B"));
+});
+
+test("fast-reroute requests are validated", async () => {
+  assert.equal((await post("/api/fast-reroute", { ...ring, routers: "A" })).body.error.code, "INVALID_ROUTERS");
+  assert.equal((await post("/api/fast-reroute", { ...ring, routers: ["Z"] })).status, 422);
+  assert.equal((await post("/api/fast-reroute", { ...ring, remoteLfa: "yes" })).body.error.code, "INVALID_REMOTE_LFA");
+});
+
+// ---------------- Resilience ----------------
+test("the resilience report covers the topology and one router pair", async () => {
+  const { status, body } = await post("/api/analysis/resilience", { ...pentagon, from: "A", to: "C" });
+  assert.equal(status, 200);
+  assert.deepEqual(body.articulationPoints, []);
+  assert.deepEqual(body.bridges, []);
+  assert.equal(body.pair.minCut.links.size, 2);
+  assert.equal(body.pair.minCut.nodes.size, 2);
+  assert.equal(body.pair.linkDisjoint.found, 2);
+  assert.equal(body.pair.linkDisjoint.totalCost, 5);
+
+  assert.equal((await post("/api/analysis/resilience", { ...pentagon, from: "A" })).body.error.code, "MISSING_ENDPOINT");
+  assert.equal((await post("/api/analysis/resilience", { ...pentagon, from: "A", to: "A" })).body.error.code, "SAME_ENDPOINTS");
+  assert.equal((await post("/api/analysis/resilience", { ...pentagon, k: 0 })).body.error.code, "INVALID_K");
+});
+
+// ---------------- Dijkstra trace ----------------
+test("trace records every queue pop and what each relaxation did", async () => {
+  const { body } = await post("/calculate-ospf", { ...ring, source: "A", trace: true });
+  const [first, second] = body.trace;
+  assert.equal(first.node, "A");
+  assert.equal(first.distance, 0);
+  assert.deepEqual(first.relaxations.map((r) => [r.neighbor, r.candidate, r.previous, r.result]), [["B", 1, null, "improved"], ["C", 5, null, "improved"]]);
+  assert.deepEqual(first.tentative, ["B", "C"]);
+  assert.deepEqual(first.permanent, ["A"]);
+
+  assert.equal(second.node, "B");
+  assert.deepEqual(second.relaxations.find((r) => r.neighbor === "C"), { neighbor: "C", linkCost: 1, candidate: 2, previous: 5, result: "improved" });
+  assert.equal(second.relaxations.find((r) => r.neighbor === "A").result, "permanent");
+  // C was queued twice: at 5, then at 2; the later pop at 5 is stale
+  assert.deepEqual(body.trace.map((step) => [step.node, step.stale]), [["A", false], ["B", false], ["C", false], ["C", true]]);
+
+  assert.equal((await post("/calculate-ospf", { ...ring, source: "A" })).body.trace, undefined);
+  assert.equal((await post("/calculate-ospf", { ...ring, source: "A", trace: "yes" })).body.error.code, "INVALID_TRACE");
+});
+
+test("equal-cost relaxations are marked in the trace", async () => {
+  const { body } = await post("/calculate-ospf", { ...square, source: "A", trace: true });
+  assert.ok(body.trace.some((step) => step.relaxations.some((r) => r.neighbor === "D" && r.result === "equal-cost")));
+  assert.equal(body.trace.at(-1).distances.D, 2);
+});
+
+// ---------------- Path query ----------------
+test("path queries honour avoided routers, avoided links and a hop limit", async () => {
+  const direct = await post("/api/path", { ...pentagon, from: "A", to: "C" });
+  assert.equal(direct.status, 200);
+  assert.equal(direct.body.cost, 2);
+  assert.deepEqual(direct.body.paths.map((p) => p.routers), [["A", "B", "C"]]);
+
+  const avoided = await post("/api/path", { ...pentagon, from: "A", to: "C", avoidRouters: ["B"] });
+  assert.equal(avoided.body.cost, 3);
+  assert.deepEqual(avoided.body.paths[0].routers, ["A", "E", "D", "C"]);
+
+  const noLink = await post("/api/path", { ...pentagon, from: "A", to: "C", avoidLinks: ["B-C"] });
+  assert.deepEqual(noLink.body.constraints.avoidLinks, [{ source: "B", target: "C" }]);
+  assert.equal(noLink.body.cost, 3);
+
+  const limited = await post("/api/path", { ...pentagon, from: "A", to: "C", avoidRouters: ["B"], maxHops: 2 });
+  assert.equal(limited.body.reachable, false);
+});
+
+test("invalid path queries are rejected", async () => {
+  assert.equal((await post("/api/path", { ...pentagon, from: "A" })).body.error.code, "MISSING_ENDPOINT");
+  assert.equal((await post("/api/path", { ...pentagon, from: "A", to: "A" })).body.error.code, "SAME_ENDPOINTS");
+  assert.equal((await post("/api/path", { ...pentagon, from: "A", to: "C", maxHops: 0 })).body.error.code, "INVALID_MAX_HOPS");
+  const avoided = await post("/api/path", { ...pentagon, from: "A", to: "C", avoidRouters: ["C", "Z"] });
+  assert.deepEqual(codes(avoided.body.error), ["AVOIDED_ENDPOINT avoidRouters[0]", "UNKNOWN_ROUTER avoidRouters[1]"]);
+});
+
+// ---------------- All-pairs matrix ----------------
+test("the all-pairs matrix names routers and reports timing", async () => {
+  const { status, body } = await post("/api/analysis/all-pairs", pentagon);
+  assert.equal(status, 200);
+  assert.deepEqual(body.routers, ["A", "B", "C", "D", "E"]);
+  assert.deepEqual(body.costs[0], [0, 1, 2, 2, 1]);
+  assert.equal(body.stats.diameter, 2);
+  assert.equal(typeof body.elapsedMs, "number");
+});
+
+test("multi-area topologies use the full routing tables", async () => {
+  const { body } = await post("/api/analysis/all-pairs", areas());
+  const x = body.routers.indexOf("X");
+  const y = body.routers.indexOf("Y");
+  assert.equal(body.costs[x][y], 7);
+  assert.equal(body.routers[body.nextHops[x][y]], "B");
+});
+
+// ---------------- AS-external routes ----------------
+const external = (body, prefix) => body.routingTable.find((r) => r.destination === prefix);
+
+test("E1 routes beat E2 routes whatever their cost", async () => {
+  const { body } = await post("/calculate-ospf", {
+    ...ring,
+    externalRoutes: [
+      { prefix: "10.0.0.0/8", asbr: "B", metricType: "E2", metric: 20 },
+      { prefix: "10.0.0.0/8", asbr: "C", metricType: "E1", metric: 30, tag: 7 },
+    ],
+    source: "A",
+  });
+  const route = external(body, "10.0.0.0/8");
+  assert.equal(route.routeType, "O E1");
+  // E1 adds the internal cost to the ASBR: 30 + 2 over A-B-C
+  assert.equal(route.cost, 32);
+  assert.deepEqual(route.nextHops, ["B"]);
+  assert.equal(route.asbr, "C");
+  assert.equal(route.tag, 7);
+});
+
+test("E2 routes cost the external metric and tie-break on the way to the ASBR", async () => {
+  const { body } = await post("/calculate-ospf", {
+    ...ring,
+    externalRoutes: [
+      { prefix: "172.16.0.0/16", asbr: "C" },
+      { prefix: "172.16.0.0/16", asbr: "B" },
+    ],
+    source: "A",
+  });
+  const route = external(body, "172.16.0.0/16");
+  assert.equal(route.routeType, "O E2");
+  assert.equal(route.cost, 20);
+  assert.equal(route.asbr, "B");
+  assert.equal(route.forwardingCost, 1);
+
+  // Equally good E2 routes share their next hops
+  const ecmp = await post("/calculate-ospf", {
+    ...square,
+    externalRoutes: [{ prefix: "192.0.2.0/24", asbr: "B" }, { prefix: "192.0.2.0/24", asbr: "C" }],
+    source: "A",
+  });
+  assert.deepEqual(external(ecmp.body, "192.0.2.0/24").nextHops, ["B", "C"]);
+});
+
+test("NSSA externals are N routes inside the NSSA and E routes beyond it", async () => {
+  const topology = { ...areas({ 1: { type: "stub" }, 2: { type: "nssa" } }), externalRoutes: [{ prefix: "198.51.100.0/24", asbr: "Y", metricType: "E1", metric: 10 }] };
+
+  const inside = await post("/calculate-ospf", { ...topology, source: "C" });
+  assert.equal(external(inside.body, "198.51.100.0/24").routeType, "O N1");
+  assert.equal(external(inside.body, "198.51.100.0/24").cost, 13);
+
+  // The ABR translates it to type 5 for the backbone
+  const backbone = await post("/calculate-ospf", { ...topology, source: "A" });
+  assert.equal(external(backbone.body, "198.51.100.0/24").routeType, "O E1");
+  assert.equal(external(backbone.body, "198.51.100.0/24").cost, 14);
+
+  // Stub areas never see it
+  const stub = await post("/calculate-ospf", { ...topology, source: "X" });
+  assert.equal(external(stub.body, "198.51.100.0/24"), undefined);
+});
+
+test("invalid external routes are reported", async () => {
+  const { status, body } = await post("/calculate-ospf", {
+    ...ring,
+    externalRoutes: [{ prefix: "10.0.0.0/33", asbr: "Z", metricType: "E3", metric: -1, tag: 1.5, forwardingAddress: "nope" }],
+    source: "A",
+  });
+  assert.equal(status, 400);
+  assert.deepEqual(codes(body.error), [
+    "INVALID_PREFIX externalRoutes[0].prefix",
+    "UNKNOWN_ASBR externalRoutes[0].asbr",
+    "INVALID_METRIC_TYPE externalRoutes[0].metricType",
+    "INVALID_METRIC externalRoutes[0].metric",
+    "INVALID_TAG externalRoutes[0].tag",
+    "INVALID_FORWARDING_ADDRESS externalRoutes[0].forwardingAddress",
+  ]);
+
+  const stub = await post("/calculate-ospf", { ...areas({ 1: { type: "stub" } }), externalRoutes: [{ prefix: "10.0.0.0/8", asbr: "X" }], source: "A" });
+  assert.deepEqual(codes(stub.body.error), ["ASBR_IN_STUB_AREA externalRoutes[0].asbr"]);
+});
+
+test("null links or LANs next to external routes are validation errors", async () => {
+  const externalRoutes = [{ prefix: "10.0.0.0/8", asbr: "A" }];
+  for (const body of [{ ...ring, links: [...ring.links, null] }, { ...ring, lans: [null] }]) {
+    const { status, body: response } = await post("/calculate-ospf", { ...body, externalRoutes, source: "A" });
+    assert.equal(status, 400);
+    assert.equal(response.error.code, "INVALID_TOPOLOGY");
+  }
+});
+
+// ---------------- Subnets and prefix lookup ----------------
+const addressed = {
+  nodes: ["A", "B", { id: "C", loopbacks: ["192.168.0.3/32", "2001:db8::3/128"] }],
+  links: [
+    { id: "A-B", source: "A", target: "B", cost: 1, prefixes: ["10.0.12.0/30"] },
+    { id: "B-C", source: "B", target: "C", cost: 1, prefixes: ["10.0.23.0/30"] },
+    { id: "A-C", source: "A", target: "C", cost: 5 },
+  ],
+};
+const prefixRoute = (body, prefix) => body.prefixTable.find((r) => r.prefix === prefix);
+
+test("subnets are routed through the cheapest attached router", async () => {
+  const { body } = await post("/calculate-ospf", { ...addressed, source: "A" });
+  assert.equal(prefixRoute(body, "10.0.12.0/30").routeType, "C");
+  assert.deepEqual(prefixRoute(body, "10.0.12.0/30").interface, { type: "link", id: "A-B" });
+  // B reaches the B-C subnet at its own interface cost: 1 + 1
+  assert.equal(prefixRoute(body, "10.0.23.0/30").cost, 2);
+  assert.deepEqual(prefixRoute(body, "10.0.23.0/30").nextHops, ["B"]);
+  assert.equal(prefixRoute(body, "192.168.0.3/32").cost, 3);
+  assert.equal(prefixRoute(body, "2001:db8::3/128").family, 6);
+});
+
+test("lookups pick the longest matching prefix and follow it hop by hop", async () => {
+  const { status, body } = await post("/api/lookup", { ...addressed, source: "A", destination: "192.168.0.3" });
+  assert.equal(status, 200);
+  assert.deepEqual(body.match, { prefix: "192.168.0.3/32", routeType: "O", cost: 3 });
+  assert.equal(body.nextHop, "B");
+  assert.deepEqual(body.outgoingInterface, { type: "link", id: "A-B" });
+  assert.deepEqual(body.path, ["A", "B", "C"]);
+
+  const none = await post("/api/lookup", { ...addressed, source: "A", destination: "203.0.113.1" });
+  assert.equal(none.body.match, null);
+
+  assert.equal((await post("/api/lookup", { ...addressed, source: "A" })).body.error.code, "MISSING_DESTINATION");
+  assert.equal((await post("/api/lookup", { ...addressed, source: ["A"], destination: "192.168.0.3" })).body.error.code, "INVALID_SOURCE");
+  assert.equal((await post("/api/lookup", { ...addressed, source: "A", destination: "10.0.0.256" })).body.error.code, "INVALID_ADDRESS");
+});
+
+test("subnets may not repeat or overlap", async () => {
+  const { status, body } = await post("/calculate-ospf", {
+    ...addressed,
+    links: [
+      { source: "A", target: "B", cost: 1, prefixes: ["10.0.0.0/16"] },
+      { source: "B", target: "C", cost: 1, prefixes: ["10.0.1.0/24", "bogus"] },
+    ],
+    source: "A",
+  });
+  assert.equal(status, 400);
+  assert.deepEqual(codes(body.error), ["INVALID_PREFIX links[1].prefixes[1]", "OVERLAPPING_PREFIX links[1].prefixes[0]"]);
+});
+
+// ---------------- Traffic engineering ----------------
+const loaded = {
+  nodes: ["A", "B", "C"],
+  links: [
+    { id: "A-B", source: "A", target: "B", cost: 1, capacity: 100 },
+    { id: "B-C", source: "B", target: "C", cost: 1, capacity: 100 },
+    { id: "A-C", source: "A", target: "C", cost: 5, capacity: 100 },
+  ],
+  demands: [{ source: "A", destination: "C", rate: 150 }],
+};
+
+test("utilization follows the demands over the shortest paths", async () => {
+  const { status, body } = await post("/api/analysis/utilization", loaded);
+  assert.equal(status, 200);
+  assert.equal(body.summary.maxUtilization, 150);
+  assert.equal(body.links.find((l) => l.id === "A-C").load, 0);
+});
+
+test("the cost optimizer proposes costs that spread an overload", async () => {
+  const { status, body } = await post("/api/analysis/optimize-costs", loaded);
+  assert.equal(status, 200);
+  assert.equal(body.before.maxUtilization, 150);
+  assert.ok(body.after.maxUtilization < 150);
+  assert.ok(body.changes.length > 0);
+
+  assert.equal((await post("/api/analysis/optimize-costs", { ...loaded, maxIterations: 0 })).body.error.code, "INVALID_MAX_ITERATIONS");
+  assert.equal((await post("/api/analysis/optimize-costs", { ...loaded, demands: [] })).body.error.code, "NO_DEMANDS");
+});
+
+test("utilization without a topology reads network_data.json", async () => {
+  const { status, body } = await get("/api/analysis/utilization");
+  assert.equal(status, 200);
+  assert.equal(body.topology, null);
+  assert.deepEqual(body.demands, []);
+});
+
+test("invalid capacities and demands are reported", async () => {
+  const { status, body } = await post("/api/analysis/utilization", {
+    ...loaded,
+    links: [{ ...loaded.links[0], capacity: 0 }, ...loaded.links.slice(1)],
+    demands: [{ source: "A", destination: "Z", rate: 1 }, { source: "B", destination: "B", rate: 1 }, { source: "A", destination: "B", rate: -1 }],
+  });
+  assert.equal(status, 400);
+  assert.deepEqual(codes(body.error), [
+    "INVALID_CAPACITY links[0].capacity",
+    "UNKNOWN_DEMAND_ENDPOINT demands[0].destination",
+    "SAME_ENDPOINTS demands[1]",
+    "INVALID_RATE demands[2].rate",
+  ]);
+});
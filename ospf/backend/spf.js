@@ -0,0 +1,259 @@
+// --- SPF Engine ---
+// Dijkstra over the { router: { neighbor: cost } } graph, plus an incremental update that
+// repairs a previous result after one arc cost change instead of starting from scratch.
+// Results have the shape { distances, paths, predecessors, order }: order is the settle order,
+// which lists every node after all of its predecessors (calculateRoutingTable relies on that).
+
+const { PriorityQueue } = require("./priorityQueue");
+
+// Distances as JSON can carry them: unreachable (Infinity) becomes null
+const finiteOrNull = (distances) =>
+  Object.fromEntries(Object.entries(distances).map(([node, d]) => [node, d === Infinity ? null : d]));
+
+// Among nodes at the same distance, those with a zero-cost arc (a LAN pseudo-node towards its
+// routers) are settled first, so a router reached across the LAN at no extra cost still gets
+// the LAN as an equal-cost predecessor
+const queueRank = (graph, node) => {
+  for (const neighbor in graph[node]) if (graph[node][neighbor] === 0) return 0;
+  return 1;
+};
+
+// Equal-cost predecessors in a fixed order, closest first and then by name, so the preferred
+// next hop depends neither on link order nor on how the result was computed
+const predecessorOrder = (distances) => (a, b) => distances[a] - distances[b] || (a < b ? -1 : a > b ? 1 : 0);
+
+// Equal-cost paths are kept: predecessors[node] lists every neighbor that reaches node
+// at the minimum cost. paths[node] is the first of them, as before ECMP support.
+// With options.trace every queue pop is recorded for step-by-step playback:
+// { step, node, distance, stale, relaxations: [{ neighbor, linkCost, candidate, previous, result }],
+//   distances, tentative, permanent }, where result is "improved", "equal-cost", "not-better" or "permanent".
+const dijkstra = (graph, startNode, options = {}) => {
+  const distances = {};
+  const previous = {};
+  const predecessors = {};
+  const settled = new Set();
+  const order = [];
+  const pq = new PriorityQueue();
+  const trace = options.trace ? [] : null;
+
+  if (!graph[startNode]) return { distances: {}, paths: {}, predecessors: {}, order: [], trace };
+
+  for (const node in graph) {
+    distances[node] = node === startNode ? 0 : Infinity;
+    previous[node] = null;
+    predecessors[node] = [];
+  }
+  pq.enqueue(startNode, 0);
+
+  // The tentative set is every reached node that is not permanent yet
+  const record = (current, priority, stale, relaxations) => {
+    trace.push({
+      step: trace.length + 1,
+      node: current,
+      distance: priority,
+      stale,
+      relaxations,
+      distances: finiteOrNull(distances),
+      tentative: Object.keys(distances).filter((node) => distances[node] !== Infinity && !settled.has(node)),
+      permanent: [...order],
+    });
+  };
+
+  while (!pq.isEmpty()) {
+    const { element: current, priority } = pq.dequeue();
+    // Stale queue entries for already-settled nodes would add duplicate predecessors
+    if (settled.has(current)) {
+      if (trace) record(current, priority, true, []);
+      continue;
+    }
+    settled.add(current);
+    order.push(current);
+    predecessors[current].sort(predecessorOrder(distances));
+    previous[current] = predecessors[current][0] ?? null;
+    const relaxations = [];
+
+    for (const neighbor in graph[current]) {
+      const newDist = distances[current] + graph[current][neighbor];
+      const before = distances[neighbor];
+      let result;
+      if (newDist < distances[neighbor]) {
+        distances[neighbor] = newDist;
+        predecessors[neighbor] = [current];
+        pq.enqueue(neighbor, newDist, queueRank(graph, neighbor));
+        result = "improved";
+      } else if (newDist === distances[neighbor] && neighbor !== startNode && !settled.has(neighbor)) {
+        predecessors[neighbor].push(current);
+        result = "equal-cost";
+      } else {
+        result = settled.has(neighbor) ? "permanent" : "not-better";
+      }
+      if (trace) {
+        relaxations.push({
+          neighbor,
+          linkCost: graph[current][neighbor],
+          candidate: newDist,
+          previous: before === Infinity ? null : before,
+          result,
+        });
+      }
+    }
+    if (trace) record(current, priority, false, relaxations);
+  }
+
+  return { distances, paths: previous, predecessors, order, trace };
+};
+
+// Settle order after some nodes moved: the untouched nodes keep their relative order and the
+// moved ones are merged in by distance. Among equal distances a node reached over a zero-cost arc
+// (a LAN pseudo-node to one of its routers) must follow that predecessor, hence the second key.
+const mergeOrder = (previousOrder, moved, distances, predecessors) => {
+  const key = (node) => [distances[node], predecessors[node].some((p) => distances[p] === distances[node]) ? 1 : 0];
+  const before = (a, b) => {
+    const [ka, kb] = [key(a), key(b)];
+    return ka[0] < kb[0] || (ka[0] === kb[0] && ka[1] < kb[1]);
+  };
+  const incoming = [...moved].filter((node) => distances[node] !== Infinity).sort((a, b) => (before(a, b) ? -1 : before(b, a) ? 1 : 0));
+  const order = [];
+  let next = 0;
+  for (const node of previousOrder) {
+    if (moved.has(node)) continue;
+    while (next < incoming.length && before(incoming[next], node)) order.push(incoming[next++]);
+    order.push(node);
+  }
+  while (next < incoming.length) order.push(incoming[next++]);
+  return order;
+};
+
+// Zero-cost arcs make equal-distance nodes predecessors of each other, and which of them wins
+// depends on settle order that updateSpf cannot replay. The only zero-cost arcs it handles are
+// those of LAN pseudo-nodes: out of a node whose arcs are all free, into nodes without free arcs.
+const supportsIncrementalSpf = (graph) => {
+  for (const node in graph) {
+    const costs = Object.values(graph[node]);
+    if (!costs.includes(0)) continue;
+    if (costs.some((cost) => cost !== 0)) return false;
+    for (const next in graph[node]) {
+      if (Object.values(graph[next]).includes(0)) return false;
+    }
+  }
+  return true;
+};
+
+// Repairs a dijkstra() result in place after the arc source -> target changed from oldCost to
+// newCost; graph already carries the new cost. Only nodes whose distance or predecessors depend
+// on that arc are touched, which is what makes this cheaper than a new run on a large network.
+// Returns the number of nodes that had to be settled again. Both graphs must pass
+// supportsIncrementalSpf and neither cost may be 0; otherwise run dijkstra() again.
+const updateSpf = (graph, startNode, spf, { source, target, oldCost, newCost }) => {
+  const { distances, predecessors, paths } = spf;
+  const setPredecessors = (node, list) => {
+    predecessors[node] = list.sort(predecessorOrder(distances));
+    paths[node] = list[0] ?? null;
+  };
+  const result = (moved) => {
+    if (moved.size > 0) spf.order = mergeOrder(spf.order, moved, distances, predecessors);
+    return moved.size;
+  };
+  const unchanged = new Set();
+
+  if (!(distances[source] < Infinity) || newCost === oldCost || target === startNode) return result(unchanged);
+  const pq = new PriorityQueue();
+  const settled = new Set();
+
+  if (newCost < oldCost) {
+    const candidate = distances[source] + newCost;
+    if (candidate > distances[target]) return result(unchanged);
+    if (candidate === distances[target]) {
+      if (!predecessors[target].includes(source)) setPredecessors(target, [...predecessors[target], source]);
+      return result(unchanged);
+    }
+    // Cheaper: everything that improves through target is re-settled, starting at target
+    distances[target] = candidate;
+    setPredecessors(target, [source]);
+    pq.enqueue(target, candidate, queueRank(graph, target));
+    while (!pq.isEmpty()) {
+      const { element: current } = pq.dequeue();
+      if (settled.has(current)) continue;
+      settled.add(current);
+      for (const neighbor in graph[current]) {
+        const newDist = distances[current] + graph[current][neighbor];
+        if (newDist < distances[neighbor]) {
+          distances[neighbor] = newDist;
+          setPredecessors(neighbor, [current]);
+          pq.enqueue(neighbor, newDist, queueRank(graph, neighbor));
+        } else if (newDist === distances[neighbor] && neighbor !== startNode && !settled.has(neighbor) && !predecessors[neighbor].includes(current)) {
+          setPredecessors(neighbor, [...predecessors[neighbor], current]);
+        }
+      }
+    }
+    return result(settled);
+  }
+
+  // More expensive: nothing changes unless the arc was on a shortest path
+  if (!predecessors[target].includes(source)) return result(unchanged);
+  if (predecessors[target].length > 1) {
+    setPredecessors(target, predecessors[target].filter((p) => p !== source));
+    return result(unchanged);
+  }
+
+  // Nodes that lose every shortest path: target, then every node whose predecessors are all affected
+  const affected = new Set([target]);
+  const affectedPredecessors = {};
+  const queue = [target];
+  for (let i = 0; i < queue.length; i++) {
+    for (const next in graph[queue[i]]) {
+      if (affected.has(next) || !predecessors[next].includes(queue[i])) continue;
+      affectedPredecessors[next] = (affectedPredecessors[next] || 0) + 1;
+      if (affectedPredecessors[next] === predecessors[next].length) {
+        affected.add(next);
+        queue.push(next);
+      }
+    }
+  }
+  for (const node of affected) {
+    distances[node] = Infinity;
+    setPredecessors(node, []);
+  }
+  // Re-attach each affected node to its best unaffected neighbor (links exist in both directions)
+  for (const node of affected) {
+    for (const from in graph[node]) {
+      if (affected.has(from) || distances[from] === Infinity || graph[from][node] === undefined) continue;
+      const newDist = distances[from] + graph[from][node];
+      if (newDist < distances[node]) {
+        distances[node] = newDist;
+        setPredecessors(node, [from]);
+      } else if (newDist === distances[node]) {
+        setPredecessors(node, [...predecessors[node], from]);
+      }
+    }
+    if (distances[node] !== Infinity) pq.enqueue(node, distances[node], queueRank(graph, node));
+  }
+  while (!pq.isEmpty()) {
+    const { element: current, priority } = pq.dequeue();
+    if (settled.has(current) || priority > distances[current]) continue;
+    settled.add(current);
+    for (const neighbor in graph[current]) {
+      if (!affected.has(neighbor) || settled.has(neighbor)) continue;
+      const newDist = distances[current] + graph[current][neighbor];
+      if (newDist < distances[neighbor]) {
+        distances[neighbor] = newDist;
+        setPredecessors(neighbor, [current]);
+        pq.enqueue(neighbor, newDist, queueRank(graph, neighbor));
+      } else if (newDist === distances[neighbor] && !predecessors[neighbor].includes(current)) {
+        setPredecessors(neighbor, [...predecessors[neighbor], current]);
+      }
+    }
+  }
+  // Unaffected nodes drop affected predecessors that are no longer on a shortest path to them
+  for (const node of affected) {
+    for (const neighbor in graph[node]) {
+      if (affected.has(neighbor) || !predecessors[neighbor].includes(node)) continue;
+      if (distances[node] + graph[node][neighbor] !== distances[neighbor]) {
+        setPredecessors(neighbor, predecessors[neighbor].filter((p) => p !== node));
+      }
+    }
+  }
+  return result(affected);
+};
+
+module.exports = { dijkstra, updateSpf, supportsIncrementalSpf, finiteOrNull, queueRank };
@@ -0,0 +1,94 @@
+// --- SPF Engine Tests ---
+// Hand-computed topologies for dijkstra() and updateSpf(). Run: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { dijkstra, updateSpf, supportsIncrementalSpf } = require("./spf");
+
+// A-B 1, B-D 1, A-C 1, C-D 1 (two equal paths to D), D-E 5
+const square = () => ({
+  A: { B: 1, C: 1 },
+  B: { A: 1, D: 1 },
+  C: { A: 1, D: 1 },
+  D: { B: 1, C: 1, E: 5 },
+  E: { D: 5 },
+});
+
+const withCost = (graph, source, target, cost) => ({ ...graph, [source]: { ...graph[source], [target]: cost } });
+
+// Distances and predecessor lists are what routing tables are built from
+const assertSameSpf = (actual, expected) => {
+  assert.deepEqual(actual.distances, expected.distances);
+  assert.deepEqual(actual.predecessors, expected.predecessors);
+};
+
+test("dijkstra keeps every equal-cost predecessor", () => {
+  const spf = dijkstra(square(), "A");
+  assert.deepEqual(spf.distances, { A: 0, B: 1, C: 1, D: 2, E: 7 });
+  assert.deepEqual(spf.predecessors.D, ["B", "C"]);
+  assert.equal(spf.paths.D, "B");
+  assert.deepEqual(spf.predecessors.E, ["D"]);
+  // Settle order lists every node after its predecessors
+  assert.ok(spf.order.indexOf("D") > spf.order.indexOf("C"));
+});
+
+test("dijkstra leaves unreachable nodes at Infinity and ignores unknown roots", () => {
+  const graph = { ...square(), X: {} };
+  assert.equal(dijkstra(graph, "A").distances.X, Infinity);
+  assert.deepEqual(dijkstra(graph, "Nope").distances, {});
+});
+
+test("dijkstra never makes zero-cost neighbors each other's predecessor", () => {
+  // R1-R3 costs 0 in both directions, so R1 and R3 sit at the same distance from R0
+  const graph = {
+    R0: { R3: 1, R2: 2 },
+    R1: { R2: 2, R3: 0 },
+    R2: { R1: 2, R0: 2 },
+    R3: { R0: 1, R1: 0 },
+  };
+  const spf = dijkstra(graph, "R0");
+  assert.deepEqual(spf.distances, { R0: 0, R1: 1, R2: 2, R3: 1 });
+  assert.deepEqual(spf.predecessors.R1, ["R3"]);
+  assert.deepEqual(spf.predecessors.R3, ["R0"]);
+});
+
+test("updateSpf repairs a cheaper link like a full run", () => {
+  const before = square();
+  const spf = dijkstra(before, "A");
+  const after = withCost(before, "D", "E", 1);
+  updateSpf(after, "A", spf, { source: "D", target: "E", oldCost: 5, newCost: 1 });
+  assert.equal(spf.distances.E, 3);
+  assertSameSpf(spf, dijkstra(after, "A"));
+});
+
+test("updateSpf drops a predecessor whose link got dearer and keeps the other", () => {
+  const before = square();
+  const spf = dijkstra(before, "A");
+  const after = withCost(before, "B", "D", 4);
+  updateSpf(after, "A", spf, { source: "B", target: "D", oldCost: 1, newCost: 4 });
+  assert.deepEqual(spf.predecessors.D, ["C"]);
+  assertSameSpf(spf, dijkstra(after, "A"));
+});
+
+test("updateSpf reroutes nodes that lost their only shortest path", () => {
+  const before = square();
+  const spf = dijkstra(before, "A");
+  const after = withCost(withCost(before, "A", "C", 10), "A", "B", 10);
+  updateSpf(withCost(before, "A", "C", 10), "A", spf, { source: "A", target: "C", oldCost: 1, newCost: 10 });
+  updateSpf(after, "A", spf, { source: "A", target: "B", oldCost: 1, newCost: 10 });
+  assert.deepEqual(spf.distances, { A: 0, B: 10, C: 10, D: 11, E: 16 });
+  assertSameSpf(spf, dijkstra(after, "A"));
+});
+
+test("supportsIncrementalSpf accepts LAN pseudo-nodes and rejects other free arcs", () => {
+  const lan = {
+    R1: { LAN: 10, R2: 5 },
+    R2: { LAN: 10, R1: 5 },
+    LAN: { R1: 0, R2: 0 },
+  };
+  assert.equal(supportsIncrementalSpf(lan), true);
+  assert.equal(supportsIncrementalSpf(square()), true);
+  assert.equal(supportsIncrementalSpf(withCost(withCost(square(), "A", "B", 0), "B", "A", 0)), false);
+  // A router that reaches its LAN for free turns the LAN's free arcs into a zero-cost cycle
+  assert.equal(supportsIncrementalSpf(withCost(lan, "R1", "LAN", 0)), false);
+});
@@ -0,0 +1,118 @@
+// --- SPF Result Cache ---
+// Dijkstra results keyed by stored topology ID, version and root, so repeated requests against a
+// stored topology whose version did not move skip the SPF run entirely. Graphs that are not a stored
+// version (inline bodies, what-if copies) are never cached.
+// The cache is bounded by the number of node entries it holds, so a 10k-router topology keeps
+// fewer roots than a small lab. Results are shared: callers must treat them as read-only.
+
+const { dijkstra, updateSpf, supportsIncrementalSpf } = require("./spf");
+
+// Roughly 4M distance entries across all cached results
+const MAX_CACHED_NODES = 4000000;
+// Beyond this many changed arcs a full SPF run is cheaper than repairing every cached root
+const MAX_INCREMENTAL_CHANGES = 4;
+
+const entries = new Map();
+let cachedNodes = 0;
+// Graphs are built fresh per request, so whoever builds one from a stored topology names its version
+const keys = new WeakMap();
+
+// Marks graph as the graph of stored topology id at version; returns graph
+const identify = (graph, id, version) => {
+  keys.set(graph, `${id}@${version}`);
+  return graph;
+};
+
+const store = (key, result) => {
+  const size = Object.keys(result.distances).length || 1;
+  if (entries.has(key)) cachedNodes -= entries.get(key).size;
+  entries.delete(key);
+  entries.set(key, { result, size });
+  cachedNodes += size;
+  // Least recently used first: Map iteration follows insertion order
+  for (const [oldest, entry] of entries) {
+    if (cachedNodes <= MAX_CACHED_NODES || entries.size === 1) break;
+    entries.delete(oldest);
+    cachedNodes -= entry.size;
+  }
+};
+
+// dijkstra(graph, root), computed at most once per topology version
+const shortestPaths = (graph, root) => {
+  if (!keys.has(graph)) return dijkstra(graph, root);
+  const key = `${keys.get(graph)}|${root}`;
+  const entry = entries.get(key);
+  if (entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.result;
+  }
+  const result = dijkstra(graph, root);
+  store(key, result);
+  return result;
+};
+
+// Arcs whose cost differs between two graphs, or null when nodes or arcs were added or removed
+const changedArcs = (before, after) => {
+  const beforeNodes = Object.keys(before);
+  if (beforeNodes.length !== Object.keys(after).length) return null;
+  const changes = [];
+  for (const node of beforeNodes) {
+    if (!after[node] || Object.keys(before[node]).length !== Object.keys(after[node]).length) return null;
+    for (const neighbor in before[node]) {
+      if (after[node][neighbor] === undefined) return null;
+      if (after[node][neighbor] !== before[node][neighbor]) {
+        changes.push({ source: node, target: neighbor, oldCost: before[node][neighbor], newCost: after[node][neighbor] });
+      }
+    }
+  }
+  return changes;
+};
+
+// After a topology edit that only changed a few link costs, repairs every cached root of the old
+// version's graph with incremental SPF and moves the results over to the new version's graph.
+// Returns the number of roots carried over; zero-cost changes are left to a full SPF run.
+const carryOver = (before, after) => {
+  const oldKey = keys.get(before);
+  const newKey = keys.get(after);
+  if (!oldKey || !newKey || oldKey === newKey) return 0;
+  const changes = changedArcs(before, after);
+  if (!changes || changes.length === 0 || changes.length > MAX_INCREMENTAL_CHANGES) return 0;
+  if (changes.some((c) => c.oldCost === 0 || c.newCost === 0) || !supportsIncrementalSpf(before) || !supportsIncrementalSpf(after)) return 0;
+
+  // updateSpf expects the graph to differ from the result's graph in one arc, so apply them one by one
+  const steps = [];
+  let graph = before;
+  for (const change of changes) {
+    graph = { ...graph, [change.source]: { ...graph[change.source], [change.target]: change.newCost } };
+    steps.push({ graph, change });
+  }
+
+  const prefix = `${oldKey}|`;
+  const roots = [...entries.keys()].filter((key) => key.startsWith(prefix)).map((key) => key.slice(prefix.length));
+  for (const root of roots) {
+    const { result, size } = entries.get(`${prefix}${root}`);
+    // Repaired in place, so the old graph's entry goes away
+    entries.delete(`${prefix}${root}`);
+    cachedNodes -= size;
+    for (const step of steps) updateSpf(step.graph, root, result, step.change);
+    store(`${newKey}|${root}`, result);
+  }
+  return roots.length;
+};
+
+// Drops every version of a deleted topology; a topology created again under its ID restarts at version 1
+const forget = (id) => {
+  for (const [key, entry] of entries) {
+    if (!key.startsWith(`${id}@`)) continue;
+    entries.delete(key);
+    cachedNodes -= entry.size;
+  }
+};
+
+const clear = () => {
+  entries.clear();
+  cachedNodes = 0;
+};
+
+module.exports = { identify, shortestPaths, carryOver, forget, clear };
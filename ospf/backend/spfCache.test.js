@@ -0,0 +1,72 @@
+// --- SPF Result Cache Tests ---
+// Run: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const spfCache = require("./spfCache");
+const { dijkstra } = require("./spf");
+const { calculateRoutingTable } = require("./routing");
+
+const lab = () => ({
+  R0: { R3: 1, R2: 2 },
+  R1: { R2: 2, R3: 2 },
+  R2: { R1: 2, R0: 2 },
+  R3: { R0: 1, R1: 2 },
+});
+
+const withLinkCost = (graph, a, b, cost) => ({
+  ...graph,
+  [a]: { ...graph[a], [b]: cost },
+  [b]: { ...graph[b], [a]: cost },
+});
+
+test.beforeEach(() => spfCache.clear());
+
+test("a graph of the same topology version built again hits the cache", () => {
+  const first = spfCache.shortestPaths(spfCache.identify(lab(), "lab", 1), "R0");
+  assert.equal(spfCache.shortestPaths(spfCache.identify(lab(), "lab", 1), "R0"), first);
+  assert.notEqual(spfCache.shortestPaths(spfCache.identify(lab(), "lab", 1), "R1"), first);
+  assert.notEqual(spfCache.shortestPaths(spfCache.identify(lab(), "lab", 2), "R0"), first);
+});
+
+test("graphs that are not a stored topology version are never cached", () => {
+  const graph = lab();
+  assert.notEqual(spfCache.shortestPaths(graph, "R0"), spfCache.shortestPaths(graph, "R0"));
+});
+
+test("forget drops every version of a deleted topology", () => {
+  const first = spfCache.shortestPaths(spfCache.identify(lab(), "lab", 1), "R0");
+  const other = spfCache.shortestPaths(spfCache.identify(lab(), "other", 1), "R0");
+  spfCache.forget("lab");
+  // Created again under the same ID, the topology starts over at version 1 with a new graph
+  const recreated = spfCache.identify(withLinkCost(lab(), "R0", "R3", 9), "lab", 1);
+  assert.notEqual(spfCache.shortestPaths(recreated, "R0"), first);
+  assert.equal(spfCache.shortestPaths(recreated, "R0").distances.R3, 6);
+  assert.equal(spfCache.shortestPaths(spfCache.identify(lab(), "other", 1), "R0"), other);
+});
+
+test("carryOver repairs every cached root after a cost change", () => {
+  const before = spfCache.identify(lab(), "lab", 1);
+  for (const root of Object.keys(before)) spfCache.shortestPaths(before, root);
+  const after = spfCache.identify(withLinkCost(before, "R1", "R3", 5), "lab", 2);
+  assert.equal(spfCache.carryOver(before, after), 4);
+  for (const root of Object.keys(after)) {
+    const cached = spfCache.shortestPaths(after, root);
+    const full = dijkstra(after, root);
+    assert.deepEqual(cached.distances, full.distances);
+    assert.deepEqual(cached.predecessors, full.predecessors);
+  }
+});
+
+test("carryOver leaves zero-cost changes to a full SPF run", () => {
+  const before = spfCache.identify(lab(), "lab", 1);
+  for (const root of Object.keys(before)) spfCache.shortestPaths(before, root);
+  const after = spfCache.identify(withLinkCost(before, "R1", "R3", 0), "lab", 2);
+  assert.equal(spfCache.carryOver(before, after), 0);
+  for (const root of Object.keys(after)) {
+    const cached = spfCache.shortestPaths(after, root);
+    assert.deepEqual(cached.predecessors, dijkstra(after, root).predecessors);
+    // Predecessor cycles used to make the routing table throw
+    assert.doesNotThrow(() => calculateRoutingTable(after, root));
+  }
+});
@@ -0,0 +1,953 @@
+// --- Topology Import/Export ---
+// Converts topology documents to and from Graphviz DOT, GraphML and the router-LSA
+// section of Cisco/FRR "show ip ospf database router" output.
+// Parsers never throw: they return { topology, errors, warnings, lines }. Every error and
+// warning carries the 1-based line it was found on, and lines maps document paths such as
+// "links[3]" back to the source line so later validation errors can point there as well.
+// Area types (stub/NSSA) are not part of these formats and have to be set after an import.
+
+// DOT and GraphML share one attribute vocabulary (all lower case):
+//   graph: name, referencebandwidth
+//   node:  label, area, routerid, lan=true (a broadcast segment)
+//   edge:  id, cost (or weight, or a numeric label), bandwidth, area, priority (LAN edges),
+//          sourcecost / targetcost / sourcebandwidth / targetbandwidth for one interface each
+
+const ROUTER_ID_PATTERN = /^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/;
+
+const isTrue = (value) => ["true", "yes", "1"].includes(String(value).toLowerCase());
+
+// Carries a fatal syntax error out of a recursive parser
+const syntaxError = (line, message) => ({ syntax: true, line, message });
+
+const parseResult = () => ({ topology: null, errors: [], warnings: [], lines: {} });
+
+// ---------------- Shared Topology Assembly ----------------
+// Turns the node and edge statements collected by the DOT and GraphML parsers into a
+// topology document. nodes: [{ id, attrs, line }], edges: [{ source, target, attrs, directed, line }].
+// A directed edge describes the interface of its tail only; both directions of a pair form one link.
+const assembleTopology = (graphAttrs, nodeEntries, edgeEntries, result) => {
+  const { errors, warnings, lines } = result;
+  const nodes = new Map();
+  const number = (attrs, name, line) => {
+    if (attrs[name] === undefined || attrs[name] === "") return undefined;
+    const value = Number(attrs[name]);
+    if (!Number.isFinite(value)) {
+      errors.push({ code: "PARSE_ERROR", line, message: `Attribute ${name}="${attrs[name]}" is not a number.` });
+      return undefined;
+    }
+    return value;
+  };
+  const edgeCost = (attrs, line) => {
+    const cost = number(attrs, "cost", line) ?? number(attrs, "weight", line);
+    if (cost !== undefined) return cost;
+    // Plain Graphviz drawings often carry the metric as the edge label only
+    const label = attrs.label !== undefined ? Number(attrs.label) : NaN;
+    return Number.isFinite(label) ? label : undefined;
+  };
+
+  for (const { id, attrs, line, implicit } of nodeEntries) {
+    // Repeated node statements merge their attributes, as in Graphviz; a mere mention in an
+    // edge statement only fills in defaults
+    const existing = nodes.get(id)?.attrs || {};
+    nodes.set(id, {
+      id,
+      attrs: implicit ? { ...attrs, ...existing } : { ...existing, ...attrs },
+      line: nodes.get(id)?.line ?? line,
+    });
+  }
+  for (const { source, target, line } of edgeEntries) {
+    for (const id of [source, target]) {
+      if (!nodes.has(id)) nodes.set(id, { id, attrs: {}, line });
+    }
+  }
+
+  const topology = { nodes: [], links: [] };
+  if (graphAttrs.name) topology.name = graphAttrs.name;
+  const referenceBandwidth = number(graphAttrs, "referencebandwidth", graphAttrs.line ?? 1);
+  if (referenceBandwidth !== undefined) topology.referenceBandwidth = referenceBandwidth;
+
+  const lans = new Map();
+  for (const { id, attrs, line } of nodes.values()) {
+    if (isTrue(attrs.lan)) {
+      const lan = { id, interfaces: [] };
+      if (attrs.area !== undefined) lan.area = attrs.area;
+      lans.set(id, lan);
+      lines[`lans[${lans.size - 1}]`] = line;
+      continue;
+    }
+    const node = { id, label: attrs.label || id };
+    if (attrs.area !== undefined) node.area = attrs.area;
+    if (attrs.routerid !== undefined) node.routerId = attrs.routerid;
+    lines[`nodes[${topology.nodes.length}]`] = line;
+    topology.nodes.push(node);
+  }
+
+  const links = new Map();
+  for (const { source, target, attrs, directed, line } of edgeEntries) {
+    const cost = edgeCost(attrs, line);
+    const bandwidth = number(attrs, "bandwidth", line);
+
+    if (lans.has(source) || lans.has(target)) {
+      if (lans.has(source) && lans.has(target)) {
+        errors.push({ code: "PARSE_ERROR", line, message: `Edge ${source}-${target} connects two LANs.` });
+        continue;
+      }
+      const lan = lans.get(lans.has(source) ? source : target);
+      const router = lans.has(source) ? target : source;
+      // LAN -> router edges of a directed graph only repeat the attachment
+      if (lan.interfaces.some((iface) => iface.router === router)) continue;
+      const iface = { router };
+      if (cost !== undefined) iface.cost = cost;
+      if (bandwidth !== undefined) iface.bandwidth = bandwidth;
+      const priority = number(attrs, "priority", line);
+      if (priority !== undefined) iface.priority = priority;
+      lan.interfaces.push(iface);
+      continue;
+    }
+
+    const key = [source, target].sort().join("\u0000");
+    if (directed && links.has(key) && links.get(key).directed) {
+      const link = links.get(key).link;
+      if (link.interfaces.some((iface) => iface.router === source)) {
+        errors.push({ code: "PARSE_ERROR", line, message: `Edge ${source}->${target} is defined more than once.` });
+        continue;
+      }
+      link.interfaces.push({ router: source, cost, bandwidth });
+      continue;
+    }
+
+    const link = { source, target };
+    if (attrs.id) link.id = attrs.id;
+    if (attrs.area !== undefined) link.area = attrs.area;
+    if (directed) {
+      link.interfaces = [{ router: source, cost, bandwidth }];
+    } else {
+      if (cost !== undefined) link.cost = cost;
+      if (bandwidth !== undefined) link.bandwidth = bandwidth;
+      const ends = [
+        { router: source, cost: number(attrs, "sourcecost", line), bandwidth: number(attrs, "sourcebandwidth", line) },
+        { router: target, cost: number(attrs, "targetcost", line), bandwidth: number(attrs, "targetbandwidth", line) },
+      ].filter((iface) => iface.cost !== undefined || iface.bandwidth !== undefined);
+      if (ends.length > 0) link.interfaces = ends;
+    }
+    // Same key twice in an undirected graph is reported by topology validation (DUPLICATE_LINK)
+    links.set(links.has(key) ? `${key}\u0000${line}` : key, { link, directed, line });
+  }
+
+  for (const { link, directed, line } of links.values()) {
+    if (directed) {
+      if (link.interfaces.length === 1) {
+        // A lone directed edge is taken to describe both directions
+        const [{ cost, bandwidth }] = link.interfaces;
+        delete link.interfaces;
+        if (cost !== undefined) link.cost = cost;
+        if (bandwidth !== undefined) link.bandwidth = bandwidth;
+        warnings.push({ line, message: `Only ${link.source}->${link.target} is defined; using it for both directions.` });
+      } else {
+        link.interfaces = link.interfaces.map(({ router, cost, bandwidth }) => ({
+          router,
+          ...(cost !== undefined && { cost }),
+          ...(bandwidth !== undefined && { bandwidth }),
+        }));
+      }
+    }
+    const hasCost =
+      link.cost !== undefined ||
+      link.bandwidth !== undefined ||
+      (link.interfaces || []).filter((iface) => iface.cost !== undefined || iface.bandwidth !== undefined).length === 2;
+    if (!hasCost) {
+      errors.push({ code: "PARSE_ERROR", line, message: `Edge ${link.source}-${link.target} has no cost, weight or bandwidth.` });
+    }
+    lines[`links[${topology.links.length}]`] = line;
+    topology.links.push(link);
+  }
+
+  if (lans.size > 0) topology.lans = [...lans.values()];
+  result.topology = topology;
+  return result;
+};
+
+// Attribute map of one link or LAN interface in the shared vocabulary
+const linkAttributes = (link) => {
+  const attrs = { id: link.id };
+  if (link.cost !== undefined) attrs.cost = link.cost;
+  if (link.bandwidth !== undefined) attrs.bandwidth = link.bandwidth;
+  if (link.area !== undefined) attrs.area = link.area;
+  for (const iface of link.interfaces || []) {
+    const end = iface.router === link.source ? "source" : "target";
+    if (iface.cost !== undefined) attrs[`${end}cost`] = iface.cost;
+    if (iface.bandwidth !== undefined) attrs[`${end}bandwidth`] = iface.bandwidth;
+  }
+  return attrs;
+};
+
+const lanInterfaceAttributes = (iface) => {
+  const attrs = {};
+  if (iface.cost !== undefined) attrs.cost = iface.cost;
+  if (iface.bandwidth !== undefined) attrs.bandwidth = iface.bandwidth;
+  if (iface.priority !== undefined) attrs.priority = iface.priority;
+  return attrs;
+};
+
+const nodeAttributes = (node) => {
+  const attrs = { label: node.label || node.id };
+  if (node.area !== undefined) attrs.area = node.area;
+  if (node.routerId !== undefined) attrs.routerid = node.routerId;
+  return attrs;
+};
+
+// ---------------- Graphviz DOT ----------------
+const DOT_PUNCTUATION = "{}[];,=:";
+
+const tokenizeDot = (text) => {
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+  let lineStart = true;
+
+  while (i < text.length) {
+    const c = text[i];
+    if (c === "\n") {
+      line++;
+      i++;
+      lineStart = true;
+      continue;
+    }
+    if (/\s/.test(c)) {
+      i++;
+      continue;
+    }
+    // "#" lines are C preprocessor output, which Graphviz ignores
+    if (text.startsWith("//", i) || (c === "#" && lineStart)) {
+      while (i < text.length && text[i] !== "\n") i++;
+      continue;
+    }
+    lineStart = false;
+    if (text.startsWith("/*", i)) {
+      const end = text.indexOf("*/", i + 2);
+      if (end === -1) throw syntaxError(line, "Unterminated /* comment.");
+      line += (text.slice(i, end).match(/\n/g) || []).length;
+      i = end + 2;
+      continue;
+    }
+    if (c === '"') {
+      const startLine = line;
+      let value = "";
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === "\\" && text[i + 1] === '"') {
+          value += '"';
+          i += 2;
+          continue;
+        }
+        if (text[i] === "\\" && text[i + 1] === "\n") {
+          line++;
+          i += 2;
+          continue;
+        }
+        if (text[i] === "\n") line++;
+        value += text[i++];
+      }
+      if (i >= text.length) throw syntaxError(startLine, "Unterminated string.");
+      i++;
+      tokens.push({ type: "id", value, line: startLine, quoted: true });
+      continue;
+    }
+    if (c === "<") {
+      // HTML-like label: keep the raw markup
+      const startLine = line;
+      let depth = 0;
+      let end = i;
+      for (; end < text.length; end++) {
+        if (text[end] === "<") depth++;
+        if (text[end] === ">") depth--;
+        if (text[end] === "\n") line++;
+        if (depth === 0) break;
+      }
+      if (depth !== 0) throw syntaxError(startLine, "Unterminated <...> label.");
+      tokens.push({ type: "id", value: text.slice(i + 1, end), line: startLine, quoted: true });
+      i = end + 1;
+      continue;
+    }
+    if (text.startsWith("--", i) || text.startsWith("->", i)) {
+      tokens.push({ type: "edgeop", value: text.slice(i, i + 2), line });
+      i += 2;
+      continue;
+    }
+    if (DOT_PUNCTUATION.includes(c)) {
+      tokens.push({ type: c, value: c, line });
+      i++;
+      continue;
+    }
+    // Bare IDs are a little more lenient than Graphviz so that 10.0.0.1 needs no quotes
+    const match = text.slice(i).match(/^-?[A-Za-z0-9_.\u0080-\uffff]+/);
+    if (!match) throw syntaxError(line, `Unexpected character "${c}".`);
+    tokens.push({ type: "id", value: match[0], line });
+    i += match[0].length;
+  }
+  tokens.push({ type: "eof", value: "end of file", line });
+  return tokens;
+};
+
+const parseDot = (text) => {
+  const result = parseResult();
+  let tokens;
+  try {
+    tokens = tokenizeDot(text);
+  } catch (err) {
+    if (!err.syntax) throw err;
+    result.errors.push({ code: "PARSE_ERROR", line: err.line, message: err.message });
+    return result;
+  }
+
+  let pos = 0;
+  const peek = (offset = 0) => tokens[Math.min(pos + offset, tokens.length - 1)];
+  const next = () => tokens[pos++];
+  const keyword = (token, word) => token.type === "id" && !token.quoted && token.value.toLowerCase() === word;
+  const expect = (type, what) => {
+    const token = next();
+    if (token.type !== type) throw syntaxError(token.line, `Expected ${what} but found "${token.value}".`);
+    return token;
+  };
+
+  const graphAttrs = {};
+  const nodes = [];
+  const edges = [];
+  let directed = false;
+
+  // [ a=b, c=d ][ ... ]
+  const parseAttrList = () => {
+    const attrs = {};
+    while (peek().type === "[") {
+      next();
+      while (peek().type !== "]") {
+        const name = expect("id", "an attribute name");
+        let value = "true";
+        if (peek().type === "=") {
+          next();
+          value = expect("id", `a value for ${name.value}`).value;
+        }
+        attrs[name.value.toLowerCase()] = value;
+        if (peek().type === "," || peek().type === ";") next();
+      }
+      next();
+    }
+    return attrs;
+  };
+
+  // node_id [ :port [ :compass ] ]; ports mean nothing to OSPF
+  const parseNodeId = () => {
+    const id = expect("id", "a node ID");
+    while (peek().type === ":") {
+      next();
+      expect("id", "a port name");
+    }
+    return id;
+  };
+
+  // subgraph [ID] { ... }: statements inherit the enclosing node/edge defaults
+  const parseSubgraph = (scope) => {
+    if (keyword(peek(), "subgraph")) {
+      next();
+      if (peek().type === "id") next();
+    }
+    expect("{", '"{"');
+    const members = parseStatements(scope);
+    expect("}", '"}"');
+    return members;
+  };
+
+  // Returns the node IDs a statement list mentions, for subgraphs used as edge operands
+  const parseStatements = (defaults) => {
+    const scope = { node: { ...defaults.node }, edge: { ...defaults.edge } };
+    const members = [];
+    const mention = (id) => {
+      if (!members.includes(id)) members.push(id);
+    };
+
+    const parseOperand = () => {
+      if (peek().type === "{" || keyword(peek(), "subgraph")) return parseSubgraph(scope);
+      const token = parseNodeId();
+      nodes.push({ id: token.value, attrs: { ...scope.node }, line: token.line, implicit: true });
+      return [token.value];
+    };
+
+    while (peek().type !== "}" && peek().type !== "eof") {
+      const token = peek();
+      if (keyword(token, "graph") || keyword(token, "node") || keyword(token, "edge")) {
+        next();
+        const attrs = parseAttrList();
+        const kind = token.value.toLowerCase();
+        if (kind === "graph") Object.assign(graphAttrs, attrs);
+        else Object.assign(scope[kind], attrs);
+      } else if (token.type === "id" && peek(1).type === "=") {
+        next();
+        next();
+        graphAttrs[token.value.toLowerCase()] = expect("id", `a value for ${token.value}`).value;
+      } else {
+        const line = token.line;
+        const left = parseOperand();
+        left.forEach(mention);
+        if (peek().type === "edgeop") {
+          const chain = [left];
+          while (peek().type === "edgeop") {
+            const op = next();
+            if ((op.value === "->") !== directed) {
+              throw syntaxError(op.line, `"${op.value}" cannot be used in ${directed ? "a digraph" : "an undirected graph"}.`);
+            }
+            const right = parseOperand();
+            right.forEach(mention);
+            chain.push(right);
+          }
+          const attrs = { ...scope.edge, ...parseAttrList() };
+          for (let i = 0; i + 1 < chain.length; i++) {
+            for (const source of chain[i]) {
+              for (const target of chain[i + 1]) edges.push({ source, target, attrs, directed, line });
+            }
+          }
+        } else if (left.length === 1 && !keyword(token, "subgraph") && token.type !== "{") {
+          // Plain node statement: its attributes replace the implicit entry added above
+          nodes[nodes.length - 1] = { id: left[0], attrs: { ...scope.node, ...parseAttrList() }, line };
+        }
+      }
+      if (peek().type === ";") next();
+    }
+    return members;
+  };
+
+  try {
+    if (keyword(peek(), "strict")) next();
+    const kind = next();
+    if (!keyword(kind, "graph") && !keyword(kind, "digraph")) {
+      throw syntaxError(kind.line, `Expected "graph" or "digraph" but found "${kind.value}".`);
+    }
+    directed = keyword(kind, "digraph");
+    if (peek().type === "id") graphAttrs.name = next().value;
+    expect("{", '"{"');
+    parseStatements({ node: {}, edge: {} });
+    expect("}", '"}"');
+    if (peek().type !== "eof") throw syntaxError(peek().line, `Unexpected "${peek().value}" after the closing brace.`);
+  } catch (err) {
+    if (!err.syntax) throw err;
+    result.errors.push({ code: "PARSE_ERROR", line: err.line, message: err.message });
+    return result;
+  }
+
+  // A label given as a graph attribute is the display name
+  if (graphAttrs.label) graphAttrs.name = graphAttrs.label;
+  return assembleTopology(graphAttrs, nodes, edges, result);
+};
+
+const dotId = (value) => `"${String(value).replace(/"/g, '\\"')}"`;
+const dotAttrs = (attrs) =>
+  Object.entries(attrs)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => `${name}=${typeof value === "number" ? value : dotId(value)}`)
+    .join(", ");
+
+const toDot = (topology) => {
+  const out = [`graph ${dotId(topology.name || topology.id || "ospf")} {`];
+  if (topology.referenceBandwidth !== undefined) out.push(`  referencebandwidth=${topology.referenceBandwidth};`);
+  for (const node of topology.nodes) out.push(`  ${dotId(node.id)} [${dotAttrs(nodeAttributes(node))}];`);
+  for (const lan of topology.lans || []) {
+    out.push(`  ${dotId(lan.id)} [${dotAttrs({ lan: "true", shape: "box", area: lan.area })}];`);
+  }
+  for (const link of topology.links) {
+    const attrs = linkAttributes(link);
+    // Graphviz shows the label; importers read cost
+    if (attrs.cost !== undefined) attrs.label = String(attrs.cost);
+    out.push(`  ${dotId(link.source)} -- ${dotId(link.target)} [${dotAttrs(attrs)}];`);
+  }
+  for (const lan of topology.lans || []) {
+    for (const iface of lan.interfaces) {
+      out.push(`  ${dotId(iface.router)} -- ${dotId(lan.id)} [${dotAttrs(lanInterfaceAttributes(iface))}];`);
+    }
+  }
+  out.push("}");
+  return `${out.join("\n")}\n`;
+};
+
+// ---------------- GraphML ----------------
+const XML_ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+const decodeXml = (value, line) =>
+  value.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, name) => {
+    if (name[0] === "#") {
+      return String.fromCodePoint(name[1] === "x" ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+    }
+    if (!Object.hasOwn(XML_ENTITIES, name)) throw syntaxError(line, `Unknown XML entity ${entity}.`);
+    return XML_ENTITIES[name];
+  });
+
+// Just enough XML for GraphML: elements, attributes, text, comments, CDATA and entities
+const parseXml = (text) => {
+  const root = { name: "#document", attrs: {}, children: [], text: "", line: 1 };
+  const stack = [root];
+  let line = 1;
+  let i = 0;
+  const advance = (to) => {
+    line += (text.slice(i, to).match(/\n/g) || []).length;
+    i = to;
+  };
+  const skipPast = (marker, what) => {
+    const end = text.indexOf(marker, i);
+    if (end === -1) throw syntaxError(line, `Unterminated ${what}.`);
+    advance(end + marker.length);
+  };
+
+  while (i < text.length) {
+    const current = stack[stack.length - 1];
+    if (text[i] !== "<") {
+      const end = text.indexOf("<", i) === -1 ? text.length : text.indexOf("<", i);
+      current.text += decodeXml(text.slice(i, end), line);
+      advance(end);
+      continue;
+    }
+    if (text.startsWith("<!--", i)) {
+      skipPast("-->", "comment");
+    } else if (text.startsWith("<![CDATA[", i)) {
+      const end = text.indexOf("]]>", i);
+      if (end === -1) throw syntaxError(line, "Unterminated CDATA section.");
+      current.text += text.slice(i + 9, end);
+      advance(end + 3);
+    } else if (text.startsWith("<?", i)) {
+      skipPast("?>", "processing instruction");
+    } else if (text.startsWith("<!", i)) {
+      skipPast(">", "declaration");
+    } else if (text.startsWith("</", i)) {
+      const match = text.slice(i).match(/^<\/([^\s>]+)\s*>/);
+      if (!match) throw syntaxError(line, "Malformed closing tag.");
+      if (stack.length === 1 || current.name !== match[1]) {
+        throw syntaxError(line, `Closing tag </${match[1]}> does not match <${current.name}> opened on line ${current.line}.`);
+      }
+      stack.pop();
+      advance(i + match[0].length);
+    } else {
+      const match = text.slice(i).match(/^<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/);
+      if (!match) throw syntaxError(line, "Malformed tag.");
+      const element = { name: match[1], attrs: {}, children: [], text: "", line };
+      for (const [, name, , double, single] of match[2].matchAll(/([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+        element.attrs[name] = decodeXml(double ?? single, line);
+      }
+      current.children.push(element);
+      advance(i + match[0].length);
+      if (!match[3]) stack.push(element);
+    }
+  }
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw syntaxError(open.line, `Element <${open.name}> is never closed.`);
+  }
+  return root;
+};
+
+// Namespaced elements (yEd's y:ShapeNode...) are matched on their local name
+const localName = (element) => element.name.split(":").pop();
+const childrenNamed = (element, name) => element.children.filter((child) => localName(child) === name);
+
+const parseGraphml = (text) => {
+  const result = parseResult();
+  let document;
+  try {
+    document = parseXml(text);
+  } catch (err) {
+    if (!err.syntax) throw err;
+    result.errors.push({ code: "PARSE_ERROR", line: err.line, message: err.message });
+    return result;
+  }
+
+  const [root] = childrenNamed(document, "graphml");
+  if (!root) {
+    result.errors.push({ code: "PARSE_ERROR", line: document.children[0]?.line ?? 1, message: "The document has no <graphml> root element." });
+    return result;
+  }
+  const [graph] = childrenNamed(root, "graph");
+  if (!graph) {
+    result.errors.push({ code: "PARSE_ERROR", line: root.line, message: "The <graphml> element contains no <graph>." });
+    return result;
+  }
+
+  // <key id="d0" for="edge" attr.name="cost"> maps data keys to attribute names.
+  // Key IDs and "for" come from the document, so neither may reach a prototype
+  const keys = Object.create(null);
+  const defaults = { graph: {}, node: {}, edge: {} };
+  for (const key of childrenNamed(root, "key")) {
+    const name = (key.attrs["attr.name"] || key.attrs.id || "").toLowerCase();
+    keys[key.attrs.id] = name;
+    const [fallback] = childrenNamed(key, "default");
+    if (fallback) {
+      for (const kind of key.attrs.for === "all" || !key.attrs.for ? ["graph", "node", "edge"] : [key.attrs.for]) {
+        if (Object.hasOwn(defaults, kind)) defaults[kind][name] = fallback.text.trim();
+      }
+    }
+  }
+  const dataOf = (element, kind) => {
+    const attrs = { ...defaults[kind] };
+    for (const data of childrenNamed(element, "data")) {
+      if (!(data.attrs.key in keys)) {
+        result.errors.push({ code: "PARSE_ERROR", line: data.line, message: `Data key "${data.attrs.key}" has no <key> declaration.` });
+        continue;
+      }
+      attrs[keys[data.attrs.key]] = data.text.trim();
+    }
+    return attrs;
+  };
+
+  const graphAttrs = { ...dataOf(graph, "graph"), line: graph.line };
+  if (!graphAttrs.name && graph.attrs.id) graphAttrs.name = graph.attrs.id;
+  const edgeDefault = graph.attrs.edgedefault === "directed";
+
+  const nodes = [];
+  const edges = [];
+  for (const node of childrenNamed(graph, "node")) {
+    if (!node.attrs.id) {
+      result.errors.push({ code: "PARSE_ERROR", line: node.line, message: "<node> needs an id attribute." });
+      continue;
+    }
+    if (childrenNamed(node, "graph").length > 0) {
+      result.warnings.push({ line: node.line, message: `Nested graph inside node ${node.attrs.id} is ignored.` });
+    }
+    nodes.push({ id: node.attrs.id, attrs: dataOf(node, "node"), line: node.line });
+  }
+  for (const edge of childrenNamed(graph, "edge")) {
+    const { source, target } = edge.attrs;
+    if (!source || !target) {
+      result.errors.push({ code: "PARSE_ERROR", line: edge.line, message: "<edge> needs source and target attributes." });
+      continue;
+    }
+    const attrs = dataOf(edge, "edge");
+    if (edge.attrs.id && !attrs.id) attrs.id = edge.attrs.id;
+    const directed = edge.attrs.directed !== undefined ? edge.attrs.directed === "true" : edgeDefault;
+    edges.push({ source, target, attrs, directed, line: edge.line });
+  }
+  for (const hyperedge of childrenNamed(graph, "hyperedge")) {
+    result.errors.push({ code: "PARSE_ERROR", line: hyperedge.line, message: "Hyperedges are not supported; model shared segments as LAN nodes." });
+  }
+  if (result.errors.length > 0) return result;
+  return assembleTopology(graphAttrs, nodes, edges, result);
+};
+
+const xmlEscape = (value) =>
+  String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const GRAPHML_KEYS = [
+  ["graph", "name", "string"],
+  ["graph", "referencebandwidth", "double"],
+  ["node", "label", "string"],
+  ["node", "area", "string"],
+  ["node", "routerid", "string"],
+  ["node", "lan", "boolean"],
+  ["edge", "cost", "double"],
+  ["edge", "bandwidth", "double"],
+  ["edge", "area", "string"],
+  ["edge", "priority", "int"],
+  ["edge", "sourcecost", "double"],
+  ["edge", "targetcost", "double"],
+  ["edge", "sourcebandwidth", "double"],
+  ["edge", "targetbandwidth", "double"],
+];
+
+const toGraphml = (topology) => {
+  const keyId = (kind, name) => `${kind[0]}_${name}`;
+  const data = (kind, attrs, indent) =>
+    Object.entries(attrs)
+      .filter(([name, value]) => value !== undefined && GRAPHML_KEYS.some(([k, n]) => k === kind && n === name))
+      .map(([name, value]) => `${indent}<data key="${keyId(kind, name)}">${xmlEscape(value)}</data>`);
+  const element = (open, children, close) => (children.length === 0 ? [`${open.slice(0, -1)}/>`] : [open, ...children, close]);
+
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...GRAPHML_KEYS.map(
+      ([kind, name, type]) => `  <key id="${keyId(kind, name)}" for="${kind}" attr.name="${name}" attr.type="${type}"/>`
+    ),
+    `  <graph id="${xmlEscape(topology.id || "ospf")}" edgedefault="undirected">`,
+    ...data("graph", { name: topology.name, referencebandwidth: topology.referenceBandwidth }, "    "),
+  ];
+  for (const node of topology.nodes) {
+    out.push(...element(`    <node id="${xmlEscape(node.id)}">`, data("node", nodeAttributes(node), "      "), "    </node>"));
+  }
+  for (const lan of topology.lans || []) {
+    out.push(...element(`    <node id="${xmlEscape(lan.id)}">`, data("node", { lan: "true", area: lan.area }, "      "), "    </node>"));
+  }
+  for (const link of topology.links) {
+    const { id, ...attrs } = linkAttributes(link);
+    out.push(
+      ...element(
+        `    <edge id="${xmlEscape(id)}" source="${xmlEscape(link.source)}" target="${xmlEscape(link.target)}">`,
+        data("edge", attrs, "      "),
+        "    </edge>"
+      )
+    );
+  }
+  for (const lan of topology.lans || []) {
+    for (const iface of lan.interfaces) {
+      out.push(
+        ...element(
+          `    <edge source="${xmlEscape(iface.router)}" target="${xmlEscape(lan.id)}">`,
+          data("edge", lanInterfaceAttributes(iface), "      "),
+          "    </edge>"
+        )
+      );
+    }
+  }
+  out.push("  </graph>", "</graphml>");
+  return `${out.join("\n")}\n`;
+};
+
+// ---------------- Cisco / FRR "show ip ospf database router" ----------------
+// Only router-LSAs are read. Point-to-point links become links (the two routers' metrics
+// are the two interface costs), transit networks become LANs named after their DR's
+// address, stub networks and virtual links are skipped. Parallel links between the same
+// two routers collapse into one with the cheapest metric per direction, which is all SPF uses.
+const LINK_TYPES = {
+  "another router (point-to-point)": "p2p",
+  "a transit network": "transit",
+  "a stub network": "stub",
+  "a virtual link": "virtual",
+};
+
+const parseCisco = (text) => {
+  const result = parseResult();
+  const { errors, warnings, lines } = result;
+  const lsas = [];
+  let area = null;
+  let inRouterSection = false;
+  let lsa = null;
+  let link = null;
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1;
+    const trimmed = raw.trim();
+    if (trimmed === "") return;
+
+    const section = trimmed.match(/^(.*)Link States \(Area ([^)]+)\)$/i);
+    if (section) {
+      inRouterSection = /^router\s*$/i.test(section[1]);
+      area = section[2].trim();
+      lsa = null;
+      link = null;
+      return;
+    }
+    if (!inRouterSection) return;
+
+    const field = trimmed.match(/^(?:\((Link ID|Link Data)\)\s*)?([^:]+):\s*(.*)$/);
+    if (!field) return;
+    const [, role, name, value] = field;
+    const key = name.trim().toLowerCase();
+
+    if (key === "ls age") {
+      lsa = null;
+      link = null;
+    } else if (key === "advertising router") {
+      lsa = { router: value.trim(), area, line, links: [] };
+      lsas.push(lsa);
+      link = null;
+    } else if (key === "link connected to") {
+      if (!lsa) {
+        errors.push({ code: "PARSE_ERROR", line, message: "Link entry found before any \"Advertising Router\" line." });
+        return;
+      }
+      const type = LINK_TYPES[value.trim().toLowerCase()];
+      if (!type) {
+        errors.push({ code: "PARSE_ERROR", line, message: `Unknown router-LSA link type "${value.trim()}".` });
+        link = null;
+        return;
+      }
+      link = { type, line };
+      lsa.links.push(link);
+    } else if (role === "Link ID" && link) {
+      link.id = value.trim();
+    } else if (role === "Link Data" && link) {
+      link.data = value.trim();
+    } else if (/^tos 0 metrics?$/.test(key) && link) {
+      if (!/^\d+$/.test(value.trim())) {
+        errors.push({ code: "PARSE_ERROR", line, message: `Metric "${value.trim()}" is not a number.` });
+        return;
+      }
+      link.metric = Number(value.trim());
+    }
+  });
+
+  if (lsas.length === 0 && errors.length === 0) {
+    errors.push({ code: "PARSE_ERROR", line: 1, message: 'No router-LSAs found; expected "show ip ospf database router" output.' });
+  }
+  for (const { links } of lsas) {
+    for (const l of links) {
+      if ((l.type === "p2p" || l.type === "transit") && (l.id === undefined || l.metric === undefined)) {
+        errors.push({ code: "PARSE_ERROR", line: l.line, message: "Link entry is missing its Link ID or TOS 0 metric." });
+      }
+    }
+  }
+  if (errors.length > 0) return result;
+
+  const areas = new Set(lsas.map((l) => l.area));
+  const tagArea = areas.size > 1;
+  const nodes = new Map();
+  for (const { router, line } of lsas) {
+    if (nodes.has(router)) continue;
+    const node = { id: router, label: router };
+    if (ROUTER_ID_PATTERN.test(router)) node.routerId = router;
+    lines[`nodes[${nodes.size}]`] = line;
+    nodes.set(router, node);
+  }
+
+  // cost[area][a][b]: cheapest metric a advertises towards neighbor b.
+  // Keyed by area and router IDs from the input, so without a prototype at every level
+  const costs = Object.create(null);
+  const lans = new Map();
+  for (const { router, area: lsaArea, links } of lsas) {
+    for (const l of links) {
+      if (l.type === "p2p") {
+        costs[lsaArea] = costs[lsaArea] || Object.create(null);
+        const byRouter = (costs[lsaArea][router] = costs[lsaArea][router] || Object.create(null));
+        if (!byRouter[l.id] || l.metric < byRouter[l.id].metric) byRouter[l.id] = { metric: l.metric, line: l.line };
+      } else if (l.type === "transit") {
+        const lanKey = `${lsaArea}|${l.id}`;
+        if (!lans.has(lanKey)) {
+          lans.set(lanKey, { lan: { id: `LAN-${l.id}`, ...(tagArea && { area: lsaArea }), interfaces: [] }, line: l.line });
+        }
+        const entry = lans.get(lanKey);
+        entry.lan.interfaces.push({ router, cost: l.metric });
+        // The router whose interface address is the DR address is the DR
+        if (l.data === l.id) entry.lan.dr = router;
+      }
+    }
+  }
+
+  const links = [];
+  for (const lsaArea in costs) {
+    for (const a in costs[lsaArea]) {
+      for (const b in costs[lsaArea][a]) {
+        const forward = costs[lsaArea][a][b];
+        const reverse = costs[lsaArea][b]?.[a];
+        if (!nodes.has(b)) {
+          warnings.push({ line: forward.line, message: `Neighbor ${b} of ${a} has no router-LSA in the output; link skipped.` });
+          continue;
+        }
+        if (!reverse) {
+          warnings.push({ line: forward.line, message: `${b} does not report ${a} as a neighbor (no two-way connectivity); link skipped.` });
+          continue;
+        }
+        if (a > b) continue;
+        const entry = {
+          source: a,
+          target: b,
+          ...(forward.metric === reverse.metric
+            ? { cost: forward.metric }
+            : { interfaces: [{ router: a, cost: forward.metric }, { router: b, cost: reverse.metric }] }),
+        };
+        if (tagArea) entry.area = lsaArea;
+        if (links.some((existing) => existing.source === a && existing.target === b)) {
+          warnings.push({ line: forward.line, message: `${a} and ${b} share more than one area; only area ${links.find((e) => e.source === a && e.target === b).area} is kept.` });
+          continue;
+        }
+        lines[`links[${links.length}]`] = forward.line;
+        links.push(entry);
+      }
+    }
+  }
+
+  const topology = { nodes: [...nodes.values()], links };
+  if (lans.size > 0) {
+    topology.lans = [...lans.values()].map(({ lan, line }, i) => {
+      lines[`lans[${i}]`] = line;
+      return lan;
+    });
+  }
+  result.topology = topology;
+  return result;
+};
+
+// linkCosts: resolved per-direction costs ({ id, cost, reverseCost }), as the metric of a
+// bandwidth-derived interface depends on the reference bandwidth
+const toCisco = (topology, linkCosts = []) => {
+  const costOf = new Map(linkCosts.map((c) => [c.id, c]));
+  const routerId = new Map(topology.nodes.map((node) => [node.id, node.routerId || node.id]));
+  const areaOf = (item) => (item.area === undefined ? "0" : String(item.area));
+
+  // area -> router -> list of advertised links; a router may be called "constructor"
+  const lsdb = Object.create(null);
+  const advertise = (area, router, entry) => {
+    const routers = (lsdb[area] = lsdb[area] || Object.create(null));
+    (routers[router] = routers[router] || []).push(entry);
+  };
+  for (const link of topology.links) {
+    const costs = costOf.get(link.id) || { cost: link.cost, reverseCost: link.cost };
+    advertise(areaOf(link), link.source, { type: "p2p", neighbor: link.target, metric: costs.cost });
+    advertise(areaOf(link), link.target, { type: "p2p", neighbor: link.source, metric: costs.reverseCost });
+  }
+  for (const lan of topology.lans || []) {
+    const dr = lan.dr || lan.interfaces[0]?.router;
+    for (const iface of lan.interfaces) {
+      const costs = costOf.get(`${iface.router}-${lan.id}`) || { cost: iface.cost };
+      advertise(areaOf(lan), iface.router, { type: "transit", dr, metric: costs.cost });
+    }
+  }
+  // Routers without any interface still originate an empty router-LSA
+  for (const node of topology.nodes) {
+    if (!Object.values(lsdb).some((routers) => routers[node.id])) {
+      (lsdb[areaOf(node)] = lsdb[areaOf(node)] || Object.create(null))[node.id] = [];
+    }
+  }
+
+  const abrs = new Set(
+    topology.nodes.map((n) => n.id).filter((id) => Object.keys(lsdb).filter((area) => lsdb[area][id]).length > 1 && lsdb["0"]?.[id])
+  );
+  const first = topology.nodes[0];
+  const out = ["", `            OSPF Router with ID (${first ? routerId.get(first.id) : "0.0.0.0"}) (Process ID 1)`];
+  for (const area of Object.keys(lsdb).sort((a, b) => Number(a) - Number(b) || a.localeCompare(b))) {
+    out.push("", `                Router Link States (Area ${area})`, "");
+    for (const router of Object.keys(lsdb[area])) {
+      const links = lsdb[area][router];
+      const id = routerId.get(router);
+      out.push(
+        "  LS age: 0",
+        "  Options: (No TOS-capability, DC)",
+        "  LS Type: Router Links",
+        `  Link State ID: ${id}`,
+        `  Advertising Router: ${id}`,
+        "  LS Seq Number: 80000001",
+        "  Checksum: 0x0",
+        `  Length: ${24 + 12 * links.length}`
+      );
+      if (abrs.has(router)) out.push("  Area Border Router");
+      out.push(`  Number of Links: ${links.length}`, "");
+      for (const l of links) {
+        if (l.type === "p2p") {
+          out.push(
+            "    Link connected to: another Router (point-to-point)",
+            `     (Link ID) Neighboring Router ID: ${routerId.get(l.neighbor)}`,
+            `     (Link Data) Router Interface address: ${id}`
+          );
+        } else {
+          out.push(
+            "    Link connected to: a Transit Network",
+            `     (Link ID) Designated Router address: ${routerId.get(l.dr)}`,
+            `     (Link Data) Router Interface address: ${id}`
+          );
+        }
+        out.push("      Number of MTID metrics: 0", `       TOS 0 Metrics: ${l.metric}`, "");
+      }
+    }
+  }
+  return `${out.join("\n")}\n`;
+};
+
+// ---------------- Registry ----------------
+const FORMATS = {
+  dot: { contentType: "text/vnd.graphviz", extension: "dot", parse: parseDot, serialize: toDot },
+  graphml: { contentType: "application/graphml+xml", extension: "graphml", parse: parseGraphml, serialize: toGraphml },
+  cisco: { contentType: "text/plain", extension: "txt", parse: parseCisco, serialize: toCisco },
+};
+
+// Best guess when an upload does not say what it is
+const detectFormat = (text) => {
+  const start = text.replace(/^\ufeff/, "").trimStart();
+  if (start.startsWith("<")) return "graphml";
+  if (/Link States \(Area/i.test(text) || /Advertising Router:/i.test(text)) return "cisco";
+  if (/^(\/\/[^\n]*\n\s*|\/\*[\s\S]*?\*\/\s*)*(strict\s+)?(di)?graph\b/i.test(start)) return "dot";
+  return null;
+};
+
+module.exports = { FORMATS, detectFormat };
@@ -0,0 +1,179 @@
+// --- Topology Import/Export Tests ---
+// Run: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { FORMATS, detectFormat } = require("./topologyFormats");
+
+const dot = `graph net {
+  referencebandwidth=1000;
+  A [area=0];
+  A -- B [cost=10];
+  // a plain drawing: the metric is the label
+  B -- C [label="5"];
+  L [lan=true];
+  A -- L [cost=1, priority=2];
+  C -- L [bandwidth=100];
+}
+`;
+
+test("DOT: edges become links, lan=true nodes become LANs, lines are kept", () => {
+  const { topology, errors, warnings, lines } = FORMATS.dot.parse(dot);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(topology, {
+    name: "net",
+    referenceBandwidth: 1000,
+    nodes: [
+      { id: "A", label: "A", area: "0" },
+      { id: "B", label: "B" },
+      { id: "C", label: "C" },
+    ],
+    links: [
+      { source: "A", target: "B", cost: 10 },
+      { source: "B", target: "C", cost: 5 },
+    ],
+    lans: [{ id: "L", interfaces: [{ router: "A", cost: 1, priority: 2 }, { router: "C", bandwidth: 100 }] }],
+  });
+  assert.deepEqual(lines, { "nodes[0]": 3, "nodes[1]": 4, "nodes[2]": 6, "lans[0]": 7, "links[0]": 4, "links[1]": 6 });
+});
+
+test("DOT: a digraph gives each direction its own interface cost", () => {
+  const { topology, warnings } = FORMATS.dot.parse("digraph { A -> B [cost=1]; B -> A [cost=3]; B -> C [cost=2] }");
+  assert.deepEqual(topology.links, [
+    { source: "A", target: "B", interfaces: [{ router: "A", cost: 1 }, { router: "B", cost: 3 }] },
+    { source: "B", target: "C", cost: 2 },
+  ]);
+  assert.deepEqual(warnings, [{ line: 1, message: "Only B->C is defined; using it for both directions." }]);
+});
+
+test("DOT: syntax and cost errors point at their line", () => {
+  assert.deepEqual(FORMATS.dot.parse("graph {\n  A -- B [cost=1]\n  B -> C\n}").errors, [
+    { code: "PARSE_ERROR", line: 3, message: '"->" cannot be used in an undirected graph.' },
+  ]);
+  assert.deepEqual(FORMATS.dot.parse("graph {\n  A -- B\n}").errors, [
+    { code: "PARSE_ERROR", line: 2, message: "Edge A-B has no cost, weight or bandwidth." },
+  ]);
+  assert.equal(FORMATS.dot.parse('graph { A -- B [label="x]; }').errors[0].message, "Unterminated string.");
+});
+
+const graphml = (body, keys = "") => `<?xml version="1.0"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+  <key id="c" for="edge" attr.name="cost"><default>1</default></key>${keys}
+  <graph id="g" edgedefault="undirected">
+${body}
+  </graph>
+</graphml>
+`;
+
+test("GraphML: data keys resolve to attribute names and defaults fill the gaps", () => {
+  const { topology, errors } = FORMATS.graphml.parse(
+    graphml('    <node id="A"/><node id="B"/><node id="C"/>\n    <edge source="A" target="B"/>\n    <edge source="B" target="C"><data key="c">7</data></edge>')
+  );
+  assert.deepEqual(errors, []);
+  assert.equal(topology.name, "g");
+  assert.deepEqual(topology.links, [
+    { source: "A", target: "B", cost: 1 },
+    { source: "B", target: "C", cost: 7 },
+  ]);
+});
+
+test("GraphML: key IDs, key targets and entities never resolve through a prototype", () => {
+  const undeclared = FORMATS.graphml.parse(graphml('    <node id="A"/><node id="B"/>\n    <edge source="A" target="B"><data key="toString">3</data></edge>'));
+  assert.deepEqual(undeclared.errors, [{ code: "PARSE_ERROR", line: 6, message: 'Data key "toString" has no <key> declaration.' }]);
+
+  const entity = FORMATS.graphml.parse(graphml('    <node id="&constructor;"/>'));
+  assert.deepEqual(entity.errors, [{ code: "PARSE_ERROR", line: 5, message: "Unknown XML entity &constructor;." }]);
+
+  const polluting = '\n  <key id="p" for="__proto__" attr.name="polluted"><default>yes</default></key>';
+  const { topology } = FORMATS.graphml.parse(graphml('    <node id="A"/><node id="B"/>\n    <edge source="A" target="B"/>', polluting));
+  assert.equal(topology.links.length, 1);
+  assert.equal({}.polluted, undefined);
+});
+
+const routerLsa = (router, links, area = "0") => `                Router Link States (Area ${area})
+
+  LS age: 10
+  Advertising Router: ${router}
+${links
+  .map(
+    ([type, id, data, metric]) => `    Link connected to: ${type}
+     (Link ID) Neighboring Router ID: ${id}
+     (Link Data) Router Interface address: ${data}
+       TOS 0 Metrics: ${metric}`
+  )
+  .join("\n")}
+`;
+const P2P = "another Router (point-to-point)";
+const TRANSIT = "a Transit Network";
+
+test("Cisco: point-to-point metrics pair up per direction and transit networks become LANs", () => {
+  const text = [
+    routerLsa("1.1.1.1", [[P2P, "2.2.2.2", "10.0.0.1", 10], [TRANSIT, "10.1.0.1", "10.1.0.1", 1]]),
+    routerLsa("2.2.2.2", [[P2P, "1.1.1.1", "10.0.0.2", 20], [P2P, "9.9.9.9", "10.0.9.2", 5], [TRANSIT, "10.1.0.1", "10.1.0.2", 2]]),
+  ].join("\n");
+  const { topology, errors, warnings } = FORMATS.cisco.parse(text);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(topology.nodes.map((node) => node.routerId), ["1.1.1.1", "2.2.2.2"]);
+  assert.deepEqual(topology.links, [
+    { source: "1.1.1.1", target: "2.2.2.2", interfaces: [{ router: "1.1.1.1", cost: 10 }, { router: "2.2.2.2", cost: 20 }] },
+  ]);
+  assert.deepEqual(topology.lans, [
+    { id: "LAN-10.1.0.1", interfaces: [{ router: "1.1.1.1", cost: 1 }, { router: "2.2.2.2", cost: 2 }], dr: "1.1.1.1" },
+  ]);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0].message, /^Neighbor 9\.9\.9\.9 of 2\.2\.2\.2 has no router-LSA/);
+});
+
+test("Cisco: area and router names from the input never reach a prototype", () => {
+  const text = [
+    routerLsa("__proto__", [[P2P, "constructor", "10.0.0.1", 4]], "constructor"),
+    routerLsa("constructor", [[P2P, "__proto__", "10.0.0.2", 4]], "constructor"),
+  ].join("\n");
+  const { topology, errors } = FORMATS.cisco.parse(text);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(topology.links, [{ source: "__proto__", target: "constructor", cost: 4 }]);
+  assert.equal(Object.prototype.constructor, Object);
+  assert.equal({}.__proto__, Object.prototype);
+});
+
+test("export and re-import give back the same topology", () => {
+  const topology = {
+    name: "round trip",
+    nodes: [
+      { id: "constructor", label: "constructor", area: "0" },
+      { id: "B", label: "Bee", area: "0" },
+      { id: "C", label: "C", area: "0" },
+    ],
+    links: [
+      { id: "constructor-B", source: "constructor", target: "B", cost: 3 },
+      { id: "B-C", source: "B", target: "C", interfaces: [{ router: "B", cost: 1 }, { router: "C", cost: 4 }] },
+    ],
+  };
+  for (const format of ["dot", "graphml"]) {
+    const { errors, topology: back } = FORMATS[format].parse(FORMATS[format].serialize(topology));
+    assert.deepEqual(errors, [], format);
+    assert.deepEqual(back.nodes, topology.nodes, format);
+    // Compared as stored: interfaces may carry undefined fields that JSON drops
+    assert.deepEqual(JSON.parse(JSON.stringify(back.links)), topology.links, format);
+  }
+
+  const costs = [
+    { id: "constructor-B", cost: 3, reverseCost: 3 },
+    { id: "B-C", cost: 1, reverseCost: 4 },
+  ];
+  const cisco = FORMATS.cisco.parse(FORMATS.cisco.serialize(topology, costs));
+  assert.deepEqual(cisco.errors, []);
+  assert.deepEqual(cisco.topology.links, [
+    { source: "B", target: "constructor", cost: 3 },
+    { source: "B", target: "C", interfaces: [{ router: "B", cost: 1 }, { router: "C", cost: 4 }] },
+  ]);
+});
+
+test("the format is guessed from the content", () => {
+  assert.equal(detectFormat(dot), "dot");
+  assert.equal(detectFormat("// exported\nstrict digraph { A -> B }"), "dot");
+  assert.equal(detectFormat(graphml("")), "graphml");
+  assert.equal(detectFormat(routerLsa("1.1.1.1", [])), "cisco");
+  assert.equal(detectFormat('{ "nodes": [] }'), null);
+});
@@ -0,0 +1,77 @@
+// --- Named Topology Store ---
+// Keeps every topology in one JSON file so several lab networks can live side by side.
+// Each save bumps the topology's version counter; callers compare it for optimistic locking.
+
+const fs = require("fs");
+const path = require("path");
+
+const STORE_FILE = process.env.OSPF_STORE_FILE || path.join(__dirname, "data", "topologies.json");
+
+// Keyed by topology ID without a prototype, so IDs such as "constructor" or "__proto__" are ordinary keys
+let cache = null;
+
+const load = () => {
+  if (cache) return cache;
+  try {
+    cache = Object.assign(Object.create(null), JSON.parse(fs.readFileSync(STORE_FILE, "utf8")));
+    console.log(`✅ Loaded topology store (${Object.keys(cache).length} topologies)`);
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error("❌ Error reading topology store:", err.message);
+    cache = Object.create(null);
+  }
+  return cache;
+};
+
+// Write to a temp file first so a crash never leaves a half-written store behind
+const persist = () => {
+  fs.mkdirSync(path.dirname(STORE_FILE), { recursive: true });
+  const tmp = `${STORE_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(cache, null, 2));
+  fs.renameSync(tmp, STORE_FILE);
+};
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const list = () =>
+  Object.values(load()).map(({ id, name, version, createdAt, updatedAt, nodes, links }) => ({
+    id,
+    name,
+    version,
+    createdAt,
+    updatedAt,
+    routerCount: nodes.length,
+    linkCount: links.length,
+  }));
+
+const get = (id) => {
+  const topology = load()[id];
+  return topology ? clone(topology) : null;
+};
+
+const has = (id) => Boolean(load()[id]);
+
+// Creates or replaces a topology. Version starts at 1 and increases by one on every save.
+const save = (topology) => {
+  const store = load();
+  const existing = store[topology.id];
+  const now = new Date().toISOString();
+  const saved = {
+    ...clone(topology),
+    version: existing ? existing.version + 1 : 1,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+  };
+  store[topology.id] = saved;
+  persist();
+  return clone(saved);
+};
+
+const remove = (id) => {
+  const store = load();
+  if (!store[id]) return false;
+  delete store[id];
+  persist();
+  return true;
+};
+
+module.exports = { list, get, has, save, remove, STORE_FILE };
@@ -0,0 +1,76 @@
+// --- Named Topology Store Tests ---
+// Run: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+// The store file is read from the environment when the module loads
+const STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "ospf-store-"));
+process.env.OSPF_STORE_FILE = path.join(STORE_DIR, "topologies.json");
+const topologyStore = require("./topologyStore");
+
+test.after(() => fs.rmSync(STORE_DIR, { recursive: true, force: true }));
+
+const triangle = (id) => ({
+  id,
+  nodes: [{ id: "A" }, { id: "B" }, { id: "C" }],
+  links: [
+    { id: "A-B", source: "A", target: "B", cost: 1 },
+    { id: "B-C", source: "B", target: "C", cost: 1 },
+  ],
+});
+
+test("every save bumps the version and keeps the creation time", () => {
+  const first = topologyStore.save(triangle("versions"));
+  assert.equal(first.version, 1);
+  assert.equal(first.createdAt, first.updatedAt);
+
+  const second = topologyStore.save({ ...triangle("versions"), name: "Renamed" });
+  assert.equal(second.version, 2);
+  assert.equal(second.createdAt, first.createdAt);
+  assert.equal(topologyStore.get("versions").name, "Renamed");
+});
+
+test("saves are written through to the store file", () => {
+  topologyStore.save(triangle("on-disk"));
+  const stored = JSON.parse(fs.readFileSync(topologyStore.STORE_FILE, "utf8"));
+  assert.equal(stored["on-disk"].version, 1);
+  assert.ok(!fs.existsSync(`${topologyStore.STORE_FILE}.tmp`));
+});
+
+test("callers get copies, never the stored document", () => {
+  const saved = topologyStore.save(triangle("copies"));
+  saved.nodes.push({ id: "D" });
+  const read = topologyStore.get("copies");
+  read.links[0].cost = 99;
+  assert.equal(topologyStore.get("copies").nodes.length, 3);
+  assert.equal(topologyStore.get("copies").links[0].cost, 1);
+});
+
+test("the list summarises each topology", () => {
+  topologyStore.save(triangle("listed"));
+  const listed = topologyStore.list().find((t) => t.id === "listed");
+  assert.equal(listed.version, 1);
+  assert.equal(listed.routerCount, 3);
+  assert.equal(listed.linkCount, 2);
+  assert.ok(!("nodes" in listed));
+});
+
+test("prototype names are ordinary topology IDs", () => {
+  assert.equal(topologyStore.has("constructor"), false);
+  assert.equal(topologyStore.get("__proto__"), null);
+  topologyStore.save(triangle("constructor"));
+  assert.equal(topologyStore.has("constructor"), true);
+  assert.equal(topologyStore.get("constructor").version, 1);
+});
+
+test("removed topologies are gone", () => {
+  topologyStore.save(triangle("removed"));
+  assert.equal(topologyStore.remove("removed"), true);
+  assert.equal(topologyStore.has("removed"), false);
+  assert.equal(topologyStore.get("removed"), null);
+  assert.equal(topologyStore.remove("removed"), false);
+});
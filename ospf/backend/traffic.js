@@ -0,0 +1,294 @@
+// --- Traffic Demands and Link Utilization ---
+// Lays the topology's demand matrix (demands: [{ source, destination, rate }], Mbps) over its routes
+// the way routers forward it: hop by hop, each router splitting what it carries for a destination
+// evenly over its equal-cost next hops. Load is counted per direction and set against that
+// direction's capacity (linkCapacitiesOf); crossing a LAN loads the sender's port towards the
+// segment and the receiver's port out of it.
+// optimizeCosts is a greedy local search over interface costs: it lowers the highest utilization
+// where it can but gives no guarantee of finding the best cost assignment.
+
+const {
+  calculateRoutingTable,
+  computeRoutingTable,
+  isMultiArea,
+  buildAreaModel,
+  outgoingInterface,
+  pseudoNodesOf,
+  MAX_INTERFACE_COST,
+  linkCostsOf,
+  linkCapacitiesOf,
+  linkIdFor,
+} = require("./routing");
+
+const DEFAULT_MAX_ITERATIONS = 20;
+const DEFAULT_MAX_EVALUATIONS = 2000;
+// Utilizations are compared after rounding, so tiny float differences never count as progress
+const EPSILON = 1e-9;
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+const percent = (load, capacity) => (capacity ? round((load / capacity) * 100, 2) : null);
+
+// Routing tables on demand, only for routers that carry traffic. Flat topologies bypass the shared
+// SPF cache: the optimizer builds far too many short-lived graphs to be worth keeping.
+const routerTables = (topology, graph) => {
+  const model = isMultiArea(topology) ? buildAreaModel(topology, graph) : null;
+  const pseudoNodes = pseudoNodesOf(topology, graph);
+  const tables = new Map();
+  return (router) => {
+    if (!tables.has(router)) {
+      tables.set(router, model ? computeRoutingTable(topology, graph, router, {}, model) : calculateRoutingTable(graph, router, { pseudoNodes }));
+    }
+    return tables.get(router);
+  };
+};
+
+// Routes every demand through graph (the topology's costs, or the optimizer's trial costs).
+// Returns { loads: Map(link ID -> { load, reverseLoad }), demands, dropped }; dropped is traffic
+// that stopped short of its destination, which only a forwarding loop or a broken route causes.
+const routeDemands = (topology, graph) => {
+  const tableOf = routerTables(topology, graph);
+  const entries = new Map(linkCostsOf(topology).map((entry) => [entry.id, entry]));
+  const loads = new Map([...entries.keys()].map((id) => [id, { load: 0, reverseLoad: 0 }]));
+
+  const carry = (iface, from, to, rate) => {
+    if (!iface) return;
+    if (iface.type === "link") {
+      loads.get(iface.id)[entries.get(iface.id).source === from ? "load" : "reverseLoad"] += rate;
+    } else {
+      loads.get(linkIdFor(from, iface.id)).load += rate;
+      loads.get(linkIdFor(to, iface.id)).reverseLoad += rate;
+    }
+  };
+
+  const demands = (topology.demands || []).map(({ source, destination, rate }) => {
+    const { cost } = tableOf(source).routingResults[destination];
+    return { source, destination, rate, routed: cost !== Infinity, cost: cost === Infinity ? null : cost };
+  });
+
+  // Demands towards the same destination share one pass over its next-hop DAG
+  const byDestination = new Map();
+  for (const demand of demands.filter((d) => d.routed)) {
+    const inflow = byDestination.get(demand.destination) || new Map();
+    inflow.set(demand.source, (inflow.get(demand.source) || 0) + demand.rate);
+    byDestination.set(demand.destination, inflow);
+  }
+
+  let dropped = 0;
+  for (const [destination, inflow] of byDestination) {
+    const nextHops = new Map();
+    const indegree = new Map([...inflow.keys()].map((router) => [router, 0]));
+    const queue = [...inflow.keys()];
+    while (queue.length > 0) {
+      const router = queue.pop();
+      if (router === destination || nextHops.has(router)) continue;
+      const hops = tableOf(router).routingResults[destination]?.nextHops || [];
+      nextHops.set(router, hops);
+      for (const hop of hops) {
+        indegree.set(hop, (indegree.get(hop) || 0) + 1);
+        queue.push(hop);
+      }
+    }
+
+    // Kahn's order: a router forwards only once everything headed through it has arrived
+    const ready = [...indegree.keys()].filter((router) => indegree.get(router) === 0);
+    while (ready.length > 0) {
+      const router = ready.pop();
+      if (router === destination) continue;
+      const rate = inflow.get(router) || 0;
+      const hops = nextHops.get(router);
+      if (hops.length === 0) dropped += rate;
+      const table = tableOf(router);
+      for (const hop of hops) {
+        const share = rate / hops.length;
+        carry(outgoingInterface(topology, table, router, hop), router, hop, share);
+        inflow.set(hop, (inflow.get(hop) || 0) + share);
+        indegree.set(hop, indegree.get(hop) - 1);
+        if (indegree.get(hop) === 0) ready.push(hop);
+      }
+    }
+    // Whatever is still waiting sits on a loop and never arrives
+    for (const [router, degree] of indegree) {
+      if (degree > 0 && router !== destination) dropped += inflow.get(router) || 0;
+    }
+  }
+  return { loads, demands, dropped };
+};
+
+// The busiest direction of any link, as { id, from, to, utilization }, or null without capacities
+const hottestOf = (links) => {
+  let hottest = null;
+  for (const link of links) {
+    for (const [from, to, utilization] of [
+      [link.source, link.target, link.utilization],
+      [link.target, link.source, link.reverseUtilization],
+    ]) {
+      if (utilization !== null && (!hottest || utilization > hottest.utilization)) hottest = { id: link.id, from, to, utilization };
+    }
+  }
+  return hottest;
+};
+
+// Per-link load and utilization for the topology's demands, routed over graph.
+// links: [{ id, source, target, cost, reverseCost, capacity, reverseCapacity, load, reverseLoad,
+// utilization, reverseUtilization }] with utilization in percent (null without a capacity).
+const analyzeUtilization = (topology, graph) => {
+  const { loads, demands, dropped } = routeDemands(topology, graph);
+  const capacities = new Map(linkCapacitiesOf(topology).map((entry) => [entry.id, entry]));
+  const links = [...loads].map(([id, { load, reverseLoad }]) => {
+    const { source, target, capacity, reverseCapacity } = capacities.get(id);
+    return {
+      id,
+      source,
+      target,
+      cost: graph[source][target],
+      reverseCost: graph[target][source],
+      capacity,
+      reverseCapacity,
+      load: round(load),
+      reverseLoad: round(reverseLoad),
+      utilization: percent(load, capacity),
+      reverseUtilization: percent(reverseLoad, reverseCapacity),
+    };
+  });
+
+  const hottest = hottestOf(links);
+  const totalDemand = demands.reduce((sum, d) => sum + d.rate, 0);
+  const unroutedDemand = demands.filter((d) => !d.routed).reduce((sum, d) => sum + d.rate, 0);
+  return {
+    summary: {
+      totalDemand: round(totalDemand),
+      deliveredDemand: round(totalDemand - unroutedDemand - dropped),
+      droppedDemand: round(dropped),
+      maxUtilization: hottest ? hottest.utilization : null,
+      hottest,
+      overloaded: links.filter((l) => l.utilization > 100).length + links.filter((l) => l.reverseUtilization > 100).length,
+    },
+    links,
+    demands,
+  };
+};
+
+// Lower is better: the highest utilization first, then the sum of squares so load spreads out
+const scoreOf = (links) => {
+  let max = 0;
+  let spread = 0;
+  for (const link of links) {
+    for (const utilization of [link.utilization, link.reverseUtilization]) {
+      if (utilization === null) continue;
+      max = Math.max(max, utilization);
+      spread += utilization * utilization;
+    }
+  }
+  return { max, spread };
+};
+
+const isBetter = (a, b) => a.max < b.max - EPSILON || (a.max <= b.max + EPSILON && a.spread < b.spread - EPSILON);
+
+// Both directions of every link and LAN port whose cost can be tuned (the way out of a LAN is always free)
+const arcsOf = (links, pseudoNodes) =>
+  links.flatMap((link) => [
+    { id: link.id, from: link.source, to: link.target, cost: link.cost, utilization: link.utilization },
+    ...(pseudoNodes.has(link.target)
+      ? []
+      : [{ id: link.id, from: link.target, to: link.source, cost: link.reverseCost, utilization: link.reverseUtilization }]),
+  ]);
+
+// Costs at which arc ties with the cheapest way around it, one per destination: from there on
+// the traffic splits over both instead of moving over wholesale
+const tieCosts = (topology, graph, arc, destinations) => {
+  const tableOf = routerTables(topology, graph);
+  const pseudoNodes = pseudoNodesOf(topology, graph);
+  // A LAN is as far from the destination as its closest router other than the sender
+  const distance = (node, destination) => {
+    if (node === destination) return 0;
+    if (!pseudoNodes.has(node)) return tableOf(node).routingResults[destination].cost;
+    return Math.min(...Object.keys(graph[node]).filter((r) => r !== arc.from).map((r) => distance(r, destination)));
+  };
+  const ties = [];
+  for (const destination of destinations) {
+    const through = distance(arc.to, destination);
+    let around = Infinity;
+    for (const neighbor in graph[arc.from]) {
+      if (neighbor !== arc.to) around = Math.min(around, graph[arc.from][neighbor] + distance(neighbor, destination));
+    }
+    if (Number.isFinite(around - through)) ties.push(around - through);
+  }
+  return ties;
+};
+
+// Trial moves: make the hottest direction dearer, or make lightly used directions cheaper
+const candidateMoves = (topology, graph, links, hottest, destinations) => {
+  const moves = [];
+  const pseudoNodes = pseudoNodesOf(topology, graph);
+  const arcs = arcsOf(links, pseudoNodes);
+  const hot = arcs.find((arc) => arc.id === hottest.id && arc.from === hottest.from);
+  if (hot) {
+    const raised = new Set([hot.cost + 1, ...tieCosts(topology, graph, hot, destinations), Math.ceil(hot.cost * 1.5), hot.cost * 2, hot.cost * 4]);
+    for (const cost of raised) {
+      if (cost > hot.cost && cost <= MAX_INTERFACE_COST) moves.push({ ...hot, cost });
+    }
+  }
+  for (const arc of arcs) {
+    if (arc === hot || arc.utilization === null || arc.utilization >= hottest.utilization / 2) continue;
+    for (const cost of new Set([arc.cost - 1, Math.floor(arc.cost / 2)])) {
+      if (cost >= 1 && cost < arc.cost) moves.push({ ...arc, cost });
+    }
+  }
+  return moves;
+};
+
+const withArcCost = (graph, { from, to, cost }) => ({ ...graph, [from]: { ...graph[from], [to]: cost } });
+
+// options: { maxIterations, maxEvaluations }; every accepted move changes one interface cost.
+// Returns { improved, iterations, evaluations, before, after, changes, links } where changes lists
+// the proposed costs per interface: { id, interface: { type, id, router }, from, to, before, after }.
+const optimizeCosts = (topology, graph, options = {}) => {
+  const maxIterations = options.maxIterations ?? DEFAULT_MAX_ITERATIONS;
+  const maxEvaluations = options.maxEvaluations ?? DEFAULT_MAX_EVALUATIONS;
+  const pseudoNodes = pseudoNodesOf(topology, graph);
+  const destinations = [...new Set((topology.demands || []).map((d) => d.destination))];
+  const before = analyzeUtilization(topology, graph);
+  let current = { graph, report: before, score: scoreOf(before.links) };
+  let iterations = 0;
+  let evaluations = 0;
+
+  while (iterations < maxIterations && evaluations < maxEvaluations) {
+    const { hottest } = current.report.summary;
+    if (!hottest || hottest.utilization === 0) break;
+    iterations++;
+    let best = null;
+    for (const move of candidateMoves(topology, current.graph, current.report.links, hottest, destinations)) {
+      if (evaluations >= maxEvaluations) break;
+      evaluations++;
+      const trial = withArcCost(current.graph, move);
+      const report = analyzeUtilization(topology, trial);
+      const score = scoreOf(report.links);
+      if (isBetter(score, (best || current).score)) best = { graph: trial, report, score };
+    }
+    if (!best) break;
+    current = best;
+  }
+
+  // Only a lower peak is worth proposing; a better spread alone keeps the current costs
+  const improved = current.score.max < scoreOf(before.links).max - EPSILON;
+  const after = improved ? current.report : before;
+  const changes = [];
+  if (improved) {
+    for (const arc of arcsOf(before.links, pseudoNodes)) {
+      const cost = current.graph[arc.from][arc.to];
+      if (cost === arc.cost) continue;
+      const lan = pseudoNodes.has(arc.to) ? arc.to : null;
+      changes.push({
+        id: arc.id,
+        interface: lan ? { type: "lan", id: lan, router: arc.from } : { type: "link", id: arc.id, router: arc.from },
+        from: arc.from,
+        to: arc.to,
+        before: arc.cost,
+        after: cost,
+      });
+    }
+  }
+  return { improved, iterations, evaluations, before: before.summary, after: after.summary, changes, links: after.links };
+};
+
+module.exports = { analyzeUtilization, optimizeCosts, DEFAULT_MAX_ITERATIONS, DEFAULT_MAX_EVALUATIONS };
@@ -0,0 +1,125 @@
+// --- Traffic Demands and Link Utilization Tests ---
+// Run: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { analyzeUtilization, optimizeCosts } = require("./traffic");
+const { validateTopology, normalizeTopology } = require("./routing");
+
+const analyze = (body, run = analyzeUtilization) => {
+  const topology = normalizeTopology(null, body);
+  const { graph, errors } = validateTopology(topology);
+  assert.deepEqual(errors, []);
+  return run(topology, graph);
+};
+
+const loadsOf = (report) => Object.fromEntries(report.links.map((l) => [l.id, [l.load, l.reverseLoad]]));
+
+// A-B-D and A-C-D cost the same, every direction has 100 Mbps
+const square = {
+  nodes: ["A", "B", "C", "D"],
+  links: [
+    { source: "A", target: "B", cost: 1, capacity: 100 },
+    { source: "B", target: "D", cost: 1, capacity: 100 },
+    { source: "A", target: "C", cost: 1, capacity: 100 },
+    { source: "C", target: "D", cost: 1, capacity: 100 },
+  ],
+};
+
+test("traffic splits evenly over equal-cost next hops, per direction", () => {
+  const report = analyze({
+    ...square,
+    demands: [
+      { source: "A", destination: "D", rate: 60 },
+      { source: "D", destination: "A", rate: 20 },
+    ],
+  });
+  assert.deepEqual(loadsOf(report), { "A-B": [30, 10], "B-D": [30, 10], "A-C": [30, 10], "C-D": [30, 10] });
+  assert.equal(report.links[0].utilization, 30);
+  assert.equal(report.links[0].reverseUtilization, 10);
+  assert.deepEqual(report.summary, {
+    totalDemand: 80,
+    deliveredDemand: 80,
+    droppedDemand: 0,
+    maxUtilization: 30,
+    hottest: { id: "A-B", from: "A", to: "B", utilization: 30 },
+    overloaded: 0,
+  });
+  assert.deepEqual(report.demands[0], { source: "A", destination: "D", rate: 60, routed: true, cost: 2 });
+});
+
+test("unreachable demands are not delivered and links without a capacity have no utilization", () => {
+  const report = analyze({
+    nodes: ["A", "B", "E"],
+    links: [{ source: "A", target: "B", cost: 1 }],
+    demands: [
+      { source: "A", destination: "B", rate: 5 },
+      { source: "A", destination: "E", rate: 7 },
+    ],
+  });
+  assert.equal(report.links[0].load, 5);
+  assert.equal(report.links[0].utilization, null);
+  assert.equal(report.summary.totalDemand, 12);
+  assert.equal(report.summary.deliveredDemand, 5);
+  assert.equal(report.summary.maxUtilization, null);
+  assert.deepEqual(report.demands[1], { source: "A", destination: "E", rate: 7, routed: false, cost: null });
+});
+
+test("crossing a LAN loads the sender's port into it and the receiver's port out of it", () => {
+  const report = analyze({
+    nodes: ["R1", "R2", "R3"],
+    links: [],
+    lans: [
+      {
+        id: "LAN1",
+        interfaces: [
+          { router: "R1", cost: 1, capacity: 50 },
+          { router: "R2", cost: 1, capacity: 50 },
+          { router: "R3", cost: 1, capacity: 10 },
+        ],
+      },
+    ],
+    demands: [{ source: "R1", destination: "R3", rate: 20 }],
+  });
+  assert.deepEqual(loadsOf(report), { "R1-LAN1": [20, 0], "R2-LAN1": [0, 0], "R3-LAN1": [0, 20] });
+  assert.deepEqual(report.summary.hottest, { id: "R3-LAN1", from: "LAN1", to: "R3", utilization: 200 });
+  assert.equal(report.summary.overloaded, 1);
+});
+
+test("the optimizer ties an overloaded link with the detour so the traffic splits", () => {
+  // 150 Mbps from A to B fits neither A-B nor A-C-B alone, but half of it fits each
+  const result = analyze(
+    {
+      nodes: ["A", "B", "C"],
+      links: [
+        { source: "A", target: "B", cost: 1, capacity: 100 },
+        { source: "A", target: "C", cost: 1, capacity: 100 },
+        { source: "C", target: "B", cost: 1, capacity: 100 },
+      ],
+      demands: [{ source: "A", destination: "B", rate: 150 }],
+    },
+    optimizeCosts
+  );
+  assert.equal(result.before.maxUtilization, 150);
+  assert.equal(result.improved, true);
+  assert.equal(result.after.maxUtilization, 75);
+  assert.deepEqual(result.changes, [
+    { id: "A-B", interface: { type: "link", id: "A-B", router: "A" }, from: "A", to: "B", before: 1, after: 2 },
+  ]);
+});
+
+test("the optimizer proposes nothing when the peak cannot go down", () => {
+  // A-B is the only way through, whatever it costs
+  const chain = {
+    nodes: ["A", "B", "C"],
+    links: [
+      { source: "A", target: "B", cost: 1, capacity: 100 },
+      { source: "B", target: "C", cost: 1, capacity: 100 },
+    ],
+    demands: [{ source: "A", destination: "C", rate: 10 }],
+  };
+  const result = analyze(chain, optimizeCosts);
+  assert.equal(result.improved, false);
+  assert.deepEqual(result.changes, []);
+  assert.deepEqual(result.after, result.before);
+});
@@ -1,43 +1,42 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-
-// Use a custom hook to load the Vis Network library from CDN
-const useVisNetworkLoader = () => {
-    const [isLoaded, setIsLoaded] = useState(false);
-
-    useEffect(() => {
-        if (window.vis) {
-            setIsLoaded(true);
-            return;
-        }
-
-        const script = document.createElement('script');
-        script.src = 'https://cdnjs.cloudflare.com/ajax/libs/vis/4.21.0/vis.min.js';
-        script.onload = () => setIsLoaded(true);
-        script.onerror = () => console.error("Failed to load Vis Network library.");
-        document.head.appendChild(script);
-
-        const link = document.createElement('link');
-        link.rel = 'stylesheet';
-        link.href = 'https://cdnjs.cloudflare.com/ajax/libs/vis/4.21.0/vis.min.css';
-        document.head.appendChild(link);
-
-        return () => {
-            document.head.removeChild(script);
-            document.head.removeChild(link);
-        };
-    }, []);
-
-    return isLoaded;
-};
-
-// --- API Configuration ---
-const API_URL = 'http://localhost:3001/calculate-ospf';
-const API_KEY = ""; // Not used for this local API, but kept for structure
+import { API_URL, TOPOLOGY_API_URL, CLIENT_ID } from './api.js';
+import {
+    topologyToGraph, graphToRequest, graphToDocument, applyTopologyDiff,
+    addRouter, addLink, removeElements, setEdgeCost, applyCostChanges, moveNodes,
+} from './topology.js';
+import { UTILIZATION_LEVELS, styleNetwork, syncDataSet } from './networkView.js';
+import useVisNetworkLoader from './hooks/useVisNetworkLoader.js';
+import useWhatIf from './hooks/useWhatIf.js';
+import useFastReroute from './hooks/useFastReroute.js';
+import useResilience from './hooks/useResilience.js';
+import useUtilization from './hooks/useUtilization.js';
+import useSpfTrace from './hooks/useSpfTrace.js';
+import usePathQuery from './hooks/usePathQuery.js';
+import usePrefixLookup from './hooks/usePrefixLookup.js';
+import useLiveUpdates from './hooks/useLiveUpdates.js';
+import useTopologyEditor from './hooks/useTopologyEditor.js';
+import TopologyBar from './components/TopologyBar.jsx';
+import LiveStatus from './components/LiveStatus.jsx';
+import AreaLegend from './components/AreaLegend.jsx';
+import WhatIfBar from './components/WhatIfBar.jsx';
+import TracePanel from './components/TracePanel.jsx';
+import LanPanel from './components/LanPanel.jsx';
+import RoutingTable from './components/RoutingTable.jsx';
+import PrefixTable from './components/PrefixTable.jsx';
+import FastReroutePanel from './components/FastReroutePanel.jsx';
+import ResiliencePanel from './components/ResiliencePanel.jsx';
+import AllPairsPanel from './components/AllPairsPanel.jsx';
+import UtilizationPanel from './components/UtilizationPanel.jsx';
+
+// "auto-cost reference-bandwidth" choices in Mbps; interface costs without a manual value derive from it
+const REFERENCE_BANDWIDTHS = [100, 1000, 10000, 100000, 400000];
 
 // --- Main App Component ---
 const App = () => {
     const networkRef = useRef(null);
     const visNetworkRef = useRef(null);
+    // The vis DataSets behind the network; updates are applied to them in place
+    const visDataRef = useRef(null);
     const isVisLoaded = useVisNetworkLoader();
 
     const [sourceNodeId, setSourceNodeId] = useState('R1');
@@ -45,133 +44,54 @@ const App = () => {
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
 
-    // Initial graph structure (Nodes are simple R-names, Edges connect them with cost labels)
-    const initialGraph = {
-        nodes: [
-            { id: 'R1', label: 'R1' }, { id: 'R2', label: 'R2' }, { id: 'R3', label: 'R3' },
-            { id: 'R4', label: 'R4' }, { id: 'R5', label: 'R5' }, { id: 'R6', label: 'R6' },
-            { id: 'R7', label: 'R7' }, { id: 'R8', label: 'R8' }, { id: 'R9', label: 'R9' },
-            { id: 'R10', label: 'R10' }
-        ],
-        edges: [
-            { id: 'e1-2', from: 'R1', to: 'R2', cost: 10 },
-            { id: 'e1-3', from: 'R1', to: 'R3', cost: 5 },
-            { id: 'e2-4', from: 'R2', to: 'R4', cost: 1 },
-            { id: 'e2-5', from: 'R2', to: 'R5', cost: 20 },
-            { id: 'e3-6', from: 'R3', to: 'R6', cost: 10 },
-            { id: 'e3-7', from: 'R3', to: 'R7', cost: 2 },
-            { id: 'e4-8', from: 'R4', to: 'R8', cost: 3 },
-            { id: 'e4-10', from: 'R4', to: 'R10', cost: 1 },
-            { id: 'e5-8', from: 'R5', to: 'R8', cost: 1 },
-            { id: 'e5-10', from: 'R5', to: 'R10', cost: 5 },
-            { id: 'e6-7', from: 'R6', to: 'R7', cost: 2 },
-            { id: 'e6-9', from: 'R6', to: 'R9', cost: 4 },
-            { id: 'e7-9', from: 'R7', to: 'R9', cost: 1 },
-            { id: 'e9-10', from: 'R9', to: 'R10', cost: 2 },
-            { id: 'e9-4', from: 'R9', to: 'R4', cost: 15 },
-        ],
-    };
-
-    // Helper function to prepare data for Vis.js, applying SPT styling
-    const processVisData = useCallback((graph, spt, sourceId) => {
-        if (!graph || !spt) return { nodes: [], edges: [] };
-
-        // 1. Prepare Nodes: Style the source node
-        const styledNodes = graph.nodes.map(node => ({
-            ...node,
-            // Source node is Red
-            color: node.id === sourceId ? { background: '#dc3545', border: '#a02331', highlight: { background: '#e04758', border: '#b02a3a' } } : '#007bff',
-            font: { color: 'white' },
-        }));
-
-        // 2. Identify SPT Edges using the predecessor map (spt.predecessor)
-        const allEdges = graph.edges.map(edge => ({
-            ...edge,
-            label: String(edge.cost), // Show cost as label
-            // Default styling for non-SPT links
-            color: '#AAAAAA',
-            dashes: true,
-            width: 1,
-            // Set initial smooth curve to true for complex topologies
-            smooth: { type: 'curvedCW', roundness: 0.1 },
-            font: { align: 'top', color: '#666666', size: 14 }
-        }));
-
-        const sptEdgeIds = new Set();
-        const predecessorMap = spt.predecessor || {};
-
-        for (const nodeId in predecessorMap) {
-            const predecessor = predecessorMap[nodeId];
-
-            if (predecessor && predecessor !== sourceId) {
-                const fromId = predecessor;
-                const toId = nodeId;
-
-                // --- THE CRITICAL, ROBUST EDGE MATCHING FIX ---
-                // We must check if the edge is defined in the graph as (fromId, toId) OR (toId, fromId)
-                const edgeMatch = allEdges.find(edge =>
-                    // Check if SPT path matches the edge direction
-                    (edge.from === fromId && edge.to === toId) ||
-                    // OR if the SPT path matches the reverse direction (this fixes the highlight failure)
-                    (edge.from === toId && edge.to === fromId)
-                );
-
-                if (edgeMatch) {
-                    sptEdgeIds.add(edgeMatch.id);
-                } else {
-                    // Log a warning if a calculated SPT edge can't be found (useful for debugging network definitions)
-                    console.warn(`Edge not found in visualization data for calculated SPT link: ${fromId} -> ${toId}`);
-                }
-            }
-        }
-
-        // 3. Style Edges based on SPT membership
-        const styledEdges = allEdges.map(edge => {
-            const isSPT = sptEdgeIds.has(edge.id);
-            return {
-                ...edge,
-                color: { color: isSPT ? '#00BB00' : '#AAAAAA' }, // Green for SPT, Gray for non-SPT
-                dashes: !isSPT, // Dashed for non-SPT
-                width: isSPT ? 3 : 1, // Thicker for SPT
-                font: {
-                    align: 'top',
-                    color: isSPT ? '#008000' : '#666666', // Darker label for SPT links
-                    size: 14,
-                    bold: isSPT // Make label bold for SPT
-                },
-                // Ensure the path is rendered smoothly
-                smooth: { type: 'curvedCW', roundness: 0.1 }
-            };
-        });
-
-        return { nodes: new window.vis.DataSet(styledNodes), edges: new window.vis.DataSet(styledEdges) };
-    }, []);
+    // Topologies come from the backend store; the graph is kept in vis form ({ nodes, edges })
+    const [topologyList, setTopologyList] = useState([]);
+    const [topologyId, setTopologyId] = useState('default');
+    const [graph, setGraph] = useState(null);
+
+    // OSPF "maximum-paths": how many equal-cost next hops a router installs ('' = unlimited)
+    const [maxPaths, setMaxPaths] = useState('');
+
+    // The inline cost input ({ edgeId, x, y, value })
+    const [costEditor, setCostEditor] = useState(null);
+    // Stored version the next save is based on
+    const versionRef = useRef(null);
+    // The graph the current SPT was requested for: any other graph needs a recompute
+    const routedGraphRef = useRef(null);
+
+    const {
+        failedLinks, failedRouters, hasFailures, whatIfResult,
+        toggleLink, toggleRouter, clearFailures, pruneFailures, dropFailures,
+    } = useWhatIf(graph, maxPaths, setError);
+    const fastReroute = useFastReroute(graph);
+    const { resilience, pair: resiliencePair, setPair: setResiliencePair } = useResilience(graph);
+    const { utilization, showUtilization, setShowUtilization, proposal, runOptimizer } = useUtilization(graph, setError);
+    const trace = useSpfTrace(graph, sourceNodeId, setError);
+    const { shownPath, showPath } = usePathQuery(graph, sourceNodeId, { failedLinks, failedRouters }, setError);
+    const lookup = usePrefixLookup(graph, sourceNodeId, setError);
 
     // Effect to fetch OSPF data from the backend
     const fetchData = useCallback(async (source) => {
-        if (!source || !isVisLoaded) return;
+        if (!source || !isVisLoaded || !graph) return;
+        routedGraphRef.current = graph;
         setIsLoading(true);
         setError(null);
 
-        const nodes = initialGraph.nodes.map(n => n.id);
-        const links = initialGraph.edges.map(e => ({
-            source: e.from,
-            target: e.to,
-            cost: e.cost,
-        }));
-
         try {
             const response = await fetch(API_URL, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ nodes, links, source }),
+                body: JSON.stringify({ ...graphToRequest(graph), source, maxPaths: maxPaths || undefined }),
             });
 
+            const data = await response.json();
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                // Versioned error body: { apiVersion, error: { code, message, details } }
+                const details = (data.error?.details || []).map(d => d.message).join(' ');
+                setError(`${data.error?.message || `HTTP error! status: ${response.status}`} ${details}`.trim());
+                return;
             }
 
-            const data = await response.json();
             setSptResult(data);
             setSourceNodeId(source);
 
@@ -181,14 +101,143 @@ const App = () => {
         } finally {
             setIsLoading(false);
         }
-    }, [isVisLoaded]);
+    }, [isVisLoaded, graph, maxPaths]);
+
+    // Load the list of stored topologies once, and again after an import
+    const loadTopologyList = useCallback(() => {
+        fetch(TOPOLOGY_API_URL)
+            .then(response => response.json())
+            .then(data => setTopologyList(data.topologies || []))
+            .catch(e => console.error('Could not load topology list:', e));
+    }, []);
+    useEffect(loadTopologyList, [loadTopologyList]);
+
+    // Remote edits go through a ref so the stream is not reopened for every new handler
+    const applyRemoteChangeRef = useRef(null);
+    const { status: liveStatus, routeChanges: liveRouteChanges, clearRouteChanges } = useLiveUpdates(topologyId, applyRemoteChangeRef);
+
+    // Shows an edited document and drops failures and the source if they no longer exist.
+    // A new graph triggers the SPF recompute; pure layout changes keep the current SPT.
+    const showDocument = useCallback((doc, recompute) => {
+        const next = topologyToGraph(doc);
+        const routers = next.nodes.filter(n => !n.isLan);
+        if (!recompute && routedGraphRef.current === graph) routedGraphRef.current = next;
+        setGraph(next);
+        if (recompute) clearRouteChanges();
+        pruneFailures(next);
+        setSourceNodeId(current => (routers.some(n => n.id === current) ? current : routers[0]?.id));
+    }, [graph, clearRouteChanges, pruneFailures]);
+
+    const { editTopology, undo, redo, canUndo, canRedo, resetHistory } = useTopologyEditor({
+        topologyId,
+        graph,
+        versionRef,
+        showDocument,
+        onSaved: loadTopologyList,
+        onError: setError,
+    });
+
+    // Load the selected topology; the SPT is recalculated once the new graph is in place
+    useEffect(() => {
+        let cancelled = false;
+        fetch(`${TOPOLOGY_API_URL}/${encodeURIComponent(topologyId)}`)
+            .then(response => response.json())
+            .then(data => {
+                if (cancelled) return;
+                if (!data.topology) {
+                    setError(data.error?.message || `Could not load topology ${topologyId}.`);
+                    return;
+                }
+                const loaded = topologyToGraph(data.topology);
+                versionRef.current = data.topology.version;
+                resetHistory();
+                setGraph(loaded);
+                clearFailures();
+                setSptResult(null);
+                setSourceNodeId(current => (loaded.nodes.some(n => n.id === current) ? current : loaded.nodes[0]?.id));
+            })
+            .catch(e => {
+                setError('Could not load topology from backend. Ensure the Node.js server is running.');
+                console.error(e);
+            });
+        return () => { cancelled = true; };
+    }, [topologyId, resetHistory, clearFailures]);
+
+    // Edits made elsewhere (another browser, the API, network_data.json) arrive as diffs and are applied to
+    // the current graph. Our own saves come back too and are skipped: the editor already shows them.
+    const applyRemoteChange = useCallback((event) => {
+        if (event.clientId === CLIENT_ID) return;
+        if (event.deleted) {
+            setError(`Topology ${event.topology.id} was deleted on the server.`);
+            loadTopologyList();
+            return;
+        }
+        if (event.topology.version <= versionRef.current) return;
+        versionRef.current = event.topology.version;
+        // Undoing past someone else's edit would silently overwrite it
+        resetHistory();
+        setGraph(current => (current ? topologyToGraph(applyTopologyDiff(graphToDocument(current), event.diff)) : current));
+        dropFailures(event.diff.links.removed, event.diff.nodes.removed);
+        loadTopologyList();
+    }, [resetHistory, dropFailures, loadTopologyList]);
+
+    useEffect(() => {
+        applyRemoteChangeRef.current = applyRemoteChange;
+    });
+
+    // A remote edit may remove the router the SPT is rooted at
+    useEffect(() => {
+        if (!graph || graph.nodes.some(n => n.id === sourceNodeId && !n.isLan)) return;
+        setSourceNodeId(graph.nodes.find(n => !n.isLan)?.id);
+    }, [graph, sourceNodeId]);
+
+    // Opens the inline cost input at the pointer, prefilled with the resolved cost ("10" or "10/20")
+    const openCostEditor = (edgeId, pointer) => {
+        const edge = graph.edges.find(e => e.id === edgeId);
+        const costs = sptResult?.linkCosts?.find(c => c.id === edgeId);
+        const value = !costs
+            ? String(edge?.cost ?? '')
+            : edge?.lan || costs.cost === costs.reverseCost ? String(costs.cost) : `${costs.cost}/${costs.reverseCost}`;
+        setCostEditor({ edgeId, x: pointer.x, y: pointer.y, value });
+    };
+
+    // The vis handlers are registered once, so they always call the latest callbacks through these refs
+    const fetchDataRef = useRef(fetchData);
+    const editTopologyRef = useRef(null);
+    const openCostEditorRef = useRef(null);
+    useEffect(() => {
+        fetchDataRef.current = fetchData;
+        editTopologyRef.current = editTopology;
+        openCostEditorRef.current = openCostEditor;
+    });
+
+    const commitCostEdit = () => {
+        editTopology(doc => setEdgeCost(doc, costEditor.edgeId, costEditor.value));
+        setCostEditor(null);
+    };
 
     // Effect to initialize the network graph and update the visualization
     useEffect(() => {
-        if (isVisLoaded && networkRef.current && sptResult) {
+        if (isVisLoaded && networkRef.current && sptResult && graph) {
             try {
                 // Process data to apply SPT styling
-                const data = processVisData(initialGraph, sptResult, sourceNodeId);
+                const failure = {
+                    links: new Set(failedLinks),
+                    routers: new Set(failedRouters),
+                    view: whatIfResult?.routers[sourceNodeId],
+                };
+                // Keep the current layout for nodes without a saved position, so edits do not reshuffle the graph.
+                // Physics only runs while some node still needs a place.
+                const positions = visNetworkRef.current ? visNetworkRef.current.getPositions() : {};
+                const needsLayout = graph.nodes.some(n => n.x === undefined && !positions[n.id]);
+                const overlays = {
+                    frr: fastReroute?.routers[sourceNodeId],
+                    resilience,
+                    utilization: showUtilization ? utilization : null,
+                    path: shownPath?.result,
+                    trace: trace.view,
+                };
+                const data = styleNetwork(graph, sptResult, sourceNodeId, failure, overlays, positions);
 
                 const options = {
                     interaction: { hover: true, tooltipDelay: 200 },
@@ -197,7 +246,7 @@ const App = () => {
                         arrows: { to: { enabled: false } },
                     },
                     physics: {
-                        enabled: true,
+                        enabled: needsLayout,
                         solver: 'repulsion',
                         repulsion: {
                             nodeDistance: 150,
@@ -206,61 +255,98 @@ const App = () => {
                         // Disable physics after initial layout to keep nodes stable
                         stabilization: { iterations: 1000, fit: true },
                     },
+                    // Editing: every change goes through editTopology, so vis never modifies its own data
+                    manipulation: {
+                        enabled: true,
+                        initiallyActive: false,
+                        addNode: (nodeData, callback) => {
+                            const id = window.prompt('New router ID:', '');
+                            if (id !== null) {
+                                editTopologyRef.current(doc => addRouter(doc, id, { x: Math.round(nodeData.x), y: Math.round(nodeData.y) }));
+                            }
+                            callback(null);
+                        },
+                        addEdge: (edgeData, callback) => {
+                            const cost = window.prompt(`Cost of the link ${edgeData.from} - ${edgeData.to}:`, '10');
+                            if (cost !== null) {
+                                editTopologyRef.current(doc => addLink(doc, edgeData.from, edgeData.to, cost.trim() === '' ? NaN : Number(cost)));
+                            }
+                            callback(null);
+                        },
+                        editEdge: false,
+                        deleteNode: (selection, callback) => {
+                            editTopologyRef.current(doc => removeElements(doc, selection.nodes, selection.edges));
+                            callback(null);
+                        },
+                        deleteEdge: (selection, callback) => {
+                            editTopologyRef.current(doc => removeElements(doc, [], selection.edges));
+                            callback(null);
+                        },
+                    },
                 };
 
                 // Initialize or update the network
                 if (visNetworkRef.current) {
-                    visNetworkRef.current.setData(data);
+                    visNetworkRef.current.setOptions({ physics: { enabled: needsLayout } });
+                    syncDataSet(visDataRef.current.nodes, data.nodes);
+                    syncDataSet(visDataRef.current.edges, data.edges);
                 } else {
-                    const network = new window.vis.Network(networkRef.current, data, options);
+                    visDataRef.current = { nodes: new window.vis.DataSet(data.nodes), edges: new window.vis.DataSet(data.edges) };
+                    const network = new window.vis.Network(networkRef.current, visDataRef.current, options);
                     visNetworkRef.current = network;
 
                     // Add click handler to change the source node
                     network.on('click', (params) => {
                         if (params.nodes.length > 0) {
                             const nodeId = params.nodes[0];
-                            // Only fetch if the source actually changed
-                            if (nodeId !== sourceNodeId) {
-                                fetchData(nodeId);
+                            // LAN pseudo-nodes cannot be an SPF source
+                            if (!network.body.data.nodes.get(nodeId)?.isLan) {
+                                fetchDataRef.current(nodeId);
                             }
                         }
                     });
+
+                    // Right-click fails (or restores) the link or router under the pointer
+                    network.on('oncontext', (params) => {
+                        params.event.preventDefault();
+                        const nodeId = network.getNodeAt(params.pointer.DOM);
+                        if (nodeId !== undefined) {
+                            toggleRouter(nodeId);
+                            return;
+                        }
+                        const edgeId = network.getEdgeAt(params.pointer.DOM);
+                        if (edgeId !== undefined) {
+                            toggleLink(edgeId);
+                        }
+                    });
+
+                    // Dragging saves the layout of the whole graph (no SPF recompute needed)
+                    network.on('dragEnd', (params) => {
+                        if (params.nodes.length > 0) {
+                            editTopologyRef.current(doc => moveNodes(doc, network.getPositions()), false);
+                        }
+                    });
+
+                    // Double-click a link to edit its cost in place
+                    network.on('doubleClick', (params) => {
+                        if (params.nodes.length === 0 && params.edges.length === 1) {
+                            openCostEditorRef.current(params.edges[0], params.pointer.DOM);
+                        }
+                    });
                 }
             } catch (e) {
                 console.error("Error creating/updating Vis Network:", e);
                 setError("A visualization error occurred.");
             }
         }
-    }, [isVisLoaded, sptResult, sourceNodeId, processVisData, fetchData]);
+    }, [isVisLoaded, sptResult, sourceNodeId, graph, failedLinks, failedRouters, whatIfResult, fastReroute, resilience, utilization, showUtilization, shownPath, trace.view, toggleRouter, toggleLink]);
 
-    // Initial data fetch on load
+    // Initial data fetch on load, whenever a different topology is loaded and after every edit
     useEffect(() => {
-        if (isVisLoaded && !sptResult && !isLoading) {
+        if (isVisLoaded && graph && (!sptResult || routedGraphRef.current !== graph) && !isLoading) {
             fetchData(sourceNodeId);
         }
-    }, [isVisLoaded, fetchData, sptResult, isLoading, sourceNodeId]);
-
-
-    // Helper to format the routing table for display
-    const formatRoutingTable = (spt) => {
-        if (!spt || !spt.distance) return [];
-
-        const table = [];
-        for (const destination in spt.distance) {
-            if (destination !== sourceNodeId) {
-                table.push({
-                    destination: destination,
-                    cost: spt.distance[destination],
-                    nextHop: spt.predecessor[destination] || '-',
-                });
-            }
-        }
-
-        // Sort table by destination ID for consistency
-        return table.sort((a, b) => a.destination.localeCompare(b.destination));
-    };
-
-    const routingTable = formatRoutingTable(sptResult);
+    }, [isVisLoaded, graph, fetchData, sptResult, isLoading, sourceNodeId]);
 
     // --- Component Rendering ---
     return (
@@ -269,7 +355,7 @@ const App = () => {
             <div className="max-w-4xl mx-auto">
                 <h1 className="text-4xl font-extrabold text-blue-800 mb-6">OSPF Path Simulator</h1>
                 <p className="text-lg text-gray-600 mb-8">
-                    Click any router node to recalculate the Shortest Path First (SPT) tree.
+                    Click any router node to recalculate the Shortest Path First (SPT) tree. Right-click a link or router to simulate its failure. Click a routing table row to highlight its full path.
                 </p>
 
                 {/* 1. Network Topology Section */}
@@ -277,13 +363,57 @@ const App = () => {
                     <h2 className="text-2xl font-semibold text-gray-800 mb-4 border-b pb-2">
                         1. Network Topology (Click Router to Change Source)
                     </h2>
+                    <TopologyBar
+                        topologyId={topologyId}
+                        topologyList={topologyList}
+                        onSelect={setTopologyId}
+                        onImported={(id) => { loadTopologyList(); setTopologyId(id); }}
+                        onError={setError}
+                    >
+                        <LiveStatus status={liveStatus} />
+                    </TopologyBar>
+                    <div className="flex items-center space-x-4 mb-4">
+                        <label htmlFor="max-paths-select" className="text-gray-700 font-medium">Maximum Paths (ECMP):</label>
+                        <select
+                            id="max-paths-select"
+                            value={maxPaths}
+                            onChange={(e) => { setMaxPaths(e.target.value); setSptResult(null); }}
+                            className="px-3 py-1 border border-gray-300 rounded-lg bg-white text-gray-800"
+                        >
+                            <option value="">Unlimited</option>
+                            {[1, 2, 4, 8].map(n => <option key={n} value={n}>{n}</option>)}
+                        </select>
+                    </div>
+                    <div className="flex items-center space-x-4 mb-4">
+                        <label htmlFor="reference-bandwidth-select" className="text-gray-700 font-medium">Reference Bandwidth:</label>
+                        <select
+                            id="reference-bandwidth-select"
+                            value={graph?.referenceBandwidth ?? 100}
+                            onChange={(e) => editTopology(doc => ({ ...doc, referenceBandwidth: Number(e.target.value) }))}
+                            className="px-3 py-1 border border-gray-300 rounded-lg bg-white text-gray-800"
+                        >
+                            {[...new Set([...REFERENCE_BANDWIDTHS, graph?.referenceBandwidth ?? 100])].map(bw => (
+                                <option key={bw} value={bw}>{bw >= 1000 ? `${bw / 1000} Gbps` : `${bw} Mbps`}</option>
+                            ))}
+                        </select>
+                    </div>
                     <div className="flex items-center space-x-4 mb-4">
                         <span className="text-gray-700 font-medium">Current Source:</span>
                         <span className="px-3 py-1 bg-blue-100 text-blue-800 font-bold rounded-full border border-blue-300 shadow-sm">{sourceNodeId}</span>
                         <span className="w-3 h-3 bg-red-600 rounded-full inline-block ml-4"></span><span className="ml-1 text-red-600">Source</span>
                         <span className="w-3 h-3 bg-green-600 rounded-full inline-block ml-4"></span><span className="ml-1 text-green-600">SPT Link</span>
                         <span className="text-gray-500 ml-4">-- Non-SPT Link (Dashed)</span>
+                        {fastReroute && <><span className="w-3 h-3 bg-violet-600 rounded-full inline-block ml-4"></span><span className="ml-1 text-violet-600">Backup Path</span></>}
+                        {resilience && <><span className="w-3 h-3 bg-orange-500 rounded-full inline-block ml-4"></span><span className="ml-1 text-orange-600">SPOF (glow)</span></>}
+                        {utilization && showUtilization && UTILIZATION_LEVELS.map(level => (
+                            <span key={level.label} className="flex items-center text-sm">
+                                <span className="w-3 h-3 rounded-full inline-block mr-1" style={{ backgroundColor: level.color }}></span>
+                                {level.label}
+                            </span>
+                        ))}
                     </div>
+                    <AreaLegend areas={sptResult?.areas} />
+                    {hasFailures && <WhatIfBar failedLinks={failedLinks} failedRouters={failedRouters} onClear={clearFailures} />}
 
                     {isLoading && (
                         <div className="text-center p-12 text-blue-600">
@@ -301,46 +431,99 @@ const App = () => {
                          </div>
                     )}
 
-                    <div ref={networkRef} className="w-full h-[500px] border border-gray-300 rounded-lg bg-gray-50">
-                        {!isVisLoaded && <div className="p-4 text-center text-gray-500">Loading Visualization Library...</div>}
+                    <div className="flex items-center space-x-4 mb-2 text-sm">
+                        <button
+                            onClick={undo}
+                            disabled={!canUndo}
+                            className="px-3 py-1 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg border border-gray-300 disabled:opacity-50"
+                        >
+                            Undo
+                        </button>
+                        <button
+                            onClick={redo}
+                            disabled={!canRedo}
+                            className="px-3 py-1 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg border border-gray-300 disabled:opacity-50"
+                        >
+                            Redo
+                        </button>
+                        <button
+                            onClick={trace.steps ? trace.close : trace.load}
+                            disabled={!sptResult}
+                            className="px-3 py-1 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg border border-gray-300 disabled:opacity-50"
+                        >
+                            {trace.steps ? 'Close Trace' : 'Trace Dijkstra'}
+                        </button>
+                        <span className="text-gray-500">
+                            Edit (top left of the graph) adds or deletes routers and links. Double-click a link to change its cost ("10" or "10/20" per direction). Dragged positions are saved.
+                        </span>
+                    </div>
+                    <div className="flex gap-4">
+                        <div className="relative flex-1 min-w-0">
+                            <div ref={networkRef} className="w-full h-[500px] border border-gray-300 rounded-lg bg-gray-50">
+                                {!isVisLoaded && <div className="p-4 text-center text-gray-500">Loading Visualization Library...</div>}
+                            </div>
+                            {costEditor && (
+                                <input
+                                    autoFocus
+                                    value={costEditor.value}
+                                    onChange={(e) => setCostEditor({ ...costEditor, value: e.target.value })}
+                                    onKeyDown={(e) => {
+                                        if (e.key === 'Enter') commitCostEdit();
+                                        if (e.key === 'Escape') setCostEditor(null);
+                                    }}
+                                    onBlur={() => setCostEditor(null)}
+                                    className="absolute w-24 px-2 py-1 text-sm border-2 border-blue-500 rounded shadow-lg"
+                                    style={{ left: costEditor.x, top: costEditor.y }}
+                                />
+                            )}
+                        </div>
+                        {trace.view && <TracePanel trace={trace} />}
                     </div>
                 </div>
 
+                {/* Broadcast segments: DR/BDR election and adjacency states */}
+                {sptResult?.lans?.length > 0 && <LanPanel lans={sptResult.lans} />}
+
                 {/* 2. Routing Table Section */}
                 {sptResult && (
-                    <div className="mt-10 bg-white p-6 rounded-xl shadow-2xl transition duration-300">
-                        <h2 className="text-2xl font-semibold text-gray-800 mb-4 border-b pb-2">
-                            2. Calculated Routing Table for Router <span className="text-red-600">{sourceNodeId}</span>
-                        </h2>
-                        <div className="overflow-x-auto">
-                            <table className="min-w-full divide-y divide-gray-200">
-                                <thead className="bg-green-50">
-                                    <tr>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">DESTINATION</th>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">TOTAL COST</th>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">NEXT HOP</th>
-                                    </tr>
-                                </thead>
-                                <tbody className="bg-white divide-y divide-gray-200">
-                                    {routingTable.length > 0 ? (
-                                        routingTable.map((row, index) => (
-                                            <tr key={index} className="hover:bg-gray-50">
-                                                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{row.destination}</td>
-                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{row.cost}</td>
-                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{row.nextHop}</td>
-                                            </tr>
-                                        ))
-                                    ) : (
-                                        <tr>
-                                            <td colSpan="3" className="px-6 py-4 text-center text-sm text-gray-500">
-                                                No paths calculated (Source is isolated).
-                                            </td>
-                                        </tr>
-                                    )}
-                                </tbody>
-                            </table>
-                        </div>
-                    </div>
+                    <RoutingTable
+                        sptResult={sptResult}
+                        sourceNodeId={sourceNodeId}
+                        whatIfView={whatIfResult?.routers[sourceNodeId]}
+                        fastReroute={fastReroute}
+                        liveRouteChanges={liveRouteChanges}
+                        shownPath={shownPath}
+                        onShowPath={showPath}
+                    >
+                        {sptResult.prefixTable && <PrefixTable prefixTable={sptResult.prefixTable} lookup={lookup} />}
+                    </RoutingTable>
+                )}
+
+                {/* 3. Fast reroute: LFA / remote-LFA coverage per router */}
+                {fastReroute && <FastReroutePanel fastReroute={fastReroute} sourceNodeId={sourceNodeId} />}
+
+                {/* 4. Resilience: single points of failure, min-cut and disjoint paths */}
+                {resilience && (
+                    <ResiliencePanel
+                        resilience={resilience}
+                        pair={resiliencePair}
+                        onPairChange={setResiliencePair}
+                        routers={(graph?.nodes || []).filter(n => !n.isLan).map(n => n.id)}
+                    />
+                )}
+                {/* 5. All-pairs routing matrix as a heatmap */}
+                <AllPairsPanel graph={graph} onError={setError} />
+
+                {/* 6. Traffic demands: link utilization and the cost optimizer */}
+                {utilization && (
+                    <UtilizationPanel
+                        utilization={utilization}
+                        showUtilization={showUtilization}
+                        onShowUtilizationChange={setShowUtilization}
+                        proposal={proposal}
+                        onOptimize={runOptimizer}
+                        onApplyProposal={() => editTopology(doc => applyCostChanges(doc, proposal.changes, proposal.links))}
+                    />
                 )}
             </div>
             <style jsx="true">{`
@@ -0,0 +1,22 @@
+// --- API Configuration ---
+export const API_URL = 'http://localhost:3001/calculate-ospf';
+export const TOPOLOGY_API_URL = 'http://localhost:3001/api/topologies';
+export const WHAT_IF_API_URL = 'http://localhost:3001/api/what-if';
+export const FAST_REROUTE_API_URL = 'http://localhost:3001/api/fast-reroute';
+export const RESILIENCE_API_URL = 'http://localhost:3001/api/analysis/resilience';
+export const PATH_API_URL = 'http://localhost:3001/api/path';
+export const ALL_PAIRS_API_URL = 'http://localhost:3001/api/analysis/all-pairs';
+export const EVENTS_API_URL = 'http://localhost:3001/api/events';
+export const LOOKUP_API_URL = 'http://localhost:3001/api/lookup';
+export const UTILIZATION_API_URL = 'http://localhost:3001/api/analysis/utilization';
+export const OPTIMIZE_COSTS_API_URL = 'http://localhost:3001/api/analysis/optimize-costs';
+// Sent with every save so the live update for our own edit can be recognised and skipped
+export const CLIENT_ID = Math.random().toString(36).slice(2, 10);
+export const API_KEY = ""; // Not used for this local API, but kept for structure
+
+// Import/export formats understood by /api/topologies/import and /:id/export
+export const TOPOLOGY_FORMATS = [
+    { id: 'dot', label: 'Graphviz DOT', extensions: ['dot', 'gv'] },
+    { id: 'graphml', label: 'GraphML', extensions: ['graphml', 'xml'] },
+    { id: 'cisco', label: 'show ip ospf database router', extensions: ['txt', 'log'] },
+];
@@ -0,0 +1,67 @@
+import { useState, useEffect } from 'react';
+import { ALL_PAIRS_API_URL } from '../api.js';
+import { graphToRequest } from '../topology.js';
+import RoutingHeatmap from './RoutingHeatmap.jsx';
+
+// --- All-Pairs Routing Matrix ---
+// Cost/next-hop matrix of every router pair with the network's diameter, radius and center
+const AllPairsPanel = ({ graph, onError }) => {
+    const [open, setOpen] = useState(false);
+    const [allPairs, setAllPairs] = useState(null);
+
+    // The matrix runs SPF from every router, so it is only recomputed while the view is open
+    useEffect(() => {
+        if (!graph || !open) return;
+        let cancelled = false;
+        fetch(ALL_PAIRS_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(graphToRequest(graph)),
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (cancelled) return;
+                if (data.error) {
+                    onError(data.error.message);
+                    return;
+                }
+                setAllPairs(data);
+            })
+            .catch(e => {
+                onError('Could not compute the all-pairs matrix. Ensure the Node.js server is running.');
+                console.error(e);
+            });
+        return () => { cancelled = true; };
+    }, [graph, open, onError]);
+
+    return (
+        <div className="mt-10 bg-white p-6 rounded-xl shadow-2xl transition duration-300">
+            <h2 className="text-2xl font-semibold text-gray-800 mb-4 border-b pb-2 flex items-center">
+                5. All-Pairs Routing Matrix
+                <button
+                    onClick={() => setOpen(!open)}
+                    className="ml-auto px-3 py-1 text-base font-normal bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg border border-gray-300"
+                >
+                    {open ? 'Hide' : 'Show'}
+                </button>
+            </h2>
+            {open && !allPairs && <p className="text-gray-500">Running SPF from every router...</p>}
+            {open && allPairs && (
+                <>
+                    <p className="text-gray-700 mb-4">
+                        Diameter <span className="font-bold">{allPairs.stats.diameter ?? '-'}</span>
+                        {allPairs.stats.diameterPair && ` (${allPairs.stats.diameterPair.from} → ${allPairs.stats.diameterPair.to})`},
+                        {' '}radius <span className="font-bold">{allPairs.stats.radius ?? '-'}</span>
+                        {allPairs.stats.center.length > 0 && ` (center ${allPairs.stats.center.slice(0, 5).join(', ')}${allPairs.stats.center.length > 5 ? '…' : ''})`},
+                        {' '}average path cost <span className="font-bold">{allPairs.stats.averageCost ?? '-'}</span>
+                        {!allPairs.stats.connected && <span className="text-red-600"> – {allPairs.stats.unreachablePairs} router pairs cannot reach each other</span>}
+                        <span className="text-gray-500"> ({allPairs.routers.length} routers in {allPairs.elapsedMs} ms)</span>
+                    </p>
+                    <RoutingHeatmap matrix={allPairs} />
+                </>
+            )}
+        </div>
+    );
+};
+
+export default AllPairsPanel;
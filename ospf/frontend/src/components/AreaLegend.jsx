@@ -0,0 +1,23 @@
+import { areaColor } from '../networkView.js';
+
+// --- Area Legend ---
+// Router colors of a multi-area topology (areas is the SPF result's area summary); nothing for a single area
+const AreaLegend = ({ areas }) => {
+    const areaIds = [...new Set(Object.values(areas?.routerAreas || {}).flat())].sort((a, b) => a - b);
+    if (areaIds.length === 0) return null;
+    return (
+        <div className="flex items-center space-x-4 mb-4 text-sm">
+            <span className="text-gray-700 font-medium">Areas:</span>
+            {areaIds.map(area => (
+                <span key={area} className="flex items-center">
+                    <span className="w-3 h-3 rounded-full inline-block mr-1" style={{ backgroundColor: areaColor(area) }}></span>
+                    Area {area}{area === '0' ? ' (backbone)' : ''}
+                    {areas.config[area]?.type !== 'normal' && ` – ${areas.config[area]?.type}`}
+                </span>
+            ))}
+            <span className="text-gray-500">Thick border = ABR</span>
+        </div>
+    );
+};
+
+export default AreaLegend;
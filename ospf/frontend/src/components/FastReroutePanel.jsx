@@ -0,0 +1,38 @@
+// --- Fast Reroute Coverage ---
+// LFA / remote-LFA coverage per router (fastReroute is a /api/fast-reroute result); the source router's row is marked
+const FastReroutePanel = ({ fastReroute, sourceNodeId }) => (
+    <div className="mt-10 bg-white p-6 rounded-xl shadow-2xl transition duration-300">
+        <h2 className="text-2xl font-semibold text-gray-800 mb-4 border-b pb-2">
+            3. Fast Reroute Coverage (LFA / Remote LFA)
+        </h2>
+        <p className="text-gray-700 mb-4">
+            {fastReroute.coverage.protected} of {fastReroute.coverage.destinations} routes protected network-wide
+            (<span className="font-bold">{fastReroute.coverage.percent}%</span>),
+            {' '}{fastReroute.coverage.nodeProtecting} of them node-protecting.
+        </p>
+        <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-violet-50">
+                    <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ROUTER</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">COVERAGE</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">LFA / RLFA</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">UNPROTECTED DESTINATIONS</th>
+                    </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                    {Object.entries(fastReroute.routers).map(([router, { coverage }]) => (
+                        <tr key={router} className={router === sourceNodeId ? 'bg-red-50' : 'hover:bg-gray-50'}>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{router}</td>
+                            <td className={`px-6 py-4 whitespace-nowrap text-sm font-semibold ${coverage.percent === 100 ? 'text-green-700' : 'text-amber-700'}`}>{coverage.percent}%</td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{coverage.lfa} / {coverage.remoteLfa}</td>
+                            <td className="px-6 py-4 text-sm text-red-600">{coverage.unprotected.join(', ') || '-'}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    </div>
+);
+
+export default FastReroutePanel;
@@ -0,0 +1,28 @@
+// --- Broadcast Segments ---
+// DR/BDR election and adjacency states of every LAN in the SPF result
+const LanPanel = ({ lans }) => (
+    <div className="mt-10 bg-white p-6 rounded-xl shadow-2xl transition duration-300">
+        <h2 className="text-2xl font-semibold text-gray-800 mb-4 border-b pb-2">Broadcast Segments (DR/BDR)</h2>
+        {lans.map(lan => (
+            <div key={lan.id} className="mb-4">
+                <p className="text-gray-800 font-medium">
+                    {lan.id}: DR <span className="font-bold text-blue-800">{lan.dr || 'none'}</span>,
+                    BDR <span className="font-bold text-blue-800">{lan.bdr || 'none'}</span>
+                    {!lan.transit && <span className="ml-2 text-amber-600">(no transit – no DR elected or single router)</span>}
+                </p>
+                <div className="flex flex-wrap gap-2 mt-2 text-sm">
+                    {lan.adjacencies.map(adj => (
+                        <span
+                            key={adj.routers.join('-')}
+                            className={`px-2 py-0.5 rounded-full border ${adj.state === 'FULL' ? 'bg-green-100 text-green-800 border-green-300' : 'bg-gray-100 text-gray-600 border-gray-300'}`}
+                        >
+                            {adj.routers.join(' ↔ ')}: {adj.state}
+                        </span>
+                    ))}
+                </div>
+            </div>
+        ))}
+    </div>
+);
+
+export default LanPanel;
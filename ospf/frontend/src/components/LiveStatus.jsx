@@ -0,0 +1,12 @@
+// --- Live Update Status ---
+// status is the useLiveUpdates stream state: 'connecting', 'live' or 'offline'
+const LiveStatus = ({ status }) => (
+    <span
+        className={`text-sm ${status === 'live' ? 'text-green-700' : status === 'offline' ? 'text-red-600' : 'text-gray-500'}`}
+        title="Edits made in other browsers, through the API or in network_data.json appear here automatically"
+    >
+        ● {status === 'live' ? 'Live' : status === 'offline' ? 'Offline (retrying)' : 'Connecting…'}
+    </span>
+);
+
+export default LiveStatus;
@@ -0,0 +1,66 @@
+// --- Prefix Routing Table ---
+// The source router's routes to IP prefixes, with a longest-prefix-match lookup form
+// (lookup is a usePrefixLookup result); the matched prefix is highlighted
+const PrefixTable = ({ prefixTable, lookup }) => {
+    const { result } = lookup;
+    return (
+        <div className="mt-8">
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">Prefix Routing Table</h3>
+            <form onSubmit={lookup.runLookup} className="flex items-center gap-2 mb-3 text-sm">
+                <input
+                    value={lookup.address}
+                    onChange={(e) => lookup.setAddress(e.target.value)}
+                    placeholder="Destination IP, e.g. 10.0.34.1"
+                    className="px-3 py-1.5 border border-gray-300 rounded-md font-mono w-64"
+                />
+                <button type="submit" className="px-3 py-1.5 bg-indigo-600 text-white rounded-md hover:bg-indigo-700">Lookup</button>
+            </form>
+            {result && (
+                <div className="mb-3 text-sm text-gray-700">
+                    <p className="font-medium text-indigo-800">
+                        {result.destination}:{' '}
+                        {result.match
+                            ? `${result.match.routeType || 'redistributed'} ${result.match.prefix}${result.outgoingInterface ? ` out ${result.outgoingInterface.name || result.outgoingInterface.id || result.outgoingInterface.type}` : ''}`
+                            : 'no matching route'}
+                    </p>
+                    <p className="ml-4 font-mono">
+                        {result.path.join(' → ')}
+                        <span className={`ml-2 ${result.delivered ? 'text-green-700' : 'text-red-600'}`}>
+                            ({{ connected: 'delivered on a connected subnet', external: 'leaves the AS here', 'no-route': 'dropped: no route', loop: 'forwarding loop' }[result.reason]})
+                        </span>
+                    </p>
+                </div>
+            )}
+            <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-green-50">
+                        <tr>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">TYPE</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">PREFIX</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">COST</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">NEXT HOP</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">INTERFACE</th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {prefixTable.map(row => (
+                            <tr key={row.prefix} className={result?.match?.prefix === row.prefix ? 'bg-indigo-50' : 'hover:bg-gray-50'}>
+                                <td className="px-6 py-2 whitespace-nowrap text-sm font-mono text-gray-600">{row.routeType}</td>
+                                <td className="px-6 py-2 whitespace-nowrap text-sm font-mono text-gray-900">{row.prefix}</td>
+                                <td className="px-6 py-2 whitespace-nowrap text-sm text-gray-600">{row.cost}</td>
+                                <td className="px-6 py-2 whitespace-nowrap text-sm text-gray-600">
+                                    {row.routeType === 'C' ? 'directly connected' : row.nextHops.join(', ')}
+                                </td>
+                                <td className="px-6 py-2 whitespace-nowrap text-sm text-gray-600">
+                                    {(row.interface ? [row.interface] : row.interfaces || []).filter(Boolean).map(i => i.name || i.id || i.type).join(', ') || '-'}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default PrefixTable;
@@ -0,0 +1,80 @@
+// --- Resilience Panel ---
+// Single points of failure, min-cut and disjoint paths (resilience is an /api/analysis/resilience result).
+// pair ({ from, to, k }) picks the routers for the min-cut and disjoint paths out of routers (IDs).
+const ResiliencePanel = ({ resilience, pair, onPairChange, routers }) => (
+    <div className="mt-10 bg-white p-6 rounded-xl shadow-2xl transition duration-300">
+        <h2 className="text-2xl font-semibold text-gray-800 mb-4 border-b pb-2">
+            4. Resilience (Single Points of Failure)
+        </h2>
+        <p className="text-gray-700 mb-2">
+            Survivability score: <span className={`font-bold ${resilience.survivability.score === 100 ? 'text-green-700' : 'text-orange-600'}`}>{resilience.survivability.score}</span>/100
+            {' '}({resilience.survivability.singleLinkFailures.partitioning} of {resilience.survivability.singleLinkFailures.total} single link failures
+            and {resilience.survivability.singleRouterFailures.partitioning} of {resilience.survivability.singleRouterFailures.total} single router failures partition the network)
+        </p>
+        {!resilience.connected && (
+            <p className="text-red-600 mb-2">The topology is already split into {resilience.components} parts.</p>
+        )}
+        <p className="text-gray-700 mb-1">
+            Articulation points:{' '}
+            {resilience.articulationPoints.length === 0 ? <span className="text-green-700">none</span> : resilience.articulationPoints.map(p => (
+                <span key={p.node} className="ml-1 px-2 py-0.5 text-sm bg-orange-100 text-orange-800 rounded-full border border-orange-300">
+                    {p.node}{p.type === 'lan' && ' (LAN)'} – {p.disconnectedPairs} pairs cut
+                </span>
+            ))}
+        </p>
+        <p className="text-gray-700 mb-4">
+            Bridges:{' '}
+            {resilience.bridges.length === 0 ? <span className="text-green-700">none</span> : resilience.bridges.map(b => (
+                <span key={`${b.source}-${b.target}`} className="ml-1 px-2 py-0.5 text-sm bg-orange-100 text-orange-800 rounded-full border border-orange-300">
+                    {b.source} – {b.target}
+                </span>
+            ))}
+        </p>
+        <div className="flex items-center space-x-4 mb-4">
+            <span className="text-gray-700 font-medium">Between</span>
+            {['from', 'to'].map(end => (
+                <select
+                    key={end}
+                    value={pair[end]}
+                    onChange={(e) => onPairChange({ ...pair, [end]: e.target.value })}
+                    className="px-3 py-1 border border-gray-300 rounded-lg bg-white text-gray-800"
+                >
+                    <option value="">{end === 'from' ? 'From…' : 'To…'}</option>
+                    {routers.map(id => <option key={id} value={id}>{id}</option>)}
+                </select>
+            ))}
+            <label htmlFor="disjoint-k-select" className="text-gray-700 font-medium">Paths (k):</label>
+            <select
+                id="disjoint-k-select"
+                value={pair.k}
+                onChange={(e) => onPairChange({ ...pair, k: Number(e.target.value) })}
+                className="px-3 py-1 border border-gray-300 rounded-lg bg-white text-gray-800"
+            >
+                {[1, 2, 3, 4].map(n => <option key={n} value={n}>{n}</option>)}
+            </select>
+        </div>
+        {resilience.pair && (
+            <div className="text-sm text-gray-700 space-y-2">
+                <p>
+                    Min-cut: {resilience.pair.minCut.links.size} link(s)
+                    ({resilience.pair.minCut.links.cut.map(link => link.join('–')).join(', ') || 'none'}),
+                    {' '}{resilience.pair.minCut.nodes.adjacent
+                        ? 'no router cut (directly connected)'
+                        : `${resilience.pair.minCut.nodes.size} router(s) (${resilience.pair.minCut.nodes.cut.join(', ') || 'none'})`}
+                </p>
+                {[['Link-disjoint', resilience.pair.linkDisjoint], ['Node-disjoint', resilience.pair.nodeDisjoint]].map(([title, result]) => (
+                    <div key={title}>
+                        <p className="font-medium">
+                            {title}: {result.found} of {result.requested} path(s), total cost {result.totalCost}
+                        </p>
+                        {result.paths.map(p => (
+                            <p key={p.path.join('-')} className="ml-4 font-mono">{p.path.join(' → ')} (cost {p.cost})</p>
+                        ))}
+                    </div>
+                ))}
+            </div>
+        )}
+    </div>
+);
+
+export default ResiliencePanel;
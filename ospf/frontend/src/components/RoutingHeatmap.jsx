@@ -0,0 +1,84 @@
+import { useState, useEffect, useRef } from 'react';
+
+// --- All-Pairs Heatmap ---
+// Drawn on a canvas so thousands of routers stay responsive; rows are sources, columns destinations.
+// Labels are only drawn when the cells are large enough to hold them.
+
+// Heatmap color for a cost relative to the largest one: green (cheap) to red (expensive)
+const heatColor = (cost, max) => {
+    if (cost === null) return '#111827';
+    const t = max > 0 ? cost / max : 0;
+    return `hsl(${Math.round(120 * (1 - t))}, 70%, 48%)`;
+};
+
+const RoutingHeatmap = ({ matrix }) => {
+    const canvasRef = useRef(null);
+    const [hover, setHover] = useState(null);
+    const n = matrix.routers.length;
+    const cell = Math.max(1, Math.min(28, Math.floor(720 / Math.max(n, 1))));
+    const margin = cell >= 14 ? 40 : 0;
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        const max = matrix.stats.diameter || 0;
+        matrix.costs.forEach((row, i) => {
+            row.forEach((cost, j) => {
+                ctx.fillStyle = i === j ? '#E5E7EB' : heatColor(cost, max);
+                ctx.fillRect(margin + j * cell, margin + i * cell, cell, cell);
+            });
+        });
+        if (margin > 0) {
+            ctx.fillStyle = '#374151';
+            ctx.font = '10px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            matrix.routers.forEach((router, i) => {
+                ctx.fillText(router, margin + i * cell + cell / 2, margin / 2);
+                ctx.fillText(router, margin / 2, margin + i * cell + cell / 2);
+            });
+            ctx.fillStyle = 'white';
+            matrix.costs.forEach((row, i) => {
+                row.forEach((cost, j) => {
+                    if (i !== j && cost !== null) ctx.fillText(String(cost), margin + j * cell + cell / 2, margin + i * cell + cell / 2);
+                });
+            });
+        }
+    }, [matrix, cell, margin]);
+
+    const onMouseMove = (e) => {
+        const rect = canvasRef.current.getBoundingClientRect();
+        const i = Math.floor((e.clientY - rect.top - margin) / cell);
+        const j = Math.floor((e.clientX - rect.left - margin) / cell);
+        setHover(i >= 0 && j >= 0 && i < n && j < n ? { i, j } : null);
+    };
+
+    const hoverText = () => {
+        const { i, j } = hover;
+        const from = matrix.routers[i];
+        const to = matrix.routers[j];
+        if (i === j) return `${from} (eccentricity ${matrix.stats.eccentricity[from] ?? '∞'})`;
+        const cost = matrix.costs[i][j];
+        if (cost === null) return `${from} → ${to}: unreachable`;
+        return `${from} → ${to}: cost ${cost}, next hop ${matrix.routers[matrix.nextHops[i][j]]}`;
+    };
+
+    return (
+        <div>
+            <div className="overflow-auto max-h-[780px]">
+                <canvas
+                    ref={canvasRef}
+                    width={margin + n * cell}
+                    height={margin + n * cell}
+                    onMouseMove={onMouseMove}
+                    onMouseLeave={() => setHover(null)}
+                />
+            </div>
+            <p className="mt-2 text-sm text-gray-700 h-5">{hover ? hoverText() : 'Hover a cell for its cost and next hop.'}</p>
+        </div>
+    );
+};
+
+export default RoutingHeatmap;
@@ -0,0 +1,179 @@
+// --- Routing Table ---
+// The source router's routes with LFA backups, live changes and the path of the clicked row.
+// children go below the table (the prefix routing table).
+
+// Helper to format the routing table for display
+// With an active what-if, rows show the post-failure route and what changed for it
+// External prefixes ("O E1"/"O E2" rows) follow the routers; their path leads to the ASBR or forwarding router
+const formatRoutingTable = (spt, view) => {
+    if (!spt || !spt.routingTable) return [];
+
+    let table;
+    if (view?.after) {
+        const changed = new Map(view.changed.map(c => [c.destination, c]));
+        const lost = new Set(view.unreachable.map(u => u.destination));
+        table = Object.entries(view.after.routes).map(([destination, route]) => ({
+            destination,
+            cost: route.cost ?? '∞',
+            nextHop: route.nextHop ?? 'Unreachable',
+            nextHops: route.nextHops,
+            routeType: route.routeType,
+            forwardingRouter: route.forwardingRouter ?? view.before.routes[destination]?.forwardingRouter,
+            status: lost.has(destination) ? 'unreachable' : changed.has(destination) ? 'changed' : null,
+            previous: changed.get(destination)?.before || view.before.routes[destination],
+        }));
+    } else {
+        table = spt.routingTable.map(row => ({
+            destination: row.destination,
+            cost: row.reachable ? row.cost : '∞',
+            nextHop: row.reachable ? row.nextHop : 'Unreachable',
+            nextHops: row.nextHops || [],
+            routeType: row.routeType,
+            forwardingRouter: row.forwardingRouter,
+            asbr: row.asbr,
+            tag: row.tag,
+            forwardingAddress: row.forwardingAddress,
+            status: null,
+        }));
+    }
+
+    // Sort table by destination ID for consistency, routers before external prefixes
+    return table.sort((a, b) => Boolean(a.forwardingRouter) - Boolean(b.forwardingRouter) || a.destination.localeCompare(b.destination));
+};
+
+const RoutingTable = ({ sptResult, sourceNodeId, whatIfView, fastReroute, liveRouteChanges, shownPath, onShowPath, children }) => {
+    const routingTable = formatRoutingTable(sptResult, whatIfView);
+    const sourceBackups = fastReroute?.routers[sourceNodeId]?.routes || {};
+    const liveChanges = liveRouteChanges?.routers[sourceNodeId] || {};
+    const defaultRoute = sptResult.areas?.defaultRoute;
+
+    return (
+        <div className="mt-10 bg-white p-6 rounded-xl shadow-2xl transition duration-300">
+            <h2 className="text-2xl font-semibold text-gray-800 mb-4 border-b pb-2">
+                2. Calculated Routing Table for Router <span className="text-red-600">{sourceNodeId}</span>
+                {whatIfView && <span className="ml-2 text-base text-amber-600">(after simulated failure)</span>}
+            </h2>
+            {whatIfView?.failed && (
+                <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-4" role="alert">
+                    Router {sourceNodeId} itself is failed in this scenario; the table shows its routes before the failure.
+                </div>
+            )}
+            <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-green-50">
+                        <tr>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">TYPE</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">DESTINATION</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">TOTAL COST</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">NEXT HOP</th>
+                            {fastReroute && !whatIfView?.after && (
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">BACKUP</th>
+                            )}
+                            {whatIfView?.after && (
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">CHANGE</th>
+                            )}
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {defaultRoute && (
+                            <tr className="bg-blue-50">
+                                <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-blue-800">{defaultRoute.routeType}</td>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">0.0.0.0/0 (default via ABR {defaultRoute.viaAbr})</td>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{defaultRoute.cost}</td>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{defaultRoute.nextHops.join(', ')}</td>
+                                {fastReroute && !whatIfView?.after && <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">-</td>}
+                                {whatIfView?.after && <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">-</td>}
+                            </tr>
+                        )}
+                        {routingTable.length > 0 ? (
+                            routingTable.map((row, index) => (
+                                <tr
+                                    key={index}
+                                    onClick={() => onShowPath(row.forwardingRouter ?? row.destination)}
+                                    className={`cursor-pointer ${shownPath?.destination === (row.forwardingRouter ?? row.destination) ? 'bg-indigo-50' : row.status === 'unreachable' ? 'bg-red-50' : row.status === 'changed' ? 'bg-amber-50' : 'hover:bg-gray-50'}`}
+                                >
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-600">{row.routeType || '-'}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                        {row.destination}
+                                        {row.asbr && (
+                                            <span className="ml-2 text-xs text-gray-500">
+                                                ASBR {row.asbr}
+                                                {row.forwardingAddress && `, fwd ${row.forwardingAddress} (${row.forwardingRouter})`}
+                                                {row.tag !== undefined && `, tag ${row.tag}`}
+                                            </span>
+                                        )}
+                                        {liveChanges[row.destination] && !whatIfView?.after && (
+                                            <span
+                                                className="ml-2 px-2 py-0.5 text-xs font-semibold bg-sky-100 text-sky-800 rounded-full"
+                                                title={`Changed by an edit made elsewhere (v${liveRouteChanges.version})`}
+                                            >
+                                                {liveChanges[row.destination].before
+                                                    ? `was ${liveChanges[row.destination].before.cost} via ${liveChanges[row.destination].before.nextHops.join(', ')}`
+                                                    : 'new'}
+                                            </span>
+                                        )}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{row.cost}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                                        {row.nextHops.length > 1 ? row.nextHops.join(', ') : row.nextHop}
+                                        {row.nextHops.length > 1 && (
+                                            <span className="ml-2 px-2 py-0.5 text-xs font-semibold bg-green-100 text-green-800 rounded-full">ECMP ×{row.nextHops.length}</span>
+                                        )}
+                                    </td>
+                                    {fastReroute && !whatIfView?.after && (
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                                            {(sourceBackups[row.destination]?.backups || []).map(b => (
+                                                <div key={b.primary} className="text-violet-700">
+                                                    {b.nextHop}{b.pqNode && ` → PQ ${b.pqNode}`}
+                                                    <span className="ml-2 text-xs text-gray-500">
+                                                        {b.type === 'rlfa' ? 'rLFA' : 'LFA'}, {b.protection}{b.downstream ? ', downstream' : ''}
+                                                    </span>
+                                                </div>
+                                            ))}
+                                            {(sourceBackups[row.destination]?.unprotectedNextHops || []).map(hop => (
+                                                <div key={hop} className="text-red-600">none for {hop}</div>
+                                            ))}
+                                            {!sourceBackups[row.destination] && '-'}
+                                        </td>
+                                    )}
+                                    {whatIfView?.after && (
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                                            {row.status === 'unreachable' && <span className="text-red-600 font-semibold">Unreachable (was {row.previous.cost} via {row.previous.nextHops.join(', ')})</span>}
+                                            {row.status === 'changed' && <span className="text-amber-700 font-semibold">was {row.previous.cost} via {row.previous.nextHops.join(', ')}</span>}
+                                            {!row.status && '-'}
+                                        </td>
+                                    )}
+                                </tr>
+                            ))
+                        ) : (
+                            <tr>
+                                <td colSpan="4" className="px-6 py-4 text-center text-sm text-gray-500">
+                                    No paths calculated (Source is isolated).
+                                </td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+            {shownPath && (
+                <div className="mt-4 text-sm text-gray-700">
+                    <p className="font-medium text-indigo-800">
+                        Path {sourceNodeId} → {shownPath.destination}
+                        {shownPath.result.reachable ? ` (cost ${shownPath.result.cost})` : ': no path'}
+                        {shownPath.result.truncated && ' – more equal-cost paths not listed'}
+                    </p>
+                    {shownPath.result.paths.map(p => (
+                        <p key={p.routers.join('-')} className="ml-4 font-mono">
+                            {p.routers[0]}
+                            {p.hops.map(hop => ` –${hop.cost}${hop.via ? ` (${hop.via})` : ''}→ ${hop.to} [${hop.cumulativeCost}]`).join('')}
+                        </p>
+                    ))}
+                </div>
+            )}
+
+            {children}
+        </div>
+    );
+};
+
+export default RoutingTable;
@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import { TOPOLOGY_API_URL, TOPOLOGY_FORMATS } from '../api.js';
+
+// --- Topology Bar ---
+// Picks the stored topology, uploads a file as a new one and downloads the selected one.
+// onImported(id) runs after a successful upload; children go at the end of the row (the live status).
+const TopologyBar = ({ topologyId, topologyList, onSelect, onImported, onError, children }) => {
+    // Format used by the Download button
+    const [exportFormat, setExportFormat] = useState('dot');
+
+    // Uploads a DOT/GraphML/"show ip ospf database" file as a new stored topology and switches to it.
+    // The format comes from the file extension; unknown extensions let the backend guess.
+    const importTopology = async (file) => {
+        const extension = file.name.split('.').pop().toLowerCase();
+        const format = TOPOLOGY_FORMATS.find(f => f.extensions.includes(extension))?.id;
+        onError(null);
+        try {
+            const response = await fetch(`${TOPOLOGY_API_URL}/import`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ content: await file.text(), format, name: file.name.replace(/\.[^.]+$/, '') }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                // Parse and validation errors carry the line of the uploaded file
+                const details = (data.error?.details || []).map(d => (d.line ? `Line ${d.line}: ${d.message}` : d.message)).join(' ');
+                onError(`${data.error?.message || `HTTP error! status: ${response.status}`} ${details}`.trim());
+                return;
+            }
+            data.warnings.forEach(w => console.warn(`${file.name} line ${w.line}: ${w.message}`));
+            onImported(data.topology.id);
+        } catch (e) {
+            onError('Could not import the topology. Ensure the Node.js server is running.');
+            console.error(e);
+        }
+    };
+
+    // Downloads the selected topology in the chosen format
+    const exportTopology = async () => {
+        try {
+            const response = await fetch(`${TOPOLOGY_API_URL}/${encodeURIComponent(topologyId)}/export?format=${exportFormat}`);
+            if (!response.ok) {
+                const data = await response.json();
+                onError(data.error?.message || `HTTP error! status: ${response.status}`);
+                return;
+            }
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${topologyId}.${TOPOLOGY_FORMATS.find(f => f.id === exportFormat).extensions[0]}`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (e) {
+            onError('Could not export the topology. Ensure the Node.js server is running.');
+            console.error(e);
+        }
+    };
+
+    return (
+        <div className="flex items-center space-x-4 mb-4">
+            <label htmlFor="topology-select" className="text-gray-700 font-medium">Topology:</label>
+            <select
+                id="topology-select"
+                value={topologyId}
+                onChange={(e) => onSelect(e.target.value)}
+                className="px-3 py-1 border border-gray-300 rounded-lg bg-white text-gray-800"
+            >
+                {topologyList.length === 0 && <option value={topologyId}>{topologyId}</option>}
+                {topologyList.map(t => (
+                    <option key={t.id} value={t.id}>{t.name} (v{t.version})</option>
+                ))}
+            </select>
+            <label className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded-lg cursor-pointer">
+                Upload…
+                <input
+                    type="file"
+                    accept=".dot,.gv,.graphml,.xml,.txt,.log"
+                    className="hidden"
+                    onChange={(e) => { if (e.target.files[0]) importTopology(e.target.files[0]); e.target.value = ''; }}
+                />
+            </label>
+            <select
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+                className="px-3 py-1 border border-gray-300 rounded-lg bg-white text-gray-800"
+            >
+                {TOPOLOGY_FORMATS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+            </select>
+            <button
+                onClick={exportTopology}
+                className="px-3 py-1 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg border border-gray-300"
+            >
+                Download
+            </button>
+            {children}
+        </div>
+    );
+};
+
+export default TopologyBar;
@@ -0,0 +1,53 @@
+import { RELAXATION_COLORS } from '../networkView.js';
+
+// --- Dijkstra Playback Panel ---
+// Controls and the distance table of the step being played back (trace is a useSpfTrace result)
+const TracePanel = ({ trace }) => {
+    const { view } = trace;
+    return (
+        <div className="w-64 shrink-0 border border-gray-300 rounded-lg p-3 text-sm h-[500px] overflow-y-auto">
+            <div className="flex items-center space-x-1 mb-2">
+                <button onClick={trace.back} disabled={trace.step === 0} className="px-2 py-1 bg-gray-100 hover:bg-gray-200 rounded border border-gray-300 disabled:opacity-50">◀</button>
+                <button
+                    onClick={trace.togglePlaying}
+                    className="px-2 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded"
+                >
+                    {trace.playing ? 'Pause' : 'Play'}
+                </button>
+                <button onClick={trace.forward} disabled={trace.step === trace.steps.length - 1} className="px-2 py-1 bg-gray-100 hover:bg-gray-200 rounded border border-gray-300 disabled:opacity-50">▶</button>
+                <span className="ml-auto text-gray-500">{trace.step + 1}/{trace.steps.length}</span>
+            </div>
+            <p className="text-gray-800 mb-2">
+                Pop <span className="font-bold">{view.node}</span> at distance {view.distance}
+                {view.stale && <span className="text-gray-500"> – stale entry, already permanent</span>}
+            </p>
+            <ul className="mb-3 space-y-0.5">
+                {view.relaxations.map(r => (
+                    <li key={r.neighbor} style={{ color: RELAXATION_COLORS[r.result] }}>
+                        {r.neighbor}: {view.distance} + {r.linkCost} = {r.candidate} vs {r.previous ?? '∞'} ({r.result})
+                    </li>
+                ))}
+            </ul>
+            <table className="w-full">
+                <thead>
+                    <tr className="text-left text-xs text-gray-500 uppercase">
+                        <th>Node</th><th>Distance</th><th>Set</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {Object.entries(view.distances).map(([node, distance]) => (
+                        <tr key={node} className={node === view.node ? 'bg-amber-100 font-semibold' : ''}>
+                            <td>{node}</td>
+                            <td>{distance ?? '∞'}</td>
+                            <td className="text-gray-600">
+                                {view.permanent.includes(node) ? 'permanent' : view.tentative.includes(node) ? 'tentative' : '-'}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default TracePanel;
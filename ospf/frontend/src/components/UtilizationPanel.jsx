@@ -0,0 +1,109 @@
+import { utilizationColor } from '../networkView.js';
+
+// --- Link Utilization Panel ---
+// Loads of the traffic demands per link direction (utilization is an /api/analysis/utilization result)
+// and the cost optimizer; proposal is its result for the graph shown, applied through onApplyProposal
+const UtilizationPanel = ({ utilization, showUtilization, onShowUtilizationChange, proposal, onOptimize, onApplyProposal }) => {
+    // One row per direction that carries traffic or has a capacity, busiest first
+    const rows = utilization.links
+        .flatMap(link => [
+            { key: `${link.id}>`, from: link.source, to: link.target, load: link.load, capacity: link.capacity, percent: link.utilization },
+            { key: `${link.id}<`, from: link.target, to: link.source, load: link.reverseLoad, capacity: link.reverseCapacity, percent: link.reverseUtilization },
+        ])
+        .filter(row => row.load > 0 || row.capacity !== null)
+        .sort((a, b) => (b.percent ?? -1) - (a.percent ?? -1) || b.load - a.load);
+
+    return (
+        <div className="mt-10 bg-white p-6 rounded-xl shadow-2xl transition duration-300">
+            <h2 className="text-2xl font-semibold text-gray-800 mb-4 border-b pb-2 flex items-center">
+                6. Link Utilization (Traffic Demands)
+                <label className="ml-auto flex items-center text-base font-normal text-gray-700">
+                    <input
+                        type="checkbox"
+                        checked={showUtilization}
+                        onChange={(e) => onShowUtilizationChange(e.target.checked)}
+                        className="mr-2"
+                    />
+                    Color links by utilization
+                </label>
+            </h2>
+            <p className="text-gray-700 mb-2">
+                {utilization.demands.length} demand(s), {utilization.summary.totalDemand} Mbps in total,
+                {' '}{utilization.summary.deliveredDemand} Mbps delivered. Peak utilization{' '}
+                <span className="font-bold" style={{ color: utilizationColor(utilization.summary.maxUtilization) }}>
+                    {utilization.summary.maxUtilization === null ? '-' : `${utilization.summary.maxUtilization}%`}
+                </span>
+                {utilization.summary.hottest && ` on ${utilization.summary.hottest.from} → ${utilization.summary.hottest.to}`}
+                {utilization.summary.overloaded > 0 && (
+                    <span className="text-red-600"> – {utilization.summary.overloaded} link direction(s) over capacity</span>
+                )}
+            </p>
+            {utilization.demands.some(d => !d.routed) && (
+                <p className="text-red-600 mb-2">
+                    No route for: {utilization.demands.filter(d => !d.routed).map(d => `${d.source} → ${d.destination}`).join(', ')}
+                </p>
+            )}
+            {utilization.summary.maxUtilization === null && (
+                <p className="text-gray-500 mb-2">Give links a capacity (or bandwidth) in Mbps to see their utilization.</p>
+            )}
+            <div className="overflow-x-auto mb-4">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">DIRECTION</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">LOAD (MBPS)</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">CAPACITY (MBPS)</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">UTILIZATION</th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {rows.map(row => (
+                            <tr key={row.key} className="hover:bg-gray-50">
+                                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{row.from} → {row.to}</td>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{row.load}</td>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{row.capacity ?? '-'}</td>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold" style={{ color: utilizationColor(row.percent) }}>
+                                    {row.percent === null ? '-' : `${row.percent}%`}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <div className="flex items-center space-x-4 mb-2">
+                <button
+                    onClick={onOptimize}
+                    disabled={utilization.summary.maxUtilization === null}
+                    className="px-3 py-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-300 text-white rounded-lg"
+                >
+                    Optimize Costs
+                </button>
+                {proposal && (
+                    <span className="text-sm text-gray-700">
+                        {proposal.improved
+                            ? `Peak ${proposal.before.maxUtilization}% → ${proposal.after.maxUtilization}% with ${proposal.changes.length} cost change(s)`
+                            : 'No cost change found that lowers the peak utilization'}
+                        <span className="text-gray-500"> ({proposal.evaluations} cost sets tried in {proposal.elapsedMs} ms)</span>
+                    </span>
+                )}
+            </div>
+            {proposal?.improved && (
+                <div className="text-sm text-gray-700">
+                    {proposal.changes.map(change => (
+                        <p key={`${change.id}-${change.from}`} className="ml-4 font-mono">
+                            {change.from} → {change.to}: cost {change.before} → {change.after}
+                        </p>
+                    ))}
+                    <button
+                        onClick={onApplyProposal}
+                        className="mt-2 px-3 py-1 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg border border-gray-300"
+                    >
+                        Apply Proposed Costs
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default UtilizationPanel;
@@ -0,0 +1,18 @@
+// --- What-If Failures Bar ---
+// The links and routers failed by right-clicking them, with a button to restore them all
+const WhatIfBar = ({ failedLinks, failedRouters, onClear }) => (
+    <div className="flex items-center space-x-4 mb-4 text-sm">
+        <span className="text-red-600 font-medium">
+            Failed: {[...failedRouters, ...failedLinks].join(', ')}
+        </span>
+        <span className="w-3 h-3 bg-amber-500 rounded-full inline-block ml-4"></span><span className="ml-1 text-amber-600">Rerouted Link</span>
+        <button
+            onClick={onClear}
+            className="ml-auto px-3 py-1 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg border border-gray-300"
+        >
+            Clear Failures
+        </button>
+    </div>
+);
+
+export default WhatIfBar;
@@ -0,0 +1,30 @@
+import { useState, useEffect } from 'react';
+import { FAST_REROUTE_API_URL } from '../api.js';
+import { graphToRequest } from '../topology.js';
+
+// --- Fast Reroute ---
+// LFA / remote-LFA backups for every router (null for multi-area topologies, which are not analysed).
+// Backup next hops only depend on the topology, so they are recomputed for every router after each change.
+const useFastReroute = (graph) => {
+    const [fastReroute, setFastReroute] = useState(null);
+
+    useEffect(() => {
+        if (!graph) return;
+        let cancelled = false;
+        fetch(FAST_REROUTE_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(graphToRequest(graph)),
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (!cancelled) setFastReroute(data.error ? null : data);
+            })
+            .catch(e => console.error('Could not compute fast-reroute backups:', e));
+        return () => { cancelled = true; };
+    }, [graph]);
+
+    return fastReroute;
+};
+
+export default useFastReroute;
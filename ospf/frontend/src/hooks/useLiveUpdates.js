@@ -0,0 +1,32 @@
+import { useState, useEffect, useCallback } from 'react';
+import { CLIENT_ID, EVENTS_API_URL } from '../api.js';
+
+// --- Live Updates ---
+// Subscription to the selected topology's update stream. status is 'connecting', 'live' or 'offline';
+// routeChanges are the route changes of the last edit made elsewhere ({ version, routers }) so they
+// can be flagged. topology-changed events go to onTopologyChangedRef.current: a ref, so a new handler
+// does not reopen the stream. EventSource reconnects on its own after a dropped connection.
+const useLiveUpdates = (topologyId, onTopologyChangedRef) => {
+    const [status, setStatus] = useState('connecting');
+    const [routeChanges, setRouteChanges] = useState(null);
+
+    useEffect(() => {
+        const events = new EventSource(`${EVENTS_API_URL}?topology=${encodeURIComponent(topologyId)}`);
+        setStatus('connecting');
+        setRouteChanges(null);
+        events.addEventListener('hello', () => setStatus('live'));
+        events.addEventListener('topology-changed', (e) => onTopologyChangedRef.current(JSON.parse(e.data)));
+        events.addEventListener('routes-changed', (e) => {
+            const data = JSON.parse(e.data);
+            if (data.clientId !== CLIENT_ID && data.routers) setRouteChanges({ version: data.topology.version, routers: data.routers });
+        });
+        events.onerror = () => setStatus('offline');
+        return () => events.close();
+    }, [topologyId, onTopologyChangedRef]);
+
+    const clearRouteChanges = useCallback(() => setRouteChanges(null), []);
+
+    return { status, routeChanges, clearRouteChanges };
+};
+
+export default useLiveUpdates;
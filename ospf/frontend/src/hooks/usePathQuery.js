@@ -0,0 +1,46 @@
+import { useState, useCallback } from 'react';
+import { PATH_API_URL } from '../api.js';
+import { graphToRequest } from '../topology.js';
+
+// --- Path Query ---
+// Full path(s) to the routing-table row that was clicked, for the graph and source it was queried on.
+// Simulated failures are passed as constraints so the highlighted path matches the what-if table.
+const usePathQuery = (graph, sourceNodeId, { failedLinks, failedRouters }, onError) => {
+    const [pathQuery, setPathQuery] = useState(null);
+
+    // Clicking the row of the path being shown hides it again
+    const showPath = useCallback(async (destination) => {
+        if (!graph) return;
+        if (pathQuery?.destination === destination && pathQuery.graph === graph && pathQuery.source === sourceNodeId) {
+            setPathQuery(null);
+            return;
+        }
+        try {
+            const response = await fetch(PATH_API_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    ...graphToRequest(graph),
+                    from: sourceNodeId,
+                    to: destination,
+                    avoidRouters: failedRouters.filter(r => r !== sourceNodeId && r !== destination),
+                    avoidLinks: failedLinks,
+                }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                onError(data.error?.message || `HTTP error! status: ${response.status}`);
+                return;
+            }
+            setPathQuery({ graph, source: sourceNodeId, destination, result: data });
+        } catch (e) {
+            onError('Could not query the path. Ensure the Node.js server is running.');
+            console.error(e);
+        }
+    }, [graph, sourceNodeId, failedRouters, failedLinks, pathQuery, onError]);
+    const shownPath = pathQuery && pathQuery.graph === graph && pathQuery.source === sourceNodeId ? pathQuery : null;
+
+    return { shownPath, showPath };
+};
+
+export default usePathQuery;
@@ -0,0 +1,37 @@
+import { useState, useCallback } from 'react';
+import { LOOKUP_API_URL } from '../api.js';
+import { graphToRequest } from '../topology.js';
+
+// --- Prefix Lookup ---
+// Longest-prefix-match lookup of a destination IP from the source router; a result only
+// belongs to the graph and source it was looked up on
+const usePrefixLookup = (graph, sourceNodeId, onError) => {
+    const [address, setAddress] = useState('');
+    const [lookup, setLookup] = useState(null);
+
+    const runLookup = useCallback(async (e) => {
+        e.preventDefault();
+        if (!graph || !address.trim()) return;
+        try {
+            const response = await fetch(LOOKUP_API_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...graphToRequest(graph), source: sourceNodeId, destination: address.trim() }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                onError(data.error?.message || `HTTP error! status: ${response.status}`);
+                return;
+            }
+            setLookup({ graph, source: sourceNodeId, result: data });
+        } catch (err) {
+            onError('Could not look up the address. Ensure the Node.js server is running.');
+            console.error(err);
+        }
+    }, [graph, sourceNodeId, address, onError]);
+    const result = lookup && lookup.graph === graph && lookup.source === sourceNodeId ? lookup.result : null;
+
+    return { address, setAddress, result, runLookup };
+};
+
+export default usePrefixLookup;
@@ -0,0 +1,34 @@
+import { useState, useEffect } from 'react';
+import { RESILIENCE_API_URL } from '../api.js';
+import { graphToRequest } from '../topology.js';
+
+// --- Resilience ---
+// Single points of failure for the whole topology, plus min-cut/disjoint paths for a chosen router pair.
+// SPOFs are a property of the topology; the pair analysis runs once both endpoints are chosen.
+const useResilience = (graph) => {
+    const [resilience, setResilience] = useState(null);
+    const [pair, setPair] = useState({ from: '', to: '', k: 2 });
+
+    useEffect(() => {
+        if (!graph) return;
+        const { from, to, k } = pair;
+        const routerIds = new Set(graph.nodes.filter(n => !n.isLan).map(n => n.id));
+        const request = routerIds.has(from) && routerIds.has(to) && from !== to ? { from, to, k } : {};
+        let cancelled = false;
+        fetch(RESILIENCE_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...graphToRequest(graph), ...request }),
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (!cancelled) setResilience(data.error ? null : data);
+            })
+            .catch(e => console.error('Could not run the resilience analysis:', e));
+        return () => { cancelled = true; };
+    }, [graph, pair]);
+
+    return { resilience, pair, setPair };
+};
+
+export default useResilience;
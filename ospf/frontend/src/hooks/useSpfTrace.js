@@ -0,0 +1,80 @@
+import { useState, useEffect, useCallback } from 'react';
+import { API_URL } from '../api.js';
+import { graphToRequest } from '../topology.js';
+
+// --- Dijkstra Playback ---
+// Step-by-step playback of one SPF run: the trace belongs to the graph and source it was recorded for
+
+// Delay between playback steps
+const TRACE_STEP_MS = 1200;
+
+const useSpfTrace = (graph, sourceNodeId, onError) => {
+    const [spfTrace, setSpfTrace] = useState(null);
+    const [step, setStep] = useState(0);
+    const [playing, setPlaying] = useState(false);
+
+    // Records a Dijkstra run for the current source and starts playing it back
+    const load = useCallback(async () => {
+        if (!graph) return;
+        try {
+            const response = await fetch(API_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...graphToRequest(graph), source: sourceNodeId, trace: true }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                onError(data.error?.message || `HTTP error! status: ${response.status}`);
+                return;
+            }
+            if (!data.trace) {
+                onError('Step-by-step playback is only available for single-area topologies.');
+                return;
+            }
+            setSpfTrace({ graph, source: sourceNodeId, steps: data.trace });
+            setStep(0);
+            setPlaying(true);
+        } catch (e) {
+            onError('Could not record the Dijkstra trace. Ensure the Node.js server is running.');
+            console.error(e);
+        }
+    }, [graph, sourceNodeId, onError]);
+
+    // A trace recorded for another graph or source is stale and simply not shown
+    const steps = spfTrace && spfTrace.graph === graph && spfTrace.source === sourceNodeId ? spfTrace.steps : null;
+
+    // Playback advances one step per tick and stops on the last step
+    useEffect(() => {
+        if (!playing || !steps) return;
+        if (step >= steps.length - 1) {
+            setPlaying(false);
+            return;
+        }
+        const timer = setTimeout(() => setStep(current => current + 1), TRACE_STEP_MS);
+        return () => clearTimeout(timer);
+    }, [playing, step, steps]);
+
+    return {
+        steps,
+        step,
+        view: steps?.[step],
+        playing,
+        load,
+        close: () => setSpfTrace(null),
+        back: () => {
+            setPlaying(false);
+            setStep(current => Math.max(0, current - 1));
+        },
+        forward: () => {
+            setPlaying(false);
+            setStep(current => Math.min(steps.length - 1, current + 1));
+        },
+        // Play from the start again once the end was reached
+        togglePlaying: () => {
+            if (!playing && step === steps.length - 1) setStep(0);
+            setPlaying(!playing);
+        },
+    };
+};
+
+export default useSpfTrace;
@@ -0,0 +1,112 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { CLIENT_ID, TOPOLOGY_API_URL } from '../api.js';
+import { graphToDocument } from '../topology.js';
+
+// --- Topology Editor ---
+// Runs edits on the shown topology document, keeps undo/redo and saves every result.
+// versionRef holds the stored version the next save is based on; saves run one after another
+// so each sees the last version. showDocument(doc, recompute) puts an edited document on screen,
+// onSaved runs after each successful save.
+
+// How many edits undo can go back
+const UNDO_LIMIT = 100;
+
+const useTopologyEditor = ({ topologyId, graph, versionRef, showDocument, onSaved, onError }) => {
+    // Undo/redo hold topology documents
+    const [undoStack, setUndoStack] = useState([]);
+    const [redoStack, setRedoStack] = useState([]);
+    const saveQueueRef = useRef(Promise.resolve());
+
+    // Saves the edited document over the stored topology, based on the last saved version
+    const saveTopology = useCallback((doc) => {
+        const id = topologyId;
+        saveQueueRef.current = saveQueueRef.current.then(async () => {
+            try {
+                const response = await fetch(`${TOPOLOGY_API_URL}/${encodeURIComponent(id)}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json', 'If-Match': `"${versionRef.current}"`, 'X-Client-Id': CLIENT_ID },
+                    body: JSON.stringify(doc),
+                });
+                const data = await response.json();
+                if (!response.ok) {
+                    const details = Array.isArray(data.error?.details) ? data.error.details.map(d => d.message).join(' ') : '';
+                    onError(`Could not save ${id}: ${data.error?.message || `HTTP error! status: ${response.status}`} ${details}`.trim());
+                    return;
+                }
+                versionRef.current = data.topology.version;
+                onSaved();
+            } catch (e) {
+                onError('Could not save the topology. Ensure the Node.js server is running.');
+                console.error(e);
+            }
+        });
+    }, [topologyId, versionRef, onSaved, onError]);
+
+    const applyDocument = useCallback((doc, recompute = true) => {
+        showDocument(doc, recompute);
+        saveTopology(doc);
+    }, [showDocument, saveTopology]);
+
+    // Runs one edit on the current document: errors are shown, successes become an undo step
+    const editTopology = useCallback((edit, recompute = true) => {
+        if (!graph) return;
+        const current = graphToDocument(graph);
+        const next = edit(current);
+        if (typeof next === 'string') {
+            onError(next);
+            return;
+        }
+        onError(null);
+        setUndoStack(stack => [...stack.slice(1 - UNDO_LIMIT), current]);
+        setRedoStack([]);
+        applyDocument(next, recompute);
+    }, [graph, applyDocument, onError]);
+
+    const undo = useCallback(() => {
+        if (undoStack.length === 0) return;
+        setRedoStack(stack => [...stack, graphToDocument(graph)]);
+        setUndoStack(stack => stack.slice(0, -1));
+        applyDocument(undoStack[undoStack.length - 1]);
+    }, [undoStack, graph, applyDocument]);
+
+    const redo = useCallback(() => {
+        if (redoStack.length === 0) return;
+        setUndoStack(stack => [...stack, graphToDocument(graph)]);
+        setRedoStack(stack => stack.slice(0, -1));
+        applyDocument(redoStack[redoStack.length - 1]);
+    }, [redoStack, graph, applyDocument]);
+
+    // Another topology, or someone else's edit, starts a new history: undoing past it would overwrite it
+    const resetHistory = useCallback(() => {
+        setUndoStack([]);
+        setRedoStack([]);
+    }, []);
+
+    // Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z), unless the user is typing in a field
+    useEffect(() => {
+        const onKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                redo();
+            }
+        };
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, [undo, redo]);
+
+    return {
+        editTopology,
+        undo,
+        redo,
+        canUndo: undoStack.length > 0,
+        canRedo: redoStack.length > 0,
+        resetHistory,
+    };
+};
+
+export default useTopologyEditor;
@@ -0,0 +1,58 @@
+import { useState, useEffect, useCallback } from 'react';
+import { OPTIMIZE_COSTS_API_URL, UTILIZATION_API_URL } from '../api.js';
+import { graphToRequest } from '../topology.js';
+
+// --- Link Utilization ---
+// Link loads of the topology's traffic demands, whether the graph is colored by them, and the
+// optimizer's proposed costs for the graph they were computed on
+const useUtilization = (graph, onError) => {
+    const [utilization, setUtilization] = useState(null);
+    const [showUtilization, setShowUtilization] = useState(true);
+    const [costProposal, setCostProposal] = useState(null);
+
+    // Loads follow the routes, so every topology edit recomputes them; without demands there is nothing to color
+    useEffect(() => {
+        if (!graph || !graph.demands?.length) {
+            setUtilization(null);
+            return;
+        }
+        let cancelled = false;
+        fetch(UTILIZATION_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(graphToRequest(graph)),
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (!cancelled) setUtilization(data.error ? null : data);
+            })
+            .catch(e => console.error('Could not compute link utilization:', e));
+        return () => { cancelled = true; };
+    }, [graph]);
+
+    // The proposal is only shown; applying it goes through the editor like any other cost edit
+    const runOptimizer = useCallback(async () => {
+        if (!graph) return;
+        try {
+            const response = await fetch(OPTIMIZE_COSTS_API_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(graphToRequest(graph)),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                onError(data.error?.message || `HTTP error! status: ${response.status}`);
+                return;
+            }
+            setCostProposal({ graph, result: data });
+        } catch (e) {
+            onError('Could not run the cost optimizer. Ensure the Node.js server is running.');
+            console.error(e);
+        }
+    }, [graph, onError]);
+    const proposal = costProposal && costProposal.graph === graph ? costProposal.result : null;
+
+    return { utilization, showUtilization, setShowUtilization, proposal, runOptimizer };
+};
+
+export default useUtilization;
@@ -0,0 +1,33 @@
+import { useState, useEffect } from 'react';
+
+// Use a custom hook to load the Vis Network library from CDN
+const useVisNetworkLoader = () => {
+    const [isLoaded, setIsLoaded] = useState(false);
+
+    useEffect(() => {
+        if (window.vis) {
+            setIsLoaded(true);
+            return;
+        }
+
+        const script = document.createElement('script');
+        script.src = 'https://cdnjs.cloudflare.com/ajax/libs/vis/4.21.0/vis.min.js';
+        script.onload = () => setIsLoaded(true);
+        script.onerror = () => console.error("Failed to load Vis Network library.");
+        document.head.appendChild(script);
+
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = 'https://cdnjs.cloudflare.com/ajax/libs/vis/4.21.0/vis.min.css';
+        document.head.appendChild(link);
+
+        return () => {
+            document.head.removeChild(script);
+            document.head.removeChild(link);
+        };
+    }, []);
+
+    return isLoaded;
+};
+
+export default useVisNetworkLoader;
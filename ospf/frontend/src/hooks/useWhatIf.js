@@ -0,0 +1,82 @@
+import { useState, useEffect, useCallback } from 'react';
+import { WHAT_IF_API_URL } from '../api.js';
+import { graphToRequest } from '../topology.js';
+
+// --- What-If Failures ---
+// Links (edge IDs) and routers toggled as failed by right-clicking them, and the what-if result
+// for that failure set, which is re-run whenever the failures or the topology change
+
+const toggle = (setter, id) => setter(current => (current.includes(id) ? current.filter(x => x !== id) : [...current, id]));
+
+const useWhatIf = (graph, maxPaths, onError) => {
+    const [failedLinks, setFailedLinks] = useState([]);
+    const [failedRouters, setFailedRouters] = useState([]);
+    const [whatIfResult, setWhatIfResult] = useState(null);
+
+    useEffect(() => {
+        if (!graph || (failedLinks.length === 0 && failedRouters.length === 0)) {
+            setWhatIfResult(null);
+            return;
+        }
+        let cancelled = false;
+        fetch(WHAT_IF_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                ...graphToRequest(graph),
+                failedLinks,
+                failedRouters,
+                maxPaths: maxPaths || undefined,
+            }),
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (cancelled) return;
+                if (data.error) {
+                    onError(data.error.message);
+                    return;
+                }
+                setWhatIfResult(data);
+            })
+            .catch(e => {
+                onError('Could not run the failure simulation. Ensure the Node.js server is running.');
+                console.error(e);
+            });
+        return () => { cancelled = true; };
+    }, [graph, failedLinks, failedRouters, maxPaths, onError]);
+
+    // Right-click toggles a link or router in the failure set
+    const toggleLink = useCallback((id) => toggle(setFailedLinks, id), []);
+    const toggleRouter = useCallback((id) => toggle(setFailedRouters, id), []);
+
+    const clearFailures = useCallback(() => {
+        setFailedLinks([]);
+        setFailedRouters([]);
+    }, []);
+
+    // Drops failed links and routers that are no longer part of graph
+    const pruneFailures = useCallback((graph) => {
+        setFailedLinks(current => current.filter(id => graph.edges.some(e => e.id === id)));
+        setFailedRouters(current => current.filter(id => graph.nodes.some(n => n.id === id)));
+    }, []);
+
+    // Drops the links and routers a live update removed
+    const dropFailures = useCallback((links, routers) => {
+        setFailedLinks(current => current.filter(id => !links.includes(id)));
+        setFailedRouters(current => current.filter(id => !routers.includes(id)));
+    }, []);
+
+    return {
+        failedLinks,
+        failedRouters,
+        hasFailures: failedLinks.length > 0 || failedRouters.length > 0,
+        whatIfResult,
+        toggleLink,
+        toggleRouter,
+        clearFailures,
+        pruneFailures,
+        dropFailures,
+    };
+};
+
+export default useWhatIf;
@@ -0,0 +1,253 @@
+// --- Network View ---
+// Styling of the vis network: SPT, failures, backups, SPOFs, utilization, paths and Dijkstra playback
+
+// Router colors per OSPF area; the backbone keeps the default blue
+const AREA_COLORS = ['#007bff', '#8B5CF6', '#F97316', '#14B8A6', '#EC4899', '#84CC16', '#A16207', '#6366F1'];
+export const areaColor = (area) => AREA_COLORS[Number(area) % AREA_COLORS.length];
+
+// Dijkstra playback: the edge color for each relaxation outcome
+export const RELAXATION_COLORS = {
+    improved: '#2563EB',
+    'equal-cost': '#0D9488',
+    'not-better': '#DC2626',
+    permanent: '#9CA3AF',
+};
+
+// Link colors by utilization (percent of capacity); links without a capacity stay grey
+export const UTILIZATION_LEVELS = [
+    { below: 50, color: '#16A34A', label: '< 50%' },
+    { below: 80, color: '#CA8A04', label: '50–80%' },
+    { below: 100, color: '#EA580C', label: '80–100%' },
+    { below: Infinity, color: '#DC2626', label: '≥ 100%' },
+];
+export const utilizationColor = (percent) => (percent === null ? '#9CA3AF' : UTILIZATION_LEVELS.find(level => percent < level.below).color);
+
+// Brings a vis DataSet in line with items without replacing it, so the network keeps its layout and view.
+// vis merges an update into the stored item, so an item that lost a property (a shadow, dashes) is re-added instead.
+export const syncDataSet = (dataSet, items) => {
+    const ids = new Set(items.map(item => item.id));
+    dataSet.remove(dataSet.getIds().filter(id => !ids.has(id)));
+    const replaced = [];
+    const updated = [];
+    items.forEach(item => {
+        const current = dataSet.get(item.id);
+        if (current && Object.keys(current).some(key => !(key in item))) replaced.push(item);
+        else if (!current || JSON.stringify(current) !== JSON.stringify({ ...current, ...item })) updated.push(item);
+    });
+    dataSet.remove(replaced.map(item => item.id));
+    dataSet.add(replaced);
+    dataSet.update(updated);
+};
+
+// Prepares the vis nodes and edges for a graph, applying SPT styling
+// failure = { links: Set, routers: Set, view }, where view is the what-if result for the source router
+// overlays = { frr, resilience, utilization, path, trace }: frr is the fast-reroute result for the source router, whose backup
+// paths are drawn in purple; resilience marks articulation points and bridges (SPOFs) in orange;
+// utilization is a /api/analysis/utilization result that recolors every working link by its busier direction;
+// path is a /api/path result whose hops are drawn in indigo on top of the SPT;
+// trace is the Dijkstra step being played back, which replaces the SPT styling while it is shown
+// positions = current vis positions, used for nodes that have no saved position yet
+export const styleNetwork = (graph, spt, sourceId, failure, overlays = {}, positions = {}) => {
+    const { frr, resilience, utilization, path, trace } = overlays;
+    const spofNodes = new Set((resilience?.articulationPoints || []).map(p => p.node));
+    const bridgeKeys = new Set((resilience?.bridges || []).map(b => [b.source, b.target].sort().join('-')));
+    const spofShadow = { enabled: true, color: '#F97316', size: 18, x: 0, y: 0 };
+    if (!graph || !spt) return { nodes: [], edges: [] };
+
+    // 1. Prepare Nodes: Style the source node, failed routers are greyed out.
+    // In multi-area topologies routers are colored by area; ABRs get a thick border in their other area's color.
+    const routerAreas = spt.areas?.routerAreas || {};
+    const abrs = new Set(spt.areas?.abrs || []);
+    const routerColor = (id) => {
+        const areas = routerAreas[id] || [];
+        if (areas.length === 0) return '#007bff';
+        const other = areas.find(a => a !== '0') ?? areas[0];
+        return abrs.has(id)
+            ? { background: areaColor('0'), border: areaColor(other) }
+            : areaColor(areas[0]);
+    };
+    const styledNodes = graph.nodes.map(node => ({ ...node, ...(node.x === undefined && positions[node.id]) })).map(node => node.isLan ? {
+        ...node,
+        // Broadcast segment (pseudo-node): dark box, red-bordered when failed
+        shape: 'box',
+        color: { background: '#374151', border: failure.routers.has(node.id) ? '#DC2626' : '#111827' },
+        borderWidth: failure.routers.has(node.id) ? 3 : 1,
+        font: { color: 'white' },
+        shadow: spofNodes.has(node.id) ? spofShadow : false,
+    } : {
+        ...node,
+        label: [node.label, abrs.has(node.id) && 'ABR', spofNodes.has(node.id) && 'SPOF'].filter(Boolean).join('\n'),
+        shadow: spofNodes.has(node.id) ? spofShadow : false,
+        borderWidth: abrs.has(node.id) ? 4 : 1,
+        // Source node is Red
+        color: failure.routers.has(node.id)
+            ? { background: '#9CA3AF', border: '#4B5563' }
+            : node.id === sourceId ? { background: '#dc3545', border: '#a02331', highlight: { background: '#e04758', border: '#b02a3a' } } : routerColor(node.id),
+        font: { color: 'white' },
+    });
+
+    // 2. Identify SPT Edges using the edge list returned by the backend (spt.sptEdges)
+    // Costs come resolved from the backend (bandwidth-derived where needed); asymmetric links get one label line per direction.
+    // LAN edges also show the router's DR/BDR/DROTHER role on that segment
+    const lanRoles = Object.fromEntries((spt.lans || []).map(lan => [lan.id, lan.roles]));
+    const linkCosts = new Map((spt.linkCosts || []).map(c => [c.id, c]));
+    const costLabel = (edge) => {
+        const costs = linkCosts.get(edge.id);
+        if (!costs) return String(edge.cost);
+        if (edge.lan) return lanRoles[edge.lan] ? `${costs.cost} ${lanRoles[edge.lan][edge.from]}` : String(costs.cost);
+        return costs.cost === costs.reverseCost
+            ? String(costs.cost)
+            : `${costs.source}→${costs.target}: ${costs.cost}\n${costs.target}→${costs.source}: ${costs.reverseCost}`;
+    };
+    const allEdges = graph.edges.map(edge => ({
+        ...edge,
+        label: costLabel(edge), // Show cost as label
+        // Bridges: the only link holding two parts of the network together
+        shadow: bridgeKeys.has([edge.from, edge.to].sort().join('-')) ? spofShadow : false,
+        // Default styling for non-SPT links
+        color: '#AAAAAA',
+        dashes: true,
+        width: 1,
+        // Set initial smooth curve to true for complex topologies
+        smooth: { type: 'curvedCW', roundness: 0.1 },
+        font: { align: 'top', color: '#666666', size: 14 }
+    }));
+
+    // sptEdges holds undirected "A-B" keys (IDs sorted), so match either edge direction.
+    // During a what-if the post-failure tree is shown and newly used links are marked as rerouted.
+    const afterView = failure.view?.after;
+    const sptKeys = new Set(afterView ? afterView.sptEdges : spt.sptEdges || []);
+    const beforeKeys = new Set(afterView ? failure.view.before.sptEdges : sptKeys);
+    const edgeKey = edge => [edge.from, edge.to].sort().join('-');
+    const sptEdgeIds = new Set(allEdges.filter(edge => sptKeys.has(edgeKey(edge))).map(edge => edge.id));
+    // Links on some backup path that the SPT does not already use (backup paths include LAN pseudo-nodes)
+    const backupKeys = new Set();
+    for (const route of Object.values(frr?.routes || {})) {
+        for (const backup of route.backups) {
+            backup.path.slice(1).forEach((node, i) => backupKeys.add([backup.path[i], node].sort().join('-')));
+        }
+    }
+
+    // 3. Style Edges based on SPT membership
+    const styledEdges = allEdges.map(edge => {
+        if (failure.links.has(edge.id)) {
+            return {
+                ...edge,
+                label: `✕ ${edge.label}`,
+                color: { color: '#DC2626' },
+                dashes: [4, 4],
+                width: 2,
+                font: { align: 'top', color: '#DC2626', size: 14 },
+                smooth: { type: 'curvedCW', roundness: 0.1 }
+            };
+        }
+        const isSPT = sptEdgeIds.has(edge.id);
+        if (!isSPT && !afterView && backupKeys.has(edgeKey(edge))) {
+            return {
+                ...edge,
+                color: { color: '#7C3AED' },
+                dashes: [10, 5],
+                width: 2,
+                font: { align: 'top', color: '#6D28D9', size: 14 },
+                smooth: { type: 'curvedCW', roundness: 0.1 }
+            };
+        }
+        if (isSPT && !beforeKeys.has(edgeKey(edge))) {
+            // Link only used after the failure: the route was moved onto it
+            return {
+                ...edge,
+                color: { color: '#F59E0B' },
+                dashes: false,
+                width: 4,
+                font: { align: 'top', color: '#B45309', size: 14, bold: true },
+                smooth: { type: 'curvedCW', roundness: 0.1 }
+            };
+        }
+        return {
+            ...edge,
+            color: { color: isSPT ? '#00BB00' : '#AAAAAA' }, // Green for SPT, Gray for non-SPT
+            dashes: !isSPT, // Dashed for non-SPT
+            width: isSPT ? 3 : 1, // Thicker for SPT
+            font: {
+                align: 'top',
+                color: isSPT ? '#008000' : '#666666', // Darker label for SPT links
+                size: 14,
+                bold: isSPT // Make label bold for SPT
+            },
+            // Ensure the path is rendered smoothly
+            smooth: { type: 'curvedCW', roundness: 0.1 }
+        };
+    });
+
+    if (utilization) {
+        // Edge IDs match the report's link IDs (router-LAN for LAN ports); asymmetric loads are labelled
+        // source→target first, like asymmetric costs
+        const loads = new Map(utilization.links.map(link => [link.id, link]));
+        styledEdges.forEach((edge, i) => {
+            const link = loads.get(edge.id);
+            if (!link || failure.links.has(edge.id)) return;
+            const percents = [link.utilization, link.reverseUtilization].filter(p => p !== null);
+            const peak = percents.length > 0 ? Math.max(...percents) : null;
+            const shares = link.utilization === link.reverseUtilization ? [peak] : [link.utilization, link.reverseUtilization];
+            styledEdges[i] = {
+                ...edge,
+                label: peak === null ? edge.label : `${edge.label}\n${shares.map(p => (p === null ? '-' : `${p}%`)).join(' / ')}`,
+                color: { color: utilizationColor(peak) },
+                dashes: peak === null,
+                width: peak === null ? 1 : 2 + Math.min(peak, 150) / 25,
+                font: { align: 'top', color: utilizationColor(peak), size: 14, bold: peak >= 100 },
+            };
+        });
+    }
+
+    if (path) {
+        // A hop across a LAN runs over two graph edges: router-LAN and LAN-router
+        const pathKeys = new Set();
+        for (const { hops } of path.paths) {
+            for (const hop of hops) {
+                const legs = hop.via ? [[hop.from, hop.via], [hop.via, hop.to]] : [[hop.from, hop.to]];
+                legs.forEach(leg => pathKeys.add(leg.sort().join('-')));
+            }
+        }
+        styledEdges.forEach((edge, i) => {
+            if (!pathKeys.has(edgeKey(edge))) return;
+            styledEdges[i] = {
+                ...edge,
+                color: { color: '#4F46E5' },
+                dashes: false,
+                width: 5,
+                font: { align: 'top', color: '#3730A3', size: 14, bold: true },
+            };
+        });
+    }
+
+    if (trace) {
+        // Permanent nodes green, tentative ones yellow, the node just popped amber; labels carry the current distance
+        const permanent = new Set(trace.permanent);
+        const tentative = new Set(trace.tentative);
+        const relaxed = new Map(trace.relaxations.map(r => [[trace.node, r.neighbor].sort().join('-'), r.result]));
+        const traceNodes = styledNodes.map(node => ({
+            ...node,
+            label: `${node.label}\n${trace.distances[node.id] ?? '∞'}`,
+            borderWidth: node.id === trace.node ? 4 : 1,
+            color: node.id === trace.node ? { background: '#F59E0B', border: '#B45309' }
+                : permanent.has(node.id) ? { background: '#16A34A', border: '#166534' }
+                : tentative.has(node.id) ? { background: '#FACC15', border: '#A16207' }
+                : { background: '#9CA3AF', border: '#4B5563' },
+            font: { color: tentative.has(node.id) && node.id !== trace.node ? '#1F2937' : 'white' },
+        }));
+        const traceEdges = styledEdges.map(edge => {
+            const result = relaxed.get(edgeKey(edge));
+            return {
+                ...edge,
+                color: { color: result ? RELAXATION_COLORS[result] : '#D1D5DB' },
+                dashes: result === 'not-better',
+                width: result ? 3 : 1,
+                font: { align: 'top', color: result ? RELAXATION_COLORS[result] : '#9CA3AF', size: 14, bold: Boolean(result) },
+            };
+        });
+        return { nodes: traceNodes, edges: traceEdges };
+    }
+
+    return { nodes: styledNodes, edges: styledEdges };
+};
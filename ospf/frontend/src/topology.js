@@ -0,0 +1,158 @@
+// --- Topology Documents ---
+// Converts a stored topology document into the nodes/edges used by the vis network
+// LANs (broadcast segments) become box-shaped nodes with one edge per attached router
+export const topologyToGraph = (topology) => ({
+    nodes: [
+        ...topology.nodes.map(n => ({ id: n.id, label: n.label || n.id, area: n.area, routerId: n.routerId, loopbacks: n.loopbacks, x: n.x, y: n.y })),
+        ...(topology.lans || []).map(lan => ({ id: lan.id, label: lan.id, isLan: true, x: lan.x, y: lan.y })),
+    ],
+    edges: [
+        ...topology.links.map(l => ({
+            id: l.id, from: l.source, to: l.target, cost: l.cost, bandwidth: l.bandwidth, capacity: l.capacity, interfaces: l.interfaces, area: l.area, prefixes: l.prefixes,
+        })),
+        ...(topology.lans || []).flatMap(lan => lan.interfaces.map(iface => ({
+            id: `${iface.router}-${lan.id}`, from: iface.router, to: lan.id, cost: iface.cost, lan: lan.id,
+        }))),
+    ],
+    areas: topology.areas,
+    lans: topology.lans,
+    referenceBandwidth: topology.referenceBandwidth,
+    externalRoutes: topology.externalRoutes,
+    demands: topology.demands,
+    name: topology.name,
+});
+
+// Request body shared by the SPF and what-if calls, and the document saved by the editor.
+// LAN nodes/edges travel inside "lans".
+export const graphToRequest = (graph) => ({
+    nodes: graph.nodes.filter(n => !n.isLan).map(n => ({ id: n.id, label: n.label, area: n.area, routerId: n.routerId, loopbacks: n.loopbacks, x: n.x, y: n.y })),
+    links: graph.edges.filter(e => !e.lan).map(e => ({
+        id: e.id, source: e.from, target: e.to, cost: e.cost, bandwidth: e.bandwidth, capacity: e.capacity, interfaces: e.interfaces, area: e.area, prefixes: e.prefixes,
+    })),
+    areas: graph.areas,
+    lans: graph.lans,
+    referenceBandwidth: graph.referenceBandwidth,
+    externalRoutes: graph.externalRoutes,
+    demands: graph.demands,
+});
+
+export const graphToDocument = (graph) => ({ ...graphToRequest(graph), name: graph.name });
+
+// Applies a topology-changed diff from the live update stream to a document.
+// Entries are matched by id and replaced whole; fields holds changed top-level values (null = removed).
+export const applyTopologyDiff = (doc, diff) => {
+    const patch = (list = [], { added, removed, changed }) => {
+        const replaced = new Map([...changed, ...added].map(entry => [entry.id, entry]));
+        const kept = list.filter(entry => !removed.includes(entry.id)).map(entry => replaced.get(entry.id) ?? entry);
+        return [...kept, ...added.filter(entry => !list.some(existing => existing.id === entry.id))];
+    };
+    const next = { ...doc, nodes: patch(doc.nodes, diff.nodes), links: patch(doc.links, diff.links) };
+    const lans = patch(doc.lans, diff.lans);
+    next.lans = lans.length > 0 ? lans : undefined;
+    Object.entries(diff.fields).forEach(([field, value]) => { next[field] = value ?? undefined; });
+    return next;
+};
+
+// --- Topology editing ---
+// Edits work on the topology document ({ nodes, links, lans, ... }) and return a new document,
+// or an error message when the edit would break the topology.
+const lanInterfaceId = (router, lanId) => `${router}-${lanId}`;
+
+export const addRouter = (doc, id, position) => {
+    const routerId = id.trim();
+    if (!routerId) return 'Router ID cannot be empty.';
+    if (doc.nodes.some(n => n.id === routerId) || (doc.lans || []).some(lan => lan.id === routerId)) {
+        return `${routerId} already exists.`;
+    }
+    return { ...doc, nodes: [...doc.nodes, { id: routerId, label: routerId, ...position }] };
+};
+
+// Connecting a router to a LAN node attaches a new LAN interface instead of adding a link
+export const addLink = (doc, from, to, cost) => {
+    if (from === to) return 'A link cannot connect a router to itself.';
+    if (!Number.isFinite(cost) || cost < 0) return 'Cost must be a non-negative number.';
+    const lan = (doc.lans || []).find(l => l.id === from || l.id === to);
+    if (lan) {
+        const router = lan.id === from ? to : from;
+        if ((doc.lans || []).some(l => l.id === router)) return 'Two LANs cannot be connected directly.';
+        if (lan.interfaces.some(iface => iface.router === router)) return `${router} is already attached to ${lan.id}.`;
+        return {
+            ...doc,
+            lans: doc.lans.map(l => (l === lan ? { ...l, interfaces: [...l.interfaces, { router, cost }] } : l)),
+        };
+    }
+    if (doc.links.some(l => (l.source === from && l.target === to) || (l.source === to && l.target === from))) {
+        return `${from} and ${to} are already linked.`;
+    }
+    let id = `${from}-${to}`;
+    for (let n = 2; doc.links.some(l => l.id === id); n++) id = `${from}-${to}-${n}`;
+    return { ...doc, links: [...doc.links, { id, source: from, target: to, cost }] };
+};
+
+// Removing a router also removes its links, LAN interfaces, the external routes it redistributes
+// and the traffic demands it sends or receives; removing a LAN node removes the LAN
+export const removeElements = (doc, nodeIds, edgeIds) => {
+    const nodes = new Set(nodeIds);
+    const edges = new Set(edgeIds);
+    return {
+        ...doc,
+        nodes: doc.nodes.filter(n => !nodes.has(n.id)),
+        links: doc.links.filter(l => !edges.has(l.id) && !nodes.has(l.source) && !nodes.has(l.target)),
+        lans: doc.lans && doc.lans
+            .filter(lan => !nodes.has(lan.id))
+            .map(lan => ({
+                ...lan,
+                interfaces: lan.interfaces.filter(iface => !nodes.has(iface.router) && !edges.has(lanInterfaceId(iface.router, lan.id))),
+            })),
+        externalRoutes: doc.externalRoutes && doc.externalRoutes.filter(ext => !nodes.has(ext.asbr)),
+        demands: doc.demands && doc.demands.filter(d => !nodes.has(d.source) && !nodes.has(d.destination)),
+    };
+};
+
+// "10" sets one cost for both directions, "10/20" the source and target interface separately.
+// Links that carry interfaces or bandwidths get manual interface costs so the bandwidth no longer decides.
+export const setEdgeCost = (doc, edgeId, text) => {
+    const costs = text.split('/').map(c => c.trim()).filter(c => c !== '').map(Number);
+    if (costs.length === 0 || costs.length > 2 || costs.some(c => !Number.isFinite(c) || c < 0)) {
+        return 'Enter a non-negative cost, or "source/target" costs for each direction.';
+    }
+    const lan = (doc.lans || []).find(l => l.interfaces.some(iface => lanInterfaceId(iface.router, l.id) === edgeId));
+    if (lan) {
+        if (costs.length > 1) return 'A LAN interface has a single cost.';
+        return {
+            ...doc,
+            lans: doc.lans.map(l => (l !== lan ? l : {
+                ...l,
+                interfaces: l.interfaces.map(iface => (lanInterfaceId(iface.router, l.id) === edgeId ? { ...iface, cost: costs[0] } : iface)),
+            })),
+        };
+    }
+    return {
+        ...doc,
+        links: doc.links.map(link => {
+            if (link.id !== edgeId) return link;
+            const [forward, reverse = forward] = costs;
+            if (forward === reverse && !link.interfaces && link.bandwidth === undefined) return { ...link, cost: forward };
+            const end = (router, cost) => ({ ...(link.interfaces || []).find(iface => iface.router === router), router, cost });
+            const { cost: _cost, ...rest } = link;
+            return { ...rest, interfaces: [end(link.source, forward), end(link.target, reverse)] };
+        }),
+    };
+};
+
+// Applies the cost optimizer's proposal. links is the optimizer's view after the change, which has
+// both directions of a link, so a link keeps the cost of the direction that did not move.
+export const applyCostChanges = (doc, changes, links) => {
+    const after = new Map(links.map(link => [link.id, link]));
+    return [...new Set(changes.map(change => change.id))].reduce((current, id) => {
+        if (typeof current === 'string') return current;
+        const { cost, reverseCost } = after.get(id);
+        return setEdgeCost(current, id, changes.find(change => change.id === id).interface.type === 'lan' ? String(cost) : `${cost}/${reverseCost}`);
+    }, doc);
+};
+
+// Saves vis positions ({ id: { x, y } }) on routers and LANs
+export const moveNodes = (doc, positions) => {
+    const place = (item) => (positions[item.id] ? { ...item, x: Math.round(positions[item.id].x), y: Math.round(positions[item.id].y) } : item);
+    return { ...doc, nodes: doc.nodes.map(place), lans: doc.lans && doc.lans.map(place) };
+};